@@ -0,0 +1,142 @@
+#!/usr/bin/env node
+
+// Keep per-trade bot logging out of the report unless asked for
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'WARN';
+
+const fs = require('fs-extra');
+const path = require('path');
+const { runBacktest } = require('./server/services/backtest');
+
+const USAGE = `
+Usage: npm run backtest -- [options]
+
+Options:
+  --dir <path>        Directory of snapshot files (default: server/data/snapshots)
+  --from <date>       Start of the range (ISO date)
+  --to <date>         End of the range (ISO date; a date alone includes that whole day)
+  --strategy <name>   Strategy to run (default: apy-threshold-48h)
+  --config <json>     BOT_CONFIG/strategy param overrides as JSON or a path to a JSON file.
+                      Repeat to compare several configurations.
+  --keep-open         Leave positions open at the end instead of exiting them
+  --out <path>        Write the full report(s) as JSON
+  --help              Show this message
+
+Example:
+  npm run backtest -- --from 2025-06-01 --to 2025-07-31 \\
+    --config '{"HIGH_APY_THRESHOLD":0.3}' --config '{"HIGH_APY_THRESHOLD":0.5,"HOLDING_PERIOD_HOURS":24}'
+`;
+
+function parseArgs(argv) {
+  const args = { configs: [], keepOpen: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    switch (arg) {
+      case '--dir':
+        args.dir = path.resolve(argv[++i]);
+        break;
+      case '--from':
+        args.from = argv[++i];
+        break;
+      case '--to':
+        args.to = argv[++i];
+        break;
+      case '--strategy':
+        args.strategy = argv[++i];
+        break;
+      case '--config':
+        args.configs.push(argv[++i]);
+        break;
+      case '--keep-open':
+        args.keepOpen = true;
+        break;
+      case '--out':
+        args.out = path.resolve(argv[++i]);
+        break;
+      case '--help':
+        args.help = true;
+        break;
+      default:
+        throw new Error(`Unknown option: ${arg}`);
+    }
+  }
+
+  for (const [name, value] of [['--from', args.from], ['--to', args.to]]) {
+    if (value !== undefined && isNaN(Date.parse(value))) {
+      throw new Error(`${name} must be a valid date`);
+    }
+  }
+
+  // A date alone parses as midnight UTC, which would leave out the last day
+  if (/^\d{4}-\d{2}-\d{2}$/.test(args.to || '')) {
+    args.to = `${args.to}T23:59:59.999Z`;
+  }
+
+  return args;
+}
+
+function loadConfig(value) {
+  if (value.trim().startsWith('{')) {
+    return JSON.parse(value);
+  }
+  return fs.readJsonSync(path.resolve(value));
+}
+
+function summarize(report, overrides) {
+  const { stats } = report;
+  const netProfitLoss = stats.totalProfit - stats.totalLoss;
+  const exits = stats.successfulExits + stats.failedExits;
+
+  return {
+    strategy: report.stats.strategy,
+    config: Object.keys(overrides).length > 0 ? JSON.stringify(overrides) : 'default',
+    steps: report.steps,
+    trades: report.trades.length,
+    winRate: exits > 0 ? `${((stats.successfulExits / exits) * 100).toFixed(1)}%` : 'N/A',
+    netProfitLoss: `$${netProfitLoss.toFixed(2)}`,
+    feeIncome: `$${stats.totalFeeIncome.toFixed(2)}`,
+    impermanentLoss: `$${stats.totalImpermanentLoss.toFixed(2)}`,
+    finalEquity: `$${stats.equity.toFixed(2)}`,
+    avgHoldingHours: stats.averageHoldingTime ? stats.averageHoldingTime.toFixed(1) : 'N/A'
+  };
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  if (args.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  const configs = args.configs.length > 0 ? args.configs.map(loadConfig) : [{}];
+  const reports = [];
+
+  for (const config of configs) {
+    const startedAt = Date.now();
+    const report = await runBacktest({
+      dir: args.dir,
+      from: args.from,
+      to: args.to,
+      strategy: args.strategy,
+      config,
+      closeOpenPositions: !args.keepOpen
+    });
+    reports.push(report);
+
+    console.log(`📊 Backtest ${report.range.from || '-'} → ${report.range.to || '-'} (${Date.now() - startedAt}ms)`);
+  }
+
+  console.table(reports.map((report, i) => summarize(report, configs[i])));
+
+  if (args.out) {
+    await fs.writeJson(args.out, reports.length === 1 ? reports[0] : reports, { spaces: 2 });
+    console.log(`\n✅ Report written to ${args.out}`);
+  }
+}
+
+main().catch(error => {
+  console.error(`❌ Backtest failed: ${error.message}`);
+  console.log(USAGE);
+  process.exit(1);
+});
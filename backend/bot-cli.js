@@ -1,10 +1,14 @@
 #!/usr/bin/env node
 
 const axios = require('axios');
+const os = require('os');
 const readline = require('readline');
 
 const API_BASE_URL = 'http://localhost:3001/api';
 
+// Recorded as the actor of manual changes made from this CLI
+const ACTOR = `cli:${os.userInfo().username}`;
+
 // Create readline interface
 const rl = readline.createInterface({
   input: process.stdin,
@@ -61,7 +65,8 @@ async function makeRequest(endpoint, method = 'GET', data = null) {
     return response.data;
   } catch (error) {
     if (error.response) {
-      throw new Error(error.response.data.error || 'Request failed');
+      const { error: message, details = [] } = error.response.data || {};
+      throw new Error([message, ...details].filter(Boolean).join(': ') || 'Request failed');
     } else if (error.request) {
       throw new Error('No response from server. Is the server running?');
     } else {
@@ -130,15 +135,139 @@ async function getActiveInvestments() {
   }
 }
 
+function ask(question) {
+  return new Promise(resolve => rl.question(question, resolve));
+}
+
 async function getInvestmentHistory() {
   try {
-    const result = await makeRequest('/bot/investments/history');
+    log('Filters: from, to, poolId, poolName, protocol, exitReason, status (exited|active|all), profitable (true|false),', 'blue');
+    log('minProfitLoss, maxProfitLoss, sort (exitTimestamp, profitLoss, holdingTimeHours, ...), order (asc|desc)', 'blue');
+    const answer = await ask('Filters, e.g. "protocol=Orca profitable=false sort=profitLoss" (Enter for all): ');
     
-    if (result.success) {
-      displayInvestmentHistory(result.data);
-    } else {
-      logError('Failed to get investment history');
+    const params = new URLSearchParams();
+    for (const pair of answer.trim().split(/\s+/).filter(Boolean)) {
+      const [key, ...value] = pair.split('=');
+      params.set(key, value.join('='));
+    }
+    if (!params.has('limit')) {
+      params.set('limit', '10');
+    }
+    
+    let shown = 0;
+    for (;;) {
+      const result = await makeRequest(`/bot/investments/history?${params}`);
+      if (!result.success) {
+        logError('Failed to get investment history');
+        return;
+      }
+      
+      displayInvestmentHistory(result, shown);
+      shown += result.count;
+      
+      if (!result.nextCursor || !/^y/i.test(await ask(`Show the next ${params.get('limit')}? (y/N): `))) {
+        return;
+      }
+      params.set('cursor', result.nextCursor);
+    }
+  } catch (error) {
+    logError(error.message);
+  }
+}
+
+async function askInvestmentId() {
+  const id = (await ask('Investment ID (see Active Investments / Investment History): ')).trim();
+  if (!id) {
+    logWarning('No investment ID given');
+  }
+  return id;
+}
+
+async function askReason() {
+  const reason = (await ask('Reason (optional): ')).trim();
+  return reason || undefined;
+}
+
+async function exitInvestment() {
+  try {
+    const id = await askInvestmentId();
+    if (!id) return;
+    const reason = await askReason();
+    
+    const result = await makeRequest(`/bot/investments/${encodeURIComponent(id)}/exit`, 'POST', { actor: ACTOR, reason });
+    const inv = result.investment;
+    const profitSymbol = inv.profitLoss >= 0 ? '+' : '';
+    logSuccess(`Exited ${inv.poolName}: ${profitSymbol}$${inv.profitLoss.toFixed(2)} (${profitSymbol}${inv.profitLossPercentage.toFixed(2)}%) after ${inv.holdingTimeHours.toFixed(2)} hours`);
+  } catch (error) {
+    logError(error.message);
+  }
+}
+
+async function voidInvestment() {
+  try {
+    const id = await askInvestmentId();
+    if (!id) return;
+    const reason = await askReason();
+    if (!/^y/i.test(await ask(`Void ${id}? It is removed from the wallet, history and stats. (y/N): `))) {
+      return;
+    }
+    
+    const result = await makeRequest(`/bot/investments/${encodeURIComponent(id)}`, 'DELETE', { actor: ACTOR, reason });
+    logSuccess(`Voided ${result.investment.poolName} (${result.investment.status})`);
+    displayBotStatus(result.status);
+  } catch (error) {
+    logError(error.message);
+  }
+}
+
+async function annotateInvestment() {
+  try {
+    const id = await askInvestmentId();
+    if (!id) return;
+    
+    const body = { actor: ACTOR };
+    const tags = await ask('Tags, comma-separated ("-" to clear, Enter to keep): ');
+    if (tags.trim()) {
+      body.tags = tags.trim() === '-' ? [] : tags.split(',');
     }
+    const notes = await ask('Notes ("-" to clear, Enter to keep): ');
+    if (notes.trim()) {
+      body.notes = notes.trim() === '-' ? null : notes;
+    }
+    body.reason = await askReason();
+    
+    const result = await makeRequest(`/bot/investments/${encodeURIComponent(id)}`, 'PATCH', body);
+    const inv = result.investment;
+    logSuccess(`${result.message}: ${inv.poolName}`);
+    log(`   Tags: ${(inv.tags || []).join(', ') || '-'}`, 'cyan');
+    log(`   Notes: ${inv.notes || '-'}`, 'cyan');
+  } catch (error) {
+    logError(error.message);
+  }
+}
+
+async function getInvestmentAudit() {
+  try {
+    const id = await askInvestmentId();
+    if (!id) return;
+    
+    const result = await makeRequest(`/bot/investments/${encodeURIComponent(id)}/audit`);
+    console.log('\n' + '='.repeat(80));
+    log(`🧾 AUDIT TRAIL OF ${id}`, 'bright');
+    console.log('='.repeat(80));
+    
+    result.data.forEach(event => {
+      const what = event.type === 'manual.action' ? `manual.action (${event.action})` : event.type;
+      const who = event.actor ? ` by ${event.actor}` : '';
+      log(`${new Date(event.timestamp).toLocaleString()}  ${what}${who}${event.reason ? `: ${event.reason}` : ''}`, 'cyan');
+      if (event.changes) {
+        for (const [field, { from, to }] of Object.entries(event.changes)) {
+          log(`   ${field}: ${JSON.stringify(from)} → ${JSON.stringify(to)}`, 'yellow');
+        }
+      }
+    });
+    
+    console.log('='.repeat(80) + '\n');
   } catch (error) {
     logError(error.message);
   }
@@ -156,9 +285,15 @@ function displayBotStatus(status) {
   log(`Failed Exits: ${status.failedExits}`, 'red');
   log(`Total Profit: $${status.totalProfit.toFixed(2)}`, 'green');
   log(`Total Loss: $${status.totalLoss.toFixed(2)}`, 'red');
+  log(`Fee Income: $${(status.totalFeeIncome || 0).toFixed(2)}`, 'green');
+  log(`Impermanent Loss: $${(status.totalImpermanentLoss || 0).toFixed(2)}`, 'red');
   log(`Average Holding Time: ${status.averageHoldingTime.toFixed(2)} hours`, 'yellow');
+  if (status.equity !== undefined) {
+    log(`Equity: $${status.equity.toFixed(2)} (cash $${status.cash.toFixed(2)}, invested $${status.investedCapital.toFixed(2)})`, 'bright');
+  }
   
   console.log('\n📊 Configuration:');
+  log(`Strategy: ${status.strategy || status.config.STRATEGY}`, 'cyan');
   log(`APY Threshold: ${(status.config.HIGH_APY_THRESHOLD * 100).toFixed(1)}%`, 'cyan');
   log(`Investment Amount: $${status.config.INVESTMENT_AMOUNT}`, 'cyan');
   log(`Holding Period: ${status.config.HOLDING_PERIOD_HOURS} hours`, 'cyan');
@@ -190,49 +325,130 @@ function displayActiveInvestments(investments) {
     log(`   Entry Time: ${entryTime.toLocaleString()}`, 'blue');
     log(`   Holding Time: ${holdingTime} hours`, 'yellow');
     log(`   Remaining Time: ${(48 - parseFloat(holdingTime)).toFixed(2)} hours`, 'magenta');
+    displayAnnotation(inv);
   });
   
   console.log('='.repeat(80) + '\n');
 }
 
-function displayInvestmentHistory(investments) {
+function displayAnnotation(inv) {
+  if (inv.tags && inv.tags.length > 0) {
+    log(`   Tags: ${inv.tags.join(', ')}`, 'magenta');
+  }
+  if (inv.notes) {
+    log(`   Notes: ${inv.notes}`, 'magenta');
+  }
+}
+
+function displayInvestmentHistory({ data: investments, total, aggregates }, offset = 0) {
   console.log('\n' + '='.repeat(80));
   log('📈 INVESTMENT HISTORY', 'bright');
   console.log('='.repeat(80));
   
-  if (investments.length === 0) {
-    logInfo('No investment history');
+  if (total === 0) {
+    logInfo('No matching investments');
     console.log('='.repeat(80) + '\n');
     return;
   }
   
-  // Sort by exit timestamp (most recent first)
-  const sortedInvestments = investments.sort((a, b) => 
-    new Date(b.exitTimestamp) - new Date(a.exitTimestamp)
-  );
-  
-  sortedInvestments.slice(0, 10).forEach((inv, index) => {
+  investments.forEach((inv, index) => {
+    console.log(`\n${offset + index + 1}. ${inv.poolName}`);
+    log(`   Investment ID: ${inv.id}`, 'cyan');
+    log(`   Protocol: ${inv.protocol}`, 'yellow');
+    
+    if (inv.status === 'active') {
+      log(`   Active since ${new Date(inv.entryTimestamp).toLocaleString()} ($${inv.investmentAmount})`, 'blue');
+      return;
+    }
+    
     const exitTime = new Date(inv.exitTimestamp);
     const profitColor = inv.profitLoss >= 0 ? 'green' : 'red';
     const profitSymbol = inv.profitLoss >= 0 ? '+' : '';
     
-    console.log(`\n${index + 1}. ${inv.poolName}`);
-    log(`   Investment ID: ${inv.id}`, 'cyan');
-    log(`   Protocol: ${inv.protocol}`, 'yellow');
     log(`   Entry APY: ${(inv.entryApy * 100).toFixed(2)}% → Exit APY: ${(inv.exitApy * 100).toFixed(2)}%`, 'blue');
     log(`   Investment Amount: $${inv.investmentAmount}`, 'cyan');
     log(`   Profit/Loss: ${profitSymbol}$${inv.profitLoss.toFixed(2)} (${profitSymbol}${inv.profitLossPercentage.toFixed(2)}%)`, profitColor);
+    if (inv.feeIncome !== undefined && inv.feeIncome !== null) {
+      log(`   Fees: +$${inv.feeIncome.toFixed(2)} | Impermanent Loss: $${inv.impermanentLoss.toFixed(2)}`, 'magenta');
+    }
     log(`   Holding Time: ${inv.holdingTimeHours.toFixed(2)} hours`, 'yellow');
-    log(`   Exit Time: ${exitTime.toLocaleString()}`, 'blue');
+    log(`   Exit Time: ${exitTime.toLocaleString()}${inv.exitReason ? ` (${inv.exitReason})` : ''}`, 'blue');
+    displayAnnotation(inv);
   });
   
-  if (investments.length > 10) {
-    logInfo(`... and ${investments.length - 10} more investments`);
+  const totalSymbol = aggregates.totalProfitLoss >= 0 ? '+' : '';
+  console.log('\n' + '-'.repeat(80));
+  log(`Showing ${offset + 1}-${offset + investments.length} of ${total} matching investments`, 'bright');
+  log(`Total P&L: ${totalSymbol}$${aggregates.totalProfitLoss.toFixed(2)} | Fees: $${aggregates.totalFeeIncome.toFixed(2)} | Impermanent Loss: $${aggregates.totalImpermanentLoss.toFixed(2)}`, aggregates.totalProfitLoss >= 0 ? 'green' : 'red');
+  if (aggregates.winRate !== null) {
+    log(`Win rate: ${(aggregates.winRate * 100).toFixed(1)}% (${aggregates.profitable} profitable, ${aggregates.unprofitable} unprofitable) | Average: $${aggregates.averageProfitLoss.toFixed(2)} over ${aggregates.averageHoldingTimeHours.toFixed(2)}h`, 'yellow');
   }
   
   console.log('='.repeat(80) + '\n');
 }
 
+function formatEvent(event) {
+  const time = new Date(event.timestamp).toLocaleTimeString();
+  const bot = event.bot ? `[${event.bot}] ` : '';
+  const { investment } = event.data;
+
+  switch (event.type) {
+    case 'investment.opened':
+      return [`${time} 💰 ${bot}Opened ${investment.poolName}: $${investment.investmentAmount.toFixed(2)} at ${(investment.entryApy * 100).toFixed(2)}% APY`, 'green'];
+    case 'investment.exited': {
+      const profitSymbol = investment.profitLoss >= 0 ? '+' : '';
+      return [`${time} 📈 ${bot}Exited ${investment.poolName}: ${profitSymbol}$${investment.profitLoss.toFixed(2)}${investment.exitReason ? ` (${investment.exitReason})` : ''}`, investment.profitLoss >= 0 ? 'green' : 'red'];
+    }
+    case 'investment.voided':
+      return [`${time} 🗑️ ${bot}Voided ${investment.poolName} (${event.data.actor})${event.data.reason ? `: ${event.data.reason}` : ''}`, 'yellow'];
+    case 'investment.annotated':
+      return [`${time} 🏷️ ${bot}Annotated ${investment.poolName} (${event.data.actor})`, 'blue'];
+    case 'bot.started':
+      return [`${time} 🟢 ${bot}Bot started`, 'cyan'];
+    case 'bot.stopped':
+      return [`${time} 🔴 ${bot}Bot stopped`, 'cyan'];
+    case 'loop.error':
+      return [`${time} ❌ ${bot}Loop error (${event.data.phase}): ${event.data.error}`, 'red'];
+    case 'pools.refreshed':
+      return [`${time} 🔄 Pools refreshed: ${event.data.count} pools (${event.data.trigger})`, 'blue'];
+    default:
+      return [`${time} ${bot}${event.type}`, 'reset'];
+  }
+}
+
+async function watchEvents() {
+  let response;
+  try {
+    response = await axios.get(`${API_BASE_URL}/events`, { responseType: 'stream' });
+  } catch (error) {
+    logError(`Failed to open event stream: ${error.message}`);
+    return;
+  }
+
+  log('\n📡 Watching live events (press Enter to return to the menu)\n', 'bright');
+
+  // Server-Sent Events: messages are separated by a blank line
+  let buffer = '';
+  response.data.on('data', chunk => {
+    buffer += chunk.toString();
+    const messages = buffer.split('\n\n');
+    buffer = messages.pop();
+
+    for (const message of messages) {
+      const data = message.split('\n').find(line => line.startsWith('data: '));
+      if (data) {
+        const [text, color] = formatEvent(JSON.parse(data.slice(6)));
+        log(text, color);
+      }
+    }
+  });
+
+  response.data.on('end', () => logWarning('Event stream closed by the server, press Enter to return to the menu'));
+
+  await new Promise(resolve => rl.question('', resolve));
+  response.data.destroy();
+}
+
 function showMenu() {
   console.log('\n' + '='.repeat(40));
   log('🤖 LIQUIDITY MINING BOT CLI', 'bright');
@@ -242,7 +458,12 @@ function showMenu() {
   log('3. Bot Status', 'blue');
   log('4. Active Investments', 'cyan');
   log('5. Investment History', 'yellow');
-  log('6. Exit', 'magenta');
+  log('6. Exit Investment Now', 'green');
+  log('7. Void Investment', 'red');
+  log('8. Tag / Note Investment', 'cyan');
+  log('9. Investment Audit Trail', 'yellow');
+  log('10. Watch Live Events', 'blue');
+  log('11. Exit', 'magenta');
   console.log('='.repeat(40));
 }
 
@@ -264,12 +485,27 @@ async function handleMenuChoice(choice) {
       await getInvestmentHistory();
       break;
     case '6':
+      await exitInvestment();
+      break;
+    case '7':
+      await voidInvestment();
+      break;
+    case '8':
+      await annotateInvestment();
+      break;
+    case '9':
+      await getInvestmentAudit();
+      break;
+    case '10':
+      await watchEvents();
+      break;
+    case '11':
       logInfo('Goodbye!');
       rl.close();
       process.exit(0);
       break;
     default:
-      logWarning('Invalid choice. Please select 1-6.');
+      logWarning('Invalid choice. Please select 1-11.');
   }
 }
 
@@ -287,7 +523,7 @@ async function main() {
   // Main loop
   const runMenu = () => {
     showMenu();
-    rl.question('\nSelect an option (1-6): ', async (choice) => {
+    rl.question('\nSelect an option (1-11): ', async (choice) => {
       await handleMenuChoice(choice);
       runMenu();
     });
@@ -0,0 +1,122 @@
+#!/usr/bin/env node
+
+const fs = require('fs-extra');
+const path = require('path');
+
+// Log lines would end up in exports written to stdout
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'WARN';
+
+const { botManager, DEFAULT_BOT_NAME } = require('./server/services/botManager');
+const { getStorage } = require('./server/storage');
+const { EXPORT_DATASETS, BOT_EXPORT_DATASETS, parseExportQuery, exportLines, writeLines } = require('./server/services/exports');
+
+const USAGE = `
+Usage: npm run export -- <dataset> [options]
+
+Datasets:
+${Object.entries(EXPORT_DATASETS).map(([name, description]) => `  ${name.padEnd(20)}${description}`).join('\n')}
+
+Options:
+  --bot <name>        Bot whose investments are exported (default: ${DEFAULT_BOT_NAME})
+  --format <format>   csv (default) or ndjson
+  --columns <list>    Comma-separated columns to write, in this order
+  --from <date>       Only rows at or after this time
+  --to <date>         Only rows at or before this time
+  --pool <id>         Only this pool (id or mint account)
+  --by <group>        report: period (default) or pool
+  --period <period>   report: day, week or month (default)
+  --output <file>     Write to a file instead of stdout
+  --help              Show this message
+
+Uses the storage the server is configured with (STORAGE_DRIVER).
+`;
+
+const VALUE_OPTIONS = {
+  '--bot': 'bot',
+  '--format': 'format',
+  '--columns': 'columns',
+  '--from': 'from',
+  '--to': 'to',
+  '--pool': 'poolId',
+  '--by': 'by',
+  '--period': 'period',
+  '--output': 'output'
+};
+
+function parseArgs(argv) {
+  const args = { dataset: null, bot: DEFAULT_BOT_NAME, query: {} };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--help') {
+      args.help = true;
+    } else if (VALUE_OPTIONS[arg]) {
+      const value = argv[++i];
+      if (value === undefined) {
+        throw new Error(`${arg} needs a value`);
+      }
+      if (arg === '--bot') {
+        args.bot = value;
+      } else if (arg === '--output') {
+        args.output = path.resolve(value);
+      } else {
+        args.query[VALUE_OPTIONS[arg]] = value;
+      }
+    } else if (arg.startsWith('--') || args.dataset) {
+      throw new Error(`Unknown option: ${arg}`);
+    } else {
+      args.dataset = arg;
+    }
+  }
+
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  if (args.help || !args.dataset) {
+    console.log(USAGE);
+    return;
+  }
+
+  const { options, errors } = parseExportQuery(args.dataset, args.query);
+  if (errors.length > 0) {
+    throw new Error(errors.join('; '));
+  }
+
+  const sources = { storage: getStorage() };
+  if (BOT_EXPORT_DATASETS.includes(args.dataset)) {
+    await botManager.loadRegistry();
+    const entry = botManager.get(args.bot);
+    if (!entry) {
+      throw new Error(`Bot not found: ${args.bot}`);
+    }
+    await botManager.applySavedConfig(entry);
+    sources.store = entry.bot.getInvestmentStore();
+  }
+
+  let rows = 0;
+  const lines = (async function* () {
+    for await (const line of exportLines(args.dataset, options, sources)) {
+      rows++;
+      yield line;
+    }
+  })();
+
+  if (!args.output) {
+    await writeLines(lines, process.stdout);
+    return;
+  }
+
+  await fs.ensureDir(path.dirname(args.output));
+  await writeLines(lines, fs.createWriteStream(args.output));
+  const count = options.format === 'csv' ? rows - 1 : rows;
+  console.error(`✅ Wrote ${count} ${args.dataset} rows to ${args.output}`);
+}
+
+main().catch(error => {
+  console.error(`❌ Export failed: ${error.message}`);
+  console.error(USAGE);
+  process.exit(1);
+});
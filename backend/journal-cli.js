@@ -0,0 +1,132 @@
+#!/usr/bin/env node
+
+const { botManager } = require('./server/services/botManager');
+
+const USAGE = `
+Usage: npm run journal -- <command> [options]
+
+Commands:
+  check               Rebuild each bot's state from its journal and compare it with the saved state
+  replay              Show the state rebuilt from the journal
+  restore             Replace the saved state with the rebuilt one (stop the server first)
+
+Options:
+  --bot <name>        Only this bot (default: every bot; required for restore)
+  --help              Show this message
+
+Uses the storage the server is configured with (STORAGE_DRIVER).
+`;
+
+function parseArgs(argv) {
+  const args = { command: null, bot: null };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    switch (arg) {
+      case '--bot':
+        args.bot = argv[++i];
+        break;
+      case '--help':
+        args.help = true;
+        break;
+      default:
+        if (arg.startsWith('--') || args.command) {
+          throw new Error(`Unknown option: ${arg}`);
+        }
+        args.command = arg;
+    }
+  }
+
+  return args;
+}
+
+function formatValue(value) {
+  return value !== null && typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+function printSummary(name, state, events) {
+  console.log(`\n📒 ${name}: ${events} events`);
+  console.log(`  Active investments: ${Object.keys(state.activeInvestments).length}`);
+  console.log(`  Investment history: ${state.investmentHistory.length}`);
+  console.log(`  Cash: $${state.cash.toFixed(2)}`);
+  console.log(`  Profit: $${state.stats.totalProfit.toFixed(2)}, loss: $${state.stats.totalLoss.toFixed(2)}`);
+}
+
+async function check(entries) {
+  let consistent = true;
+
+  for (const { name, bot } of entries) {
+    const result = await bot.checkJournal();
+    if (result.consistent) {
+      console.log(`✅ ${name}: saved state matches ${result.events} journal events`);
+      continue;
+    }
+
+    consistent = false;
+    console.log(`❌ ${name}: ${result.differences.length} differences after replaying ${result.events} journal events`);
+    result.differences.slice(0, 50).forEach(({ path, saved, rebuilt }) => {
+      console.log(`  ${path}: saved ${formatValue(saved)}, journal ${formatValue(rebuilt)}`);
+    });
+    if (result.differences.length > 50) {
+      console.log(`  ... and ${result.differences.length - 50} more`);
+    }
+    if (result.events === 0) {
+      console.log('  The journal is empty: start the server once to begin it from the saved state');
+    }
+  }
+
+  return consistent;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  if (args.help || !args.command) {
+    console.log(USAGE);
+    return;
+  }
+
+  await botManager.loadRegistry();
+  let entries = botManager.list();
+  if (args.bot) {
+    const entry = botManager.get(args.bot);
+    if (!entry) {
+      throw new Error(`Bot not found: ${args.bot}`);
+    }
+    entries = [entry];
+  }
+  for (const entry of entries) {
+    await botManager.applySavedConfig(entry);
+  }
+
+  switch (args.command) {
+    case 'check':
+      if (!(await check(entries))) {
+        process.exitCode = 1;
+      }
+      break;
+    case 'replay':
+      for (const { name, bot } of entries) {
+        const { state, events } = await bot.replayJournal();
+        printSummary(name, state, events);
+      }
+      break;
+    case 'restore': {
+      if (!args.bot) {
+        throw new Error('restore needs --bot <name>');
+      }
+      const { bot } = entries[0];
+      await bot.restoreFromJournal();
+      console.log(`✅ Saved state of ${args.bot} replaced with the state rebuilt from its journal`);
+      break;
+    }
+    default:
+      throw new Error(`Unknown command: ${args.command}`);
+  }
+}
+
+main().catch(error => {
+  console.error(`❌ Journal command failed: ${error.message}`);
+  console.log(USAGE);
+  process.exit(1);
+});
@@ -2,8 +2,23 @@ const express = require('express');
 const cors = require('cors');
 const path = require('path');
 const fs = require('fs-extra');
-const { fetchAndCacheOrcaPools } = require('./services/orca');
-const { bot, shouldInvest, simulateInvestment } = require('./services/bot');
+const { getSourceHealth } = require('./services/pools');
+const { refreshScheduler } = require('./services/refreshScheduler');
+const { getRecordingMode } = require('./sources/recordings');
+const { getStorage } = require('./storage');
+const { poolRegistry } = require('./services/poolRegistry');
+const { toPoolQueryOptions, queryPools } = require('./services/poolQuery');
+const { getPoolDetail } = require('./services/poolDetail');
+const { toExportOptions, exportLines, sendExport } = require('./services/exports');
+const { botManager } = require('./services/botManager');
+const { botRouter, botsRouter } = require('./routes/bots');
+const { eventsRouter } = require('./routes/events');
+const { eventHub } = require('./services/events');
+const { webhooksRouter } = require('./routes/webhooks');
+const { webhookManager } = require('./services/webhooks');
+const { listStrategies } = require('./strategies');
+const { validateRequest, sendValidationError } = require('./routes/schemas');
+const { buildOpenApiDocument } = require('./services/openapi');
 const logger = require('./utils/logger');
 
 const app = express();
@@ -18,20 +33,27 @@ const dataDir = path.join(__dirname, 'data');
 fs.ensureDirSync(dataDir);
 
 // Routes
-app.get('/api/high-apy-pools', async (req, res) => {
+app.get('/api/high-apy-pools', validateRequest('listPools'), async (req, res) => {
   try {
-    const poolsFilePath = path.join(__dirname, 'data', 'highApyPools.json');
-    
+    const options = toPoolQueryOptions(req.input.query);
+
     // Check if cached data exists
-    if (await fs.pathExists(poolsFilePath)) {
-      const cachedData = await fs.readJson(poolsFilePath);
-      logger.info(`Serving ${cachedData.length} cached high APY pools`);
+    const cachedPools = await getStorage().loadPools();
+    if (cachedPools) {
+      const cachedData = await poolRegistry.annotatePools(cachedPools);
+      const { data, total, page, limit, totalPages, facets } = queryPools(cachedData, options);
+      logger.info(`Serving ${data.length} of ${cachedData.length} cached high APY pools`);
       
       res.json({
         success: true,
-        data: cachedData,
+        data,
         lastUpdated: cachedData.length > 0 ? cachedData[0].lastFetched : null,
-        count: cachedData.length
+        count: data.length,
+        total,
+        page,
+        limit,
+        totalPages,
+        facets
       });
     } else {
       logger.warn('No cached data found, returning empty array');
@@ -39,7 +61,8 @@ app.get('/api/high-apy-pools', async (req, res) => {
         success: true,
         data: [],
         message: 'No high APY pools data available. Please fetch data first.',
-        count: 0
+        count: 0,
+        total: 0
       });
     }
   } catch (error) {
@@ -52,10 +75,11 @@ app.get('/api/high-apy-pools', async (req, res) => {
 });
 
 // Endpoint to manually refresh data
-app.post('/api/refresh-pools', async (req, res) => {
+app.post('/api/refresh-pools', validateRequest('refreshPools'), async (req, res) => {
   try {
-    logger.info('Manual refresh requested');
-    const pools = await fetchAndCacheOrcaPools();
+    const force = req.input.query.force === true;
+    logger.info(`Manual refresh requested${force ? ' (forced)' : ''}`);
+    const pools = await refreshScheduler.runNow('manual', { force });
     
     res.json({
       success: true,
@@ -72,176 +96,159 @@ app.post('/api/refresh-pools', async (req, res) => {
   }
 });
 
-// Health check endpoint
-app.get('/api/health', (req, res) => {
-  res.json({
-    success: true,
-    message: 'Solana High APY Pools API is running',
-    timestamp: new Date().toISOString()
-  });
-});
-
-// Error handling middleware
-app.use((err, req, res, next) => {
-  logger.error('Unhandled error:', err.message);
-  res.status(500).json({
-    success: false,
-    error: 'Internal server error'
-  });
-});
-
-// Bot control endpoints
-app.post('/api/bot/start', async (req, res) => {
+// Schedule and outcome of the periodic pool refresh
+app.get('/api/refresh-pools/status', validateRequest('getRefreshStatus'), (req, res) => {
   try {
-    await bot.initialize();
-    await bot.start();
-    
     res.json({
       success: true,
-      message: 'Bot started successfully',
-      status: bot.getStatus()
+      status: refreshScheduler.getStatus()
     });
   } catch (error) {
-    logger.error('Error starting bot:', error.message);
+    logger.error('Error getting refresh status:', error.message);
     res.status(500).json({
       success: false,
-      error: 'Failed to start bot'
+      error: 'Failed to get refresh status'
     });
   }
 });
 
-app.post('/api/bot/stop', async (req, res) => {
+// Health of each pool data source
+app.get('/api/sources', validateRequest('listSources'), (req, res) => {
   try {
-    bot.stop();
-    
-    res.json({
-      success: true,
-      message: 'Bot stopped successfully',
-      status: bot.getStatus()
-    });
-  } catch (error) {
-    logger.error('Error stopping bot:', error.message);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to stop bot'
-    });
-  }
-});
+    const sources = getSourceHealth();
 
-app.get('/api/bot/status', async (req, res) => {
-  try {
     res.json({
       success: true,
-      status: bot.getStatus()
+      recording: getRecordingMode(),
+      data: sources,
+      count: sources.length
     });
   } catch (error) {
-    logger.error('Error getting bot status:', error.message);
+    logger.error('Error getting source health:', error.message);
     res.status(500).json({
       success: false,
-      error: 'Failed to get bot status'
+      error: 'Failed to get source health'
     });
   }
 });
 
-app.get('/api/bot/investments/active', async (req, res) => {
+// Snapshot history for a single pool
+app.get('/api/pools/:id/snapshots', validateRequest('getPoolSnapshots'), async (req, res) => {
   try {
-    const activeInvestments = bot.getActiveInvestments();
-    
+    const { id } = req.input.params;
+    const { from, to } = req.input.query;
+
+    const snapshots = await getStorage().getSnapshots({ poolId: id, from, to });
+
     res.json({
       success: true,
-      data: activeInvestments,
-      count: activeInvestments.length
+      data: snapshots,
+      count: snapshots.length
     });
   } catch (error) {
-    logger.error('Error getting active investments:', error.message);
+    logger.error('Error getting pool snapshots:', error.message);
     res.status(500).json({
       success: false,
-      error: 'Failed to get active investments'
+      error: 'Failed to retrieve pool snapshots'
     });
   }
 });
 
-app.get('/api/bot/investments/history', async (req, res) => {
+// One pool with its time series, bot investments and derived stats
+app.get('/api/pools/:id', validateRequest('getPool'), async (req, res) => {
   try {
-    const investmentHistory = bot.getInvestmentHistory();
-    
+    const { id } = req.input.params;
+    const { from, to } = req.input.query;
+
+    const detail = await getPoolDetail(id, { storage: getStorage(), bots: botManager.list(), from, to });
+    if (!detail) {
+      return res.status(404).json({
+        success: false,
+        error: `Pool not found: ${id}`
+      });
+    }
+
+    if (detail.pool) {
+      [detail.pool] = await poolRegistry.annotatePools([detail.pool]);
+    }
+
     res.json({
       success: true,
-      data: investmentHistory,
-      count: investmentHistory.length
+      data: detail
     });
   } catch (error) {
-    logger.error('Error getting investment history:', error.message);
+    logger.error('Error getting pool detail:', error.message);
     res.status(500).json({
       success: false,
-      error: 'Failed to get investment history'
+      error: 'Failed to retrieve pool detail'
     });
   }
 });
 
-// Manual investment simulation endpoint
-app.post('/api/bot/investments/simulate', async (req, res) => {
+// CSV or NDJSON download of recorded pool snapshots
+app.get('/api/export/snapshots', validateRequest('exportSnapshots'), async (req, res) => {
   try {
-    const { poolId, poolName, protocol, apy, price, liquidity, volume_24h } = req.body;
-    
-    if (!poolId || !poolName || !protocol || apy === undefined) {
-      return res.status(400).json({
-        success: false,
-        error: 'Missing required fields: poolId, poolName, protocol, apy'
-      });
+    const { options, errors } = toExportOptions('snapshots', req.input.query);
+    if (errors.length > 0) {
+      return sendValidationError(res, 'exportSnapshots', 'query', errors);
     }
 
-    // Create a pool object that matches the expected format
-    const pool = {
-      id: poolId,
-      name: poolName,
-      protocol: protocol,
-      apy: apy,
-      price: price || 1,
-      liquidity: liquidity || 1000,
-      volume_24h: volume_24h || 100
-    };
-
-    // For manual simulation, we'll bypass some checks and create a custom investment
-    // Check basic criteria
-    if (pool.apy < 0.3) {
-      return res.status(400).json({
+    await sendExport(res, 'snapshots', options.format, exportLines('snapshots', options, { storage: getStorage() }));
+  } catch (error) {
+    logger.error('Error exporting pool snapshots:', error.message);
+    if (!res.headersSent) {
+      res.status(500).json({
         success: false,
-        error: 'Pool APY must be at least 30% for manual investment'
+        error: 'Failed to export pool snapshots'
       });
     }
+  }
+});
 
-    if (pool.liquidity < 100) {
-      return res.status(400).json({
-        success: false,
-        error: 'Pool must have at least $100 liquidity'
-      });
-    }
+app.get('/api/health', validateRequest('getHealth'), (req, res) => {
+  res.json({
+    success: true,
+    message: 'Solana High APY Pools API is running',
+    timestamp: new Date().toISOString()
+  });
+});
 
-    // Create investment directly (bypassing shouldInvest for manual simulation)
-    const investment = await simulateInvestment(pool);
-    
-    if (investment) {
-      res.json({
-        success: true,
-        message: 'Investment simulated successfully',
-        investment: investment
-      });
-    } else {
-      res.status(500).json({
-        success: false,
-        error: 'Failed to simulate investment'
-      });
-    }
+// OpenAPI document of every route above and below, built from their request schemas
+let openApiDocument = null;
+app.get('/api/openapi.json', validateRequest('getOpenApi'), (req, res) => {
+  try {
+    openApiDocument = openApiDocument || buildOpenApiDocument();
+    res.json(openApiDocument);
   } catch (error) {
-    logger.error('Error simulating investment:', error.message);
+    logger.error('Error building OpenAPI document:', error.message);
     res.status(500).json({
       success: false,
-      error: 'Failed to simulate investment'
+      error: 'Failed to build OpenAPI document'
     });
   }
 });
 
+// Bot control endpoints
+app.get('/api/strategies', validateRequest('listStrategies'), (req, res) => {
+  const strategies = listStrategies();
+
+  res.json({
+    success: true,
+    data: strategies,
+    count: strategies.length
+  });
+});
+
+// Default bot at /api/bot, named bots at /api/bots/:name
+app.use('/api/bot', botRouter);
+app.use('/api/bots', botsRouter);
+
+// Live bot and pool events (Server-Sent Events)
+app.use('/api/events', eventsRouter);
+
+// Outbound notifications of those events
+app.use('/api/webhooks', webhooksRouter);
+
 // 404 handler
 app.use('*', (req, res) => {
   res.status(404).json({
@@ -250,30 +257,51 @@ app.use('*', (req, res) => {
   });
 });
 
+// Error handling middleware, last so it also catches errors of the routers above
+app.use((err, req, res, next) => {
+  if (err.type === 'entity.parse.failed') {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid JSON body',
+      details: [err.message],
+      fields: [{ in: 'body', field: null, message: err.message }]
+    });
+  }
+
+  logger.error('Unhandled error:', err.message);
+  res.status(500).json({
+    success: false,
+    error: 'Internal server error'
+  });
+});
+
 // Start server
 app.listen(PORT, () => {
   logger.info(`🚀 Solana High APY Pools API server running on port ${PORT}`);
   logger.info(`📊 Health check: http://localhost:${PORT}/api/health`);
   logger.info(`💰 High APY pools: http://localhost:${PORT}/api/high-apy-pools`);
   logger.info(`🤖 Bot control: http://localhost:${PORT}/api/bot/status`);
+  logger.info(`📡 Live events: http://localhost:${PORT}/api/events`);
   
-  // Initialize bot
-  bot.initialize()
+  // Load every bot with its saved config
+  botManager.load()
     .then(() => {
-      logger.info('✅ Bot initialized successfully');
+      logger.info('✅ Bots initialized successfully');
     })
     .catch((error) => {
       logger.error('❌ Bot initialization failed:', error.message);
     });
   
-  // Fetch initial data
-  fetchAndCacheOrcaPools()
-    .then((pools) => {
-      logger.info(`✅ Initial data fetch completed: ${pools.length} high APY pools found`);
-    })
+  // Deliver events to webhook subscriptions
+  webhookManager.load()
+    .then(() => webhookManager.attach(eventHub))
     .catch((error) => {
-      logger.error('❌ Initial data fetch failed:', error.message);
+      logger.error('❌ Webhook initialization failed:', error.message);
     });
+
+  // Fetch initial data, then keep it fresh
+  eventHub.trackRefreshes(refreshScheduler);
+  refreshScheduler.start();
 });
 
 module.exports = app;
\ No newline at end of file
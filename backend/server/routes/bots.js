@@ -0,0 +1,597 @@
+const express = require('express');
+const { getConfigSchema } = require('../services/botConfig');
+const { botManager, DEFAULT_BOT_NAME, validateBotName } = require('../services/botManager');
+const { getStrategy, validateStrategyParams } = require('../strategies');
+const { toHistoryOptions, queryHistory } = require('../services/history');
+const { toAnalyticsOptions } = require('../services/analytics');
+const { toExportOptions, exportLines, sendExport } = require('../services/exports');
+const { validateRequest, sendValidationError } = require('./schemas');
+const logger = require('../utils/logger');
+
+/**
+ * Who made a manual change and why, recorded with it in the journal
+ * @param {Object} req - Express request
+ * @returns {{actor: string, reason: string|null}} actor from the body or the X-Actor header (defaults to 'api'), reason from the body
+ */
+function readAudit(req) {
+  const { actor, reason } = req.input.body;
+  return {
+    actor: actor && actor.trim() ? actor.trim() : req.get('X-Actor') || 'api',
+    reason: reason && reason.trim() ? reason.trim() : null
+  };
+}
+
+/**
+ * Reads the tags and notes of an investment annotation (types and lengths are
+ * checked by the route schema)
+ * @param {Object} body - Request body
+ * @returns {{fields: Object, errors: Array<string>}} { tags, notes } (only the fields given) and validation errors
+ */
+function parseAnnotation(body = {}) {
+  const errors = [];
+  const fields = {};
+
+  if (body.tags !== undefined) {
+    fields.tags = [...new Set(body.tags.map(tag => tag.trim()).filter(Boolean))];
+  }
+  if (body.notes !== undefined) {
+    fields.notes = body.notes && body.notes.trim() ? body.notes.trim() : null;
+  }
+
+  if (body.tags === undefined && body.notes === undefined) {
+    errors.push('tags and/or notes must be given');
+  }
+
+  return { fields, errors };
+}
+
+// Routes for a single bot, mounted at /api/bot (default bot) and /api/bots/:name
+const botRouter = express.Router({ mergeParams: true });
+
+// Resolve the bot the request is for
+botRouter.use((req, res, next) => {
+  const name = req.params.name || DEFAULT_BOT_NAME;
+  const entry = botManager.get(name);
+
+  if (!entry) {
+    return res.status(404).json({
+      success: false,
+      error: `Bot not found: ${name}`
+    });
+  }
+
+  req.bot = entry.bot;
+  req.configStore = entry.configStore;
+  next();
+});
+
+botRouter.get('/config', validateRequest('getBotConfig'), (req, res) => {
+  try {
+    const schema = getConfigSchema(req.bot.strategy);
+
+    res.json({
+      success: true,
+      data: Object.fromEntries(Object.keys(schema).map(key => [key, req.bot.config[key] ?? null])),
+      schema,
+      overrides: req.configStore.getOverrides()
+    });
+  } catch (error) {
+    logger.error('Error getting bot config:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get bot config'
+    });
+  }
+});
+
+botRouter.put('/config', validateRequest('updateBotConfig'), async (req, res) => {
+  try {
+    const errors = req.configStore.validate(req.input.body, req.bot.config);
+    if (errors.length > 0) {
+      return sendValidationError(res, 'updateBotConfig', 'body', errors);
+    }
+
+    const changes = await req.configStore.update(req.input.body, req.bot.config, { source: 'api' });
+    req.bot.applyConfig(req.input.body);
+    await req.bot.recordConfigChange(changes, 'api');
+
+    res.json({
+      success: true,
+      message: Object.keys(changes).length > 0 ? 'Bot config updated' : 'No config changes',
+      changes,
+      config: req.bot.config
+    });
+  } catch (error) {
+    logger.error('Error updating bot config:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update bot config'
+    });
+  }
+});
+
+botRouter.get('/config/history', validateRequest('getBotConfigHistory'), (req, res) => {
+  try {
+    const history = req.configStore.getHistory();
+
+    res.json({
+      success: true,
+      data: history,
+      count: history.length
+    });
+  } catch (error) {
+    logger.error('Error getting bot config history:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get bot config history'
+    });
+  }
+});
+
+botRouter.post('/start', validateRequest('startBot'), async (req, res) => {
+  try {
+    const { strategy, params } = req.input.body;
+
+    // Optional strategy selection, saved as a config change so it survives restarts and is journaled
+    if (strategy || params) {
+      if (req.bot.isRunning) {
+        return res.status(409).json({
+          success: false,
+          error: 'Stop the bot before changing its strategy'
+        });
+      }
+
+      const selected = getStrategy(strategy || req.bot.strategy.name);
+      const errors = validateStrategyParams(selected, params || {});
+      if (errors.length > 0) {
+        return sendValidationError(res, 'startBot', 'body', errors.map(message => ({ message: `params.${message}` })));
+      }
+
+      const update = { STRATEGY: selected.name, ...params };
+      const changes = await req.configStore.update(update, req.bot.config, { source: 'api' });
+      req.bot.applyConfig(update);
+      await req.bot.recordConfigChange(changes, 'api');
+    }
+
+    const wasRunning = req.bot.isRunning;
+    await req.bot.initialize();
+    await req.bot.start();
+    // Only a start that changed something goes in the journal
+    if (!wasRunning && req.bot.isRunning) {
+      await req.bot.recordManualAction('start', { strategy: req.bot.strategy.name, ...readAudit(req) });
+    }
+
+    res.json({
+      success: true,
+      message: wasRunning ? 'Bot is already running' : 'Bot started successfully',
+      status: req.bot.getStatus()
+    });
+  } catch (error) {
+    logger.error('Error starting bot:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to start bot'
+    });
+  }
+});
+
+botRouter.post('/stop', validateRequest('stopBot'), async (req, res) => {
+  try {
+    const wasRunning = req.bot.isRunning;
+    req.bot.stop();
+    if (wasRunning) {
+      await req.bot.recordManualAction('stop', readAudit(req));
+    }
+
+    res.json({
+      success: true,
+      message: wasRunning ? 'Bot stopped successfully' : 'Bot is not running',
+      status: req.bot.getStatus()
+    });
+  } catch (error) {
+    logger.error('Error stopping bot:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to stop bot'
+    });
+  }
+});
+
+botRouter.get('/status', validateRequest('getBotStatus'), async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      status: req.bot.getStatus()
+    });
+  } catch (error) {
+    logger.error('Error getting bot status:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get bot status'
+    });
+  }
+});
+
+botRouter.get('/investments/active', validateRequest('listActiveInvestments'), async (req, res) => {
+  try {
+    const activeInvestments = req.bot.getActiveInvestments();
+
+    res.json({
+      success: true,
+      data: activeInvestments,
+      count: activeInvestments.length
+    });
+  } catch (error) {
+    logger.error('Error getting active investments:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get active investments'
+    });
+  }
+});
+
+botRouter.get('/investments/history', validateRequest('listInvestmentHistory'), async (req, res) => {
+  try {
+    const { options, errors } = toHistoryOptions(req.input.query);
+    if (errors.length > 0) {
+      return sendValidationError(res, 'listInvestmentHistory', 'query', errors);
+    }
+
+    const investments = options.status === 'exited'
+      ? req.bot.getInvestmentHistory()
+      : [...req.bot.getInvestmentHistory(), ...req.bot.getActiveInvestments()];
+    const { data, total, aggregates, nextCursor } = queryHistory(investments, options);
+
+    res.json({
+      success: true,
+      data,
+      count: data.length,
+      total,
+      aggregates,
+      nextCursor
+    });
+  } catch (error) {
+    logger.error('Error getting investment history:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get investment history'
+    });
+  }
+});
+
+botRouter.get('/analytics', validateRequest('getBotAnalytics'), async (req, res) => {
+  try {
+    const { options, errors } = toAnalyticsOptions(req.input.query);
+    if (errors.length > 0) {
+      return sendValidationError(res, 'getBotAnalytics', 'query', errors);
+    }
+
+    res.json({
+      success: true,
+      data: req.bot.getAnalytics(options)
+    });
+  } catch (error) {
+    logger.error('Error getting bot analytics:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get bot analytics'
+    });
+  }
+});
+
+// CSV or NDJSON download of the bot's history, active positions or trade report
+botRouter.get('/export/:dataset', validateRequest('exportBotData'), async (req, res) => {
+  try {
+    const { dataset } = req.input.params;
+    const { options, errors } = toExportOptions(dataset, req.input.query);
+    if (errors.length > 0) {
+      return sendValidationError(res, 'exportBotData', 'query', errors);
+    }
+
+    const lines = exportLines(dataset, options, { store: req.bot.getInvestmentStore() });
+    await sendExport(res, `${req.bot.name}-${dataset}`, options.format, lines);
+  } catch (error) {
+    logger.error('Error exporting bot data:', error.message);
+    if (!res.headersSent) {
+      res.status(500).json({
+        success: false,
+        error: 'Failed to export bot data'
+      });
+    }
+  }
+});
+
+// Manual investment simulation endpoint
+botRouter.post('/investments/simulate', validateRequest('simulateInvestment'), async (req, res) => {
+  try {
+    const { poolId, poolName, protocol, apy, price, liquidity, volume_24h } = req.input.body;
+
+    // Create a pool object that matches the expected format (price, liquidity and volume default in the schema)
+    const pool = {
+      id: poolId,
+      name: poolName,
+      protocol: protocol,
+      apy: apy,
+      price,
+      liquidity,
+      volume_24h
+    };
+
+    // For manual simulation, we'll bypass some checks and create a custom investment
+    // Check basic criteria
+    if (pool.apy < req.bot.config.HIGH_APY_THRESHOLD) {
+      return sendValidationError(res, 'simulateInvestment', 'body', [{
+        field: 'apy',
+        message: `Pool APY must be at least ${+(req.bot.config.HIGH_APY_THRESHOLD * 100).toFixed(2)}% for manual investment`
+      }]);
+    }
+
+    if (pool.liquidity < req.bot.config.MIN_LIQUIDITY) {
+      return sendValidationError(res, 'simulateInvestment', 'body', [{
+        field: 'liquidity',
+        message: `Pool must have at least $${req.bot.config.MIN_LIQUIDITY} liquidity`
+      }]);
+    }
+
+    if (req.bot.activeInvestments.has(pool.id)) {
+      return res.status(409).json({
+        success: false,
+        error: `Already invested in pool: ${pool.id}`
+      });
+    }
+
+    if (req.bot.activeInvestments.size >= req.bot.config.MAX_ACTIVE_INVESTMENTS) {
+      return res.status(409).json({
+        success: false,
+        error: `The bot already holds its maximum of ${req.bot.config.MAX_ACTIVE_INVESTMENTS} active investments`
+      });
+    }
+
+    // Create investment directly (bypassing shouldInvest for manual simulation)
+    const investment = await req.bot.simulateInvestment(pool);
+
+    if (investment) {
+      await req.bot.recordManualAction('simulate-investment', { investmentId: investment.id, poolId: investment.poolId, ...readAudit(req) });
+      res.json({
+        success: true,
+        message: 'Investment simulated successfully',
+        investment: investment
+      });
+    } else {
+      res.status(500).json({
+        success: false,
+        error: 'Failed to simulate investment'
+      });
+    }
+  } catch (error) {
+    logger.error('Error simulating investment:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to simulate investment'
+    });
+  }
+});
+
+// Close an active position now instead of waiting for an exit rule
+botRouter.post('/investments/:id/exit', validateRequest('exitInvestment'), async (req, res) => {
+  try {
+    const investment = req.bot.findInvestment(req.input.params.id);
+    if (!investment) {
+      return res.status(404).json({
+        success: false,
+        error: `Investment not found: ${req.input.params.id}`
+      });
+    }
+
+    if (investment.status !== 'active') {
+      return res.status(409).json({
+        success: false,
+        error: `Investment already exited: ${investment.id}`
+      });
+    }
+
+    const exited = await req.bot.exitInvestment(investment, readAudit(req));
+    if (!exited) {
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to exit investment'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Investment exited successfully',
+      investment: exited
+    });
+  } catch (error) {
+    logger.error('Error exiting investment:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to exit investment'
+    });
+  }
+});
+
+// Void a mistaken investment: it leaves the wallet, the history and the stats
+botRouter.delete('/investments/:id', validateRequest('voidInvestment'), async (req, res) => {
+  try {
+    const investment = req.bot.findInvestment(req.input.params.id);
+    if (!investment) {
+      return res.status(404).json({
+        success: false,
+        error: `Investment not found: ${req.input.params.id}`
+      });
+    }
+
+    const voided = await req.bot.voidInvestment(investment, readAudit(req));
+
+    res.json({
+      success: true,
+      message: 'Investment voided successfully',
+      investment: voided,
+      status: req.bot.getStatus()
+    });
+  } catch (error) {
+    logger.error('Error voiding investment:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to void investment'
+    });
+  }
+});
+
+// Set an investment's tags and notes
+botRouter.patch('/investments/:id', validateRequest('annotateInvestment'), async (req, res) => {
+  try {
+    const investment = req.bot.findInvestment(req.input.params.id);
+    if (!investment) {
+      return res.status(404).json({
+        success: false,
+        error: `Investment not found: ${req.input.params.id}`
+      });
+    }
+
+    const { fields, errors } = parseAnnotation(req.input.body);
+    if (errors.length > 0) {
+      return sendValidationError(res, 'annotateInvestment', 'body', errors);
+    }
+
+    const { changes } = await req.bot.annotateInvestment(investment, fields, readAudit(req));
+
+    res.json({
+      success: true,
+      message: Object.keys(changes).length > 0 ? 'Investment annotated successfully' : 'Nothing to change',
+      investment,
+      changes
+    });
+  } catch (error) {
+    logger.error('Error annotating investment:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to annotate investment'
+    });
+  }
+});
+
+// Journal events about one investment, voided ones included
+botRouter.get('/investments/:id/audit', validateRequest('getInvestmentAudit'), async (req, res) => {
+  try {
+    const events = await req.bot.getInvestmentAudit(req.input.params.id);
+    if (events.length === 0 && !req.bot.findInvestment(req.input.params.id)) {
+      return res.status(404).json({
+        success: false,
+        error: `Investment not found: ${req.input.params.id}`
+      });
+    }
+
+    res.json({
+      success: true,
+      data: events,
+      count: events.length
+    });
+  } catch (error) {
+    logger.error('Error getting investment audit trail:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get investment audit trail'
+    });
+  }
+});
+
+// Routes for the collection of bots, mounted at /api/bots
+const botsRouter = express.Router();
+
+botsRouter.get('/', validateRequest('listBots'), (req, res) => {
+  try {
+    const bots = botManager.list().map(({ name, createdAt, bot }) => {
+      const { config, ...status } = bot.getStatus();
+      return { ...status, name, createdAt };
+    });
+
+    res.json({
+      success: true,
+      data: bots,
+      count: bots.length
+    });
+  } catch (error) {
+    logger.error('Error listing bots:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list bots'
+    });
+  }
+});
+
+botsRouter.post('/', validateRequest('createBot'), async (req, res) => {
+  try {
+    const { name, config = {} } = req.input.body;
+
+    // The schema checks the name's form; this also rejects the reserved name
+    const nameError = validateBotName(name);
+    if (nameError) {
+      return sendValidationError(res, 'createBot', 'body', [{ field: 'name', message: nameError }]);
+    }
+
+    if (botManager.has(name)) {
+      return res.status(409).json({
+        success: false,
+        error: `Bot already exists: ${name}`
+      });
+    }
+
+    const errors = botManager.validateConfig(config);
+    if (errors.length > 0) {
+      return sendValidationError(res, 'createBot', 'body', errors.map(message => ({ message: `config.${message}` })));
+    }
+
+    const { bot } = await botManager.create(name, config);
+
+    res.status(201).json({
+      success: true,
+      message: `Bot ${name} created`,
+      status: bot.getStatus()
+    });
+  } catch (error) {
+    logger.error('Error creating bot:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create bot'
+    });
+  }
+});
+
+botsRouter.delete('/:name', validateRequest('deleteBot'), async (req, res) => {
+  try {
+    const { name } = req.input.params;
+
+    if (name === DEFAULT_BOT_NAME) {
+      return sendValidationError(res, 'deleteBot', 'path', [{ field: 'name', message: `The ${DEFAULT_BOT_NAME} bot cannot be deleted` }]);
+    }
+
+    const removed = await botManager.remove(name);
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        error: `Bot not found: ${name}`
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Bot ${name} deleted`
+    });
+  } catch (error) {
+    logger.error('Error deleting bot:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete bot'
+    });
+  }
+});
+
+botsRouter.use('/:name', botRouter);
+
+module.exports = {
+  botRouter,
+  botsRouter
+};
@@ -0,0 +1,68 @@
+const express = require('express');
+const { eventHub, EVENT_TYPES } = require('../services/events');
+const { validateRequest } = require('./schemas');
+const logger = require('../utils/logger');
+
+const HEARTBEAT_INTERVAL_MS = 25000; // Keeps proxies from closing idle streams
+
+// Server-Sent Events stream, mounted at /api/events
+const eventsRouter = express.Router();
+
+/**
+ * Formats an event as an SSE message
+ * @param {Object} event - Hub event
+ * @returns {string} SSE message
+ */
+function toSseMessage(event) {
+  return `id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`;
+}
+
+// GET /api/events?types=investment.opened,bot.started&bot=default
+eventsRouter.get('/', validateRequest('streamEvents'), (req, res) => {
+  try {
+    const { types = EVENT_TYPES, bot: botName = null, since } = req.input.query;
+    const matches = event => types.includes(event.type) && (!botName || event.bot === null || event.bot === botName);
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write('retry: 5000\n\n');
+
+    // Catch up a reconnecting client on what it missed
+    const lastEventId = req.get('Last-Event-ID') ? parseInt(req.get('Last-Event-ID'), 10) : since;
+    if (Number.isInteger(lastEventId)) {
+      eventHub.getEventsSince(lastEventId).filter(matches).forEach(event => res.write(toSseMessage(event)));
+    }
+
+    const unsubscribe = eventHub.subscribe(event => {
+      if (matches(event)) {
+        res.write(toSseMessage(event));
+      }
+    });
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_INTERVAL_MS);
+
+    logger.debug(`📡 Event stream opened (${types.length} types${botName ? `, bot ${botName}` : ''})`);
+
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+      logger.debug('📡 Event stream closed');
+    });
+  } catch (error) {
+    logger.error('Error opening event stream:', error.message);
+    if (!res.headersSent) {
+      res.status(500).json({
+        success: false,
+        error: 'Failed to open event stream'
+      });
+    }
+  }
+});
+
+module.exports = {
+  eventsRouter
+};
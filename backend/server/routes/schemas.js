@@ -0,0 +1,497 @@
+const { readFields } = require('../utils/schema');
+const { getConfigSchema } = require('../services/botConfig');
+const { BOT_NAME_PATTERN } = require('../services/botManager');
+const { listStrategies } = require('../strategies');
+const { POOL_QUERY_SCHEMA } = require('../services/poolQuery');
+const { HISTORY_QUERY_SCHEMA } = require('../services/history');
+const { ANALYTICS_QUERY_SCHEMA } = require('../services/analytics');
+const { BOT_EXPORT_DATASETS, EXPORT_QUERY_SCHEMA } = require('../services/exports');
+const { EVENT_TYPES } = require('../services/events');
+const { WEBHOOK_SCHEMA } = require('../services/webhooks');
+
+/**
+ * Declarative schema of every API route: its path params, query string and
+ * JSON body as field specs (see utils/schema.js). validateRequest() checks
+ * requests against them and services/openapi.js documents them.
+ *
+ * Each route is { method, path, scope, tag, summary, params, query, body,
+ * additionalBody, error, responses, content, data } where
+ * - path is the Express path; routes with scope 'bot' are relative to the bot
+ *   router and exist at /api/bot/... and /api/bots/:name/...
+ * - additionalBody lets body fields outside the schema through (checked by the route)
+ * - error is the message of the route's 400 response
+ * - responses maps status codes to descriptions; content lists the media
+ *   types of a non-JSON success, data names the component of its `data`
+ */
+
+// Who made a manual change and why, kept in the journal with it
+const AUDIT_FIELDS = {
+  actor: { type: 'string', minLength: 1, maxLength: 100, description: 'Who made the change (defaults to the X-Actor header, then api)' },
+  reason: { type: 'string', maxLength: 500, nullable: true, description: 'Why, kept in the journal' }
+};
+
+const DATE_RANGE = {
+  from: { type: 'string', format: 'date-time', description: 'Earliest snapshot time' },
+  to: { type: 'string', format: 'date-time', description: 'Latest snapshot time' }
+};
+
+const POOL_ID = { id: { type: 'string', required: true, description: 'Pool id (or mint account)' } };
+const INVESTMENT_ID = { id: { type: 'string', required: true, description: 'Investment id' } };
+const WEBHOOK_ID = { id: { type: 'string', required: true, description: 'Webhook subscription id' } };
+
+const SNAPSHOT_EXPORT_QUERY = Object.fromEntries(['format', 'columns', 'from', 'to', 'poolId'].map(field => [field, EXPORT_QUERY_SCHEMA[field]]));
+
+// Limits on investment annotations
+const ANNOTATION_FIELDS = {
+  tags: { type: 'array', items: { type: 'string', maxLength: 40 }, maxItems: 20, description: 'Replaces the tags (trimmed, duplicates dropped)' },
+  notes: { type: 'string', maxLength: 2000, nullable: true, description: 'Replaces the notes (null clears them)' }
+};
+
+const ROUTE_SCHEMAS = {
+  listPools: {
+    method: 'get',
+    path: '/api/high-apy-pools',
+    tag: 'Pools',
+    summary: 'Search, filter, sort and page the cached pools, with facet counts',
+    query: POOL_QUERY_SCHEMA,
+    error: 'Invalid pool query',
+    responses: { 200: 'One page of pools with total, totalPages and facets' },
+    data: 'Pool[]'
+  },
+  refreshPools: {
+    method: 'post',
+    path: '/api/refresh-pools',
+    tag: 'Pools',
+    summary: 'Refresh the pool cache now',
+    query: {
+      force: {
+        type: 'boolean',
+        description: 'Save the refreshed pools even if the cache shrink guard would refuse them (more than POOL_CACHE_MAX_SHRINK_PERCENTAGE of the cached pools lost, or none found)'
+      }
+    },
+    responses: { 200: 'The refreshed pools' },
+    data: 'Pool[]'
+  },
+  getRefreshStatus: {
+    method: 'get',
+    path: '/api/refresh-pools/status',
+    tag: 'Pools',
+    summary: 'Schedule and outcome of the periodic pool refresh',
+    responses: { 200: 'Refresh status' }
+  },
+  listSources: {
+    method: 'get',
+    path: '/api/sources',
+    tag: 'Pools',
+    summary: 'Health of each pool data source',
+    responses: { 200: 'Source health' }
+  },
+  getPoolSnapshots: {
+    method: 'get',
+    path: '/api/pools/:id/snapshots',
+    tag: 'Pools',
+    summary: 'Snapshots of one pool across refreshes',
+    params: POOL_ID,
+    query: DATE_RANGE,
+    error: 'Invalid snapshot query',
+    responses: { 200: 'Snapshots, oldest first' }
+  },
+  getPool: {
+    method: 'get',
+    path: '/api/pools/:id',
+    tag: 'Pools',
+    summary: 'One pool with its time series, bot investments and trends',
+    params: POOL_ID,
+    query: DATE_RANGE,
+    error: 'Invalid pool query',
+    responses: { 200: 'Pool detail', 404: 'Pool not found' }
+  },
+  exportSnapshots: {
+    method: 'get',
+    path: '/api/export/snapshots',
+    tag: 'Exports',
+    summary: 'Download the recorded pool snapshots',
+    query: SNAPSHOT_EXPORT_QUERY,
+    error: 'Invalid export query',
+    responses: { 200: 'CSV or NDJSON file' },
+    content: ['text/csv', 'application/x-ndjson']
+  },
+  getHealth: {
+    method: 'get',
+    path: '/api/health',
+    tag: 'Server',
+    summary: 'Health check',
+    responses: { 200: 'The server is running' }
+  },
+  getOpenApi: {
+    method: 'get',
+    path: '/api/openapi.json',
+    tag: 'Server',
+    summary: 'This OpenAPI document',
+    responses: { 200: 'OpenAPI 3 document' },
+    content: ['application/json']
+  },
+  listStrategies: {
+    method: 'get',
+    path: '/api/strategies',
+    tag: 'Bots',
+    summary: 'Strategies a bot can run, with their params',
+    responses: { 200: 'Strategies' }
+  },
+  streamEvents: {
+    method: 'get',
+    path: '/api/events',
+    tag: 'Events',
+    summary: 'Server-Sent Events stream of bot and pool events',
+    query: {
+      types: { type: 'array', items: { type: 'string', enum: EVENT_TYPES }, description: 'Comma-separated event types (all without it)' },
+      bot: { type: 'string', description: 'Only events about this bot (pool events are always sent)' },
+      since: { type: 'number', integer: true, min: 0, description: 'Replay kept events after this id (or send Last-Event-ID)' }
+    },
+    error: 'Invalid event stream query',
+    responses: { 200: 'Event stream' },
+    content: ['text/event-stream']
+  },
+
+  // Bots
+  listBots: {
+    method: 'get',
+    path: '/api/bots',
+    tag: 'Bots',
+    summary: 'Every bot with its status',
+    responses: { 200: 'Bots' }
+  },
+  createBot: {
+    method: 'post',
+    path: '/api/bots',
+    tag: 'Bots',
+    summary: 'Create a named bot',
+    body: {
+      name: { type: 'string', required: true, pattern: BOT_NAME_PATTERN, description: 'Bot name' },
+      config: { type: 'object', description: 'Config overrides (see GET /api/bot/config for the settings)' }
+    },
+    error: 'Invalid bot',
+    responses: { 201: 'Bot created', 409: 'Bot already exists' }
+  },
+  deleteBot: {
+    method: 'delete',
+    path: '/api/bots/:name',
+    tag: 'Bots',
+    summary: 'Stop and delete a named bot',
+    params: { name: { type: 'string', required: true, description: 'Bot name' } },
+    error: 'Invalid bot',
+    responses: { 200: 'Bot deleted', 404: 'Bot not found' }
+  },
+  getBotConfig: {
+    method: 'get',
+    path: '/config',
+    scope: 'bot',
+    tag: 'Bot config',
+    summary: 'Current config of the bot, the schema of each setting and the overrides',
+    responses: { 200: 'Config' }
+  },
+  updateBotConfig: {
+    method: 'put',
+    path: '/config',
+    scope: 'bot',
+    tag: 'Bot config',
+    summary: 'Change settings at runtime (strategy params are accepted too)',
+    // Worked out per request, like the startBot strategies
+    get body() {
+      return getConfigSchema();
+    },
+    additionalBody: true,
+    error: 'Invalid config',
+    responses: { 200: 'The settings that changed' }
+  },
+  getBotConfigHistory: {
+    method: 'get',
+    path: '/config/history',
+    scope: 'bot',
+    tag: 'Bot config',
+    summary: 'Every config change, who made it and when',
+    responses: { 200: 'Config changes' }
+  },
+  startBot: {
+    method: 'post',
+    path: '/start',
+    scope: 'bot',
+    tag: 'Bot control',
+    summary: 'Start the bot, optionally with another strategy',
+    // Strategies can be registered after this module loads
+    get body() {
+      return {
+        strategy: { type: 'string', enum: listStrategies().map(strategy => strategy.name), description: 'Strategy to switch to (saved in the bot config)' },
+        params: { type: 'object', description: 'Strategy params (saved in the bot config)' },
+        ...AUDIT_FIELDS
+      };
+    },
+    error: 'Invalid start request',
+    responses: { 200: 'Bot started', 409: 'Stop the bot before changing its strategy' }
+  },
+  stopBot: {
+    method: 'post',
+    path: '/stop',
+    scope: 'bot',
+    tag: 'Bot control',
+    summary: 'Stop the bot',
+    body: AUDIT_FIELDS,
+    error: 'Invalid stop request',
+    responses: { 200: 'Bot stopped' }
+  },
+  getBotStatus: {
+    method: 'get',
+    path: '/status',
+    scope: 'bot',
+    tag: 'Bot control',
+    summary: 'Status, stats and wallet of the bot',
+    responses: { 200: 'Bot status' }
+  },
+  listActiveInvestments: {
+    method: 'get',
+    path: '/investments/active',
+    scope: 'bot',
+    tag: 'Investments',
+    summary: 'Open positions',
+    responses: { 200: 'Active investments' }
+  },
+  listInvestmentHistory: {
+    method: 'get',
+    path: '/investments/history',
+    scope: 'bot',
+    tag: 'Investments',
+    summary: 'Investment history, filtered, sorted and paged, with aggregates',
+    query: HISTORY_QUERY_SCHEMA,
+    error: 'Invalid history query',
+    responses: { 200: 'One page of investments with total, aggregates and nextCursor' }
+  },
+  getBotAnalytics: {
+    method: 'get',
+    path: '/analytics',
+    scope: 'bot',
+    tag: 'Investments',
+    summary: 'Equity curve, trade statistics, risk-adjusted returns and drawdown',
+    query: ANALYTICS_QUERY_SCHEMA,
+    error: 'Invalid analytics query',
+    responses: { 200: 'Analytics' }
+  },
+  exportBotData: {
+    method: 'get',
+    path: '/export/:dataset',
+    scope: 'bot',
+    tag: 'Exports',
+    summary: 'Download the history, active positions or a trade report',
+    params: { dataset: { type: 'string', required: true, enum: BOT_EXPORT_DATASETS } },
+    query: EXPORT_QUERY_SCHEMA,
+    error: 'Invalid export query',
+    responses: { 200: 'CSV or NDJSON file' },
+    content: ['text/csv', 'application/x-ndjson']
+  },
+  simulateInvestment: {
+    method: 'post',
+    path: '/investments/simulate',
+    scope: 'bot',
+    tag: 'Investments',
+    summary: 'Open a position in a pool by hand',
+    body: {
+      poolId: { type: 'string', required: true, minLength: 1 },
+      poolName: { type: 'string', required: true, minLength: 1 },
+      protocol: { type: 'string', required: true, minLength: 1 },
+      apy: { type: 'number', required: true, min: 0, description: 'APY as a decimal (0.5 = 50%)' },
+      price: { type: 'number', exclusiveMin: 0, default: 1 },
+      liquidity: { type: 'number', min: 0, default: 1000, description: 'USD' },
+      volume_24h: { type: 'number', min: 0, default: 100, description: 'USD' },
+      ...AUDIT_FIELDS
+    },
+    error: 'Invalid investment',
+    responses: { 200: 'Investment opened', 409: 'Already invested in the pool, or at MAX_ACTIVE_INVESTMENTS' }
+  },
+  exitInvestment: {
+    method: 'post',
+    path: '/investments/:id/exit',
+    scope: 'bot',
+    tag: 'Investments',
+    summary: 'Exit an active position now at the current pool data',
+    params: INVESTMENT_ID,
+    body: AUDIT_FIELDS,
+    error: 'Invalid exit request',
+    responses: { 200: 'Investment exited', 404: 'Investment not found', 409: 'Investment already exited' }
+  },
+  voidInvestment: {
+    method: 'delete',
+    path: '/investments/:id',
+    scope: 'bot',
+    tag: 'Investments',
+    summary: 'Void a mistaken investment: it leaves the wallet, the history and the stats',
+    params: INVESTMENT_ID,
+    body: AUDIT_FIELDS,
+    error: 'Invalid void request',
+    responses: { 200: 'Investment voided', 404: 'Investment not found' }
+  },
+  annotateInvestment: {
+    method: 'patch',
+    path: '/investments/:id',
+    scope: 'bot',
+    tag: 'Investments',
+    summary: "Set an investment's tags and/or notes",
+    params: INVESTMENT_ID,
+    body: { ...ANNOTATION_FIELDS, ...AUDIT_FIELDS },
+    error: 'Invalid annotation',
+    responses: { 200: 'Investment annotated', 404: 'Investment not found' }
+  },
+  getInvestmentAudit: {
+    method: 'get',
+    path: '/investments/:id/audit',
+    scope: 'bot',
+    tag: 'Investments',
+    summary: 'Journal events about one investment, voided ones included',
+    params: INVESTMENT_ID,
+    responses: { 200: 'Journal events, oldest first', 404: 'Investment not found' }
+  },
+
+  // Webhooks
+  listWebhooks: {
+    method: 'get',
+    path: '/api/webhooks',
+    tag: 'Webhooks',
+    summary: 'Webhook subscriptions (without their secrets)',
+    responses: { 200: 'Subscriptions' }
+  },
+  createWebhook: {
+    method: 'post',
+    path: '/api/webhooks',
+    tag: 'Webhooks',
+    summary: 'Subscribe a URL to events; the only response that includes the secret',
+    body: { ...WEBHOOK_SCHEMA, url: { ...WEBHOOK_SCHEMA.url, required: true } },
+    error: 'Invalid webhook',
+    responses: { 201: 'Subscription created' }
+  },
+  listWebhookDeliveries: {
+    method: 'get',
+    path: '/api/webhooks/deliveries',
+    tag: 'Webhooks',
+    summary: 'Delivery log, newest first',
+    query: {
+      subscriptionId: { type: 'string' },
+      status: { type: 'string', enum: ['delivered', 'failed'] },
+      eventType: { type: 'string' },
+      limit: { type: 'number', integer: true, min: 1, max: 500, default: 100 }
+    },
+    error: 'Invalid delivery query',
+    responses: { 200: 'Deliveries' }
+  },
+  getWebhook: {
+    method: 'get',
+    path: '/api/webhooks/:id',
+    tag: 'Webhooks',
+    summary: 'One subscription',
+    params: WEBHOOK_ID,
+    responses: { 200: 'Subscription', 404: 'Webhook not found' }
+  },
+  updateWebhook: {
+    method: 'patch',
+    path: '/api/webhooks/:id',
+    tag: 'Webhooks',
+    summary: 'Change a subscription',
+    params: WEBHOOK_ID,
+    body: WEBHOOK_SCHEMA,
+    error: 'Invalid webhook',
+    responses: { 200: 'Subscription updated', 404: 'Webhook not found' }
+  },
+  deleteWebhook: {
+    method: 'delete',
+    path: '/api/webhooks/:id',
+    tag: 'Webhooks',
+    summary: 'Delete a subscription',
+    params: WEBHOOK_ID,
+    responses: { 200: 'Subscription deleted', 404: 'Webhook not found' }
+  },
+  testWebhook: {
+    method: 'post',
+    path: '/api/webhooks/:id/test',
+    tag: 'Webhooks',
+    summary: 'Send a webhook.test event and wait for the outcome',
+    params: WEBHOOK_ID,
+    responses: { 200: 'Delivered', 404: 'Webhook not found', 502: 'Delivery failed' }
+  }
+};
+
+/**
+ * @param {string} operationId - Key of ROUTE_SCHEMAS
+ * @returns {Object} The route's schema
+ */
+function getRouteSchema(operationId) {
+  const route = ROUTE_SCHEMAS[operationId];
+  if (!route) {
+    throw new Error(`No schema for route ${operationId}`);
+  }
+  return route;
+}
+
+/**
+ * Sends the 400 response of a route: { success, error, details, fields }
+ * where details lists the messages and fields says where each one is.
+ * @param {Object} res - Express response
+ * @param {string} operationId - Key of ROUTE_SCHEMAS
+ * @param {string} location - path, query or body, for errors that do not say
+ * @param {Array<string|Object>} errors - Messages, or { in, field, message }; a
+ *   message that starts with a field name ("limit must be ...") is put on that field
+ */
+function sendValidationError(res, operationId, location, errors) {
+  const fields = errors.map(error => {
+    const { in: where = location, field, message } = typeof error === 'string' ? { message: error } : error;
+    const [, named = null] = message.match(/^([A-Za-z_][\w.[\]]*) (?:must|is|has|belongs)\b/) || [];
+    return { in: where, field: field ?? named, message };
+  });
+
+  res.status(400).json({
+    success: false,
+    error: getRouteSchema(operationId).error || 'Invalid request',
+    details: fields.map(field => field.message),
+    fields
+  });
+}
+
+/**
+ * Middleware that checks a request against its route's schema and answers
+ * 400 with every field error before the route runs. Otherwise the converted
+ * values, with their defaults, are left in req.input as { params, query, body }
+ * for the route to read instead of req.params, req.query and req.body.
+ * @param {string} operationId - Key of ROUTE_SCHEMAS
+ * @returns {Function} Express middleware
+ */
+function validateRequest(operationId) {
+  const route = getRouteSchema(operationId);
+
+  return (req, res, next) => {
+    const params = readFields(route.params || {}, req.params, { coerce: true, defaults: true, additional: true });
+    const query = readFields(route.query || {}, req.query, { coerce: true, defaults: true, additional: true });
+    const errors = [
+      ...params.errors.map(error => ({ in: 'path', ...error })),
+      ...query.errors.map(error => ({ in: 'query', ...error }))
+    ];
+    let body = {};
+    if (route.body) {
+      if (req.body === null || typeof req.body !== 'object' || Array.isArray(req.body)) {
+        errors.push({ in: 'body', field: null, message: 'body must be a JSON object' });
+      } else {
+        const read = readFields(route.body, req.body, { defaults: true, additional: Boolean(route.additionalBody) });
+        errors.push(...read.errors.map(error => ({ in: 'body', ...error })));
+        body = read.values;
+      }
+    }
+
+    if (errors.length > 0) {
+      return sendValidationError(res, operationId, 'body', errors);
+    }
+    req.input = { params: params.values, query: query.values, body };
+    next();
+  };
+}
+
+module.exports = {
+  ROUTE_SCHEMAS,
+  getRouteSchema,
+  validateRequest,
+  sendValidationError
+};
@@ -0,0 +1,144 @@
+const express = require('express');
+const { webhookManager, toPublicSubscription } = require('../services/webhooks');
+const { validateRequest } = require('./schemas');
+const logger = require('../utils/logger');
+
+// Webhook subscriptions, mounted at /api/webhooks
+const webhooksRouter = express.Router();
+
+webhooksRouter.get('/', validateRequest('listWebhooks'), (req, res) => {
+  try {
+    const subscriptions = webhookManager.list().map(toPublicSubscription);
+
+    res.json({
+      success: true,
+      data: subscriptions,
+      count: subscriptions.length
+    });
+  } catch (error) {
+    logger.error('Error listing webhooks:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list webhooks'
+    });
+  }
+});
+
+webhooksRouter.post('/', validateRequest('createWebhook'), async (req, res) => {
+  try {
+    // The secret is only ever returned here
+    const subscription = await webhookManager.create(req.input.body);
+
+    res.status(201).json({
+      success: true,
+      message: 'Webhook created',
+      data: subscription
+    });
+  } catch (error) {
+    logger.error('Error creating webhook:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create webhook'
+    });
+  }
+});
+
+// Delivery log: ?subscriptionId=&status=delivered|failed&eventType=&limit=
+webhooksRouter.get('/deliveries', validateRequest('listWebhookDeliveries'), (req, res) => {
+  try {
+    const { subscriptionId, status, eventType, limit } = req.input.query;
+
+    const deliveries = webhookManager.getDeliveries({ subscriptionId, status, eventType, limit });
+
+    res.json({
+      success: true,
+      data: deliveries,
+      count: deliveries.length
+    });
+  } catch (error) {
+    logger.error('Error getting webhook deliveries:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get webhook deliveries'
+    });
+  }
+});
+
+// Resolve the subscription the request is for
+webhooksRouter.param('id', (req, res, next, id) => {
+  const subscription = webhookManager.get(id);
+
+  if (!subscription) {
+    return res.status(404).json({
+      success: false,
+      error: `Webhook not found: ${id}`
+    });
+  }
+
+  req.subscription = subscription;
+  next();
+});
+
+webhooksRouter.get('/:id', validateRequest('getWebhook'), (req, res) => {
+  res.json({
+    success: true,
+    data: toPublicSubscription(req.subscription)
+  });
+});
+
+webhooksRouter.patch('/:id', validateRequest('updateWebhook'), async (req, res) => {
+  try {
+    const subscription = await webhookManager.update(req.subscription.id, req.input.body);
+
+    res.json({
+      success: true,
+      message: 'Webhook updated',
+      data: toPublicSubscription(subscription)
+    });
+  } catch (error) {
+    logger.error('Error updating webhook:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update webhook'
+    });
+  }
+});
+
+webhooksRouter.delete('/:id', validateRequest('deleteWebhook'), async (req, res) => {
+  try {
+    await webhookManager.remove(req.subscription.id);
+
+    res.json({
+      success: true,
+      message: `Webhook ${req.subscription.id} deleted`
+    });
+  } catch (error) {
+    logger.error('Error deleting webhook:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete webhook'
+    });
+  }
+});
+
+// Sends a webhook.test event and waits for the outcome
+webhooksRouter.post('/:id/test', validateRequest('testWebhook'), async (req, res) => {
+  try {
+    const delivery = await webhookManager.sendTest(req.subscription);
+
+    res.status(delivery.status === 'delivered' ? 200 : 502).json({
+      success: delivery.status === 'delivered',
+      data: delivery
+    });
+  } catch (error) {
+    logger.error('Error testing webhook:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to test webhook'
+    });
+  }
+});
+
+module.exports = {
+  webhooksRouter
+};
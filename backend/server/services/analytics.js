@@ -0,0 +1,301 @@
+/**
+ * Portfolio performance analytics of a bot's investments
+ * (GET /api/bot/analytics): equity curve, trade statistics, risk-adjusted
+ * returns, drawdown and P&L by protocol and entry APY.
+ *
+ * Only entries and exits are stored, so the equity curve spreads each
+ * position's P&L linearly over its holding time: an exited position's final
+ * P&L, an active one's P&L marked at its last accrual. Fees accrue linearly
+ * with time, so this follows the marks the bot made in between.
+ */
+
+const { APY_BUCKETS } = require('./poolQuery');
+const { readFields } = require('../utils/schema');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Daily returns are annualized over every day of the year (pools never close)
+const PERIODS_PER_YEAR = 365;
+
+// Query parameters of GET /api/bot/analytics
+const ANALYTICS_QUERY_SCHEMA = {
+  from: { type: 'string', format: 'date-time', description: 'Range start (defaults to the first entry)' },
+  to: { type: 'string', format: 'date-time', description: 'Range end (defaults to now)' }
+};
+
+/**
+ * Options for getAnalytics() from validated query values
+ * @param {Object} values - Values of ANALYTICS_QUERY_SCHEMA (req.input.query)
+ * @returns {{options: Object, errors: Array<string>}} Options for getAnalytics() and range errors
+ */
+function toAnalyticsOptions(values) {
+  const errors = [];
+  const options = {
+    from: values.from ? new Date(values.from).toISOString() : null,
+    to: values.to ? new Date(values.to).toISOString() : null
+  };
+
+  if (options.from && options.to && options.from > options.to) {
+    errors.push('from must be before to');
+  }
+
+  return { options, errors };
+}
+
+/**
+ * Reads and validates raw analytics query parameters
+ * @param {Object} query - Query string values as received
+ * @returns {{options: Object, errors: Array<string>}} Options for getAnalytics() and validation errors
+ */
+function parseAnalyticsQuery(query = {}) {
+  const { values, errors } = readFields(ANALYTICS_QUERY_SCHEMA, query, { coerce: true, defaults: true, additional: true });
+  const { options, errors: rangeErrors } = toAnalyticsOptions(values);
+  return { options, errors: [...errors.map(error => error.message), ...rangeErrors] };
+}
+
+/**
+ * Positions as time spans carrying their P&L
+ * @param {Array<Object>} history - Exited investments
+ * @param {Array<Object>} active - Active investments with unrealizedProfitLoss
+ * @param {number} now - Current time (ms)
+ * @returns {Array<Object>} { entry, exit, markedAt, amount, profitLoss } with times in ms (exit null while active)
+ */
+function toPositions(history, active, now) {
+  const exited = history.map(investment => ({
+    entry: Date.parse(investment.entryTimestamp),
+    exit: Date.parse(investment.exitTimestamp),
+    markedAt: Date.parse(investment.exitTimestamp),
+    amount: investment.investmentAmount,
+    profitLoss: investment.profitLoss || 0
+  }));
+  const open = active.map(investment => ({
+    entry: Date.parse(investment.entryTimestamp),
+    exit: null,
+    markedAt: investment.lastAccrualTimestamp ? Date.parse(investment.lastAccrualTimestamp) : now,
+    amount: investment.investmentAmount,
+    profitLoss: investment.unrealizedProfitLoss || 0
+  }));
+  return [...exited, ...open];
+}
+
+/**
+ * The portfolio at a point in time
+ * @param {Array<Object>} positions - See toPositions()
+ * @param {number} startingCapital - Wallet balance before any investment
+ * @param {number} time - Time (ms)
+ * @returns {Object} { timestamp, realizedProfitLoss, unrealizedProfitLoss, cash, equity, activeInvestments }
+ */
+function getEquityAt(positions, startingCapital, time) {
+  let realized = 0;
+  let unrealized = 0;
+  let invested = 0;
+  let activeInvestments = 0;
+
+  for (const position of positions) {
+    if (time < position.entry) continue;
+
+    if (position.exit !== null && time >= position.exit) {
+      realized += position.profitLoss;
+    } else {
+      const span = position.markedAt - position.entry;
+      unrealized += span > 0 ? position.profitLoss * Math.min(1, (time - position.entry) / span) : position.profitLoss;
+      invested += position.amount;
+      activeInvestments++;
+    }
+  }
+
+  const cash = startingCapital + realized - invested;
+  return {
+    timestamp: new Date(time).toISOString(),
+    realizedProfitLoss: realized,
+    unrealizedProfitLoss: unrealized,
+    cash,
+    equity: cash + invested + unrealized,
+    activeInvestments
+  };
+}
+
+/**
+ * Largest fall of equity from a previous peak
+ * @param {Array<Object>} curve - Equity curve
+ * @returns {Object} { amount, percentage, peakAt, troughAt } (zero amount if equity never fell)
+ */
+function getMaxDrawdown(curve) {
+  const drawdown = { amount: 0, percentage: 0, peakAt: null, troughAt: null };
+  let peak = null;
+
+  for (const point of curve) {
+    if (!peak || point.equity > peak.equity) {
+      peak = point;
+    }
+    const amount = peak.equity - point.equity;
+    if (amount > drawdown.amount) {
+      Object.assign(drawdown, {
+        amount,
+        percentage: peak.equity > 0 ? (amount / peak.equity) * 100 : null,
+        peakAt: peak.timestamp,
+        troughAt: point.timestamp
+      });
+    }
+  }
+
+  return drawdown;
+}
+
+/**
+ * Annualized Sharpe and Sortino ratios of daily equity returns (risk-free rate 0)
+ * @param {Array<Object>} positions - See toPositions()
+ * @param {number} startingCapital - Wallet balance before any investment
+ * @param {number} start - Range start (ms)
+ * @param {number} end - Range end (ms)
+ * @returns {Object} { dailyReturns, sharpeRatio, sortinoRatio }, ratios null with fewer than two days or no variation
+ */
+function getRiskRatios(positions, startingCapital, start, end) {
+  const times = [start];
+  for (let day = Math.floor(start / DAY_MS + 1) * DAY_MS; day < end; day += DAY_MS) {
+    times.push(day);
+  }
+  times.push(end);
+
+  const equities = times.map(time => getEquityAt(positions, startingCapital, time).equity);
+  const returns = [];
+  for (let i = 1; i < equities.length; i++) {
+    if (equities[i - 1] > 0) {
+      returns.push(equities[i] / equities[i - 1] - 1);
+    }
+  }
+
+  if (returns.length < 2) {
+    return { dailyReturns: returns.length, sharpeRatio: null, sortinoRatio: null };
+  }
+
+  const mean = returns.reduce((sum, value) => sum + value, 0) / returns.length;
+  const deviation = Math.sqrt(returns.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (returns.length - 1));
+  const downside = Math.sqrt(returns.reduce((sum, value) => sum + Math.min(value, 0) ** 2, 0) / returns.length);
+  const annualize = Math.sqrt(PERIODS_PER_YEAR);
+
+  return {
+    dailyReturns: returns.length,
+    sharpeRatio: deviation > 0 ? (mean / deviation) * annualize : null,
+    sortinoRatio: downside > 0 ? (mean / downside) * annualize : null
+  };
+}
+
+/**
+ * Win/loss statistics of closed trades
+ * @param {Array<Object>} trades - Exited investments
+ * @returns {Object} Counts, win rate, average win/loss, gross profit/loss, profit factor and totals
+ */
+function getTradeStats(trades) {
+  const wins = trades.filter(trade => trade.profitLoss > 0);
+  const losses = trades.filter(trade => !(trade.profitLoss > 0));
+  const sum = (list, field) => list.reduce((total, trade) => total + (trade[field] || 0), 0);
+  const grossProfit = sum(wins, 'profitLoss');
+  const grossLoss = sum(losses, 'profitLoss');
+
+  return {
+    trades: trades.length,
+    wins: wins.length,
+    losses: losses.length,
+    winRate: trades.length > 0 ? wins.length / trades.length : null,
+    averageWin: wins.length > 0 ? grossProfit / wins.length : null,
+    averageLoss: losses.length > 0 ? grossLoss / losses.length : null,
+    grossProfit,
+    grossLoss,
+    profitFactor: grossLoss < 0 ? grossProfit / -grossLoss : null,
+    profitLoss: grossProfit + grossLoss,
+    invested: sum(trades, 'investmentAmount'),
+    feeIncome: sum(trades, 'feeIncome'),
+    impermanentLoss: sum(trades, 'impermanentLoss')
+  };
+}
+
+/**
+ * @param {Array<Object>} trades - Exited investments
+ * @returns {Object} Trade statistics plus returnPercentage on the capital invested
+ */
+function getGroupStats(trades) {
+  const stats = getTradeStats(trades);
+  return {
+    ...stats,
+    returnPercentage: stats.invested > 0 ? (stats.profitLoss / stats.invested) * 100 : null
+  };
+}
+
+/**
+ * Performance analytics over a date range
+ * @param {Object} input
+ * @param {Array<Object>} input.history - Exited investments
+ * @param {Array<Object>} input.active - Active investments, each with its unrealizedProfitLoss
+ * @param {number} input.startingCapital - Wallet balance before any investment
+ * @param {Date} input.now - Current time
+ * @param {string} [input.from] - Range start (defaults to the first entry)
+ * @param {string} [input.to] - Range end (defaults to now)
+ * @returns {Object} { range, summary, equityCurve, byProtocol, byEntryApy }
+ */
+function getAnalytics({ history, active, startingCapital, now, from = null, to = null }) {
+  const nowMs = now.getTime();
+  const positions = toPositions(history, active, nowMs);
+  const firstEntry = positions.length > 0 ? Math.min(...positions.map(position => position.entry)) : nowMs;
+  const start = from ? Date.parse(from) : Math.min(firstEntry, nowMs);
+  const end = Math.max(start, to ? Math.min(Date.parse(to), nowMs) : nowMs);
+  // Equity is flat before the first entry, so daily returns start there (from=1000-01-01 must not loop per day)
+  const riskStart = Math.min(Math.max(start, firstEntry), end);
+
+  // Trades count in the range they were closed in; one closed at the very start is already in the starting equity
+  const trades = history.filter(investment => {
+    const exit = Date.parse(investment.exitTimestamp);
+    return exit > start && exit <= end;
+  });
+
+  // A point at the range bounds and at every entry and exit inside it
+  const times = new Set([start, end]);
+  for (const position of positions) {
+    for (const time of [position.entry, position.exit]) {
+      if (time !== null && time > start && time < end) {
+        times.add(time);
+      }
+    }
+  }
+  const equityCurve = Array.from(times).sort((a, b) => a - b).map(time => getEquityAt(positions, startingCapital, time));
+
+  const first = equityCurve[0];
+  const last = equityCurve[equityCurve.length - 1];
+  const tradeStats = getTradeStats(trades);
+
+  const byProtocol = {};
+  for (const trade of trades) {
+    const protocol = trade.protocol || 'Unknown';
+    (byProtocol[protocol] = byProtocol[protocol] || []).push(trade);
+  }
+
+  return {
+    range: { from: first.timestamp, to: last.timestamp },
+    summary: {
+      ...tradeStats,
+      startingEquity: first.equity,
+      endingEquity: last.equity,
+      returnPercentage: first.equity > 0 ? ((last.equity - first.equity) / first.equity) * 100 : null,
+      realizedProfitLoss: last.realizedProfitLoss - first.realizedProfitLoss,
+      unrealizedProfitLoss: last.unrealizedProfitLoss,
+      maxDrawdown: getMaxDrawdown(equityCurve),
+      ...getRiskRatios(positions, startingCapital, riskStart, end)
+    },
+    equityCurve,
+    byProtocol: Object.entries(byProtocol)
+      .map(([protocol, group]) => ({ protocol, ...getGroupStats(group) }))
+      .sort((a, b) => b.profitLoss - a.profitLoss),
+    byEntryApy: APY_BUCKETS.map(bucket => ({
+      ...bucket,
+      ...getGroupStats(trades.filter(trade => trade.entryApy >= bucket.min && (bucket.max === null || trade.entryApy < bucket.max)))
+    }))
+  };
+}
+
+module.exports = {
+  ANALYTICS_QUERY_SCHEMA,
+  toAnalyticsOptions,
+  parseAnalyticsQuery,
+  getAnalytics,
+  getMaxDrawdown
+};
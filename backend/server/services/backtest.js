@@ -0,0 +1,141 @@
+const { LiquidityMiningBot, BOT_CONFIG } = require('./bot');
+const { getStrategy } = require('../strategies');
+const { iterateRefreshes, snapshotToPool } = require('./snapshots');
+const { getStorage } = require('../storage');
+const { ManualClock } = require('../utils/clock');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Bot that runs its normal decision and exit logic against recorded snapshots.
+ * Time only moves when the backtest advances it, and nothing is written to disk.
+ */
+class BacktestBot extends LiquidityMiningBot {
+  constructor(options = {}) {
+    super({ clock: new ManualClock(0), ...options });
+    this.currentTime = null;
+    this.currentPools = [];
+    this.poolFirstSeen = new Map();
+  }
+
+  /**
+   * Move the virtual clock to a refresh and make its pools current
+   */
+  advanceTo(timestamp, pools) {
+    this.clock.setTime(timestamp);
+    this.currentTime = this.clock.now();
+    this.currentPools = pools;
+
+    for (const pool of pools) {
+      if (!this.poolFirstSeen.has(pool.id)) {
+        this.poolFirstSeen.set(pool.id, this.currentTime);
+      }
+    }
+  }
+
+  async loadPools() {
+    return this.currentPools;
+  }
+
+  async getCurrentPoolData(poolId) {
+    return this.currentPools.find(pool => pool.id === poolId) || null;
+  }
+
+  /**
+   * Pool age measured from the first snapshot the pool appears in
+   */
+  getPoolAge(pool) {
+    const firstSeen = this.poolFirstSeen.get(pool.id) || this.currentTime;
+    return (this.currentTime - firstSeen) / DAY_MS;
+  }
+
+  async saveInvestments() {}
+
+  async recordEvent() {
+    return null;
+  }
+
+  logInvestment() {}
+}
+
+/**
+ * Record one point of the equity curve
+ * @param {BacktestBot} bot - Bot being backtested
+ * @returns {Object} Equity curve point
+ */
+function getEquityPoint(bot) {
+  const { cash, equity } = bot.getWallet();
+
+  return {
+    timestamp: bot.now().toISOString(),
+    realizedProfitLoss: bot.stats.totalProfit - bot.stats.totalLoss,
+    unrealizedProfitLoss: bot.getUnrealizedProfitLoss(),
+    cash,
+    equity,
+    activeInvestments: bot.activeInvestments.size
+  };
+}
+
+/**
+ * Replays recorded pool snapshots through the bot's decision and exit logic
+ * @param {Object} [options] - Backtest options
+ * @param {string} [options.dir] - Directory of snapshot day files (defaults to the server's storage)
+ * @param {Date|string} [options.from] - Start trading at this time
+ * @param {Date|string} [options.to] - Stop at this time
+ * @param {string} [options.strategy] - Strategy name (defaults to BOT_CONFIG.STRATEGY)
+ * @param {Object} [options.config] - Overrides for BOT_CONFIG values and strategy params
+ * @param {boolean} [options.closeOpenPositions=true] - Exit positions still held at the end of the range
+ * @returns {Promise<Object>} Report with trades, equity curve and bot stats
+ */
+async function runBacktest({ dir, from, to, strategy, config = {}, closeOpenPositions = true } = {}) {
+  const { params } = getStrategy(strategy || config.STRATEGY || BOT_CONFIG.STRATEGY);
+  for (const key of Object.keys(config)) {
+    if (!(key in BOT_CONFIG) && !(key in params)) {
+      throw new Error(`Unknown config key: ${key}`);
+    }
+  }
+
+  const fromDate = from ? new Date(from) : null;
+  const bot = new BacktestBot({ strategy, config });
+  const equityCurve = [];
+  let firstTimestamp = null;
+  let steps = 0;
+
+  // Refreshes before the range are still read so pool ages are known when trading starts
+  const refreshes = dir ? iterateRefreshes({ to, dir }) : getStorage().iterateRefreshes({ to });
+  for await (const refresh of refreshes) {
+    bot.advanceTo(refresh.timestamp, refresh.pools.map(snapshotToPool));
+
+    if (fromDate && bot.currentTime < fromDate) continue;
+
+    firstTimestamp = firstTimestamp || refresh.timestamp;
+    await bot.runCycle();
+    steps++;
+    equityCurve.push(getEquityPoint(bot));
+  }
+
+  if (closeOpenPositions && bot.activeInvestments.size > 0) {
+    for (const investment of Array.from(bot.activeInvestments.values())) {
+      await bot.simulateExit(investment, 'end-of-backtest');
+    }
+    equityCurve.push(getEquityPoint(bot));
+  }
+
+  return {
+    range: {
+      from: firstTimestamp,
+      to: bot.currentTime ? bot.currentTime.toISOString() : null
+    },
+    steps,
+    config: bot.config,
+    trades: bot.getInvestmentHistory(),
+    openPositions: bot.getActiveInvestments(),
+    equityCurve,
+    stats: bot.getStatus()
+  };
+}
+
+module.exports = {
+  BacktestBot,
+  runBacktest
+};
@@ -1,33 +1,97 @@
+const EventEmitter = require('events');
 const fs = require('fs-extra');
 const path = require('path');
 const logger = require('../utils/logger');
+const { calculateFeeIncome, calculateImpermanentLoss } = require('../utils/returns');
+const { SystemClock } = require('../utils/clock');
+const { poolRegistry, getAgeDays } = require('./poolRegistry');
+const { DEFAULT_STRATEGY, getStrategy, getStrategyDefaults } = require('../strategies');
+const { checkExitRules } = require('../strategies/exitRules');
+const { getStorage } = require('../storage');
+const { JOURNAL_EVENTS, getCashDelta, getStartingCash, backfillEvents, compareStates } = require('./journal');
+const { getAnalytics } = require('./analytics');
 
 // Bot configuration
 const BOT_CONFIG = {
   HIGH_APY_THRESHOLD: 0.30, // 30% APY threshold
+  STARTING_CAPITAL: 10000, // Simulated wallet balance the bot starts with
   INVESTMENT_AMOUNT: 1000, // $1,000 per investment
+  POSITION_SIZING: 'fixed', // fixed | percent-of-equity | liquidity-scaled (see server/strategies/sizing.js)
+  POSITION_SIZE_PERCENTAGE: 10, // percent-of-equity: % of equity per position
+  MAX_POOL_SHARE_PERCENTAGE: 1, // liquidity-scaled: % of the pool's TVL per position (capped at INVESTMENT_AMOUNT)
   HOLDING_PERIOD_HOURS: 48, // 48 hours holding period
   MAX_ACTIVE_INVESTMENTS: 10, // Maximum number of simultaneous investments
   MIN_LIQUIDITY: 100, // Minimum liquidity in USD
   MIN_VOLUME_24H: 50, // Minimum 24h volume in USD
+  MAX_POOL_AGE_DAYS: 7, // Only invest in pools first seen within this many days
   CHECK_INTERVAL_MINUTES: 15, // How often to check for new opportunities
+  MAX_DATA_AGE_MINUTES: 60, // Open no positions on pool data fetched longer ago than this (null = off)
+  // Early-exit rules (null = off), checked on every pass before the strategy's exit condition
+  STOP_LOSS_PERCENTAGE: null, // Exit when the pool price falls this % below entryPrice
+  TAKE_PROFIT_PERCENTAGE: null, // Exit when the pool price rises this % above entryPrice
+  MIN_APY_RETENTION_PERCENTAGE: null, // Exit when APY drops below this % of entryApy
+  MIN_EXIT_LIQUIDITY: null, // Exit when pool liquidity drains below this USD floor
+  MAX_HOLDING_HOURS: null, // Never hold longer than this
+  STRATEGY: DEFAULT_STRATEGY, // Entry/sizing/exit strategy (see server/strategies)
+  POOLS_FILE_PATH: path.join(__dirname, '..', 'data', 'highApyPools.json'),
   DATA_FILE_PATH: path.join(__dirname, '..', 'data', 'botInvestments.json'),
   LOG_FILE_PATH: path.join(__dirname, '..', 'logs', 'botActivity.log')
 };
 
-class LiquidityMiningBot {
-  constructor() {
+/**
+ * Stats of a bot with no closed investments
+ */
+function createStats() {
+  return {
+    totalInvestments: 0,
+    successfulExits: 0,
+    failedExits: 0,
+    totalProfit: 0,
+    totalLoss: 0,
+    totalFeeIncome: 0,
+    totalImpermanentLoss: 0,
+    averageHoldingTime: 0
+  };
+}
+
+/**
+ * Simulated liquidity mining bot.
+ *
+ * Events (emitted after the change is saved):
+ * - investment.opened { investment }
+ * - investment.exited { investment }
+ * - investment.voided { investment, actor, reason }
+ * - investment.annotated { investment, changes, actor, reason }
+ * - bot.started {}
+ * - bot.stopped {}
+ * - loop.error { phase, error } where phase is 'cycle' or 'entries'
+ */
+class LiquidityMiningBot extends EventEmitter {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.name] - Bot name, used to tell several bots apart
+   * @param {Object} [options.config] - Overrides for BOT_CONFIG values and strategy params
+   * @param {string} [options.strategy] - Strategy name (defaults to config.STRATEGY)
+   * @param {Object} [options.clock] - Clock/scheduler (SystemClock or ManualClock)
+   * @param {Object} [options.storage] - Where state and pools are read and saved (defaults to the server's storage)
+   * @param {Object} [options.poolRegistry] - Where pool ages are looked up (defaults to the server's pool registry)
+   */
+  constructor(options = {}) {
+    super();
+    this.name = options.name || 'default';
+    this.storage = options.storage || null;
+    this.poolRegistry = options.poolRegistry || poolRegistry;
+    this.strategy = getStrategy(options.strategy || (options.config && options.config.STRATEGY) || BOT_CONFIG.STRATEGY);
+    this.config = { ...BOT_CONFIG, ...getStrategyDefaults(this.strategy), ...options.config, STRATEGY: this.strategy.name };
+    this.clock = options.clock || new SystemClock();
+    this.pendingSleep = null;
+    this.loopGeneration = 0;
+    this.journalSequence = null; // Sequence of the last journal event, read on first use
     this.activeInvestments = new Map();
     this.investmentHistory = [];
+    this.cash = this.config.STARTING_CAPITAL;
     this.isRunning = false;
-    this.stats = {
-      totalInvestments: 0,
-      successfulExits: 0,
-      failedExits: 0,
-      totalProfit: 0,
-      totalLoss: 0,
-      averageHoldingTime: 0
-    };
+    this.stats = createStats();
   }
 
   /**
@@ -35,15 +99,15 @@ class LiquidityMiningBot {
    */
   async initialize() {
     try {
-      // Ensure data directory exists
-      await fs.ensureDir(path.dirname(BOT_CONFIG.DATA_FILE_PATH));
-      await fs.ensureDir(path.dirname(BOT_CONFIG.LOG_FILE_PATH));
+      // Ensure log directory exists
+      await fs.ensureDir(path.dirname(this.config.LOG_FILE_PATH));
 
       // Load existing investments
       await this.loadInvestments();
+      await this.loadJournal();
       
-      logger.info('🤖 Liquidity Mining Bot initialized successfully');
-      logger.info(`📊 Configuration: APY > ${(BOT_CONFIG.HIGH_APY_THRESHOLD * 100).toFixed(1)}%, Investment: $${BOT_CONFIG.INVESTMENT_AMOUNT}, Hold: ${BOT_CONFIG.HOLDING_PERIOD_HOURS}h`);
+      logger.info(`🤖 Liquidity Mining Bot "${this.name}" initialized successfully`);
+      logger.info(`📊 Configuration: strategy ${this.strategy.name}, APY > ${(this.config.HIGH_APY_THRESHOLD * 100).toFixed(1)}%, Investment: $${this.config.INVESTMENT_AMOUNT}, Hold: ${this.config.HOLDING_PERIOD_HOURS}h`);
       
       return true;
     } catch (error) {
@@ -62,50 +126,118 @@ class LiquidityMiningBot {
     }
 
     this.isRunning = true;
-    logger.info('🚀 Starting Liquidity Mining Bot...');
+    logger.info(`🚀 Starting Liquidity Mining Bot "${this.name}"...`);
+    this.emit('bot.started', {});
 
     // Start the main bot loop
     this.runBotLoop();
   }
 
+  /**
+   * Apply validated config changes to the running bot
+   * @param {Object} changes - Settings to change (may include STRATEGY)
+   */
+  applyConfig(changes = {}) {
+    const { STRATEGY, ...settings } = changes;
+
+    if (STRATEGY !== undefined && STRATEGY !== this.strategy.name) {
+      this.strategy = getStrategy(STRATEGY);
+      this.config = { ...this.config, ...getStrategyDefaults(this.strategy), STRATEGY: this.strategy.name };
+      logger.info(`🧭 Strategy set to ${this.strategy.name}`);
+    }
+
+    const intervalChanged = settings.CHECK_INTERVAL_MINUTES !== undefined &&
+      settings.CHECK_INTERVAL_MINUTES !== this.config.CHECK_INTERVAL_MINUTES;
+
+    // More or less starting capital means more or less cash now
+    if (settings.STARTING_CAPITAL !== undefined) {
+      this.cash += settings.STARTING_CAPITAL - this.config.STARTING_CAPITAL;
+    }
+
+    this.config = { ...this.config, ...settings };
+
+    // Wake the loop so the new interval applies now rather than after the old one runs out
+    if (intervalChanged && this.pendingSleep) {
+      this.pendingSleep.cancel();
+    }
+  }
+
+  /**
+   * Context handed to strategy hooks
+   */
+  getStrategyContext(extra = {}) {
+    return {
+      config: this.config,
+      now: this.now(),
+      wallet: this.getWallet(),
+      ...extra
+    };
+  }
+
   /**
    * Stop the bot
    */
   stop() {
+    const wasRunning = this.isRunning;
     this.isRunning = false;
-    logger.info('⏹️ Bot stopped');
+
+    // Wake the loop so it exits instead of waiting out the check interval
+    if (this.pendingSleep) {
+      this.pendingSleep.cancel();
+    }
+
+    logger.info(`⏹️ Bot "${this.name}" stopped`);
+    if (wasRunning) {
+      this.emit('bot.stopped', {});
+    }
   }
 
   /**
    * Main bot loop
    */
   async runBotLoop() {
-    while (this.isRunning) {
+    // A restart while an old loop is still waking up must not leave two loops running
+    const generation = ++this.loopGeneration;
+
+    while (this.isRunning && generation === this.loopGeneration) {
       try {
-        // Check for exit opportunities
-        await this.checkForExits();
-        
-        // Check for new investment opportunities
-        if (this.activeInvestments.size < BOT_CONFIG.MAX_ACTIVE_INVESTMENTS) {
-          await this.checkForNewOpportunities();
-        }
+        await this.runCycle();
 
         // Wait before next check
-        await this.sleep(BOT_CONFIG.CHECK_INTERVAL_MINUTES * 60 * 1000);
+        await this.sleep(this.config.CHECK_INTERVAL_MINUTES * 60 * 1000);
       } catch (error) {
         logger.error('Error in bot loop:', error.message);
+        this.emit('loop.error', { phase: 'cycle', error: error.message });
         await this.sleep(60000); // Wait 1 minute on error
       }
     }
   }
 
+  /**
+   * Run a single pass of the bot: exits first, then new opportunities
+   */
+  async runCycle() {
+    // Check for exit opportunities
+    await this.checkForExits();
+
+    // Check for new investment opportunities
+    if (this.activeInvestments.size < this.config.MAX_ACTIVE_INVESTMENTS) {
+      await this.checkForNewOpportunities();
+    }
+  }
+
   /**
    * Decision Phase: Check for new high-yield opportunities
    */
   async checkForNewOpportunities() {
     try {
-      const pools = await this.getHighApyPools();
-      
+      const pools = await this.getCandidatePools();
+
+      const stale = pools.filter(pool => this.isStale(pool));
+      if (stale.length > 0) {
+        logger.warn(`⏳ Bot "${this.name}" not entering ${stale.length} of ${pools.length} pools: data older than ${this.config.MAX_DATA_AGE_MINUTES} minutes`);
+      }
+
       for (const pool of pools) {
         if (await this.shouldInvest(pool)) {
           await this.simulateInvestment(pool);
@@ -113,24 +245,26 @@ class LiquidityMiningBot {
       }
     } catch (error) {
       logger.error('Error checking for new opportunities:', error.message);
+      this.emit('loop.error', { phase: 'entries', error: error.message });
     }
   }
 
   /**
-   * Get high APY pools from the existing service
+   * Load the current pool set (the cache written by the pool service)
    */
-  async getHighApyPools() {
+  async loadPools() {
+    const pools = await this.getStorage().loadPools({ filePath: this.config.POOLS_FILE_PATH });
+    return pools || [];
+  }
+
+  /**
+   * Get candidate pools from the existing service (the strategy decides which qualify)
+   */
+  async getCandidatePools() {
     try {
-      const poolsFilePath = path.join(__dirname, '..', 'data', 'highApyPools.json');
-      
-      if (await fs.pathExists(poolsFilePath)) {
-        const pools = await fs.readJson(poolsFilePath);
-        return pools.filter(pool => pool.apy >= BOT_CONFIG.HIGH_APY_THRESHOLD);
-      }
-      
-      return [];
+      return await this.loadPools();
     } catch (error) {
-      logger.error('Error getting high APY pools:', error.message);
+      logger.error('Error getting candidate pools:', error.message);
       return [];
     }
   }
@@ -144,28 +278,15 @@ class LiquidityMiningBot {
       return false;
     }
 
-    // Check APY threshold
-    if (pool.apy < BOT_CONFIG.HIGH_APY_THRESHOLD) {
+    // Never enter on stale data (e.g. refreshes failing upstream)
+    if (this.isStale(pool)) {
       return false;
     }
 
-    // Check liquidity requirements
-    if (pool.liquidity < BOT_CONFIG.MIN_LIQUIDITY) {
-      return false;
-    }
-
-    // Check volume requirements
-    if (pool.volume_24h < BOT_CONFIG.MIN_VOLUME_24H) {
-      return false;
-    }
-
-    // Check if pool is relatively new (launched within last 7 days)
-    const poolAge = this.getPoolAge(pool);
-    if (poolAge > 7) {
-      return false;
-    }
-
-    return true;
+    // Entry filter of the selected strategy
+    return this.strategy.shouldEnter(pool, this.getStrategyContext({
+      getPoolAge: () => this.getPoolAge(pool)
+    }));
   }
 
   /**
@@ -173,6 +294,27 @@ class LiquidityMiningBot {
    */
   async simulateInvestment(pool) {
     try {
+      // One position per pool: a second would replace the first after its cash was taken
+      if (this.activeInvestments.has(pool.id)) {
+        logger.warn(`Skipping ${pool.name}: already invested in this pool`);
+        return null;
+      }
+
+      const entryTimestamp = this.now().toISOString();
+      const positionSize = await this.strategy.getPositionSize(pool, this.getStrategyContext());
+
+      if (!positionSize || positionSize <= 0) {
+        logger.warn(`Skipping ${pool.name}: strategy ${this.strategy.name} sized the position at $${positionSize}`);
+        return null;
+      }
+
+      // Never invest more cash than the wallet holds
+      const investmentAmount = Math.min(positionSize, this.cash);
+      if (investmentAmount <= 0) {
+        logger.warn(`Skipping ${pool.name}: no cash left ($${this.cash.toFixed(2)})`);
+        return null;
+      }
+
       const investment = {
         id: this.generateInvestmentId(),
         poolId: pool.id,
@@ -182,12 +324,21 @@ class LiquidityMiningBot {
         entryPrice: pool.price,
         entryLiquidity: pool.liquidity,
         entryVolume24h: pool.volume_24h,
-        investmentAmount: BOT_CONFIG.INVESTMENT_AMOUNT,
-        entryTimestamp: new Date().toISOString(),
+        investmentAmount,
+        strategy: this.strategy.name,
+        entryTimestamp,
         status: 'active',
+        feesAccrued: 0,
+        lastObservedApy: pool.apy,
+        lastObservedPrice: pool.price,
+        lastAccrualTimestamp: entryTimestamp,
         exitTimestamp: null,
         exitApy: null,
         exitPrice: null,
+        exitReason: null,
+        feeIncome: null,
+        impermanentLoss: null,
+        impermanentLossPercentage: null,
         profitLoss: null,
         profitLossPercentage: null,
         holdingTimeHours: null
@@ -195,14 +346,17 @@ class LiquidityMiningBot {
 
       // Add to active investments
       this.activeInvestments.set(pool.id, investment);
+      this.cash -= investmentAmount;
       
       // Log investment
       this.logInvestment(investment, 'INVESTMENT');
       
       logger.info(`💰 New investment: ${pool.name} (APY: ${(pool.apy * 100).toFixed(2)}%)`);
       
-      // Save to file
+      // Journal, then save to file
+      await this.recordEvent(JOURNAL_EVENTS.OPENED, { investment });
       await this.saveInvestments();
+      this.emit('investment.opened', { investment });
       
       return investment;
     } catch (error) {
@@ -212,62 +366,104 @@ class LiquidityMiningBot {
   }
 
   /**
-   * Holding Phase: Check for exit opportunities
+   * Holding Phase: Accrue fees on active investments and check for exit opportunities
    */
   async checkForExits() {
-    const now = new Date();
+    const now = this.now();
     const investmentsToExit = [];
 
     for (const [poolId, investment] of this.activeInvestments) {
+      const currentPool = await this.getCurrentPoolData(poolId);
+      this.accrueFees(investment, currentPool, now);
+
       const entryTime = new Date(investment.entryTimestamp);
       const holdingTimeHours = (now - entryTime) / (1000 * 60 * 60);
 
-      // Exit after holding period
-      if (holdingTimeHours >= BOT_CONFIG.HOLDING_PERIOD_HOURS) {
-        investmentsToExit.push(investment);
+      // Early-exit rules first, then the exit condition of the selected strategy
+      const context = this.getStrategyContext({ holdingTimeHours });
+      const exitReason = checkExitRules(investment, currentPool, context) ||
+        await this.strategy.shouldExit(investment, currentPool, context);
+      if (exitReason) {
+        investmentsToExit.push({ investment, exitReason });
       }
     }
 
     // Process exits
-    for (const investment of investmentsToExit) {
-      await this.simulateExit(investment);
+    for (const { investment, exitReason } of investmentsToExit) {
+      await this.simulateExit(investment, exitReason);
+    }
+
+    // Persist accrued fees for positions that are still held
+    if (this.activeInvestments.size > 0) {
+      await this.saveInvestments();
+    }
+  }
+
+  /**
+   * Accrue fee/reward income on an investment up to the given time.
+   * Each interval earns the average of the APY observed at its start and end.
+   */
+  accrueFees(investment, currentPool, now = this.now()) {
+    const lastAccrual = new Date(investment.lastAccrualTimestamp || investment.entryTimestamp);
+    const hours = (now - lastAccrual) / (1000 * 60 * 60);
+    const previousApy = investment.lastObservedApy ?? investment.entryApy;
+    const currentApy = currentPool ? currentPool.apy : previousApy;
+
+    investment.feesAccrued = (investment.feesAccrued || 0) +
+      calculateFeeIncome(investment.investmentAmount, (previousApy + currentApy) / 2, hours);
+    investment.lastObservedApy = currentApy;
+    if (currentPool) {
+      investment.lastObservedPrice = currentPool.price;
     }
+    investment.lastAccrualTimestamp = now.toISOString();
+
+    return investment.feesAccrued;
   }
 
   /**
    * Exit Phase: Simulate selling the investment
+   * @param {Object} investment - Active investment
+   * @param {string} [exitReason] - Which rule triggered the exit
    */
-  async simulateExit(investment) {
+  async simulateExit(investment, exitReason = null) {
     try {
       // Get current pool data
       const currentPool = await this.getCurrentPoolData(investment.poolId);
+      const now = this.now();
       
       const exitData = {
-        exitTimestamp: new Date().toISOString(),
-        exitApy: currentPool ? currentPool.apy : investment.entryApy,
-        exitPrice: currentPool ? currentPool.price : investment.entryPrice,
+        exitTimestamp: now.toISOString(),
+        exitApy: currentPool ? currentPool.apy : investment.lastObservedApy ?? investment.entryApy,
+        exitPrice: currentPool ? currentPool.price : investment.lastObservedPrice ?? investment.entryPrice,
+        exitReason,
         holdingTimeHours: this.calculateHoldingTime(investment.entryTimestamp)
       };
 
-      // Calculate profit/loss based on APY change
-      const apyChange = exitData.exitApy - investment.entryApy;
-      const apyChangePercentage = (apyChange / investment.entryApy) * 100;
-      
-      // Simulate profit/loss (simplified calculation)
-      const profitLoss = (apyChangePercentage / 100) * investment.investmentAmount;
-      const profitLossPercentage = apyChangePercentage;
+      // Fee income accrued from the APY observed over the holding window
+      const feeIncome = this.accrueFees(investment, currentPool, now);
+
+      // Impermanent loss from the price move between entry and exit
+      const impermanentLossPercentage = calculateImpermanentLoss(investment.entryPrice, exitData.exitPrice) * 100;
+      const impermanentLoss = (impermanentLossPercentage / 100) * investment.investmentAmount;
+
+      const profitLoss = feeIncome + impermanentLoss;
+      const profitLossPercentage = (profitLoss / investment.investmentAmount) * 100;
 
       // Update investment with exit data
       const updatedInvestment = {
         ...investment,
         ...exitData,
+        feeIncome,
+        impermanentLoss,
+        impermanentLossPercentage,
         profitLoss,
         profitLossPercentage,
         status: 'exited'
       };
 
-      // Remove from active investments
+      // Remove from active investments, returning the capital and P&L to the wallet
       this.activeInvestments.delete(investment.poolId);
+      this.cash += investment.investmentAmount + profitLoss;
       
       // Add to history
       this.investmentHistory.push(updatedInvestment);
@@ -278,10 +474,12 @@ class LiquidityMiningBot {
       // Log exit
       this.logInvestment(updatedInvestment, 'EXIT');
       
-      logger.info(`📈 Exit: ${investment.poolName} - P&L: $${profitLoss.toFixed(2)} (${profitLossPercentage.toFixed(2)}%)`);
+      logger.info(`📈 Exit: ${investment.poolName} - P&L: $${profitLoss.toFixed(2)} (${profitLossPercentage.toFixed(2)}%), fees: $${feeIncome.toFixed(2)}, IL: $${impermanentLoss.toFixed(2)}`);
       
-      // Save to file
+      // Journal, then save to file
+      await this.recordEvent(JOURNAL_EVENTS.EXITED, { investment: updatedInvestment });
       await this.saveInvestments();
+      this.emit('investment.exited', { investment: updatedInvestment });
       
       return updatedInvestment;
     } catch (error) {
@@ -291,18 +489,122 @@ class LiquidityMiningBot {
   }
 
   /**
-   * Get current pool data (simplified - in real implementation, fetch from API)
+   * Find an investment by id, active or exited
+   * @param {string} id - Investment id
+   * @returns {Object|null} The investment, or null if the bot has none with that id
+   */
+  findInvestment(id) {
+    for (const investment of this.activeInvestments.values()) {
+      if (investment.id === id) {
+        return investment;
+      }
+    }
+    return this.investmentHistory.find(investment => investment.id === id) || null;
+  }
+
+  /**
+   * Close an active investment now, at the current pool data, instead of
+   * waiting for an exit rule
+   * @param {Object} investment - Active investment
+   * @param {Object} audit - { actor, reason } of the request
+   * @returns {Promise<Object|null>} The exited investment, or null if the exit failed
+   */
+  async exitInvestment(investment, { actor, reason = null }) {
+    const exited = await this.simulateExit(investment, 'manual');
+    if (exited) {
+      await this.recordManualAction('exit', { investmentId: exited.id, poolId: exited.poolId, actor, reason });
+    }
+    return exited;
+  }
+
+  /**
+   * Remove an investment as if it was never made: an active position's
+   * capital goes back to the wallet, an exited one's P&L is taken back out
+   * of it and the stats are recalculated without it
+   * @param {Object} investment - Active or exited investment
+   * @param {Object} audit - { actor, reason } of the request
+   * @returns {Promise<Object>} The voided investment
+   */
+  async voidInvestment(investment, { actor, reason = null }) {
+    const event = { type: JOURNAL_EVENTS.VOIDED, investment };
+    this.cash += getCashDelta(event);
+    this.removeInvestment(investment);
+
+    logger.info(`🗑️ Voided: ${investment.poolName} (${investment.id}) by ${actor}${reason ? `: ${reason}` : ''}`);
+
+    await this.recordEvent(JOURNAL_EVENTS.VOIDED, { investment, actor, reason });
+    await this.saveInvestments();
+    this.emit('investment.voided', { investment, actor, reason });
+
+    return investment;
+  }
+
+  /**
+   * Set an investment's tags and/or notes
+   * @param {Object} investment - Active or exited investment
+   * @param {Object} fields - { tags, notes }; fields left out are kept
+   * @param {Object} audit - { actor, reason } of the request
+   * @returns {Promise<Object>} { investment, changes: { field: { from, to } } } (no changes if the values were already set)
+   */
+  async annotateInvestment(investment, fields, { actor, reason = null }) {
+    const changes = {};
+    for (const field of ['tags', 'notes']) {
+      const from = investment[field] ?? null;
+      if (fields[field] !== undefined && JSON.stringify(from) !== JSON.stringify(fields[field])) {
+        changes[field] = { from, to: fields[field] };
+      }
+    }
+
+    if (Object.keys(changes).length > 0) {
+      this.applyAnnotation(investment, changes);
+      await this.recordEvent(JOURNAL_EVENTS.ANNOTATED, { investmentId: investment.id, poolId: investment.poolId, changes, actor, reason });
+      await this.saveInvestments();
+      this.emit('investment.annotated', { investment, changes, actor, reason });
+    }
+
+    return { investment, changes };
+  }
+
+  /**
+   * @param {Object} investment - Investment to update in place
+   * @param {Object} changes - { field: { from, to } }
+   */
+  applyAnnotation(investment, changes) {
+    for (const [field, { to }] of Object.entries(changes)) {
+      investment[field] = to;
+    }
+  }
+
+  /**
+   * Drop an investment from the active positions or the history (and the stats)
+   * @param {Object} investment - Investment to drop
+   */
+  removeInvestment(investment) {
+    if (investment.status === 'active') {
+      this.activeInvestments.delete(investment.poolId);
+      return;
+    }
+    this.investmentHistory = this.investmentHistory.filter(exited => exited.id !== investment.id);
+    this.recalculateStats();
+  }
+
+  /**
+   * Journal events about one investment, oldest first: its entry, exit,
+   * voiding, annotations and the manual actions taken on it
+   * @param {string} id - Investment id
+   * @returns {Promise<Array<Object>>} Journal events
+   */
+  async getInvestmentAudit(id) {
+    const events = await this.getJournal().read();
+    return events.filter(event => (event.investment && event.investment.id === id) || event.investmentId === id);
+  }
+
+  /**
+   * Get a pool's latest cached data
    */
   async getCurrentPoolData(poolId) {
     try {
-      const poolsFilePath = path.join(__dirname, '..', 'data', 'highApyPools.json');
-      
-      if (await fs.pathExists(poolsFilePath)) {
-        const pools = await fs.readJson(poolsFilePath);
-        return pools.find(pool => pool.id === poolId);
-      }
-      
-      return null;
+      return await this.getStorage().getPool(poolId, { filePath: this.config.POOLS_FILE_PATH });
     } catch (error) {
       logger.error('Error getting current pool data:', error.message);
       return null;
@@ -314,17 +616,38 @@ class LiquidityMiningBot {
    */
   calculateHoldingTime(entryTimestamp) {
     const entryTime = new Date(entryTimestamp);
-    const now = new Date();
+    const now = this.now();
     return (now - entryTime) / (1000 * 60 * 60);
   }
 
   /**
-   * Get pool age in days
+   * Get pool age in days from its creation time or when the pool registry first saw it
+   */
+  async getPoolAge(pool) {
+    const firstSeenAt = pool.firstSeenAt || await this.poolRegistry.getFirstSeenAt(pool);
+    return getAgeDays(firstSeenAt, this.now());
+  }
+
+  /**
+   * Minutes since the pool's data was fetched
+   * @param {Object} pool - Pool record
+   * @returns {number|null} Age in minutes, or null if the pool has no lastFetched
+   */
+  getDataAgeMinutes(pool) {
+    if (!pool.lastFetched) {
+      return null;
+    }
+    return (this.now() - new Date(pool.lastFetched)) / 60000;
+  }
+
+  /**
+   * Whether the pool's data is too old to open a position on
+   * @param {Object} pool - Pool record
+   * @returns {boolean} True if older than MAX_DATA_AGE_MINUTES
    */
-  getPoolAge(pool) {
-    // Simplified - in real implementation, you'd track when pools were created
-    // For now, we'll use a random age between 0-30 days
-    return Math.random() * 30;
+  isStale(pool) {
+    const age = this.getDataAgeMinutes(pool);
+    return this.config.MAX_DATA_AGE_MINUTES !== null && age !== null && age > this.config.MAX_DATA_AGE_MINUTES;
   }
 
   /**
@@ -332,6 +655,8 @@ class LiquidityMiningBot {
    */
   updateStats(investment) {
     this.stats.totalInvestments++;
+    this.stats.totalFeeIncome += investment.feeIncome || 0;
+    this.stats.totalImpermanentLoss += Math.abs(investment.impermanentLoss || 0);
     
     if (investment.profitLoss > 0) {
       this.stats.successfulExits++;
@@ -346,11 +671,20 @@ class LiquidityMiningBot {
     this.stats.averageHoldingTime = totalHoldingTime / this.investmentHistory.length;
   }
 
+  /**
+   * Rebuild the stats from the investment history, in the order the
+   * investments were closed
+   */
+  recalculateStats() {
+    this.stats = createStats();
+    this.investmentHistory.forEach(investment => this.updateStats(investment));
+  }
+
   /**
    * Generate unique investment ID
    */
   generateInvestmentId() {
-    return `inv_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    return `inv_${this.now().getTime()}_${Math.random().toString(36).substr(2, 9)}`;
   }
 
   /**
@@ -358,29 +692,211 @@ class LiquidityMiningBot {
    */
   logInvestment(investment, action) {
     const logEntry = {
-      timestamp: new Date().toISOString(),
+      timestamp: this.now().toISOString(),
       action,
       investment: {
         id: investment.id,
         poolName: investment.poolName,
         entryApy: investment.entryApy,
         investmentAmount: investment.investmentAmount,
+        feeIncome: investment.feeIncome,
+        impermanentLoss: investment.impermanentLoss,
         profitLoss: investment.profitLoss,
         profitLossPercentage: investment.profitLossPercentage
       }
     };
 
     // Write to log file
-    fs.appendFileSync(BOT_CONFIG.LOG_FILE_PATH, JSON.stringify(logEntry) + '\n');
+    fs.appendFileSync(this.config.LOG_FILE_PATH, JSON.stringify(logEntry) + '\n');
+  }
+
+  /**
+   * Storage this bot reads and saves through
+   */
+  getStorage() {
+    return this.storage || getStorage();
+  }
+
+  /**
+   * Store holding this bot's investments and stats
+   */
+  getInvestmentStore() {
+    return this.getStorage().investments(this.name, { filePath: this.config.DATA_FILE_PATH });
+  }
+
+  /**
+   * Store holding this bot's investment journal
+   */
+  getJournal() {
+    return this.getStorage().journal(this.name, { filePath: this.config.DATA_FILE_PATH });
   }
 
   /**
-   * Load investments from file
+   * Read where the journal left off. A state saved before the journal
+   * existed is written to it first, so the journal always covers the state.
+   */
+  async loadJournal() {
+    try {
+      const journal = this.getJournal();
+      const events = await journal.read();
+      this.journalSequence = events.length > 0 ? events[events.length - 1].sequence : 0;
+
+      if (events.length === 0 && (this.activeInvestments.size > 0 || this.investmentHistory.length > 0)) {
+        const backfilled = backfillEvents(this.name, this.serializeState());
+        await journal.append(backfilled);
+        this.journalSequence = backfilled.length;
+        logger.info(`📒 Started the investment journal of bot "${this.name}" from its saved state (${backfilled.length} events)`);
+      }
+    } catch (error) {
+      logger.error('Error loading investment journal:', error.message);
+    }
+  }
+
+  /**
+   * Append an event to the investment journal
+   * @param {string} type - One of JOURNAL_EVENTS
+   * @param {Object} payload - Event fields (see services/journal.js)
+   * @returns {Promise<Object|null>} The event, or null if it could not be written
+   */
+  async recordEvent(type, payload) {
+    try {
+      // Not initialized: continue the journal where it ends
+      if (this.journalSequence === null) {
+        const events = await this.getJournal().read();
+        this.journalSequence = events.length > 0 ? events[events.length - 1].sequence : 0;
+      }
+
+      const event = {
+        sequence: ++this.journalSequence,
+        timestamp: this.now().toISOString(),
+        type,
+        bot: this.name,
+        cash: this.cash,
+        ...payload
+      };
+      await this.getJournal().append([event]);
+      return event;
+    } catch (error) {
+      logger.error('Error writing investment journal:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Journal config changes made through the API
+   * @param {Object} changes - { key: { from, to } } as returned by BotConfigStore.update()
+   * @param {string} source - Who made the change ('api', 'create')
+   */
+  async recordConfigChange(changes, source) {
+    if (Object.keys(changes).length > 0) {
+      await this.recordEvent(JOURNAL_EVENTS.CONFIG_CHANGED, { changes, source });
+    }
+  }
+
+  /**
+   * Journal an action taken by hand (start, stop, manual investment, ...)
+   * @param {string} action - Action name
+   * @param {Object} [details] - Extra event fields
+   */
+  async recordManualAction(action, details = {}) {
+    await this.recordEvent(JOURNAL_EVENTS.MANUAL_ACTION, { action, ...details });
+  }
+
+  /**
+   * Apply one journal event to this bot's in-memory state
+   * @param {Object} event - Journal event
+   */
+  applyJournalEvent(event) {
+    const { investment } = event;
+    this.cash += getCashDelta(event);
+
+    switch (event.type) {
+      case JOURNAL_EVENTS.OPENED:
+        this.activeInvestments.set(investment.poolId, { ...investment });
+        break;
+      case JOURNAL_EVENTS.EXITED:
+        this.activeInvestments.delete(investment.poolId);
+        this.investmentHistory.push({ ...investment });
+        this.updateStats(investment);
+        break;
+      case JOURNAL_EVENTS.VOIDED:
+        this.removeInvestment(investment);
+        break;
+      case JOURNAL_EVENTS.ANNOTATED: {
+        const annotated = this.findInvestment(event.investmentId);
+        if (annotated) {
+          this.applyAnnotation(annotated, event.changes);
+        }
+        break;
+      }
+      default:
+        // Config changes only move cash; manual actions are recorded for the audit trail
+        break;
+    }
+  }
+
+  /**
+   * Rebuild active investments, history, stats and cash from the journal alone
+   * @returns {Promise<Object>} { state (shaped like the saved state), events (number replayed) }
+   */
+  async replayJournal() {
+    const events = await this.getJournal().read();
+    const replica = new LiquidityMiningBot({ name: this.name, storage: this.storage, clock: this.clock, config: this.config });
+    replica.cash = getStartingCash(events, this.config.STARTING_CAPITAL);
+
+    for (const event of events) {
+      replica.applyJournalEvent(event);
+    }
+
+    const state = replica.serializeState();
+    state.lastUpdated = events.length > 0 ? events[events.length - 1].timestamp : null;
+    return { state, events: events.length };
+  }
+
+  /**
+   * Compare the saved state with the state rebuilt from the journal
+   * @returns {Promise<Object>} { bot, events, consistent, differences: [{ path, saved, rebuilt }] }
+   */
+  async checkJournal() {
+    // Load the saved state the way the bot does, so older files get the same defaults
+    const saved = new LiquidityMiningBot({ name: this.name, storage: this.storage, clock: this.clock, config: this.config });
+    await saved.loadInvestments();
+
+    const { state, events } = await this.replayJournal();
+    const differences = compareStates(saved.serializeState(), state);
+
+    return {
+      bot: this.name,
+      events,
+      consistent: differences.length === 0,
+      differences
+    };
+  }
+
+  /**
+   * Replace the bot's state with the one rebuilt from the journal and save it
+   * @returns {Promise<Object>} The rebuilt state
+   */
+  async restoreFromJournal() {
+    const { state } = await this.replayJournal();
+
+    this.activeInvestments = new Map(Object.entries(state.activeInvestments));
+    this.investmentHistory = state.investmentHistory;
+    this.stats = state.stats;
+    this.cash = state.cash;
+    await this.saveInvestments();
+
+    logger.info(`📒 Bot "${this.name}" restored from its journal: ${this.activeInvestments.size} active and ${this.investmentHistory.length} historical investments`);
+    return state;
+  }
+
+  /**
+   * Load saved investments
    */
   async loadInvestments() {
     try {
-      if (await fs.pathExists(BOT_CONFIG.DATA_FILE_PATH)) {
-        const data = await fs.readJson(BOT_CONFIG.DATA_FILE_PATH);
+      const data = await this.getInvestmentStore().load();
+      if (data) {
         
         // Load active investments
         this.activeInvestments = new Map();
@@ -394,7 +910,12 @@ class LiquidityMiningBot {
         this.investmentHistory = data.investmentHistory || [];
         
         // Load stats
-        this.stats = data.stats || this.stats;
+        this.stats = { ...this.stats, ...data.stats };
+
+        // Files written before the wallet existed: rebuild cash from the trades
+        this.cash = data.cash ?? (this.config.STARTING_CAPITAL +
+          this.investmentHistory.reduce((sum, investment) => sum + (investment.profitLoss || 0), 0) -
+          this.getInvestedCapital());
         
         logger.info(`📊 Loaded ${this.activeInvestments.size} active investments and ${this.investmentHistory.length} historical investments`);
       }
@@ -404,18 +925,24 @@ class LiquidityMiningBot {
   }
 
   /**
-   * Save investments to file
+   * State as saved by saveInvestments()
+   */
+  serializeState() {
+    return {
+      activeInvestments: Object.fromEntries(this.activeInvestments),
+      investmentHistory: this.investmentHistory,
+      stats: this.stats,
+      cash: this.cash,
+      lastUpdated: this.now().toISOString()
+    };
+  }
+
+  /**
+   * Save investments and stats
    */
   async saveInvestments() {
     try {
-      const data = {
-        activeInvestments: Object.fromEntries(this.activeInvestments),
-        investmentHistory: this.investmentHistory,
-        stats: this.stats,
-        lastUpdated: new Date().toISOString()
-      };
-      
-      await fs.writeJson(BOT_CONFIG.DATA_FILE_PATH, data, { spaces: 2 });
+      await this.getInvestmentStore().save(this.serializeState());
     } catch (error) {
       logger.error('Error saving investments:', error.message);
     }
@@ -426,6 +953,7 @@ class LiquidityMiningBot {
    */
   getStatus() {
     return {
+      name: this.name,
       isRunning: this.isRunning,
       activeInvestments: this.activeInvestments.size,
       totalInvestments: this.stats.totalInvestments,
@@ -433,11 +961,77 @@ class LiquidityMiningBot {
       failedExits: this.stats.failedExits,
       totalProfit: this.stats.totalProfit,
       totalLoss: this.stats.totalLoss,
+      totalFeeIncome: this.stats.totalFeeIncome,
+      totalImpermanentLoss: this.stats.totalImpermanentLoss,
       averageHoldingTime: this.stats.averageHoldingTime,
-      config: BOT_CONFIG
+      ...this.getWallet(),
+      unrealizedProfitLoss: this.getUnrealizedProfitLoss(),
+      strategy: this.strategy.name,
+      config: this.config
     };
   }
 
+  /**
+   * Capital currently tied up in active investments
+   */
+  getInvestedCapital() {
+    let invested = 0;
+    for (const investment of this.activeInvestments.values()) {
+      invested += investment.investmentAmount;
+    }
+    return invested;
+  }
+
+  /**
+   * P&L of one active investment: fees accrued so far plus impermanent loss at the last observed price
+   */
+  getPositionProfitLoss(investment) {
+    const price = investment.lastObservedPrice ?? investment.entryPrice;
+    return (investment.feesAccrued || 0) +
+      calculateImpermanentLoss(investment.entryPrice, price) * investment.investmentAmount;
+  }
+
+  /**
+   * P&L of active investments
+   */
+  getUnrealizedProfitLoss() {
+    let unrealized = 0;
+    for (const investment of this.activeInvestments.values()) {
+      unrealized += this.getPositionProfitLoss(investment);
+    }
+    return unrealized;
+  }
+
+  /**
+   * Simulated wallet: cash, capital in positions and equity (cash + positions marked to market)
+   */
+  getWallet() {
+    const investedCapital = this.getInvestedCapital();
+    return {
+      cash: this.cash,
+      investedCapital,
+      equity: this.cash + investedCapital + this.getUnrealizedProfitLoss()
+    };
+  }
+
+  /**
+   * Performance analytics of the investments (see services/analytics.js)
+   * @param {Object} [range]
+   * @param {string} [range.from] - Range start (defaults to the first entry)
+   * @param {string} [range.to] - Range end (defaults to now)
+   * @returns {Object} Equity curve, trade statistics, ratios, drawdown and P&L breakdowns
+   */
+  getAnalytics({ from, to } = {}) {
+    return getAnalytics({
+      history: this.investmentHistory,
+      active: this.getActiveInvestments().map(investment => ({ ...investment, unrealizedProfitLoss: this.getPositionProfitLoss(investment) })),
+      startingCapital: this.config.STARTING_CAPITAL,
+      now: this.now(),
+      from,
+      to
+    });
+  }
+
   /**
    * Get active investments
    */
@@ -453,10 +1047,30 @@ class LiquidityMiningBot {
   }
 
   /**
-   * Sleep utility
+   * Current time as seen by the bot
+   */
+  now() {
+    return this.clock.now();
+  }
+
+  /**
+   * Sleep utility (resolves early if the bot is stopped)
    */
   sleep(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+    return new Promise(resolve => {
+      const handle = this.clock.setTimeout(() => {
+        this.pendingSleep = null;
+        resolve();
+      }, ms);
+
+      this.pendingSleep = {
+        cancel: () => {
+          this.clock.clearTimeout(handle);
+          this.pendingSleep = null;
+          resolve();
+        }
+      };
+    });
   }
 }
 
@@ -0,0 +1,188 @@
+const fs = require('fs-extra');
+const path = require('path');
+const logger = require('../utils/logger');
+const { validateValues } = require('../utils/schema');
+const { getStrategy, listStrategies, validateStrategyParams } = require('../strategies');
+const { listSizingMethods } = require('../strategies/sizing');
+
+// Settings that can be changed at runtime (file paths are fixed per bot)
+const CONFIG_SCHEMA = {
+  HIGH_APY_THRESHOLD: { type: 'number', min: 0, max: 100, description: 'Minimum pool APY as a decimal (0.3 = 30%)' },
+  STARTING_CAPITAL: { type: 'number', min: 0, max: 1e12, description: 'Simulated wallet balance the bot starts with' },
+  INVESTMENT_AMOUNT: { type: 'number', min: 1, max: 1e9, description: 'USD invested per position' },
+  POSITION_SIZING: { type: 'string', description: 'How positions are sized' },
+  POSITION_SIZE_PERCENTAGE: { type: 'number', min: 0, max: 100, description: 'percent-of-equity: % of equity per position' },
+  MAX_POOL_SHARE_PERCENTAGE: { type: 'number', min: 0, max: 100, description: "liquidity-scaled: % of the pool's TVL per position" },
+  HOLDING_PERIOD_HOURS: { type: 'number', min: 0, max: 8760, description: 'Hours to hold each position' },
+  MAX_ACTIVE_INVESTMENTS: { type: 'number', integer: true, min: 1, max: 1000, description: 'Maximum number of simultaneous investments' },
+  MIN_LIQUIDITY: { type: 'number', min: 0, description: 'Minimum pool liquidity in USD' },
+  MIN_VOLUME_24H: { type: 'number', min: 0, description: 'Minimum 24h volume in USD' },
+  MAX_POOL_AGE_DAYS: { type: 'number', min: 0, max: 3650, description: 'Only invest in pools newer than this many days' },
+  CHECK_INTERVAL_MINUTES: { type: 'number', min: 0.1, max: 1440, description: 'Minutes between bot loop passes' },
+  MAX_DATA_AGE_MINUTES: { type: 'number', nullable: true, min: 1, max: 10080, description: 'Open no positions on pool data older than this many minutes (null = off)' },
+  STOP_LOSS_PERCENTAGE: { type: 'number', nullable: true, min: 0, max: 100, description: 'Exit when the pool price falls this % below entry (null = off)' },
+  TAKE_PROFIT_PERCENTAGE: { type: 'number', nullable: true, min: 0, description: 'Exit when the pool price rises this % above entry (null = off)' },
+  MIN_APY_RETENTION_PERCENTAGE: { type: 'number', nullable: true, min: 0, max: 100, description: 'Exit when APY drops below this % of the entry APY (null = off)' },
+  MIN_EXIT_LIQUIDITY: { type: 'number', nullable: true, min: 0, description: 'Exit when pool liquidity drains below this USD floor (null = off)' },
+  MAX_HOLDING_HOURS: { type: 'number', nullable: true, min: 0, max: 8760, description: 'Maximum hours to hold any position (null = off)' },
+  STRATEGY: { type: 'string', description: 'Entry/sizing/exit strategy' }
+};
+
+const DEFAULT_CONFIG_FILE_PATH = process.env.BOT_CONFIG_PATH || path.join(__dirname, '..', 'data', 'botConfig.json');
+const MAX_HISTORY_ENTRIES = 500;
+
+/**
+ * Persisted runtime configuration of a bot: the overrides applied on top of
+ * BOT_CONFIG and a history of every change.
+ */
+class BotConfigStore {
+  /**
+   * @param {string} [filePath] - Where overrides and history are persisted
+   */
+  constructor(filePath = DEFAULT_CONFIG_FILE_PATH) {
+    this.filePath = filePath;
+    this.overrides = {};
+    this.history = [];
+  }
+
+  /**
+   * Load persisted overrides and history
+   */
+  async load() {
+    try {
+      if (await fs.pathExists(this.filePath)) {
+        const data = await fs.readJson(this.filePath);
+        this.overrides = data.config || {};
+        this.history = data.history || [];
+        logger.info(`⚙️ Loaded ${Object.keys(this.overrides).length} bot config overrides`);
+      }
+    } catch (error) {
+      logger.error('Error loading bot config:', error.message);
+    }
+
+    return this.overrides;
+  }
+
+  /**
+   * Save overrides and history
+   */
+  async save() {
+    await fs.ensureDir(path.dirname(this.filePath));
+    await fs.writeJson(this.filePath, {
+      config: this.overrides,
+      history: this.history,
+      lastUpdated: new Date().toISOString()
+    }, { spaces: 2 });
+  }
+
+  getOverrides() {
+    return { ...this.overrides };
+  }
+
+  getHistory() {
+    return this.history;
+  }
+
+  /**
+   * Validate a partial config update
+   * @param {Object} changes - Settings to change
+   * @param {Object} currentConfig - The bot's current config
+   * @returns {Array<string>} Validation errors (empty if valid)
+   */
+  validate(changes, currentConfig) {
+    if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+      return ['Config update must be an object'];
+    }
+
+    const errors = [];
+    let strategy;
+
+    // An unknown STRATEGY is reported by the schema; its params can't be checked then
+    try {
+      strategy = getStrategy(changes.STRATEGY !== undefined ? changes.STRATEGY : currentConfig.STRATEGY);
+    } catch (error) {
+      strategy = null;
+    }
+
+    // Base settings are checked against CONFIG_SCHEMA, everything else must be a strategy param
+    const baseChanges = {};
+    const strategyChanges = {};
+    for (const [key, value] of Object.entries(changes)) {
+      if (key in CONFIG_SCHEMA) {
+        baseChanges[key] = value;
+      } else {
+        strategyChanges[key] = value;
+      }
+    }
+
+    errors.push(...validateValues(getConfigSchema(), baseChanges));
+
+    if (strategy) {
+      errors.push(...validateStrategyParams(strategy, strategyChanges));
+    }
+
+    return errors;
+  }
+
+  /**
+   * Persist a validated config update and record it in the history
+   * @param {Object} changes - Settings to change
+   * @param {Object} currentConfig - The bot's current config
+   * @param {Object} [meta] - Who/why, stored with the history entry
+   * @returns {Promise<Object>} The settings that actually changed ({ key: { from, to } })
+   */
+  async update(changes, currentConfig, meta = {}) {
+    const errors = this.validate(changes, currentConfig);
+    if (errors.length > 0) {
+      throw new Error(`Invalid config: ${errors.join('; ')}`);
+    }
+
+    const diff = {};
+    for (const [key, value] of Object.entries(changes)) {
+      if (currentConfig[key] !== value) {
+        diff[key] = { from: currentConfig[key] ?? null, to: value };
+      }
+    }
+
+    if (Object.keys(diff).length === 0) {
+      return diff;
+    }
+
+    this.overrides = { ...this.overrides, ...changes };
+    this.history.push({
+      timestamp: new Date().toISOString(),
+      changes: diff,
+      ...meta
+    });
+    this.history = this.history.slice(-MAX_HISTORY_ENTRIES);
+
+    await this.save();
+    logger.info(`⚙️ Bot config updated: ${Object.entries(diff).map(([key, { from, to }]) => `${key} ${from} → ${to}`).join(', ')}`);
+
+    return diff;
+  }
+}
+
+/**
+ * Schema of everything a bot's config update may contain: base settings plus its strategy's params
+ * @param {Object} [strategy] - The bot's current strategy (base settings only if omitted)
+ * @returns {Object} Field specs keyed by name
+ */
+function getConfigSchema(strategy) {
+  return {
+    ...CONFIG_SCHEMA,
+    STRATEGY: { ...CONFIG_SCHEMA.STRATEGY, enum: listStrategies().map(s => s.name) },
+    POSITION_SIZING: { ...CONFIG_SCHEMA.POSITION_SIZING, enum: listSizingMethods() },
+    ...(strategy ? Object.fromEntries(Object.entries(strategy.params).filter(([key]) => !(key in CONFIG_SCHEMA))) : {})
+  };
+}
+
+// Config store of the default bot
+const botConfigStore = new BotConfigStore();
+
+module.exports = {
+  CONFIG_SCHEMA,
+  BotConfigStore,
+  getConfigSchema,
+  botConfigStore
+};
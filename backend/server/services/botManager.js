@@ -0,0 +1,236 @@
+const fs = require('fs-extra');
+const path = require('path');
+const logger = require('../utils/logger');
+const { bot: defaultBot, LiquidityMiningBot, BOT_CONFIG } = require('./bot');
+const { BotConfigStore, botConfigStore } = require('./botConfig');
+const { getStorage } = require('../storage');
+const { eventHub } = require('./events');
+
+const BOTS_CONFIG = {
+  REGISTRY_FILE_PATH: process.env.BOTS_REGISTRY_PATH || path.join(__dirname, '..', 'data', 'bots.json'),
+  DATA_DIR: process.env.BOTS_DATA_DIR || path.join(__dirname, '..', 'data', 'bots') // One directory of state per named bot
+};
+
+const DEFAULT_BOT_NAME = 'default';
+const BOT_NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{0,39}$/;
+
+/**
+ * Checks a name for a new bot
+ * @param {string} name - Proposed bot name
+ * @returns {string|null} Validation error or null if valid
+ */
+function validateBotName(name) {
+  if (typeof name !== 'string' || !BOT_NAME_PATTERN.test(name)) {
+    return 'Bot name must be 1-40 lowercase letters, digits, "-" or "_", starting with a letter or digit';
+  }
+  if (name === DEFAULT_BOT_NAME) {
+    return `"${DEFAULT_BOT_NAME}" is reserved for the built-in bot`;
+  }
+  return null;
+}
+
+/**
+ * Runs several named bots side by side, each with its own config, state file and lifecycle.
+ * The built-in "default" bot keeps the original files and is always present.
+ */
+class BotManager {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.registryPath] - File listing the named bots
+   * @param {string} [options.dataDir] - Directory holding each named bot's state
+   * @param {EventHub} [options.events] - Hub every bot's events are published to
+   * @param {Object} [options.storage] - Storage of the named bots (defaults to the server's)
+   */
+  constructor(options = {}) {
+    this.registryPath = options.registryPath || BOTS_CONFIG.REGISTRY_FILE_PATH;
+    this.dataDir = options.dataDir || BOTS_CONFIG.DATA_DIR;
+    this.events = options.events || eventHub;
+    this.storage = options.storage || null;
+    this.bots = new Map([
+      [DEFAULT_BOT_NAME, { name: DEFAULT_BOT_NAME, bot: defaultBot, configStore: botConfigStore, createdAt: null }]
+    ]);
+    this.events.trackBot(defaultBot);
+  }
+
+  /**
+   * Loads the named bots and every bot's saved config, then initializes them
+   */
+  async load() {
+    await this.loadRegistry();
+
+    for (const entry of this.bots.values()) {
+      await this.applySavedConfig(entry);
+      await entry.bot.initialize();
+    }
+
+    logger.info(`🤖 ${this.bots.size} bots loaded`);
+  }
+
+  /**
+   * Adds the named bots listed in the registry, without loading their state
+   */
+  async loadRegistry() {
+    try {
+      if (await fs.pathExists(this.registryPath)) {
+        const data = await fs.readJson(this.registryPath);
+        for (const { name, createdAt } of data.bots || []) {
+          this.bots.set(name, this.createEntry(name, createdAt));
+        }
+      }
+    } catch (error) {
+      logger.error('Error loading bot registry:', error.message);
+    }
+  }
+
+  /**
+   * Writes the list of named bots
+   */
+  async saveRegistry() {
+    const bots = Array.from(this.bots.values())
+      .filter(entry => entry.name !== DEFAULT_BOT_NAME)
+      .map(({ name, createdAt }) => ({ name, createdAt }));
+
+    await fs.ensureDir(path.dirname(this.registryPath));
+    await fs.writeJson(this.registryPath, {
+      lastUpdated: new Date().toISOString(),
+      bots
+    }, { spaces: 2 });
+  }
+
+  /**
+   * Builds a bot whose state lives in its own directory
+   * @param {string} name - Bot name
+   * @param {string} createdAt - ISO timestamp the bot was created
+   * @returns {Object} Bot entry ({ name, bot, configStore, createdAt })
+   */
+  createEntry(name, createdAt) {
+    const dir = path.join(this.dataDir, name);
+    const bot = new LiquidityMiningBot({
+      name,
+      storage: this.storage,
+      config: {
+        DATA_FILE_PATH: path.join(dir, 'botInvestments.json'),
+        LOG_FILE_PATH: path.join(dir, 'botActivity.log')
+      }
+    });
+    this.events.trackBot(bot);
+
+    return {
+      name,
+      createdAt,
+      bot,
+      configStore: new BotConfigStore(path.join(dir, 'botConfig.json'))
+    };
+  }
+
+  /**
+   * Applies a bot's persisted config overrides, skipping them if they no longer validate
+   * @param {Object} entry - Bot entry
+   */
+  async applySavedConfig(entry) {
+    const overrides = await entry.configStore.load();
+    const errors = entry.configStore.validate(overrides, entry.bot.config);
+
+    if (errors.length > 0) {
+      logger.warn(`⚠️ Ignoring invalid saved config for bot "${entry.name}": ${errors.join('; ')}`);
+      return;
+    }
+
+    entry.bot.applyConfig(overrides);
+  }
+
+  /**
+   * Validates the config a new bot would start with
+   * @param {Object} config - Settings overriding BOT_CONFIG
+   * @returns {Array<string>} Validation errors (empty if valid)
+   */
+  validateConfig(config) {
+    return botConfigStore.validate(config, BOT_CONFIG);
+  }
+
+  has(name) {
+    return this.bots.has(name);
+  }
+
+  /**
+   * @param {string} name - Bot name
+   * @returns {Object|undefined} Bot entry
+   */
+  get(name) {
+    return this.bots.get(name);
+  }
+
+  /**
+   * @returns {Array<Object>} All bot entries, default first
+   */
+  list() {
+    return Array.from(this.bots.values());
+  }
+
+  /**
+   * Creates and initializes a named bot
+   * @param {string} name - Bot name
+   * @param {Object} [config] - Settings overriding BOT_CONFIG
+   * @returns {Promise<Object>} The new bot entry
+   */
+  async create(name, config = {}) {
+    const nameError = validateBotName(name);
+    if (nameError) {
+      throw new Error(nameError);
+    }
+    if (this.bots.has(name)) {
+      throw new Error(`Bot already exists: ${name}`);
+    }
+
+    const entry = this.createEntry(name, new Date().toISOString());
+
+    const changes = await entry.configStore.update(config, entry.bot.config, { source: 'create' });
+    entry.bot.applyConfig(config);
+    await entry.bot.initialize();
+    await entry.bot.recordConfigChange(changes, 'create');
+
+    this.bots.set(name, entry);
+    await this.saveRegistry();
+    logger.info(`🆕 Bot "${name}" created`);
+
+    return entry;
+  }
+
+  /**
+   * Stops a named bot and deletes it along with its state files
+   * @param {string} name - Bot name
+   * @returns {Promise<boolean>} False if there was no such bot
+   */
+  async remove(name) {
+    if (name === DEFAULT_BOT_NAME) {
+      throw new Error(`The ${DEFAULT_BOT_NAME} bot cannot be deleted`);
+    }
+
+    const entry = this.bots.get(name);
+    if (!entry) {
+      return false;
+    }
+
+    entry.bot.stop();
+    this.events.untrackBot(entry.bot);
+    this.bots.delete(name);
+    await this.saveRegistry();
+    await (this.storage || getStorage()).removeBot(name, { filePath: entry.bot.config.DATA_FILE_PATH });
+    await fs.remove(path.join(this.dataDir, name));
+
+    logger.info(`🗑️ Bot "${name}" deleted`);
+    return true;
+  }
+}
+
+// Bots served by the API
+const botManager = new BotManager();
+
+module.exports = {
+  BOTS_CONFIG,
+  DEFAULT_BOT_NAME,
+  BOT_NAME_PATTERN,
+  validateBotName,
+  BotManager,
+  botManager
+};
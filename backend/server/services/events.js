@@ -0,0 +1,134 @@
+const EventEmitter = require('events');
+const { envNumber } = require('../utils/env');
+
+// Event types pushed to clients, with where they come from
+const EVENT_TYPES = [
+  'investment.opened', // A bot opened a position
+  'investment.exited', // A bot closed a position
+  'investment.voided', // A position was removed by hand as if it never happened
+  'investment.annotated', // A position's tags or notes were changed
+  'bot.started',
+  'bot.stopped',
+  'loop.error', // A bot pass failed
+  'pools.refreshed' // The pool cache was refreshed
+];
+
+const BOT_EVENT_TYPES = EVENT_TYPES.filter(type => type !== 'pools.refreshed');
+
+const EVENTS_CONFIG = {
+  BUFFER_SIZE: envNumber('EVENT_BUFFER_SIZE', 200) // Recent events kept for clients that reconnect
+};
+
+/**
+ * Collects events from every bot and the refresh scheduler, numbers them and
+ * hands them to subscribers (the SSE route). Recent events are kept so a
+ * client that reconnects can catch up from the last id it saw.
+ *
+ * Each event is { id, type, timestamp, bot, data }, where bot is the bot's
+ * name or null for events that are not about a bot.
+ */
+class EventHub extends EventEmitter {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.bufferSize] - Recent events to keep
+   */
+  constructor(options = {}) {
+    super();
+    this.setMaxListeners(0); // One listener per connected client
+    this.bufferSize = options.bufferSize ?? EVENTS_CONFIG.BUFFER_SIZE;
+    this.recent = [];
+    this.nextId = 1;
+    this.trackedBots = new Map();
+  }
+
+  /**
+   * Numbers an event, keeps it and hands it to subscribers
+   * @param {string} type - One of EVENT_TYPES
+   * @param {Object} data - Event payload
+   * @param {Object} [meta]
+   * @param {string} [meta.bot] - Name of the bot the event is about
+   * @returns {Object} The published event
+   */
+  publish(type, data, { bot = null } = {}) {
+    const event = {
+      id: this.nextId++,
+      type,
+      timestamp: new Date().toISOString(),
+      bot,
+      data
+    };
+
+    this.recent.push(event);
+    if (this.recent.length > this.bufferSize) {
+      this.recent.shift();
+    }
+
+    this.emit('event', event);
+    return event;
+  }
+
+  /**
+   * Publishes a bot's events, each with the bot's status after the change
+   * @param {LiquidityMiningBot} bot - Bot to follow
+   */
+  trackBot(bot) {
+    if (this.trackedBots.has(bot)) {
+      return;
+    }
+
+    const listeners = BOT_EVENT_TYPES.map(type => {
+      const listener = data => this.publish(type, { ...data, status: bot.getStatus() }, { bot: bot.name });
+      bot.on(type, listener);
+      return [type, listener];
+    });
+    this.trackedBots.set(bot, listeners);
+  }
+
+  /**
+   * Stops publishing a bot's events
+   * @param {LiquidityMiningBot} bot - Bot to stop following
+   */
+  untrackBot(bot) {
+    for (const [type, listener] of this.trackedBots.get(bot) || []) {
+      bot.off(type, listener);
+    }
+    this.trackedBots.delete(bot);
+  }
+
+  /**
+   * Publishes pools.refreshed from a refresh scheduler
+   * @param {RefreshScheduler} scheduler - Scheduler to follow
+   */
+  trackRefreshes(scheduler) {
+    scheduler.on('pools.refreshed', data => this.publish('pools.refreshed', data));
+  }
+
+  /**
+   * Kept events newer than an id
+   * @param {number} afterId - Last id the client saw
+   * @returns {Array<Object>} Events, oldest first
+   */
+  getEventsSince(afterId) {
+    return this.recent.filter(event => event.id > afterId);
+  }
+
+  /**
+   * Subscribes to new events
+   * @param {Function} listener - (event) => void
+   * @returns {Function} Unsubscribes the listener
+   */
+  subscribe(listener) {
+    this.on('event', listener);
+    return () => this.off('event', listener);
+  }
+}
+
+// Create singleton instance
+const eventHub = new EventHub();
+
+module.exports = {
+  EVENT_TYPES,
+  EVENTS_CONFIG,
+  EventHub,
+  eventHub
+};
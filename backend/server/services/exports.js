@@ -0,0 +1,329 @@
+/**
+ * CSV and NDJSON exports of investments, pool snapshots and trade reports
+ * (GET /api/bot/export/:dataset, GET /api/export/snapshots, npm run export).
+ *
+ * Rows are written one at a time and a report keeps one running total per
+ * group. How rows are read depends on the storage driver: SQLite reads
+ * investments in batches, but the JSON driver loads the bot's whole state
+ * file before the first row (see JsonInvestmentStore.iterate). Snapshots are
+ * read one refresh at a time with either driver.
+ */
+
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const { readFields } = require('../utils/schema');
+
+const EXPORT_FORMATS = ['csv', 'ndjson'];
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  ndjson: 'application/x-ndjson; charset=utf-8'
+};
+
+const INVESTMENT_COLUMNS = [
+  'id', 'poolId', 'poolName', 'protocol', 'strategy', 'status', 'entryTimestamp', 'exitTimestamp',
+  'investmentAmount', 'entryApy', 'exitApy', 'entryPrice', 'exitPrice', 'entryLiquidity', 'entryVolume24h',
+  'feesAccrued', 'lastObservedApy', 'lastObservedPrice', 'lastAccrualTimestamp', 'exitReason', 'holdingTimeHours',
+  'feeIncome', 'impermanentLoss', 'impermanentLossPercentage', 'profitLoss', 'profitLossPercentage', 'tags', 'notes'
+];
+
+const SNAPSHOT_COLUMNS = [
+  'timestamp', 'poolId', 'name', 'protocol', 'mint_account', 'apy', 'apy_24h', 'apy_7d', 'apy_30d',
+  'liquidity', 'price', 'volume_24h', 'volume_7d', 'volume_30d'
+];
+
+const REPORT_STAT_COLUMNS = ['trades', 'wins', 'losses', 'invested', 'feeIncome', 'impermanentLoss', 'profitLoss', 'returnPercentage'];
+
+// Report groups: closed trades per period of their exit, or per pool
+const REPORT_GROUPS = {
+  period: ['period', ...REPORT_STAT_COLUMNS],
+  pool: ['poolId', 'poolName', 'protocol', ...REPORT_STAT_COLUMNS]
+};
+
+const REPORT_PERIODS = ['day', 'week', 'month'];
+
+const EXPORT_DATASETS = {
+  history: 'Exited investments (filtered on exit time)',
+  active: 'Active positions (filtered on entry time)',
+  report: 'Closed trades summed per period or per pool',
+  snapshots: 'Pool snapshots of every refresh'
+};
+
+// Datasets read from one bot's investments; snapshots belong to no bot
+const BOT_EXPORT_DATASETS = ['history', 'active', 'report'];
+
+/**
+ * Columns a dataset can export
+ * @param {string} dataset - Dataset name
+ * @param {string} [by] - Report grouping
+ * @returns {Array<string>} Columns in their default order
+ */
+function getExportColumns(dataset, by = 'period') {
+  switch (dataset) {
+    case 'report':
+      return REPORT_GROUPS[by] || REPORT_GROUPS.period;
+    case 'snapshots':
+      return SNAPSHOT_COLUMNS;
+    default:
+      return INVESTMENT_COLUMNS;
+  }
+}
+
+// Query parameters of the export routes (and options of npm run export)
+const EXPORT_QUERY_SCHEMA = {
+  format: { type: 'string', enum: EXPORT_FORMATS, default: 'csv' },
+  columns: { type: 'array', items: { type: 'string' }, minItems: 1, description: 'Comma-separated columns to write, in this order' },
+  from: { type: 'string', format: 'date-time', description: 'Earliest row time' },
+  to: { type: 'string', format: 'date-time', description: 'Latest row time' },
+  poolId: { type: 'string', description: 'Only this pool (id or mint account)' },
+  by: { type: 'string', enum: Object.keys(REPORT_GROUPS), default: 'period', description: 'report: how trades are grouped' },
+  period: { type: 'string', enum: REPORT_PERIODS, default: 'month', description: 'report: period length when grouped by period' }
+};
+
+/**
+ * Options for exportLines() from validated query values, with the columns
+ * checked against the dataset
+ * @param {string} dataset - history, active, report or snapshots
+ * @param {Object} values - Values of EXPORT_QUERY_SCHEMA with their defaults (req.input.query)
+ * @returns {{options: Object, errors: Array<string>}} Options for exportLines() and dataset or column errors
+ */
+function toExportOptions(dataset, values) {
+  const errors = [];
+  const options = {
+    format: values.format,
+    columns: values.columns || null,
+    from: values.from ? new Date(values.from).toISOString() : null,
+    to: values.to ? new Date(values.to).toISOString() : null,
+    poolId: values.poolId || null,
+    by: values.by,
+    period: values.period
+  };
+
+  if (!EXPORT_DATASETS[dataset]) {
+    return { options, errors: [`dataset must be one of: ${Object.keys(EXPORT_DATASETS).join(', ')}`] };
+  }
+
+  if (options.columns) {
+    const available = getExportColumns(dataset, options.by);
+    const unknown = options.columns.filter(column => !available.includes(column));
+    if (unknown.length > 0) {
+      errors.push(`columns has unknown values: ${unknown.join(', ')} (available: ${available.join(', ')})`);
+    }
+  }
+
+  return { options, errors };
+}
+
+/**
+ * Reads and validates raw export options
+ * @param {string} dataset - history, active, report or snapshots
+ * @param {Object} query - Query string values as received (or the CLI options in the same shape)
+ * @returns {{options: Object, errors: Array<string>}} Options for exportLines() and validation errors
+ */
+function parseExportQuery(dataset, query = {}) {
+  const { values, errors } = readFields(EXPORT_QUERY_SCHEMA, query, { coerce: true, defaults: true, additional: true });
+  const { options, errors: datasetErrors } = toExportOptions(dataset, values);
+  if (!EXPORT_DATASETS[dataset]) {
+    return { options, errors: datasetErrors };
+  }
+  return { options, errors: [...errors.map(error => error.message), ...datasetErrors] };
+}
+
+/**
+ * @param {*} value - Field value
+ * @returns {string} The value as a CSV field, quoted when needed
+ */
+function toCsvField(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Formats records as lines of CSV (with a header) or NDJSON
+ * @param {AsyncIterable<Object>|Iterable<Object>} records - Records to write
+ * @param {Object} options
+ * @param {string} options.format - csv or ndjson
+ * @param {Array<string>|null} options.columns - Selected columns; NDJSON keeps whole records without a selection
+ * @param {Array<string>} defaultColumns - CSV columns without a selection
+ * @yields {string} Lines ending with a newline
+ */
+async function* formatLines(records, { format, columns }, defaultColumns) {
+  if (format === 'csv') {
+    const header = columns || defaultColumns;
+    const toRow = record => header.map(column => toCsvField(record[column])).join(',') + '\n';
+    // Open the source before the header, so sendExport sees a source that fails to open
+    const iterator = (async function* () { yield* records; })();
+    const first = await iterator.next();
+    yield header.join(',') + '\n';
+    if (!first.done) {
+      yield toRow(first.value);
+      for await (const record of iterator) {
+        yield toRow(record);
+      }
+    }
+    return;
+  }
+
+  for await (const record of records) {
+    const line = columns ? Object.fromEntries(columns.map(column => [column, record[column] ?? null])) : record;
+    yield JSON.stringify(line) + '\n';
+  }
+}
+
+/**
+ * Period a time falls in
+ * @param {string} timestamp - ISO timestamp
+ * @param {string} period - day, week (starting Monday) or month
+ * @returns {string} 2025-01-31 for days and weeks (the Monday), 2025-01 for months
+ */
+function getPeriodKey(timestamp, period) {
+  const date = new Date(timestamp);
+  switch (period) {
+    case 'month':
+      return date.toISOString().slice(0, 7);
+    case 'week': {
+      const daysSinceMonday = (date.getUTCDay() + 6) % 7;
+      return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() - daysSinceMonday)).toISOString().slice(0, 10);
+    }
+    default:
+      return date.toISOString().slice(0, 10);
+  }
+}
+
+/**
+ * Sums closed trades per period or per pool
+ * @param {AsyncIterable<Object>} investments - Exited investments
+ * @param {Object} options - { by: 'period' | 'pool', period: 'day' | 'week' | 'month' }
+ * @returns {Promise<Array<Object>>} One row per group: periods in time order, pools by P&L (best first).
+ *   feeIncome and impermanentLoss are null when no trade in the group recorded them.
+ */
+async function buildReport(investments, { by, period }) {
+  const groups = new Map();
+
+  for await (const investment of investments) {
+    const key = by === 'pool' ? investment.poolId : getPeriodKey(investment.exitTimestamp, period);
+    if (!groups.has(key)) {
+      const fields = by === 'pool'
+        ? { poolId: investment.poolId, poolName: investment.poolName, protocol: investment.protocol }
+        : { period: key };
+      groups.set(key, { ...fields, trades: 0, wins: 0, losses: 0, invested: 0, feeIncome: null, impermanentLoss: null, profitLoss: 0 });
+    }
+
+    const group = groups.get(key);
+    group.trades++;
+    group.invested += investment.investmentAmount || 0;
+    group.profitLoss += investment.profitLoss || 0;
+    if (investment.profitLoss > 0) {
+      group.wins++;
+    } else {
+      group.losses++;
+    }
+    for (const field of ['feeIncome', 'impermanentLoss']) {
+      if (typeof investment[field] === 'number') {
+        group[field] = (group[field] || 0) + investment[field];
+      }
+    }
+  }
+
+  const rows = Array.from(groups.values()).map(group => ({
+    ...group,
+    returnPercentage: group.invested > 0 ? (group.profitLoss / group.invested) * 100 : null
+  }));
+  return by === 'pool'
+    ? rows.sort((a, b) => b.profitLoss - a.profitLoss)
+    : rows.sort((a, b) => a.period.localeCompare(b.period));
+}
+
+/**
+ * Snapshots of every refresh in a time range, one refresh in memory at a time
+ * @param {Object} storage - Storage holding the snapshots
+ * @param {Object} options - { poolId, from, to }
+ * @yields {Object} Snapshot records
+ */
+async function* iterateSnapshots(storage, { poolId, from, to }) {
+  for await (const refresh of storage.iterateRefreshes({ from, to })) {
+    for (const snapshot of refresh.pools) {
+      if (!poolId || snapshot.poolId === poolId || snapshot.mint_account === poolId) {
+        yield snapshot;
+      }
+    }
+  }
+}
+
+/**
+ * Lines of an export
+ * @param {string} dataset - history, active, report or snapshots
+ * @param {Object} options - Parsed options (see parseExportQuery)
+ * @param {Object} sources
+ * @param {Object} [sources.store] - The bot's InvestmentStore (history, active and report)
+ * @param {Object} [sources.storage] - Storage holding the snapshots (snapshots)
+ * @returns {AsyncIterable<string>} Lines ending with a newline
+ */
+function exportLines(dataset, options, { store, storage }) {
+  const { poolId, from, to } = options;
+  const columns = getExportColumns(dataset, options.by);
+
+  switch (dataset) {
+    case 'history':
+      return formatLines(store.iterate({ status: 'exited', poolId, from, to }), options, columns);
+    case 'active':
+      return formatLines(store.iterate({ status: 'active', poolId, from, to }), options, columns);
+    case 'report':
+      return formatLines((async function* () {
+        yield* await buildReport(store.iterate({ status: 'exited', poolId, from, to }), options);
+      })(), options, columns);
+    case 'snapshots':
+      return formatLines(iterateSnapshots(storage, { poolId, from, to }), options, columns);
+    default:
+      throw new Error(`Unknown export dataset: ${dataset}`);
+  }
+}
+
+/**
+ * Writes lines to a stream, waiting whenever it is full
+ * @param {AsyncIterable<string>} lines - Lines to write
+ * @param {Writable} output - Response or file stream; ended when done
+ */
+function writeLines(lines, output) {
+  return pipeline(Readable.from(lines), output);
+}
+
+/**
+ * Streams an export as a file download. The first line is read before any
+ * header is sent, so a source that fails to open still gets an error response.
+ * @param {Object} res - Express response
+ * @param {string} filename - Download name without extension
+ * @param {string} format - csv or ndjson
+ * @param {AsyncIterable<string>} lines - Lines to send
+ */
+async function sendExport(res, filename, format, lines) {
+  const iterator = lines[Symbol.asyncIterator]();
+  const first = await iterator.next();
+
+  res.setHeader('Content-Type', CONTENT_TYPES[format]);
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}.${format}"`);
+  await writeLines((async function* () {
+    if (!first.done) {
+      yield first.value;
+      yield* { [Symbol.asyncIterator]: () => iterator };
+    }
+  })(), res);
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  EXPORT_DATASETS,
+  BOT_EXPORT_DATASETS,
+  REPORT_PERIODS,
+  EXPORT_QUERY_SCHEMA,
+  getExportColumns,
+  toExportOptions,
+  parseExportQuery,
+  buildReport,
+  exportLines,
+  writeLines,
+  sendExport
+};
@@ -0,0 +1,211 @@
+/**
+ * Filtering, sorting, cursor pagination and aggregates for investment history
+ * (GET /api/bot/investments/history).
+ */
+
+const { readFields } = require('../utils/schema');
+
+const HISTORY_SORT_FIELDS = [
+  'exitTimestamp', 'entryTimestamp', 'profitLoss', 'profitLossPercentage', 'holdingTimeHours',
+  'investmentAmount', 'entryApy', 'feeIncome', 'poolName'
+];
+
+const HISTORY_STATUSES = ['exited', 'active', 'all'];
+
+const HISTORY_LIMITS = {
+  DEFAULT: 50,
+  MAX: 500
+};
+
+/**
+ * Cursor pointing just after an investment in a sort order
+ * @param {Object} investment - Last investment of a page
+ * @param {string} sort - Sort field
+ * @param {string} order - 'asc' or 'desc'
+ * @returns {string} Opaque cursor
+ */
+function encodeCursor(investment, sort, order) {
+  const payload = { sort, order, value: investment[sort] ?? null, id: investment.id };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+/**
+ * @param {string} cursor - Cursor from a previous page
+ * @returns {Object|null} { sort, order, value, id }, or null if it is not a cursor
+ */
+function decodeCursor(cursor) {
+  try {
+    const payload = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    return payload && typeof payload.id === 'string' && HISTORY_SORT_FIELDS.includes(payload.sort) ? payload : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Query parameters of GET /api/bot/investments/history
+const HISTORY_QUERY_SCHEMA = {
+  status: { type: 'string', enum: HISTORY_STATUSES, default: 'exited' },
+  from: { type: 'string', format: 'date-time', description: 'Earliest exit time (entry time for active positions)' },
+  to: { type: 'string', format: 'date-time', description: 'Latest exit time (entry time for active positions)' },
+  poolId: { type: 'string', description: 'Exact pool id' },
+  poolName: { type: 'string', description: 'Case-insensitive part of the pool name' },
+  protocol: { type: 'string', description: 'Protocol (any case)' },
+  exitReason: { type: 'string', description: 'Exact exit reason' },
+  profitable: { type: 'boolean', description: 'true for P&L > 0, false for the rest' },
+  minProfitLoss: { type: 'number', description: 'Lowest P&L in USD' },
+  maxProfitLoss: { type: 'number', description: 'Highest P&L in USD' },
+  sort: { type: 'string', enum: HISTORY_SORT_FIELDS, default: 'exitTimestamp' },
+  order: { type: 'string', enum: ['asc', 'desc'], default: 'desc' },
+  limit: { type: 'number', integer: true, min: 1, max: HISTORY_LIMITS.MAX, default: HISTORY_LIMITS.DEFAULT },
+  cursor: { type: 'string', description: 'nextCursor of the previous page' }
+};
+
+/**
+ * Options for queryHistory() from validated query values, with the cursor decoded
+ * @param {Object} values - Values of HISTORY_QUERY_SCHEMA with their defaults (req.input.query)
+ * @returns {{options: Object, errors: Array<string>}} Options for queryHistory() and cursor errors
+ */
+function toHistoryOptions(values) {
+  const errors = [];
+  const options = {
+    status: values.status,
+    poolId: values.poolId || null,
+    poolName: values.poolName || null,
+    protocol: values.protocol || null,
+    exitReason: values.exitReason || null,
+    from: values.from ? new Date(values.from).toISOString() : null,
+    to: values.to ? new Date(values.to).toISOString() : null,
+    profitable: values.profitable ?? null,
+    minProfitLoss: values.minProfitLoss ?? null,
+    maxProfitLoss: values.maxProfitLoss ?? null,
+    sort: values.sort,
+    order: values.order,
+    limit: values.limit,
+    cursor: null
+  };
+
+  if (values.cursor !== undefined) {
+    options.cursor = decodeCursor(values.cursor);
+    if (!options.cursor) {
+      errors.push('cursor is not valid');
+    } else if (options.cursor.sort !== options.sort || options.cursor.order !== options.order) {
+      errors.push('cursor belongs to a different sort; request the first page again');
+    }
+  }
+
+  return { options, errors };
+}
+
+/**
+ * Reads and validates raw history query parameters
+ * @param {Object} query - Query string values as received
+ * @returns {{options: Object, errors: Array<string>}} Options for queryHistory() and validation errors
+ */
+function parseHistoryQuery(query = {}) {
+  const { values, errors } = readFields(HISTORY_QUERY_SCHEMA, query, { coerce: true, defaults: true, additional: true });
+  const { options, errors: cursorErrors } = toHistoryOptions(values);
+  return { options, errors: [...errors.map(error => error.message), ...cursorErrors] };
+}
+
+/**
+ * Checks an investment against the history filters
+ * @param {Object} investment - Investment record
+ * @param {Object} options - Parsed query (see parseHistoryQuery)
+ * @returns {boolean} True if it matches
+ */
+function matchesFilters(investment, options) {
+  const time = investment.exitTimestamp || investment.entryTimestamp;
+  const profitLoss = investment.profitLoss;
+
+  return (options.status === 'all' || investment.status === options.status) &&
+    (!options.poolId || investment.poolId === options.poolId) &&
+    (!options.poolName || (investment.poolName || '').toLowerCase().includes(options.poolName.toLowerCase())) &&
+    (!options.protocol || (investment.protocol || '').toLowerCase() === options.protocol.toLowerCase()) &&
+    (!options.exitReason || investment.exitReason === options.exitReason) &&
+    (!options.from || time >= options.from) &&
+    (!options.to || time <= options.to) &&
+    (options.profitable === null || (profitLoss !== null && profitLoss !== undefined && (profitLoss > 0) === options.profitable)) &&
+    (options.minProfitLoss === null || (profitLoss !== null && profitLoss !== undefined && profitLoss >= options.minProfitLoss)) &&
+    (options.maxProfitLoss === null || (profitLoss !== null && profitLoss !== undefined && profitLoss <= options.maxProfitLoss));
+}
+
+/**
+ * Orders two sort keys: by value in the requested order with missing values
+ * (e.g. exit fields of active positions) last, then by id so the order is total
+ * @returns {number} Negative if a comes first
+ */
+function compareKeys(a, b, order) {
+  const aMissing = a.value === null || a.value === undefined;
+  const bMissing = b.value === null || b.value === undefined;
+
+  if (aMissing !== bMissing) {
+    return aMissing ? 1 : -1;
+  }
+  if (!aMissing && a.value !== b.value) {
+    const ascending = typeof a.value === 'string' ? a.value.localeCompare(b.value) : a.value - b.value;
+    return order === 'asc' ? ascending : -ascending;
+  }
+  return a.id < b.id ? -1 : a.id > b.id ? 1 : 0;
+}
+
+/**
+ * Totals over a set of investments
+ * @param {Array<Object>} investments - Filtered investments
+ * @returns {Object} Counts, sums, averages and extremes of the closed positions' results
+ */
+function getHistoryAggregates(investments) {
+  const closed = investments.filter(investment => investment.profitLoss !== null && investment.profitLoss !== undefined);
+  const sum = (list, field) => list.reduce((total, investment) => total + (investment[field] || 0), 0);
+  const average = (list, field) => (list.length > 0 ? sum(list, field) / list.length : null);
+  const profitable = closed.filter(investment => investment.profitLoss > 0).length;
+
+  return {
+    count: investments.length,
+    totalInvested: sum(investments, 'investmentAmount'),
+    totalProfitLoss: sum(closed, 'profitLoss'),
+    totalFeeIncome: sum(closed, 'feeIncome'),
+    totalImpermanentLoss: sum(closed, 'impermanentLoss'),
+    profitable,
+    unprofitable: closed.length - profitable,
+    winRate: closed.length > 0 ? profitable / closed.length : null,
+    averageProfitLoss: average(closed, 'profitLoss'),
+    averageProfitLossPercentage: average(closed, 'profitLossPercentage'),
+    averageHoldingTimeHours: average(closed, 'holdingTimeHours'),
+    bestProfitLoss: closed.length > 0 ? Math.max(...closed.map(investment => investment.profitLoss)) : null,
+    worstProfitLoss: closed.length > 0 ? Math.min(...closed.map(investment => investment.profitLoss)) : null
+  };
+}
+
+/**
+ * Filters, sorts and pages investments
+ * @param {Array<Object>} investments - History and/or active investments
+ * @param {Object} options - Parsed query (see parseHistoryQuery)
+ * @returns {{data: Array, total: number, aggregates: Object, nextCursor: string|null}} One page plus totals of the filtered set
+ */
+function queryHistory(investments, options) {
+  const { sort, order, limit, cursor } = options;
+  const key = investment => ({ value: investment[sort], id: investment.id });
+
+  const filtered = investments.filter(investment => matchesFilters(investment, options));
+  const sorted = filtered.slice().sort((a, b) => compareKeys(key(a), key(b), order));
+  const remaining = cursor ? sorted.filter(investment => compareKeys(key(investment), cursor, order) > 0) : sorted;
+  const data = remaining.slice(0, limit);
+
+  return {
+    data,
+    total: filtered.length,
+    aggregates: getHistoryAggregates(filtered),
+    nextCursor: remaining.length > limit ? encodeCursor(data[data.length - 1], sort, order) : null
+  };
+}
+
+module.exports = {
+  HISTORY_SORT_FIELDS,
+  HISTORY_STATUSES,
+  HISTORY_LIMITS,
+  HISTORY_QUERY_SCHEMA,
+  toHistoryOptions,
+  parseHistoryQuery,
+  queryHistory,
+  getHistoryAggregates
+};
@@ -0,0 +1,182 @@
+/**
+ * Investment event journal.
+ *
+ * Every change to a bot's investments is appended to its journal as one
+ * event carrying the full payload, so the saved state (botInvestments.json
+ * or the investments table) can be rebuilt from scratch and checked
+ * against it. Events are { sequence, timestamp, type, bot, cash, ...payload }
+ * where cash is the wallet balance after the event:
+ *
+ * - investment.opened { investment } - position as opened
+ * - investment.exited { investment } - position as closed, with its P&L
+ * - investment.voided { investment, actor, reason } - position removed as if
+ *   it never happened: its capital (active) or P&L (exited) is undone and it
+ *   leaves the stats
+ * - investment.annotated { investmentId, poolId, changes: { tags|notes: { from, to } }, actor, reason }
+ * - config.changed { changes: { key: { from, to } }, source }
+ * - manual.action { action, actor, reason, ...details } - start, stop, manual investments and exits
+ *
+ * Events written from a state saved before the journal existed carry
+ * backfilled: true.
+ */
+
+const JOURNAL_EVENTS = {
+  OPENED: 'investment.opened',
+  EXITED: 'investment.exited',
+  VOIDED: 'investment.voided',
+  ANNOTATED: 'investment.annotated',
+  CONFIG_CHANGED: 'config.changed',
+  MANUAL_ACTION: 'manual.action'
+};
+
+// Marked to market on every pass without an event; a rebuilt position starts again from its entry values
+const ACCRUAL_FIELDS = ['feesAccrued', 'lastObservedApy', 'lastObservedPrice', 'lastAccrualTimestamp'];
+
+const EXIT_FIELDS = [
+  'exitTimestamp', 'exitApy', 'exitPrice', 'exitReason', 'feeIncome', 'impermanentLoss',
+  'impermanentLossPercentage', 'profitLoss', 'profitLossPercentage', 'holdingTimeHours'
+];
+
+// Numbers closer than this are equal (sums replayed in a different order differ in the last digits)
+const TOLERANCE = 1e-6;
+
+/**
+ * Change of wallet cash caused by an event
+ * @param {Object} event - Journal event
+ * @returns {number} Amount added to cash (negative when spent)
+ */
+function getCashDelta(event) {
+  switch (event.type) {
+    case JOURNAL_EVENTS.OPENED:
+      return -event.investment.investmentAmount;
+    case JOURNAL_EVENTS.EXITED:
+      return event.investment.investmentAmount + event.investment.profitLoss;
+    case JOURNAL_EVENTS.VOIDED:
+      // An active position gives its capital back; an exited one already did, so only its P&L is taken back
+      return event.investment.status === 'active' ? event.investment.investmentAmount : -event.investment.profitLoss;
+    case JOURNAL_EVENTS.CONFIG_CHANGED: {
+      const change = event.changes && event.changes.STARTING_CAPITAL;
+      return change ? change.to - change.from : 0;
+    }
+    default:
+      return 0;
+  }
+}
+
+/**
+ * Cash the wallet held before the first event
+ * @param {Array<Object>} events - Journal events in order
+ * @param {number} startingCapital - Used when there are no events
+ * @returns {number} Cash before the journal starts
+ */
+function getStartingCash(events, startingCapital) {
+  return events.length > 0 ? events[0].cash - getCashDelta(events[0]) : startingCapital;
+}
+
+/**
+ * An exited investment as it looked when it was opened
+ * @param {Object} investment - Exited investment
+ * @returns {Object} Active investment
+ */
+function toOpenedInvestment(investment) {
+  const opened = {
+    ...investment,
+    status: 'active',
+    feesAccrued: 0,
+    lastObservedApy: investment.entryApy,
+    lastObservedPrice: investment.entryPrice,
+    lastAccrualTimestamp: investment.entryTimestamp
+  };
+  for (const field of EXIT_FIELDS) {
+    opened[field] = null;
+  }
+  return opened;
+}
+
+/**
+ * Journal events reconstructed from a state saved before the journal existed:
+ * an opened event per investment and an exited event per historical one,
+ * in time order.
+ * @param {string} bot - Bot name
+ * @param {Object} state - Saved state ({ activeInvestments, investmentHistory, cash })
+ * @returns {Array<Object>} Events numbered from 1
+ */
+function backfillEvents(bot, state) {
+  const events = [];
+  for (const investment of state.investmentHistory || []) {
+    events.push({ timestamp: investment.entryTimestamp, type: JOURNAL_EVENTS.OPENED, investment: toOpenedInvestment(investment) });
+    events.push({ timestamp: investment.exitTimestamp, type: JOURNAL_EVENTS.EXITED, investment });
+  }
+  for (const investment of Object.values(state.activeInvestments || {})) {
+    events.push({ timestamp: investment.entryTimestamp, type: JOURNAL_EVENTS.OPENED, investment });
+  }
+
+  // Stable sort: exits with the same timestamp keep their history order
+  events.sort((a, b) => (a.timestamp < b.timestamp ? -1 : a.timestamp > b.timestamp ? 1 : 0));
+
+  let cash = state.cash - events.reduce((sum, event) => sum + getCashDelta(event), 0);
+  return events.map((event, i) => {
+    cash += getCashDelta(event);
+    return { sequence: i + 1, timestamp: event.timestamp, type: event.type, bot, cash, backfilled: true, investment: event.investment };
+  });
+}
+
+/**
+ * Collects the differences between two values
+ * @param {*} saved - Value in the saved state
+ * @param {*} rebuilt - Value rebuilt from the journal
+ * @param {string} path - Where the values are, e.g. 'stats.totalProfit'
+ * @param {Array<Object>} differences - Receives { path, saved, rebuilt }
+ */
+function diffValues(saved, rebuilt, path, differences) {
+  if (typeof saved === 'number' && typeof rebuilt === 'number') {
+    if (Math.abs(saved - rebuilt) > TOLERANCE) {
+      differences.push({ path, saved, rebuilt });
+    }
+    return;
+  }
+
+  const isObject = value => value !== null && typeof value === 'object';
+  if (isObject(saved) && isObject(rebuilt) && Array.isArray(saved) === Array.isArray(rebuilt)) {
+    const keys = new Set([...Object.keys(saved), ...Object.keys(rebuilt)]);
+    for (const key of keys) {
+      diffValues(saved[key], rebuilt[key], path ? `${path}.${key}` : key, differences);
+    }
+    return;
+  }
+
+  if (saved !== rebuilt) {
+    differences.push({ path, saved: saved ?? null, rebuilt: rebuilt ?? null });
+  }
+}
+
+/**
+ * Differences between a saved state and the state rebuilt from the journal,
+ * ignoring the accrual marks of active positions
+ * @param {Object} saved - Saved state
+ * @param {Object} rebuilt - Rebuilt state
+ * @returns {Array<Object>} { path, saved, rebuilt } per difference (empty if consistent)
+ */
+function compareStates(saved, rebuilt) {
+  const withoutAccruals = activeInvestments => Object.fromEntries(Object.entries(activeInvestments || {}).map(([poolId, investment]) => {
+    const copy = { ...investment };
+    ACCRUAL_FIELDS.forEach(field => delete copy[field]);
+    return [poolId, copy];
+  }));
+
+  const differences = [];
+  diffValues(withoutAccruals(saved.activeInvestments), withoutAccruals(rebuilt.activeInvestments), 'activeInvestments', differences);
+  diffValues(saved.investmentHistory || [], rebuilt.investmentHistory, 'investmentHistory', differences);
+  diffValues(saved.stats, rebuilt.stats, 'stats', differences);
+  diffValues(saved.cash, rebuilt.cash, 'cash', differences);
+  return differences;
+}
+
+module.exports = {
+  JOURNAL_EVENTS,
+  ACCRUAL_FIELDS,
+  getCashDelta,
+  getStartingCash,
+  backfillEvents,
+  compareStates
+};
@@ -0,0 +1,207 @@
+/**
+ * OpenAPI 3 document of the REST API (GET /api/openapi.json), generated from
+ * the route schemas the requests are validated against, so the two cannot
+ * drift apart.
+ */
+
+const { version } = require('../../package.json');
+const { ROUTE_SCHEMAS } = require('../routes/schemas');
+const { POOL_SCHEMA } = require('../sources/validation');
+const { toJsonSchema, toObjectSchema } = require('../utils/schema');
+
+// Where routes with scope 'bot' are mounted: the default bot and named bots
+const BOT_MOUNTS = [
+  { prefix: '/api/bot', suffix: '' },
+  { prefix: '/api/bots/{name}', suffix: 'ForBot' }
+];
+
+const BOT_NAME_PARAMETER = {
+  name: 'name',
+  in: 'path',
+  required: true,
+  description: 'Bot name',
+  schema: { type: 'string' }
+};
+
+const COMPONENTS = {
+  schemas: {
+    Success: {
+      type: 'object',
+      properties: { success: { type: 'boolean', enum: [true] } },
+      required: ['success'],
+      additionalProperties: true
+    },
+    Error: {
+      type: 'object',
+      properties: {
+        success: { type: 'boolean', enum: [false] },
+        error: { type: 'string' }
+      },
+      required: ['success', 'error']
+    },
+    ValidationError: {
+      type: 'object',
+      properties: {
+        success: { type: 'boolean', enum: [false] },
+        error: { type: 'string' },
+        details: { type: 'array', items: { type: 'string' }, description: 'Every error message' },
+        fields: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              in: { type: 'string', enum: ['path', 'query', 'body'] },
+              field: { type: 'string', nullable: true },
+              message: { type: 'string' }
+            },
+            required: ['in', 'field', 'message']
+          },
+          description: 'Where each error is'
+        }
+      },
+      required: ['success', 'error', 'details', 'fields']
+    },
+    Pool: toObjectSchema(POOL_SCHEMA, { additional: true })
+  }
+};
+
+/**
+ * @param {string} path - Express path, e.g. /api/pools/:id
+ * @returns {string} OpenAPI path, e.g. /api/pools/{id}
+ */
+function toOpenApiPath(path) {
+  return path.replace(/:(\w+)/g, '{$1}');
+}
+
+/**
+ * @param {string} location - path or query
+ * @param {Object} [schema] - Field specs keyed by name
+ * @returns {Array<Object>} OpenAPI parameter objects
+ */
+function toParameters(location, schema = {}) {
+  return Object.entries(schema).map(([name, spec]) => ({
+    name,
+    in: location,
+    required: location === 'path' || Boolean(spec.required),
+    ...(spec.description ? { description: spec.description } : {}),
+    schema: toJsonSchema(spec),
+    // Lists are comma-separated
+    ...(spec.type === 'array' ? { style: 'form', explode: false } : {})
+  }));
+}
+
+/**
+ * @param {Object} route - Route schema
+ * @returns {Object} OpenAPI content of the success response
+ */
+function toSuccessContent(route) {
+  if (route.content) {
+    return Object.fromEntries(route.content.map(type => [type, {}]));
+  }
+
+  const schema = route.data
+    ? {
+      allOf: [
+        { $ref: '#/components/schemas/Success' },
+        { type: 'object', properties: { data: { type: 'array', items: { $ref: `#/components/schemas/${route.data.replace('[]', '')}` } } } }
+      ]
+    }
+    : { $ref: '#/components/schemas/Success' };
+  return { 'application/json': { schema } };
+}
+
+/**
+ * @param {Object} route - Route schema
+ * @returns {Object} OpenAPI responses keyed by status code
+ */
+function toResponses(route) {
+  const errorContent = component => ({ 'application/json': { schema: { $ref: `#/components/schemas/${component}` } } });
+  const responses = {};
+
+  for (const [status, description] of Object.entries(route.responses)) {
+    responses[status] = {
+      description,
+      content: Number(status) < 300 ? toSuccessContent(route) : errorContent('Error')
+    };
+  }
+  if (route.params || route.query || route.body) {
+    responses[400] = { description: 'Invalid request; details and fields list every error', content: errorContent('ValidationError') };
+  }
+  responses[500] = { description: 'Server error', content: errorContent('Error') };
+
+  return responses;
+}
+
+/**
+ * @param {string} operationId - Key of ROUTE_SCHEMAS
+ * @param {Object} route - Route schema
+ * @returns {Object} OpenAPI operation object
+ */
+function toOperation(operationId, route) {
+  const parameters = [...toParameters('path', route.params), ...toParameters('query', route.query)];
+  const operation = {
+    operationId,
+    tags: [route.tag],
+    summary: route.summary,
+    ...(parameters.length > 0 ? { parameters } : {}),
+    responses: toResponses(route)
+  };
+
+  if (route.body) {
+    operation.requestBody = {
+      required: Object.values(route.body).some(spec => spec.required),
+      content: {
+        'application/json': { schema: toObjectSchema(route.body, { additional: Boolean(route.additionalBody) }) }
+      }
+    };
+  }
+
+  return operation;
+}
+
+/**
+ * Builds the OpenAPI document of every route in ROUTE_SCHEMAS
+ * @returns {Object} OpenAPI 3.0 document
+ */
+function buildOpenApiDocument() {
+  const paths = {};
+  const addOperation = (path, method, operation) => {
+    paths[path] = { ...paths[path], [method]: operation };
+  };
+
+  for (const [operationId, route] of Object.entries(ROUTE_SCHEMAS)) {
+    if (route.scope !== 'bot') {
+      addOperation(toOpenApiPath(route.path), route.method, toOperation(operationId, route));
+      continue;
+    }
+
+    for (const { prefix, suffix } of BOT_MOUNTS) {
+      const operation = toOperation(operationId + suffix, route);
+      if (suffix) {
+        operation.parameters = [BOT_NAME_PARAMETER, ...(operation.parameters || [])];
+        const notFound = operation.responses[404];
+        operation.responses[404] = {
+          description: notFound ? `${notFound.description}, or bot not found` : 'Bot not found',
+          content: operation.responses[500].content
+        };
+      }
+      addOperation(prefix + toOpenApiPath(route.path), route.method, operation);
+    }
+  }
+
+  return {
+    openapi: '3.0.3',
+    info: {
+      title: 'Solana High APY Pools API',
+      version,
+      description: 'Pool data, simulated liquidity bots and their events. Every 400 response lists its errors in details and, per field, in fields.'
+    },
+    servers: [{ url: '/' }],
+    paths,
+    components: COMPONENTS
+  };
+}
+
+module.exports = {
+  buildOpenApiDocument
+};
@@ -0,0 +1,166 @@
+/**
+ * One pool in detail (GET /api/pools/:id): its cached record, its time series
+ * across refreshes, every bot investment made in it and stats derived from
+ * the series.
+ */
+
+const { getHistoryAggregates } = require('./history');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Periods the trends are measured over, back from the latest snapshot
+const TREND_PERIODS = {
+  '24h': 24 * HOUR_MS,
+  '7d': 7 * 24 * HOUR_MS
+};
+
+// Fields of each time series point; the trends report how each one changed
+const SERIES_FIELDS = ['apy', 'apy_24h', 'apy_7d', 'apy_30d', 'liquidity', 'price', 'volume_24h', 'volume_7d', 'volume_30d'];
+const TREND_FIELDS = ['apy', 'apy_24h', 'liquidity', 'volume_24h', 'price'];
+
+// A relative APY change smaller than this is a flat trend
+const FLAT_TREND_THRESHOLD = 0.01;
+
+const numbers = (points, field) => points.map(point => point[field]).filter(value => typeof value === 'number');
+
+/**
+ * Population standard deviation
+ * @param {Array<number>} values - Samples
+ * @returns {number|null} Standard deviation, or null without samples
+ */
+function standardDeviation(values) {
+  if (values.length === 0) {
+    return null;
+  }
+  const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+  return Math.sqrt(values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / values.length);
+}
+
+/**
+ * @param {Array<Object>} points - Time series points
+ * @param {string} field - APY field
+ * @returns {Object|null} { mean, min, max, volatility } of the field, or null without values
+ */
+function summarize(points, field) {
+  const values = numbers(points, field);
+  if (values.length === 0) {
+    return null;
+  }
+  return {
+    mean: values.reduce((sum, value) => sum + value, 0) / values.length,
+    min: Math.min(...values),
+    max: Math.max(...values),
+    volatility: standardDeviation(values)
+  };
+}
+
+/**
+ * @param {number} from - Value at the start of the period
+ * @param {number} to - Value at the end
+ * @returns {Object|null} { from, to, change, changePercentage }, or null if either value is missing
+ */
+function getChange(from, to) {
+  if (typeof from !== 'number' || typeof to !== 'number') {
+    return null;
+  }
+  return {
+    from,
+    to,
+    change: to - from,
+    changePercentage: from !== 0 ? ((to - from) / from) * 100 : null
+  };
+}
+
+/**
+ * How the pool moved over a period ending at its latest snapshot
+ * @param {Array<Object>} points - Time series sorted by timestamp
+ * @param {number} periodMs - Period length
+ * @returns {Object|null} { since, samples, direction, apyVolatility, changes }, or null with fewer than two points in the period
+ */
+function getTrend(points, periodMs) {
+  const latest = points[points.length - 1];
+  const start = new Date(latest.timestamp).getTime() - periodMs;
+  const inPeriod = points.filter(point => new Date(point.timestamp).getTime() >= start);
+  if (inPeriod.length < 2) {
+    return null;
+  }
+
+  const first = inPeriod[0];
+  const changes = Object.fromEntries(TREND_FIELDS.map(field => [field, getChange(first[field], latest[field])]));
+  const apyChange = changes.apy_24h || changes.apy;
+  const relative = apyChange && apyChange.from !== 0 ? apyChange.change / apyChange.from : 0;
+
+  return {
+    since: first.timestamp,
+    samples: inPeriod.length,
+    direction: Math.abs(relative) < FLAT_TREND_THRESHOLD ? 'flat' : relative > 0 ? 'up' : 'down',
+    apyVolatility: standardDeviation(numbers(inPeriod, 'apy_24h')),
+    changes
+  };
+}
+
+/**
+ * Stats derived from a pool's time series
+ * @param {Array<Object>} points - Time series sorted by timestamp
+ * @returns {Object} { samples, firstSnapshotAt, lastSnapshotAt, apy, apy_24h, trends: { 24h, 7d } }
+ */
+function getPoolStats(points) {
+  if (points.length === 0) {
+    return { samples: 0, firstSnapshotAt: null, lastSnapshotAt: null, apy: null, apy_24h: null, trends: {} };
+  }
+
+  return {
+    samples: points.length,
+    firstSnapshotAt: points[0].timestamp,
+    lastSnapshotAt: points[points.length - 1].timestamp,
+    apy: summarize(points, 'apy'),
+    apy_24h: summarize(points, 'apy_24h'),
+    trends: Object.fromEntries(Object.entries(TREND_PERIODS).map(([period, periodMs]) => [period, getTrend(points, periodMs)]))
+  };
+}
+
+/**
+ * Gathers everything known about one pool
+ * @param {string} id - Pool id (or mint account, for pools no longer cached)
+ * @param {Object} options
+ * @param {Object} options.storage - Storage holding the pool cache and snapshots
+ * @param {Array<Object>} [options.bots] - Bot entries ({ name, bot }) whose investments are included
+ * @param {Date|string} [options.from] - Time series start
+ * @param {Date|string} [options.to] - Time series end
+ * @returns {Promise<Object|null>} { pool, series, investments, investmentSummary, stats }, or null if the pool is unknown
+ */
+async function getPoolDetail(id, { storage, bots = [], from, to }) {
+  const pool = await storage.getPool(id);
+  const snapshots = await storage.getSnapshots({ poolId: id, from, to });
+  const poolId = pool ? pool.id : snapshots.length > 0 ? snapshots[0].poolId : id;
+
+  const investments = [];
+  for (const { name, bot } of bots) {
+    const made = await bot.getInvestmentStore().query({ poolId });
+    investments.push(...made.map(investment => ({ bot: name, ...investment })));
+  }
+  investments.sort((a, b) => a.entryTimestamp.localeCompare(b.entryTimestamp));
+
+  if (!pool && snapshots.length === 0 && investments.length === 0) {
+    return null;
+  }
+
+  const series = snapshots.map(snapshot => ({
+    timestamp: snapshot.timestamp,
+    ...Object.fromEntries(SERIES_FIELDS.map(field => [field, snapshot[field] ?? null]))
+  }));
+
+  return {
+    pool,
+    series,
+    investments,
+    investmentSummary: getHistoryAggregates(investments),
+    stats: getPoolStats(series)
+  };
+}
+
+module.exports = {
+  TREND_PERIODS,
+  getPoolStats,
+  getPoolDetail
+};
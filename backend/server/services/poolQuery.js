@@ -0,0 +1,182 @@
+/**
+ * Search, filters, sorting, pagination and facet counts for the cached pools
+ * (GET /api/high-apy-pools).
+ */
+
+const { readFields } = require('../utils/schema');
+
+const APY_WINDOWS = ['apy', 'apy_24h', 'apy_7d', 'apy_30d'];
+
+const POOL_SORT_FIELDS = [...APY_WINDOWS, 'liquidity', 'volume_24h', 'volume_7d', 'volume_30d', 'ageDays', 'name'];
+
+// APY bucket facets, as decimals like the pools themselves (max is exclusive)
+const APY_BUCKETS = [
+  { label: '0-30%', min: 0, max: 0.3 },
+  { label: '30-50%', min: 0.3, max: 0.5 },
+  { label: '50-100%', min: 0.5, max: 1 },
+  { label: '100-200%', min: 1, max: 2 },
+  { label: '200%+', min: 2, max: null }
+];
+
+const POOL_QUERY_MAX_LIMIT = 500;
+
+// Query parameter of each APY bound: minApy / maxApy for the headline apy, minApy24h, maxApy7d, ...
+const apyParam = (bound, window) => `${bound}Apy${window === 'apy' ? '' : window.slice(4)}`;
+
+// Query parameters of GET /api/high-apy-pools
+const POOL_QUERY_SCHEMA = {
+  search: { type: 'string', description: 'Case-insensitive text in the name, pair, protocol, id or mint account' },
+  protocol: { type: 'array', items: { type: 'string' }, description: 'Comma-separated protocols (any case)' },
+  ...Object.fromEntries(APY_WINDOWS.flatMap(window => ['min', 'max'].map(bound => [
+    apyParam(bound, window),
+    { type: 'number', min: 0, description: `${bound === 'min' ? 'Lowest' : 'Highest'} ${window} as a decimal (0.5 = 50%)` }
+  ]))),
+  minLiquidity: { type: 'number', min: 0, description: 'Lowest liquidity in USD' },
+  minVolume24h: { type: 'number', min: 0, description: 'Lowest 24h volume in USD' },
+  sort: { type: 'string', enum: POOL_SORT_FIELDS, description: 'Sort field (cache order without it)' },
+  order: { type: 'string', enum: ['asc', 'desc'], default: 'desc' },
+  page: { type: 'number', integer: true, min: 1, default: 1 },
+  limit: { type: 'number', integer: true, min: 1, max: POOL_QUERY_MAX_LIMIT, description: 'Page size (every match without it)' }
+};
+
+/**
+ * Options for queryPools() from validated query values
+ * @param {Object} values - Values of POOL_QUERY_SCHEMA with their defaults (req.input.query)
+ * @returns {Object} Options for queryPools()
+ */
+function toPoolQueryOptions(values) {
+  const options = {
+    search: values.search ? values.search.trim().toLowerCase() : null,
+    protocols: (values.protocol || []).map(protocol => protocol.toLowerCase()),
+    apy: {},
+    minLiquidity: values.minLiquidity ?? null,
+    minVolume24h: values.minVolume24h ?? null,
+    sort: values.sort || null,
+    order: values.order,
+    page: values.page,
+    limit: values.limit ?? null
+  };
+
+  for (const window of APY_WINDOWS) {
+    const min = values[apyParam('min', window)] ?? null;
+    const max = values[apyParam('max', window)] ?? null;
+    if (min !== null || max !== null) {
+      options.apy[window] = { min, max };
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Reads and validates raw pool query parameters
+ * @param {Object} query - Query string values as received
+ * @returns {{options: Object, errors: Array<string>}} Options for queryPools() and validation errors
+ */
+function parsePoolQuery(query = {}) {
+  const { values, errors } = readFields(POOL_QUERY_SCHEMA, query, { coerce: true, defaults: true, additional: true });
+  return { options: toPoolQueryOptions(values), errors: errors.map(error => error.message) };
+}
+
+const matchesSearch = (pool, search) => !search ||
+  [pool.name, pool.pair, pool.protocol, pool.id, pool.mint_account].some(value => value && String(value).toLowerCase().includes(search));
+
+const matchesProtocol = (pool, protocols) => protocols.length === 0 ||
+  protocols.includes((pool.protocol || '').toLowerCase());
+
+const matchesApy = (pool, window, { min, max }) => {
+  const value = pool[window];
+  return typeof value === 'number' && (min === null || value >= min) && (max === null || value <= max);
+};
+
+/**
+ * Checks a pool against every filter except the skipped facet dimension
+ * @param {Object} pool - Pool record
+ * @param {Object} options - Parsed query (see parsePoolQuery)
+ * @param {string} [skip] - 'protocol' or an APY window, left out so its facet shows every option
+ * @returns {boolean} True if it matches
+ */
+function matchesPool(pool, options, skip = null) {
+  return matchesSearch(pool, options.search) &&
+    (skip === 'protocol' || matchesProtocol(pool, options.protocols)) &&
+    Object.entries(options.apy).every(([window, range]) => window === skip || matchesApy(pool, window, range)) &&
+    (options.minLiquidity === null || (pool.liquidity || 0) >= options.minLiquidity) &&
+    (options.minVolume24h === null || (pool.volume_24h || 0) >= options.minVolume24h);
+}
+
+/**
+ * Facet counts: pools per protocol and per APY bucket of each window. Each
+ * facet applies every filter but its own, so picking a protocol still shows
+ * how many pools the other protocols have.
+ * @param {Array<Object>} pools - All pools
+ * @param {Object} options - Parsed query
+ * @returns {{protocols: Object, apy: Object}} { protocols: { name: count }, apy: { window: [{ label, min, max, count }] } }
+ */
+function getPoolFacets(pools, options) {
+  const protocols = {};
+  for (const pool of pools) {
+    if (matchesPool(pool, options, 'protocol')) {
+      const protocol = pool.protocol || 'Unknown';
+      protocols[protocol] = (protocols[protocol] || 0) + 1;
+    }
+  }
+
+  const apy = {};
+  for (const window of APY_WINDOWS) {
+    const matching = pools.filter(pool => matchesPool(pool, options, window));
+    apy[window] = APY_BUCKETS.map(bucket => ({
+      ...bucket,
+      count: matching.filter(pool => typeof pool[window] === 'number' &&
+        pool[window] >= bucket.min && (bucket.max === null || pool[window] < bucket.max)).length
+    }));
+  }
+
+  return { protocols, apy };
+}
+
+/**
+ * Filters, sorts and pages pools
+ * @param {Array<Object>} pools - Cached pools (annotated with ageDays)
+ * @param {Object} options - Parsed query (see parsePoolQuery)
+ * @returns {{data: Array, total: number, page: number, limit: number|null, totalPages: number, facets: Object}} One page plus totals
+ */
+function queryPools(pools, options) {
+  const { sort, order, page, limit } = options;
+  let matching = pools.filter(pool => matchesPool(pool, options));
+
+  // Without a sort the cache order is kept; pools missing the sort value go last
+  if (sort) {
+    const direction = order === 'asc' ? 1 : -1;
+    matching = matching.slice().sort((a, b) => {
+      const aMissing = a[sort] === null || a[sort] === undefined;
+      const bMissing = b[sort] === null || b[sort] === undefined;
+      if (aMissing || bMissing) {
+        return aMissing === bMissing ? 0 : aMissing ? 1 : -1;
+      }
+      const ascending = typeof a[sort] === 'string' ? a[sort].localeCompare(b[sort]) : a[sort] - b[sort];
+      return direction * ascending;
+    });
+  }
+
+  const pageSize = limit || Math.max(matching.length, 1);
+  return {
+    data: matching.slice((page - 1) * pageSize, page * pageSize),
+    total: matching.length,
+    page,
+    limit,
+    totalPages: Math.ceil(matching.length / pageSize),
+    facets: getPoolFacets(pools, options)
+  };
+}
+
+module.exports = {
+  APY_WINDOWS,
+  APY_BUCKETS,
+  POOL_SORT_FIELDS,
+  POOL_QUERY_MAX_LIMIT,
+  POOL_QUERY_SCHEMA,
+  toPoolQueryOptions,
+  parsePoolQuery,
+  queryPools,
+  getPoolFacets
+};
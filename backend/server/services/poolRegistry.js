@@ -0,0 +1,200 @@
+const fs = require('fs-extra');
+const path = require('path');
+const logger = require('../utils/logger');
+
+const REGISTRY_FILE_PATH = process.env.POOL_REGISTRY_PATH || path.join(__dirname, '..', 'data', 'poolRegistry.json');
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Normalizes a creation time reported by a pool source
+ * @param {string|number} value - ISO string, unix seconds or unix milliseconds
+ * @returns {string|null} ISO timestamp or null if missing/invalid
+ */
+function normalizeTimestamp(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+
+  let date;
+  if (typeof value === 'number' || /^\d+$/.test(String(value))) {
+    const numeric = Number(value);
+    // Values below 1e12 are unix seconds
+    date = new Date(numeric < 1e12 ? numeric * 1000 : numeric);
+  } else {
+    date = new Date(value);
+  }
+
+  return isNaN(date.getTime()) || date.getTime() <= 0 ? null : date.toISOString();
+}
+
+/**
+ * Calculates a pool's age in days
+ * @param {string} firstSeenAt - ISO timestamp the pool was first seen
+ * @param {Date} [now] - Reference time
+ * @returns {number|null} Age in days or null if unknown
+ */
+function getAgeDays(firstSeenAt, now = new Date()) {
+  if (!firstSeenAt) {
+    return null;
+  }
+  return (now - new Date(firstSeenAt)) / DAY_MS;
+}
+
+/**
+ * When each pool was first seen (or created, if its source reports that),
+ * persisted so pool ages survive restarts. Pools are matched by id, then by
+ * mint_account.
+ */
+class PoolRegistry {
+  /**
+   * @param {string} [filePath] - Where the registry is persisted
+   */
+  constructor(filePath = REGISTRY_FILE_PATH) {
+    this.filePath = filePath;
+    // In-memory view of the registry file: pool id -> entry, plus a mint_account index
+    this.entries = null;
+    this.mintIndex = null;
+  }
+
+  /**
+   * Loads the registry from disk once
+   */
+  async load() {
+    if (this.entries) {
+      return;
+    }
+
+    this.entries = new Map();
+    this.mintIndex = new Map();
+
+    try {
+      if (await fs.pathExists(this.filePath)) {
+        const data = await fs.readJson(this.filePath);
+        for (const [poolId, entry] of Object.entries(data.pools || {})) {
+          this.entries.set(poolId, entry);
+          if (entry.mint_account) {
+            this.mintIndex.set(entry.mint_account, entry);
+          }
+        }
+        logger.debug(`Loaded ${this.entries.size} pools from registry`);
+      }
+    } catch (error) {
+      logger.error('Error loading pool registry:', error.message);
+    }
+  }
+
+  /**
+   * Writes the registry to disk
+   */
+  async save() {
+    await fs.ensureDir(path.dirname(this.filePath));
+    await fs.writeJson(this.filePath, {
+      lastUpdated: new Date().toISOString(),
+      totalPools: this.entries.size,
+      pools: Object.fromEntries(this.entries)
+    }, { spaces: 2 });
+  }
+
+  /**
+   * Finds the registry entry for a pool by id, then by mint_account
+   * @param {Object} pool - Pool record (needs id and optionally mint_account)
+   * @returns {Object|undefined} Registry entry
+   */
+  findEntry(pool) {
+    return this.entries.get(pool.id) || (pool.mint_account ? this.mintIndex.get(pool.mint_account) : undefined);
+  }
+
+  /**
+   * Records pools that have not been seen before and stamps every pool with firstSeenAt.
+   * A creation time from the source (pool.createdAt) takes precedence over the observation time.
+   * @param {Array} pools - Processed pool data
+   * @param {Date} [date] - Time of the observation
+   * @returns {Promise<Array>} Pools with firstSeenAt set
+   */
+  async registerPools(pools, date = new Date()) {
+    await this.load();
+
+    const observedAt = date.toISOString();
+    let added = 0;
+
+    const registered = pools.map(pool => {
+      let entry = this.findEntry(pool);
+
+      if (!entry) {
+        entry = {
+          poolId: pool.id,
+          mint_account: pool.mint_account || null,
+          name: pool.name,
+          protocol: pool.protocol,
+          createdAt: pool.createdAt || null,
+          firstSeenAt: pool.createdAt && pool.createdAt < observedAt ? pool.createdAt : observedAt
+        };
+        added++;
+      } else if (pool.createdAt && !entry.createdAt) {
+        // The source started reporting a creation time for a pool we already knew
+        entry = {
+          ...entry,
+          createdAt: pool.createdAt,
+          firstSeenAt: pool.createdAt < entry.firstSeenAt ? pool.createdAt : entry.firstSeenAt
+        };
+        added++;
+      }
+
+      this.entries.set(pool.id, entry);
+      if (pool.mint_account) {
+        this.mintIndex.set(pool.mint_account, entry);
+      }
+
+      return { ...pool, firstSeenAt: entry.firstSeenAt };
+    });
+
+    if (added > 0) {
+      try {
+        await this.save();
+        logger.info(`🆕 Pool registry: ${added} new or updated pools (${this.entries.size} total)`);
+      } catch (error) {
+        logger.error('Error saving pool registry:', error.message);
+      }
+    }
+
+    return registered;
+  }
+
+  /**
+   * Gets when a pool was first seen
+   * @param {Object} pool - Pool record
+   * @returns {Promise<string|null>} ISO timestamp or null if the pool is unknown
+   */
+  async getFirstSeenAt(pool) {
+    await this.load();
+    const entry = this.findEntry(pool);
+    return entry ? entry.firstSeenAt : null;
+  }
+
+  /**
+   * Adds firstSeenAt and ageDays to pools for API responses
+   * @param {Array} pools - Pool records
+   * @param {Date} [now] - Reference time
+   * @returns {Promise<Array>} Annotated pools
+   */
+  async annotatePools(pools, now = new Date()) {
+    await this.load();
+
+    return pools.map(pool => {
+      const entry = this.findEntry(pool);
+      const firstSeenAt = pool.firstSeenAt || (entry ? entry.firstSeenAt : null);
+      return { ...pool, firstSeenAt, ageDays: getAgeDays(firstSeenAt, now) };
+    });
+  }
+}
+
+// Registry of the server's pools
+const poolRegistry = new PoolRegistry();
+
+module.exports = {
+  REGISTRY_FILE_PATH,
+  normalizeTimestamp,
+  getAgeDays,
+  PoolRegistry,
+  poolRegistry
+};
@@ -0,0 +1,198 @@
+const logger = require('../utils/logger');
+const { getStorage } = require('../storage');
+const { poolRegistry } = require('./poolRegistry');
+const { getEnabledSources, listSources, fetchSource } = require('../sources');
+const { getRecordingMode } = require('../sources/recordings');
+const { getCircuitState } = require('../sources/http');
+const { envNumber } = require('../utils/env');
+
+const HIGH_APY_THRESHOLD = 0.05; // 5% APY threshold (pools use decimal values)
+
+// Guard against overwriting a good cache with a suspiciously small refresh
+const CACHE_GUARD_CONFIG = {
+  MAX_SHRINK_PERCENTAGE: envNumber('POOL_CACHE_MAX_SHRINK_PERCENTAGE', 50), // Refuse refreshes that lose more than this % of the cached pools
+  MIN_CACHED_POOLS: envNumber('POOL_CACHE_GUARD_MIN_POOLS', 10) // Only guard caches holding at least this many pools
+};
+
+/**
+ * Filters pools to only include those with high APY
+ * @param {Array} pools - Normalized pools
+ * @returns {Array} Filtered pools with APY > threshold
+ */
+function filterHighApyPools(pools) {
+  const highApyPools = pools.filter(pool => pool.apy > HIGH_APY_THRESHOLD);
+
+  logger.info(`Filtered ${highApyPools.length} pools with APY > ${(HIGH_APY_THRESHOLD * 100).toFixed(1)}% from ${pools.length} total pools`);
+  return highApyPools;
+}
+
+/**
+ * Fetches every source and merges their pools.
+ * A source that fails keeps the pools it contributed to the previous refresh.
+ * @param {Array} sources - Source adapters
+ * @param {Array} [previousPools] - Pools from the previous refresh
+ * @param {Date} [fetchedAt] - Time of the refresh
+ * @returns {Promise<{pools: Array, failed: Array<string>}>} Merged pools and names of failed sources
+ */
+async function collectPools(sources, previousPools = [], fetchedAt = new Date()) {
+  const pools = [];
+  const failed = [];
+
+  for (const source of sources) {
+    try {
+      pools.push(...await fetchSource(source, fetchedAt));
+    } catch (error) {
+      const stale = previousPools.filter(pool => pool.protocol === source.protocol);
+      logger.warn(`⚠️ ${source.protocol} refresh failed, keeping ${stale.length} cached pools: ${error.message}`);
+      pools.push(...stale);
+      failed.push(source.name);
+    }
+  }
+
+  if (sources.length > 0 && failed.length === sources.length) {
+    throw new Error(`All pool sources failed: ${failed.join(', ')}`);
+  }
+
+  return { pools, failed };
+}
+
+/**
+ * Checks whether a refresh shrinks the cache too much to be trusted
+ * @param {number} cachedCount - Pools in the current cache
+ * @param {number} nextCount - Pools the refresh would cache
+ * @returns {string|null} Why the refresh is refused, or null if it may be saved
+ */
+function checkCacheShrink(cachedCount, nextCount) {
+  // However small the cache, an empty refresh is more likely an upstream fault than no pools at all
+  if (nextCount === 0 && cachedCount > 0) {
+    return `Refusing to replace ${cachedCount} cached pools with none`;
+  }
+  if (cachedCount < CACHE_GUARD_CONFIG.MIN_CACHED_POOLS) {
+    return null;
+  }
+
+  const shrinkPercentage = (cachedCount - nextCount) / cachedCount * 100;
+  if (shrinkPercentage > CACHE_GUARD_CONFIG.MAX_SHRINK_PERCENTAGE) {
+    return `Refusing to replace ${cachedCount} cached pools with ${nextCount} (-${shrinkPercentage.toFixed(0)}%, limit ${CACHE_GUARD_CONFIG.MAX_SHRINK_PERCENTAGE}%)`;
+  }
+  return null;
+}
+
+/**
+ * Saves processed pool data to the pool cache
+ * @param {Array} pools - Processed pool data
+ * @param {Object} [storage] - Storage holding the cache (defaults to the server's)
+ */
+async function savePoolsToCache(pools, storage = getStorage()) {
+  try {
+    await storage.savePools(pools);
+    logger.info(`Successfully cached ${pools.length} high APY pools (${storage.driver} storage)`);
+  } catch (error) {
+    logger.error('Error saving pools to cache:', error.message);
+    throw new Error(`Failed to save pools to cache: ${error.message}`);
+  }
+}
+
+/**
+ * Main function to fetch, merge, filter, and cache pools from every enabled source
+ * @param {Object} [options]
+ * @param {Array} [options.sources] - Source adapters (defaults to the enabled sources)
+ * @param {boolean} [options.force] - Save even if the cache guard refuses the result (it shrinks too much or is empty)
+ * @param {Object} [options.registry] - Pool registry that stamps firstSeenAt (defaults to the server's)
+ * @param {Object} [options.storage] - Storage of the cache and snapshots (defaults to the server's)
+ * @returns {Promise<Array>} Processed high APY pools
+ */
+async function refreshPools({ sources = getEnabledSources(), force = false, registry = poolRegistry, storage = getStorage() } = {}) {
+  try {
+    const { mode } = getRecordingMode();
+    logger.info(`Starting pools fetch and cache process from ${sources.map(source => source.protocol).join(', ')} (APY threshold: ${(HIGH_APY_THRESHOLD * 100).toFixed(1)}%${mode === 'live' ? '' : `, ${mode} mode`})`);
+
+    // Fetch and merge pools from every source
+    const cachedPools = await getCachedPools(storage);
+    const { pools, failed } = await collectPools(sources, cachedPools);
+
+    // Filter for high APY pools
+    const highApyPools = filterHighApyPools(pools);
+
+    // Keep the current cache if this refresh lost most of it or came back empty
+    const shrinkError = checkCacheShrink(cachedPools.length, highApyPools.length);
+    if (shrinkError) {
+      if (!force) {
+        throw new Error(shrinkError);
+      }
+      logger.warn(`${shrinkError}, saving anyway (forced)`);
+    }
+
+    if (highApyPools.length === 0) {
+      logger.warn(`No pools found with APY > ${(HIGH_APY_THRESHOLD * 100).toFixed(1)}%`);
+      await savePoolsToCache([], storage);
+      return [];
+    }
+
+    // Stamp each pool with when it was first seen
+    const processedPools = await registry.registerPools(highApyPools);
+
+    // Save to cache
+    await savePoolsToCache(processedPools, storage);
+
+    // Keep this refresh in the snapshot history; pools kept from a failed source were not observed now
+    const failedProtocols = new Set(sources.filter(source => failed.includes(source.name)).map(source => source.protocol));
+    const fetchedPools = processedPools.filter(pool => !failedProtocols.has(pool.protocol));
+    try {
+      if (fetchedPools.length > 0) {
+        await storage.recordSnapshots(fetchedPools);
+      }
+    } catch (error) {
+      logger.error('Error recording pool snapshots:', error.message);
+    }
+
+    logger.info(`✅ Successfully processed and cached ${processedPools.length} high APY pools`);
+    return processedPools;
+
+  } catch (error) {
+    logger.error('Error in refreshPools:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Gets cached pool data if available
+ * @param {Object} [storage] - Storage holding the cache (defaults to the server's)
+ * @returns {Promise<Array>} Cached pool data or empty array
+ */
+async function getCachedPools(storage = getStorage()) {
+  try {
+    return await storage.loadPools() || [];
+  } catch (error) {
+    logger.error('Error reading cached pools:', error.message);
+    return [];
+  }
+}
+
+/**
+ * Health of every registered source
+ * @returns {Array<Object>} One entry per source with the outcome of its last fetch
+ */
+function getSourceHealth() {
+  const enabled = new Set(getEnabledSources().map(source => source.name));
+
+  return listSources().map(source => ({
+    name: source.name,
+    protocol: source.protocol,
+    description: source.description,
+    enabled: enabled.has(source.name),
+    ...source.health(),
+    circuit: getCircuitState(source.protocol)
+  }));
+}
+
+module.exports = {
+  refreshPools,
+  collectPools,
+  filterHighApyPools,
+  checkCacheShrink,
+  getCachedPools,
+  getSourceHealth,
+  HIGH_APY_THRESHOLD,
+  CACHE_GUARD_CONFIG
+};
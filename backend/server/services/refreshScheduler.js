@@ -0,0 +1,201 @@
+const EventEmitter = require('events');
+const logger = require('../utils/logger');
+const { SystemClock } = require('../utils/clock');
+const { envNumber } = require('../utils/env');
+const { refreshPools } = require('./pools');
+
+// Pool refresh scheduling
+const REFRESH_CONFIG = {
+  INTERVAL_MINUTES: envNumber('POOL_REFRESH_INTERVAL_MINUTES', 15), // Time between successful refreshes
+  JITTER_SECONDS: envNumber('POOL_REFRESH_JITTER_SECONDS', 30), // Each delay is moved by up to this many seconds either way
+  BACKOFF_BASE_SECONDS: envNumber('POOL_REFRESH_BACKOFF_BASE_SECONDS', 30), // Delay after the first failure, doubled on each further failure
+  MAX_BACKOFF_MINUTES: envNumber('POOL_REFRESH_MAX_BACKOFF_MINUTES', 60) // Longest delay between failed attempts
+};
+
+/**
+ * Refreshes the pool cache on an interval. Failed refreshes are retried with
+ * exponential backoff, and a refresh never starts while another is running:
+ * callers asking for one mid-refresh share the one in flight.
+ *
+ * Emits pools.refreshed { count, trigger, durationMs } after each successful refresh.
+ */
+class RefreshScheduler extends EventEmitter {
+  /**
+   * @param {Object} [options]
+   * @param {Function} [options.refresh] - Runs one refresh and resolves with the pools
+   * @param {Object} [options.clock] - Clock/scheduler (SystemClock or ManualClock)
+   * @param {Function} [options.random] - Returns a number in [0, 1), used for jitter
+   * @param {Object} [options.config] - Overrides for REFRESH_CONFIG values
+   */
+  constructor(options = {}) {
+    super();
+    this.refresh = options.refresh || refreshPools;
+    this.clock = options.clock || new SystemClock();
+    this.random = options.random || Math.random;
+    this.config = { ...REFRESH_CONFIG, ...options.config };
+    this.isRunning = false;
+    this.inFlight = null;
+    this.timer = null;
+    this.nextRunAt = null;
+    this.lastStartedAt = null;
+    this.lastSuccessAt = null;
+    this.lastErrorAt = null;
+    this.lastError = null;
+    this.lastDurationMs = null;
+    this.lastPoolCount = null;
+    this.consecutiveFailures = 0;
+  }
+
+  /**
+   * Starts scheduling, with a first refresh straight away
+   */
+  start() {
+    if (this.isRunning) {
+      return;
+    }
+
+    this.isRunning = true;
+    logger.info(`🔄 Pool refresh scheduled every ${this.config.INTERVAL_MINUTES} minutes (±${this.config.JITTER_SECONDS}s jitter)`);
+    this.schedule(0);
+  }
+
+  /**
+   * Stops scheduling. A refresh already running is left to finish.
+   */
+  stop() {
+    this.isRunning = false;
+    this.cancelTimer();
+    this.nextRunAt = null;
+  }
+
+  /**
+   * Runs a refresh now, or joins the one already running
+   * @param {string} [trigger] - What asked for it ('scheduled' or 'manual'), for the log
+   * @param {Object} [options] - Passed to the refresh function (ignored when joining a running refresh)
+   * @returns {Promise<Array>} Refreshed pools
+   */
+  runNow(trigger = 'manual', options = {}) {
+    if (this.inFlight) {
+      logger.info(`⏳ Pool refresh already running, ${trigger} request joins it`);
+      return this.inFlight;
+    }
+
+    this.cancelTimer();
+    this.inFlight = this.execute(trigger, options).finally(() => {
+      this.inFlight = null;
+    });
+    return this.inFlight;
+  }
+
+  /**
+   * Runs one refresh, records its outcome and schedules the next
+   * @param {string} trigger - What asked for it
+   * @param {Object} [options] - Passed to the refresh function
+   * @returns {Promise<Array>} Refreshed pools
+   */
+  async execute(trigger, options = {}) {
+    const startedAt = this.clock.now();
+    this.lastStartedAt = startedAt.toISOString();
+
+    try {
+      const pools = await this.refresh(options);
+      this.lastSuccessAt = this.clock.now().toISOString();
+      this.lastDurationMs = this.clock.now() - startedAt;
+      this.lastPoolCount = pools.length;
+      this.consecutiveFailures = 0;
+
+      const delay = this.getDelay();
+      if (this.isRunning) {
+        logger.info(`🔄 Next pool refresh in ${Math.round(delay / 1000)}s`);
+      }
+      this.schedule(delay);
+      this.emit('pools.refreshed', { count: pools.length, trigger, durationMs: this.lastDurationMs });
+      return pools;
+    } catch (error) {
+      this.lastErrorAt = this.clock.now().toISOString();
+      this.lastError = error.message;
+      this.lastDurationMs = this.clock.now() - startedAt;
+      this.consecutiveFailures++;
+
+      const delay = this.getDelay();
+      logger.warn(`⚠️ Pool refresh failed ${this.consecutiveFailures} time(s) in a row${this.isRunning ? `, retrying in ${Math.round(delay / 1000)}s` : ''}: ${error.message}`);
+      this.schedule(delay);
+      throw error;
+    }
+  }
+
+  /**
+   * Delay before the next refresh: the interval after a success, exponential
+   * backoff after failures, both with jitter
+   * @returns {number} Delay in milliseconds
+   */
+  getDelay() {
+    const base = this.consecutiveFailures > 0
+      ? Math.min(
+        this.config.BACKOFF_BASE_SECONDS * 1000 * 2 ** (this.consecutiveFailures - 1),
+        this.config.MAX_BACKOFF_MINUTES * 60 * 1000
+      )
+      : this.config.INTERVAL_MINUTES * 60 * 1000;
+    const jitter = (this.random() * 2 - 1) * this.config.JITTER_SECONDS * 1000;
+
+    return Math.max(0, Math.round(base + jitter));
+  }
+
+  /**
+   * Sets the timer for the next refresh (only while the scheduler is running)
+   * @param {number} ms - Delay in milliseconds
+   */
+  schedule(ms) {
+    this.cancelTimer();
+    if (!this.isRunning) {
+      return;
+    }
+
+    this.nextRunAt = new Date(this.clock.now().getTime() + ms).toISOString();
+    this.timer = this.clock.setTimeout(() => {
+      this.timer = null;
+      this.runNow('scheduled').catch(() => {
+        // Already logged and rescheduled by execute()
+      });
+    }, ms);
+  }
+
+  cancelTimer() {
+    if (this.timer !== null) {
+      this.clock.clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * @returns {Object} Schedule and outcome of the latest refreshes
+   */
+  getStatus() {
+    return {
+      isRunning: this.isRunning,
+      refreshing: this.inFlight !== null,
+      intervalMinutes: this.config.INTERVAL_MINUTES,
+      jitterSeconds: this.config.JITTER_SECONDS,
+      lastStartedAt: this.lastStartedAt,
+      lastSuccessAt: this.lastSuccessAt,
+      lastErrorAt: this.lastErrorAt,
+      lastError: this.lastError,
+      lastDurationMs: this.lastDurationMs,
+      lastPoolCount: this.lastPoolCount,
+      consecutiveFailures: this.consecutiveFailures,
+      nextRunAt: this.isRunning && !this.inFlight ? this.nextRunAt : null,
+      dataAgeMinutes: this.lastSuccessAt
+        ? (this.clock.now() - new Date(this.lastSuccessAt)) / 60000
+        : null
+    };
+  }
+}
+
+// Create singleton instance
+const refreshScheduler = new RefreshScheduler();
+
+module.exports = {
+  REFRESH_CONFIG,
+  RefreshScheduler,
+  refreshScheduler
+};
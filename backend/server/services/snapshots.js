@@ -0,0 +1,272 @@
+const fs = require('fs-extra');
+const path = require('path');
+const readline = require('readline');
+const logger = require('../utils/logger');
+const { envNumber } = require('../utils/env');
+
+// Snapshot store configuration
+const SNAPSHOT_CONFIG = {
+  DIR: process.env.POOL_SNAPSHOT_DIR || path.join(__dirname, '..', 'data', 'snapshots'),
+  RETENTION_DAYS: envNumber('POOL_SNAPSHOT_RETENTION_DAYS', 90, { positive: true }), // Delete snapshots older than this
+  COMPACT_AFTER_DAYS: envNumber('POOL_SNAPSHOT_COMPACT_AFTER_DAYS', 7, { positive: true }), // Downsample snapshots older than this
+  COMPACT_INTERVAL_MINUTES: envNumber('POOL_SNAPSHOT_COMPACT_INTERVAL_MINUTES', 60, { positive: true }), // Keep one snapshot per pool per interval once compacted
+  COMPACTION_FREQUENCY_HOURS: 24 // How often compaction runs as part of recording
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const FILE_PATTERN = /^(\d{4}-\d{2}-\d{2})\.ndjson$/;
+
+let lastCompactionAt = null;
+
+/**
+ * Builds a snapshot record from a processed pool
+ * @param {Object} pool - Processed pool record
+ * @param {string} timestamp - ISO timestamp of the refresh
+ * @returns {Object} Snapshot record
+ */
+function toSnapshot(pool, timestamp) {
+  return {
+    timestamp,
+    poolId: pool.id,
+    name: pool.name,
+    protocol: pool.protocol,
+    mint_account: pool.mint_account || null,
+    apy: pool.apy,
+    apy_24h: pool.apy_24h,
+    apy_7d: pool.apy_7d,
+    apy_30d: pool.apy_30d,
+    liquidity: pool.liquidity,
+    price: pool.price,
+    volume_24h: pool.volume_24h,
+    volume_7d: pool.volume_7d,
+    volume_30d: pool.volume_30d
+  };
+}
+
+/**
+ * Converts a snapshot record back into the pool schema used by the bot
+ * @param {Object} snapshot - Snapshot record
+ * @returns {Object} Pool record
+ */
+function snapshotToPool(snapshot) {
+  const { timestamp, poolId, ...fields } = snapshot;
+  return {
+    id: poolId,
+    ...fields,
+    pair: fields.name,
+    lastUpdated: timestamp,
+    lastFetched: timestamp
+  };
+}
+
+/**
+ * Gets the day file a timestamp belongs to
+ * @param {Date} date - Snapshot time
+ * @param {string} [dir] - Snapshot directory
+ * @returns {string} Absolute path of the day file
+ */
+function getDayFilePath(date, dir = SNAPSHOT_CONFIG.DIR) {
+  return path.join(dir, `${date.toISOString().split('T')[0]}.ndjson`);
+}
+
+/**
+ * Lists day files in chronological order, optionally limited to a time range
+ * @param {Date} [from] - Range start
+ * @param {Date} [to] - Range end
+ * @param {string} [dir] - Snapshot directory
+ * @returns {Promise<Array<{day: string, filePath: string}>>} Day files
+ */
+async function listDayFiles(from, to, dir = SNAPSHOT_CONFIG.DIR) {
+  if (!(await fs.pathExists(dir))) {
+    return [];
+  }
+
+  const fromDay = from ? from.toISOString().split('T')[0] : null;
+  const toDay = to ? to.toISOString().split('T')[0] : null;
+  const files = await fs.readdir(dir);
+
+  return files
+    .map(file => FILE_PATTERN.exec(file))
+    .filter(Boolean)
+    .map(match => ({ day: match[1], filePath: path.join(dir, match[0]) }))
+    .filter(({ day }) => (!fromDay || day >= fromDay) && (!toDay || day <= toDay))
+    .sort((a, b) => a.day.localeCompare(b.day));
+}
+
+/**
+ * Reads snapshot records from a day file line by line
+ * @param {string} filePath - Day file path
+ * @param {Function} onRecord - Called with each parsed record
+ */
+async function readDayFile(filePath, onRecord) {
+  const lines = readline.createInterface({
+    input: fs.createReadStream(filePath, 'utf8'),
+    crlfDelay: Infinity
+  });
+
+  for await (const line of lines) {
+    if (!line.trim()) continue;
+    try {
+      onRecord(JSON.parse(line));
+    } catch (error) {
+      logger.warn(`Skipping malformed snapshot line in ${path.basename(filePath)}`);
+    }
+  }
+}
+
+/**
+ * Appends one snapshot per pool for a refresh
+ * @param {Array} pools - Processed pool data
+ * @param {Date} [date] - Time of the refresh
+ * @param {string} [dir] - Snapshot directory
+ * @returns {Promise<number>} Number of snapshots written
+ */
+async function recordSnapshot(pools, date = new Date(), dir = SNAPSHOT_CONFIG.DIR) {
+  if (!pools || pools.length === 0) {
+    return 0;
+  }
+
+  const timestamp = date.toISOString();
+  const lines = pools.map(pool => JSON.stringify(toSnapshot(pool, timestamp))).join('\n') + '\n';
+
+  await fs.ensureDir(dir);
+  await fs.appendFile(getDayFilePath(date, dir), lines, 'utf8');
+  logger.debug(`Recorded ${pools.length} pool snapshots at ${timestamp}`);
+
+  if (!lastCompactionAt || date - lastCompactionAt >= SNAPSHOT_CONFIG.COMPACTION_FREQUENCY_HOURS * 60 * 60 * 1000) {
+    lastCompactionAt = date;
+    await compactSnapshots(date, dir);
+  }
+
+  return pools.length;
+}
+
+/**
+ * Queries snapshots, optionally for a single pool and/or a time range
+ * @param {Object} [options] - Query options
+ * @param {string} [options.poolId] - Pool id to match (also matched against mint_account)
+ * @param {Date|string} [options.from] - Inclusive range start
+ * @param {Date|string} [options.to] - Inclusive range end
+ * @param {string} [options.dir] - Snapshot directory (defaults to the live store)
+ * @returns {Promise<Array>} Snapshots sorted by timestamp
+ */
+async function getSnapshots({ poolId, from, to, dir } = {}) {
+  const fromDate = from ? new Date(from) : null;
+  const toDate = to ? new Date(to) : null;
+  const snapshots = [];
+
+  for (const { filePath } of await listDayFiles(fromDate, toDate, dir)) {
+    await readDayFile(filePath, (snapshot) => {
+      if (poolId && snapshot.poolId !== poolId && snapshot.mint_account !== poolId) return;
+
+      const time = new Date(snapshot.timestamp);
+      if (fromDate && time < fromDate) return;
+      if (toDate && time > toDate) return;
+
+      snapshots.push(snapshot);
+    });
+  }
+
+  return snapshots.sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+}
+
+/**
+ * Iterates over stored refreshes in chronological order, one day file in memory at a time
+ * @param {Object} [options] - Iteration options
+ * @param {Date|string} [options.from] - Inclusive range start
+ * @param {Date|string} [options.to] - Inclusive range end
+ * @param {string} [options.dir] - Snapshot directory (defaults to the live store)
+ * @yields {{timestamp: string, pools: Array}} All pool snapshots of one refresh
+ */
+async function* iterateRefreshes({ from, to, dir } = {}) {
+  const fromDate = from ? new Date(from) : null;
+  const toDate = to ? new Date(to) : null;
+
+  for (const { filePath } of await listDayFiles(fromDate, toDate, dir)) {
+    const refreshes = new Map();
+
+    await readDayFile(filePath, (snapshot) => {
+      const time = new Date(snapshot.timestamp);
+      if (fromDate && time < fromDate) return;
+      if (toDate && time > toDate) return;
+
+      if (!refreshes.has(snapshot.timestamp)) {
+        refreshes.set(snapshot.timestamp, []);
+      }
+      refreshes.get(snapshot.timestamp).push(snapshot);
+    });
+
+    const timestamps = Array.from(refreshes.keys()).sort();
+    for (const timestamp of timestamps) {
+      yield { timestamp, pools: refreshes.get(timestamp) };
+    }
+  }
+}
+
+/**
+ * Applies retention and compaction to stored snapshots.
+ * Day files past the retention window are deleted; files past the compaction
+ * age keep only the first snapshot per pool per compaction interval.
+ * @param {Date} [now] - Reference time
+ * @param {string} [dir] - Snapshot directory
+ * @returns {Promise<{deletedFiles: number, compactedFiles: number, droppedSnapshots: number}>} Summary
+ */
+async function compactSnapshots(now = new Date(), dir = SNAPSHOT_CONFIG.DIR) {
+  const result = { deletedFiles: 0, compactedFiles: 0, droppedSnapshots: 0 };
+
+  try {
+    const retentionCutoff = new Date(now - SNAPSHOT_CONFIG.RETENTION_DAYS * DAY_MS).toISOString().split('T')[0];
+    const compactionCutoff = new Date(now - SNAPSHOT_CONFIG.COMPACT_AFTER_DAYS * DAY_MS).toISOString().split('T')[0];
+    const intervalMs = SNAPSHOT_CONFIG.COMPACT_INTERVAL_MINUTES * 60 * 1000;
+
+    for (const { day, filePath } of await listDayFiles(null, null, dir)) {
+      if (day < retentionCutoff) {
+        await fs.remove(filePath);
+        result.deletedFiles++;
+        continue;
+      }
+
+      if (day >= compactionCutoff) continue;
+
+      const kept = [];
+      const seen = new Set();
+      let total = 0;
+
+      await readDayFile(filePath, (snapshot) => {
+        total++;
+        const bucket = `${snapshot.poolId}:${Math.floor(new Date(snapshot.timestamp).getTime() / intervalMs)}`;
+        if (seen.has(bucket)) return;
+        seen.add(bucket);
+        kept.push(snapshot);
+      });
+
+      if (kept.length === total) continue;
+
+      // Write to a temporary file first so a crash never leaves a half-written day
+      const tmpPath = `${filePath}.tmp`;
+      await fs.writeFile(tmpPath, kept.map(snapshot => JSON.stringify(snapshot)).join('\n') + '\n', 'utf8');
+      await fs.move(tmpPath, filePath, { overwrite: true });
+
+      result.compactedFiles++;
+      result.droppedSnapshots += total - kept.length;
+    }
+
+    if (result.deletedFiles || result.compactedFiles) {
+      logger.info(`🗜️ Snapshot compaction: ${result.deletedFiles} files deleted, ${result.compactedFiles} files compacted (${result.droppedSnapshots} snapshots dropped)`);
+    }
+  } catch (error) {
+    logger.error('Error compacting pool snapshots:', error.message);
+  }
+
+  return result;
+}
+
+module.exports = {
+  SNAPSHOT_CONFIG,
+  toSnapshot,
+  recordSnapshot,
+  getSnapshots,
+  iterateRefreshes,
+  compactSnapshots,
+  snapshotToPool
+};
@@ -0,0 +1,460 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const fs = require('fs-extra');
+const path = require('path');
+const logger = require('../utils/logger');
+const { envNumber } = require('../utils/env');
+const { withRetry } = require('../sources/resilience');
+const { EVENT_TYPES } = require('./events');
+
+const WEBHOOKS_CONFIG = {
+  FILE_PATH: process.env.WEBHOOKS_PATH || path.join(__dirname, '..', 'data', 'webhooks.json'), // Subscriptions and delivery log
+  RETRIES: envNumber('WEBHOOK_RETRIES', 3), // Extra attempts after a failed delivery
+  RETRY_BASE_MS: envNumber('WEBHOOK_RETRY_BASE_MS', 2000), // Delay before the first retry, doubled for each further one
+  RETRY_MAX_MS: envNumber('WEBHOOK_RETRY_MAX_MS', 30000), // Longest delay between retries
+  TIMEOUT_MS: envNumber('WEBHOOK_TIMEOUT_MS', 10000),
+  MAX_DELIVERIES: 500 // Delivery log entries kept
+};
+
+// Sent by POST /api/webhooks/:id/test, whatever the subscription's event filter
+const TEST_EVENT_TYPE = 'webhook.test';
+
+// Built-in payload templates; {{summary}} is a one-line description of the event
+const PAYLOAD_TEMPLATES = {
+  raw: null, // The event itself
+  slack: { text: '{{summary}}' },
+  discord: { content: '{{summary}}' }
+};
+
+/**
+ * One-line description of an event, used by the slack and discord templates
+ * @param {Object} event - Hub event
+ * @returns {string} Summary
+ */
+function describeEvent(event) {
+  const bot = event.bot ? `[${event.bot}] ` : '';
+  const { investment } = event.data || {};
+
+  switch (event.type) {
+    case 'investment.opened':
+      return `💰 ${bot}Opened ${investment.poolName}: $${investment.investmentAmount.toFixed(2)} at ${(investment.entryApy * 100).toFixed(2)}% APY`;
+    case 'investment.exited':
+      return `📈 ${bot}Exited ${investment.poolName}: ${investment.profitLoss >= 0 ? '+' : ''}$${investment.profitLoss.toFixed(2)}${investment.exitReason ? ` (${investment.exitReason})` : ''}`;
+    case 'investment.voided':
+      return `🗑️ ${bot}Voided ${investment.poolName} (${event.data.actor})${event.data.reason ? `: ${event.data.reason}` : ''}`;
+    case 'investment.annotated':
+      return `🏷️ ${bot}Annotated ${investment.poolName} (${event.data.actor})`;
+    case 'bot.started':
+      return `🟢 ${bot}Bot started`;
+    case 'bot.stopped':
+      return `🔴 ${bot}Bot stopped`;
+    case 'loop.error':
+      return `❌ ${bot}Loop error (${event.data.phase}): ${event.data.error}`;
+    case 'pools.refreshed':
+      return `🔄 Pools refreshed: ${event.data.count} pools (${event.data.trigger})`;
+    case TEST_EVENT_TYPE:
+      return '🔔 Test notification from the Solana High APY Tracker';
+    default:
+      return `${bot}${event.type}`;
+  }
+}
+
+/**
+ * Fills a payload template. A string that is exactly "{{path}}" takes the
+ * value at that path as is; placeholders inside longer strings are replaced
+ * with text. Paths are looked up on the event plus `summary`.
+ * @param {*} template - Template (object, array or string)
+ * @param {Object} values - { ...event, summary }
+ * @returns {*} Filled payload
+ */
+function renderTemplate(template, values) {
+  const lookup = key => key.split('.').reduce((value, part) => (value == null ? undefined : value[part]), values);
+
+  if (typeof template === 'string') {
+    const whole = template.match(/^\{\{\s*([\w.]+)\s*\}\}$/);
+    if (whole) {
+      return lookup(whole[1]) ?? null;
+    }
+    return template.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (match, key) => {
+      const value = lookup(key);
+      return value == null ? '' : typeof value === 'object' ? JSON.stringify(value) : String(value);
+    });
+  }
+  if (Array.isArray(template)) {
+    return template.map(item => renderTemplate(item, values));
+  }
+  if (template && typeof template === 'object') {
+    return Object.fromEntries(Object.entries(template).map(([key, value]) => [key, renderTemplate(value, values)]));
+  }
+  return template;
+}
+
+/**
+ * Builds the body sent to a subscription for an event
+ * @param {Object} subscription - Webhook subscription
+ * @param {Object} event - Hub event
+ * @returns {Object} Payload
+ */
+function buildPayload(subscription, event) {
+  const template = typeof subscription.template === 'string'
+    ? PAYLOAD_TEMPLATES[subscription.template]
+    : subscription.template;
+
+  if (!template) {
+    return event;
+  }
+  return renderTemplate(template, { ...event, summary: describeEvent(event) });
+}
+
+/**
+ * HMAC-SHA256 signature of a delivery, sent as X-Webhook-Signature.
+ * Receivers recompute it over `${X-Webhook-Timestamp}.${raw body}` with the subscription secret.
+ * @param {string} secret - Subscription secret
+ * @param {string} timestamp - Value of X-Webhook-Timestamp
+ * @param {string} body - Raw request body
+ * @returns {string} "sha256=<hex digest>"
+ */
+function signPayload(secret, timestamp, body) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+/**
+ * Checks a delivery's signature (for receivers written in Node)
+ * @param {string} secret - Subscription secret
+ * @param {string} timestamp - X-Webhook-Timestamp header
+ * @param {string} body - Raw request body
+ * @param {string} signature - X-Webhook-Signature header
+ * @returns {boolean} True if the signature matches
+ */
+function verifySignature(secret, timestamp, body, signature) {
+  const expected = Buffer.from(signPayload(secret, timestamp, body));
+  const received = Buffer.from(String(signature || ''));
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+// Fields of a subscription as given to POST and PATCH /api/webhooks
+const WEBHOOK_SCHEMA = {
+  url: { type: 'string', format: 'uri', description: 'http(s) URL the events are POSTed to' },
+  events: { type: 'array', items: { type: 'string', enum: ['*', ...EVENT_TYPES] }, minItems: 1, description: 'Event types to deliver (* for all)' },
+  template: {
+    oneOf: [{ type: 'string', enum: Object.keys(PAYLOAD_TEMPLATES) }, { type: 'object' }],
+    nullable: true,
+    description: 'Built-in payload template or a custom JSON template with {{placeholders}}'
+  },
+  bot: { type: 'string', nullable: true, description: 'Only events about this bot (null for all)' },
+  enabled: { type: 'boolean' },
+  secret: { type: 'string', minLength: 16, description: 'HMAC key of the signatures (generated when left out)' }
+};
+
+/**
+ * Subscription as shown by the API: the secret is only returned when the subscription is created
+ * @param {Object} subscription - Webhook subscription
+ * @returns {Object} Subscription without its secret
+ */
+function toPublicSubscription({ secret, ...subscription }) {
+  return subscription;
+}
+
+/**
+ * Webhook subscriptions and their deliveries. Listens to the event hub and
+ * POSTs each matching event to every enabled subscription, signed with the
+ * subscription's secret and retried with backoff on network errors, 429 and 5xx.
+ */
+class WebhookManager {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.filePath] - Where subscriptions and the delivery log are persisted
+   * @param {Object} [options.config] - Overrides for WEBHOOKS_CONFIG values
+   * @param {Function} [options.post] - (url, body, requestConfig) => Promise, defaults to axios.post
+   * @param {Function} [options.sleep] - (ms) => Promise used between retries
+   */
+  constructor(options = {}) {
+    this.config = { ...WEBHOOKS_CONFIG, ...options.config };
+    this.filePath = options.filePath || this.config.FILE_PATH;
+    this.post = options.post || axios.post;
+    this.sleep = options.sleep;
+    this.subscriptions = new Map();
+    this.deliveries = [];
+    this.pending = new Set();
+    this.saving = Promise.resolve();
+    this.unsubscribe = null;
+  }
+
+  /**
+   * Loads persisted subscriptions and deliveries
+   */
+  async load() {
+    try {
+      if (await fs.pathExists(this.filePath)) {
+        const data = await fs.readJson(this.filePath);
+        this.subscriptions = new Map((data.subscriptions || []).map(subscription => [subscription.id, subscription]));
+        this.deliveries = data.deliveries || [];
+        logger.info(`🔔 Loaded ${this.subscriptions.size} webhook subscriptions`);
+      }
+    } catch (error) {
+      logger.error('Error loading webhooks:', error.message);
+    }
+  }
+
+  /**
+   * Saves subscriptions and deliveries. Saves run one at a time, since
+   * deliveries finishing together would otherwise write the file concurrently.
+   */
+  save() {
+    const write = async () => {
+      await fs.ensureDir(path.dirname(this.filePath));
+      await fs.writeJson(this.filePath, {
+        subscriptions: Array.from(this.subscriptions.values()),
+        deliveries: this.deliveries,
+        lastUpdated: new Date().toISOString()
+      }, { spaces: 2 });
+    };
+
+    this.saving = this.saving.catch(() => {}).then(write);
+    return this.saving;
+  }
+
+  /**
+   * Delivers every event published on a hub
+   * @param {EventHub} hub - Event hub
+   */
+  attach(hub) {
+    this.detach();
+    this.unsubscribe = hub.subscribe(event => this.dispatch(event));
+  }
+
+  detach() {
+    if (this.unsubscribe) {
+      this.unsubscribe();
+      this.unsubscribe = null;
+    }
+  }
+
+  list() {
+    return Array.from(this.subscriptions.values());
+  }
+
+  /**
+   * @param {string} id - Subscription id
+   * @returns {Object|undefined} Subscription
+   */
+  get(id) {
+    return this.subscriptions.get(id);
+  }
+
+  /**
+   * Adds a subscription (fields must already be validated)
+   * @param {Object} fields - { url, events?, template?, bot?, enabled?, secret? }
+   * @returns {Promise<Object>} The subscription, including its secret
+   */
+  async create(fields) {
+    const subscription = {
+      id: `wh_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`,
+      url: fields.url,
+      events: fields.events || ['*'],
+      template: fields.template ?? 'raw',
+      bot: fields.bot ?? null,
+      enabled: fields.enabled ?? true,
+      secret: fields.secret || crypto.randomBytes(24).toString('hex'),
+      createdAt: new Date().toISOString()
+    };
+
+    this.subscriptions.set(subscription.id, subscription);
+    await this.save();
+    logger.info(`🔔 Webhook ${subscription.id} added for ${subscription.events.join(', ')} → ${subscription.url}`);
+
+    return subscription;
+  }
+
+  /**
+   * Changes a subscription (fields must already be validated)
+   * @param {string} id - Subscription id
+   * @param {Object} changes - Fields to change
+   * @returns {Promise<Object|null>} Updated subscription, or null if there is none
+   */
+  async update(id, changes) {
+    const subscription = this.subscriptions.get(id);
+    if (!subscription) {
+      return null;
+    }
+
+    const updated = { ...subscription, ...changes, updatedAt: new Date().toISOString() };
+    this.subscriptions.set(id, updated);
+    await this.save();
+
+    return updated;
+  }
+
+  /**
+   * @param {string} id - Subscription id
+   * @returns {Promise<boolean>} False if there was no such subscription
+   */
+  async remove(id) {
+    if (!this.subscriptions.delete(id)) {
+      return false;
+    }
+    await this.save();
+    logger.info(`🗑️ Webhook ${id} deleted`);
+    return true;
+  }
+
+  /**
+   * Whether a subscription wants an event
+   * @param {Object} subscription - Webhook subscription
+   * @param {Object} event - Hub event
+   * @returns {boolean} True if the event should be delivered
+   */
+  matches(subscription, event) {
+    return subscription.enabled &&
+      (subscription.events.includes('*') || subscription.events.includes(event.type)) &&
+      (!subscription.bot || !event.bot || subscription.bot === event.bot);
+  }
+
+  /**
+   * Starts delivering an event to every subscription that wants it
+   * @param {Object} event - Hub event
+   */
+  dispatch(event) {
+    for (const subscription of this.subscriptions.values()) {
+      if (this.matches(subscription, event)) {
+        const delivery = this.deliver(subscription, event).finally(() => this.pending.delete(delivery));
+        this.pending.add(delivery);
+      }
+    }
+  }
+
+  /**
+   * Sends a test event to one subscription
+   * @param {Object} subscription - Webhook subscription
+   * @returns {Promise<Object>} Delivery log entry
+   */
+  sendTest(subscription) {
+    return this.deliver(subscription, {
+      id: null,
+      type: TEST_EVENT_TYPE,
+      timestamp: new Date().toISOString(),
+      bot: null,
+      data: {}
+    });
+  }
+
+  /**
+   * POSTs an event to a subscription, with retries, and logs the outcome
+   * @param {Object} subscription - Webhook subscription
+   * @param {Object} event - Hub event
+   * @returns {Promise<Object>} Delivery log entry
+   */
+  async deliver(subscription, event) {
+    const deliveryId = `dlv_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`;
+    const body = JSON.stringify(buildPayload(subscription, event));
+    const startedAt = Date.now();
+    let attempts = 0;
+    let responseStatus = null;
+    let error = null;
+
+    try {
+      const response = await withRetry(attempt => {
+        attempts = attempt;
+        const timestamp = String(Math.floor(Date.now() / 1000));
+
+        return this.post(subscription.url, body, {
+          timeout: this.config.TIMEOUT_MS,
+          headers: {
+            'Content-Type': 'application/json',
+            'User-Agent': 'Solana-High-APY-Tracker/1.0',
+            'X-Webhook-Id': subscription.id,
+            'X-Webhook-Delivery': deliveryId,
+            'X-Webhook-Event': event.type,
+            'X-Webhook-Timestamp': timestamp,
+            'X-Webhook-Signature': signPayload(subscription.secret, timestamp, body)
+          }
+        });
+      }, {
+        retries: this.config.RETRIES,
+        baseDelayMs: this.config.RETRY_BASE_MS,
+        maxDelayMs: this.config.RETRY_MAX_MS,
+        onRetry: (retryError, attempt, delayMs) => {
+          logger.warn(`Webhook ${subscription.id} delivery failed (attempt ${attempt}), retrying in ${delayMs}ms: ${retryError.message}`);
+        },
+        ...(this.sleep ? { sleep: this.sleep } : {})
+      });
+      responseStatus = response.status;
+    } catch (deliveryError) {
+      responseStatus = deliveryError.response ? deliveryError.response.status : null;
+      error = deliveryError.message;
+      logger.error(`❌ Webhook ${subscription.id} delivery of ${event.type} failed after ${attempts} attempts: ${error}`);
+    }
+
+    const delivery = {
+      id: deliveryId,
+      subscriptionId: subscription.id,
+      eventId: event.id,
+      eventType: event.type,
+      url: subscription.url,
+      status: error ? 'failed' : 'delivered',
+      attempts,
+      responseStatus,
+      error,
+      durationMs: Date.now() - startedAt,
+      timestamp: new Date().toISOString()
+    };
+
+    this.deliveries.push(delivery);
+    if (this.deliveries.length > this.config.MAX_DELIVERIES) {
+      this.deliveries = this.deliveries.slice(-this.config.MAX_DELIVERIES);
+    }
+    try {
+      await this.save();
+    } catch (saveError) {
+      logger.error('Error saving webhook deliveries:', saveError.message);
+    }
+
+    return delivery;
+  }
+
+  /**
+   * Delivery log, most recent first
+   * @param {Object} [filters]
+   * @param {string} [filters.subscriptionId] - Only this subscription's deliveries
+   * @param {string} [filters.status] - 'delivered' or 'failed'
+   * @param {string} [filters.eventType] - Only this event type
+   * @param {number} [filters.limit] - Maximum entries
+   * @returns {Array<Object>} Deliveries
+   */
+  getDeliveries({ subscriptionId, status, eventType, limit = 100 } = {}) {
+    return this.deliveries
+      .filter(delivery => (!subscriptionId || delivery.subscriptionId === subscriptionId) &&
+        (!status || delivery.status === status) &&
+        (!eventType || delivery.eventType === eventType))
+      .reverse()
+      .slice(0, limit);
+  }
+
+  /**
+   * Resolves once every delivery started so far has finished
+   * @returns {Promise<void>}
+   */
+  async idle() {
+    while (this.pending.size > 0) {
+      await Promise.all(Array.from(this.pending));
+    }
+  }
+}
+
+// Create singleton instance
+const webhookManager = new WebhookManager();
+
+module.exports = {
+  WEBHOOKS_CONFIG,
+  PAYLOAD_TEMPLATES,
+  TEST_EVENT_TYPE,
+  WEBHOOK_SCHEMA,
+  describeEvent,
+  renderTemplate,
+  buildPayload,
+  signPayload,
+  verifySignature,
+  toPublicSubscription,
+  WebhookManager,
+  webhookManager
+};
@@ -0,0 +1,88 @@
+const axios = require('axios');
+const logger = require('../utils/logger');
+const { getRecordingMode, saveRecording, replayRecording } = require('./recordings');
+const { withRetry, CircuitBreaker } = require('./resilience');
+
+const REQUEST_TIMEOUT_MS = 30000; // 30 second timeout
+
+// One circuit breaker per source label
+const breakers = new Map();
+
+/**
+ * Gets the circuit breaker guarding a source's API
+ * @param {string} label - Source label
+ * @returns {CircuitBreaker} Breaker for that source
+ */
+function getBreaker(label) {
+  if (!breakers.has(label)) {
+    breakers.set(label, new CircuitBreaker(label));
+  }
+  return breakers.get(label);
+}
+
+/**
+ * State of a source's circuit breaker
+ * @param {string} label - Source label
+ * @returns {Object} { state, failures, openedAt, retryAt }
+ */
+function getCircuitState(label) {
+  return getBreaker(label).getState();
+}
+
+/**
+ * GETs a JSON document from a pool source's API.
+ * Failed requests are retried with backoff, and the source's circuit breaker
+ * stops calling an API that keeps failing.
+ * In record mode the response is also saved; in replay mode a saved response is served instead.
+ * @param {string} label - Source name used in logs and errors (e.g. 'Orca')
+ * @param {string} url - Endpoint URL
+ * @param {Object} [params] - Query string parameters
+ * @returns {Promise<*>} Response body
+ */
+async function fetchJson(label, url, params) {
+  const { mode } = getRecordingMode();
+  if (mode === 'replay') {
+    return replayRecording(label);
+  }
+
+  try {
+    logger.info(`Fetching pools from ${label} API...`);
+    const response = await getBreaker(label).call(() => withRetry(() => axios.get(url, {
+      params,
+      timeout: REQUEST_TIMEOUT_MS,
+      headers: {
+        'User-Agent': 'Solana-High-APY-Tracker/1.0'
+      }
+    }), {
+      onRetry: (error, attempt, delayMs) => {
+        logger.warn(`${label} API request failed (attempt ${attempt}), retrying in ${delayMs}ms: ${error.message}`);
+      }
+    }));
+
+    if (mode === 'record') {
+      try {
+        await saveRecording(label, { url, params }, response.data);
+      } catch (error) {
+        logger.error(`Error recording ${label} response:`, error.message);
+      }
+    }
+
+    return response.data;
+  } catch (error) {
+    if (error.circuitOpen) {
+      logger.warn(`Skipping ${label} API call: ${error.message}`);
+    } else if (error.response) {
+      logger.error(`${label} API request failed with status ${error.response.status}: ${error.response.statusText}`);
+    } else if (error.request) {
+      logger.error(`No response received from ${label} API:`, error.message);
+    } else {
+      logger.error(`Error setting up ${label} API request:`, error.message);
+    }
+    throw new Error(`Failed to fetch pools from ${label} API: ${error.message}`);
+  }
+}
+
+module.exports = {
+  fetchJson,
+  getCircuitState
+};
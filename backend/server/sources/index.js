@@ -0,0 +1,135 @@
+const logger = require('../utils/logger');
+const orca = require('./orca');
+const raydium = require('./raydium');
+const { validatePools } = require('./validation');
+
+/**
+ * Pool source adapter interface
+ *
+ * A source is a plain object with:
+ * - name {string}: unique id used to enable it (POOL_SOURCES) and in health reports
+ * - protocol {string}: value of the protocol field on every pool it produces
+ * - description {string}
+ * - fetch() => Promise<*>: the raw API response
+ * - normalize(response, fetchedAt) => Array: pools in the shared pool schema
+ *   { id, name, protocol, apy, apy_24h, apy_7d, apy_30d, pair, mint_account,
+ *     liquidity, price, volume_24h, volume_7d, volume_30d, createdAt, lastUpdated, lastFetched }
+ *   with APYs as decimals and amounts in USD
+ * - health() => Object (optional): defaults to the outcome of the last fetchSource() call
+ *
+ * Keeping fetch and normalize apart lets an adapter be tested by passing a
+ * recorded response straight to normalize().
+ *
+ * Normalized pools are checked against POOL_SCHEMA (./validation.js); malformed
+ * ones are dropped and counted rather than cached.
+ */
+const sources = new Map();
+const sourceStatus = new Map();
+
+/**
+ * Registers a pool source
+ * @param {Object} source - Source adapter
+ */
+function registerSource(source) {
+  if (!source.name || !source.protocol) {
+    throw new Error('Source must have a name and a protocol');
+  }
+  for (const hook of ['fetch', 'normalize']) {
+    if (typeof source[hook] !== 'function') {
+      throw new Error(`Source ${source.name} is missing ${hook}()`);
+    }
+  }
+
+  sourceStatus.set(source.name, { ok: null, lastSuccessAt: null, lastErrorAt: null, lastError: null, poolCount: 0, droppedCount: 0, durationMs: null });
+  sources.set(source.name, {
+    description: '',
+    health: () => ({ ...sourceStatus.get(source.name) }),
+    ...source
+  });
+}
+
+/**
+ * Gets a registered source
+ * @param {string} name - Source name
+ * @returns {Object} Source adapter
+ */
+function getSource(name) {
+  const source = sources.get(name);
+  if (!source) {
+    throw new Error(`Unknown pool source: ${name}. Available: ${Array.from(sources.keys()).join(', ')}`);
+  }
+  return source;
+}
+
+/**
+ * @returns {Array<Object>} All registered sources
+ */
+function listSources() {
+  return Array.from(sources.values());
+}
+
+/**
+ * Sources enabled with POOL_SOURCES (comma separated names, defaults to all)
+ * @returns {Array<Object>} Enabled sources
+ */
+function getEnabledSources() {
+  if (!process.env.POOL_SOURCES) {
+    return listSources();
+  }
+  return process.env.POOL_SOURCES.split(',').map(name => name.trim()).filter(Boolean).map(getSource);
+}
+
+/**
+ * Fetches, normalizes and validates one source, recording the outcome for health().
+ * Fails if the response held pools but none of them were valid.
+ * @param {Object} source - Source adapter
+ * @param {Date} [fetchedAt] - Time of the refresh
+ * @returns {Promise<Array>} Valid normalized pools
+ */
+async function fetchSource(source, fetchedAt = new Date()) {
+  const startedAt = Date.now();
+  const status = sourceStatus.get(source.name) || {};
+
+  try {
+    const { valid, dropped } = validatePools(source.normalize(await source.fetch(), fetchedAt));
+
+    if (dropped.length > 0) {
+      const examples = dropped.slice(0, 3).map(({ id, errors }) => `${id || 'unknown'} (${errors.join(', ')})`);
+      logger.warn(`⚠️ Dropped ${dropped.length} malformed ${source.protocol} pools: ${examples.join('; ')}${dropped.length > 3 ? '; ...' : ''}`);
+      if (valid.length === 0) {
+        throw new Error(`No valid pools in ${source.protocol} response (${dropped.length} malformed)`);
+      }
+    }
+
+    sourceStatus.set(source.name, {
+      ...status,
+      ok: true,
+      lastSuccessAt: new Date().toISOString(),
+      poolCount: valid.length,
+      droppedCount: dropped.length,
+      durationMs: Date.now() - startedAt
+    });
+    return valid;
+  } catch (error) {
+    sourceStatus.set(source.name, {
+      ...status,
+      ok: false,
+      lastErrorAt: new Date().toISOString(),
+      lastError: error.message,
+      droppedCount: 0,
+      durationMs: Date.now() - startedAt
+    });
+    throw error;
+  }
+}
+
+registerSource(orca);
+registerSource(raydium);
+
+module.exports = {
+  registerSource,
+  getSource,
+  listSources,
+  getEnabledSources,
+  fetchSource
+};
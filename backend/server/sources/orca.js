@@ -0,0 +1,61 @@
+const logger = require('../utils/logger');
+const { fetchJson } = require('./http');
+const { normalizeTimestamp } = require('../services/poolRegistry');
+
+const ORCA_API_URL = 'https://api.orca.so/pools';
+
+/**
+ * Orca pools from the public Orca API (APY values are decimals)
+ */
+module.exports = {
+  name: 'orca',
+  protocol: 'Orca',
+  description: 'Orca pools from api.orca.so',
+
+  async fetch() {
+    const data = await fetchJson(this.protocol, ORCA_API_URL);
+
+    if (!data || !Array.isArray(data)) {
+      throw new Error('Invalid response format from Orca API');
+    }
+
+    logger.info(`Successfully fetched ${data.length} pools from Orca API`);
+    return data;
+  },
+
+  normalize(pools, fetchedAt = new Date()) {
+    const currentTime = fetchedAt.toISOString();
+
+    return pools.map(pool => ({
+      // Core pool information
+      id: pool.account || pool.mint_account,
+      name: pool.name || pool.name2 || 'Unknown Pool',
+      protocol: this.protocol,
+
+      // APY information
+      apy: pool.apy_30d || pool.apy_7d || pool.apy_24h || 0,
+      apy_24h: pool.apy_24h || 0,
+      apy_7d: pool.apy_7d || 0,
+      apy_30d: pool.apy_30d || 0,
+
+      // Token information (extracted from name)
+      pair: pool.name || pool.name2 || 'Unknown',
+      mint_account: pool.mint_account || null,
+
+      // Liquidity information
+      liquidity: pool.liquidity || 0,
+      price: pool.price || 0,
+      volume_24h: pool.volume_24h || 0,
+      volume_7d: pool.volume_7d || 0,
+      volume_30d: pool.volume_30d || 0,
+
+      // Additional metadata
+      createdAt: normalizeTimestamp(pool.created_at ?? pool.createdAt ?? pool.creation_time),
+      lastUpdated: pool.lastUpdated || currentTime,
+      lastFetched: currentTime,
+
+      // Raw data for debugging (optional)
+      _raw: process.env.NODE_ENV === 'development' ? pool : undefined
+    })).filter(pool => pool.id); // Remove pools without valid IDs
+  }
+};
@@ -0,0 +1,84 @@
+const logger = require('../utils/logger');
+const { fetchJson } = require('./http');
+const { normalizeTimestamp } = require('../services/poolRegistry');
+
+const RAYDIUM_API_URL = 'https://api-v3.raydium.io/pools/info/list';
+const RAYDIUM_PAGE_SIZE = 1000; // Largest page the API serves
+
+/**
+ * Converts a Raydium APR (a percentage, e.g. 25.5) to the decimal used by the pool schema
+ * @param {Object} [window] - Raydium day/week/month stats
+ * @returns {number} APR as a decimal
+ */
+function toDecimalApr(window) {
+  return window && window.apr ? window.apr / 100 : 0;
+}
+
+/**
+ * Raydium pools from the Raydium v3 API, highest 24h APR first.
+ * Raydium reports APR rather than APY; it is used as the pool's APY unchanged.
+ */
+module.exports = {
+  name: 'raydium',
+  protocol: 'Raydium',
+  description: 'Raydium pools from api-v3.raydium.io',
+
+  async fetch() {
+    const body = await fetchJson(this.protocol, RAYDIUM_API_URL, {
+      poolType: 'all',
+      poolSortField: 'apr24h',
+      sortType: 'desc',
+      pageSize: RAYDIUM_PAGE_SIZE,
+      page: 1
+    });
+
+    if (!body || body.success === false || !body.data || !Array.isArray(body.data.data)) {
+      throw new Error('Invalid response format from Raydium API');
+    }
+
+    logger.info(`Successfully fetched ${body.data.data.length} pools from Raydium API`);
+    return body;
+  },
+
+  normalize(body, fetchedAt = new Date()) {
+    const currentTime = fetchedAt.toISOString();
+
+    return body.data.data.map(pool => {
+      const pair = pool.mintA && pool.mintB
+        ? `${pool.mintA.symbol || 'Unknown'}/${pool.mintB.symbol || 'Unknown'}`
+        : 'Unknown';
+
+      return {
+        // Core pool information
+        id: pool.id,
+        name: pair === 'Unknown' ? 'Unknown Pool' : pair,
+        protocol: this.protocol,
+
+        // APY information
+        apy: toDecimalApr(pool.month) || toDecimalApr(pool.week) || toDecimalApr(pool.day),
+        apy_24h: toDecimalApr(pool.day),
+        apy_7d: toDecimalApr(pool.week),
+        apy_30d: toDecimalApr(pool.month),
+
+        // Token information
+        pair,
+        mint_account: (pool.lpMint && pool.lpMint.address) || null,
+
+        // Liquidity information
+        liquidity: pool.tvl || 0,
+        price: pool.price || 0,
+        volume_24h: (pool.day && pool.day.volume) || 0,
+        volume_7d: (pool.week && pool.week.volume) || 0,
+        volume_30d: (pool.month && pool.month.volume) || 0,
+
+        // Additional metadata
+        createdAt: normalizeTimestamp(pool.openTime),
+        lastUpdated: currentTime,
+        lastFetched: currentTime,
+
+        // Raw data for debugging (optional)
+        _raw: process.env.NODE_ENV === 'development' ? pool : undefined
+      };
+    }).filter(pool => pool.id); // Remove pools without valid IDs
+  }
+};
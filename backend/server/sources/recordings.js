@@ -0,0 +1,117 @@
+const fs = require('fs-extra');
+const path = require('path');
+const logger = require('../utils/logger');
+
+// live: call the upstream APIs; record: call them and save every response; replay: serve saved responses
+const RECORDING_CONFIG = {
+  MODE: process.env.POOL_SOURCE_MODE || 'live',
+  DIR: process.env.POOL_RECORDINGS_DIR || path.join(__dirname, '..', 'data', 'recordings'),
+  SEQUENTIAL: process.env.POOL_REPLAY_SEQUENTIAL === 'true', // Step through recordings instead of always serving the latest
+  LOOP: process.env.POOL_REPLAY_LOOP === 'true' // Start over after the last recording (sequential replay only)
+};
+
+const MODES = ['live', 'record', 'replay'];
+
+// Next recording to serve per source in sequential replay
+const replayCursors = new Map();
+
+/**
+ * Directory holding one source's recordings
+ * @param {string} label - Source label (e.g. 'Orca')
+ * @returns {string} Directory path
+ */
+function getSourceDir(label) {
+  return path.join(RECORDING_CONFIG.DIR, label.toLowerCase());
+}
+
+/**
+ * Saves a raw upstream response
+ * @param {string} label - Source label
+ * @param {Object} request - { url, params }
+ * @param {*} response - Response body
+ * @param {Date} [date] - Time of the request
+ * @returns {Promise<string>} Path of the recording
+ */
+async function saveRecording(label, { url, params }, response, date = new Date()) {
+  const recordedAt = date.toISOString();
+  const filePath = path.join(getSourceDir(label), `${recordedAt.replace(/[:.]/g, '-')}.json`);
+
+  await fs.ensureDir(path.dirname(filePath));
+  await fs.writeJson(filePath, { recordedAt, source: label, url, params: params || null, response });
+  logger.info(`📼 Recorded ${label} response to ${filePath}`);
+
+  return filePath;
+}
+
+/**
+ * Lists a source's recordings, oldest first
+ * @param {string} label - Source label
+ * @returns {Promise<Array<string>>} Recording file paths
+ */
+async function listRecordings(label) {
+  const dir = getSourceDir(label);
+  if (!(await fs.pathExists(dir))) {
+    return [];
+  }
+
+  const files = await fs.readdir(dir);
+  return files.filter(file => file.endsWith('.json')).sort().map(file => path.join(dir, file));
+}
+
+/**
+ * Gets the recorded response to serve for a source: the latest one, or the
+ * next one in sequence when SEQUENTIAL is set
+ * @param {string} label - Source label
+ * @returns {Promise<*>} Recorded response body
+ */
+async function replayRecording(label) {
+  const recordings = await listRecordings(label);
+  if (recordings.length === 0) {
+    throw new Error(`No ${label} recordings in ${getSourceDir(label)}`);
+  }
+
+  let index = recordings.length - 1;
+  if (RECORDING_CONFIG.SEQUENTIAL) {
+    const cursor = replayCursors.get(label) || 0;
+    index = RECORDING_CONFIG.LOOP ? cursor % recordings.length : Math.min(cursor, recordings.length - 1);
+    replayCursors.set(label, cursor + 1);
+  }
+
+  const recording = await fs.readJson(recordings[index]);
+  logger.info(`📼 Replaying ${label} response recorded at ${recording.recordedAt} (${index + 1}/${recordings.length})`);
+
+  return recording.response;
+}
+
+/**
+ * Restarts sequential replay from the first recording
+ */
+function resetReplay() {
+  replayCursors.clear();
+}
+
+/**
+ * Current record/replay settings
+ * @returns {Object} Mode, directory and replay options
+ */
+function getRecordingMode() {
+  if (!MODES.includes(RECORDING_CONFIG.MODE)) {
+    throw new Error(`Invalid POOL_SOURCE_MODE: ${RECORDING_CONFIG.MODE}. Use one of: ${MODES.join(', ')}`);
+  }
+
+  return {
+    mode: RECORDING_CONFIG.MODE,
+    dir: RECORDING_CONFIG.DIR,
+    sequential: RECORDING_CONFIG.SEQUENTIAL,
+    loop: RECORDING_CONFIG.LOOP
+  };
+}
+
+module.exports = {
+  RECORDING_CONFIG,
+  saveRecording,
+  listRecordings,
+  replayRecording,
+  resetReplay,
+  getRecordingMode
+};
@@ -0,0 +1,137 @@
+const { SystemClock } = require('../utils/clock');
+const { envNumber } = require('../utils/env');
+
+// Retry and circuit breaker settings for upstream API calls
+const RESILIENCE_CONFIG = {
+  RETRIES: envNumber('POOL_FETCH_RETRIES', 3), // Extra attempts after a failed request
+  RETRY_BASE_MS: envNumber('POOL_FETCH_RETRY_BASE_MS', 1000), // Delay before the first retry, doubled for each further one
+  RETRY_MAX_MS: envNumber('POOL_FETCH_RETRY_MAX_MS', 15000), // Longest delay between retries
+  BREAKER_FAILURE_THRESHOLD: envNumber('POOL_BREAKER_FAILURE_THRESHOLD', 3), // Failed fetches in a row that open the circuit
+  BREAKER_COOLDOWN_MINUTES: envNumber('POOL_BREAKER_COOLDOWN_MINUTES', 10) // How long an open circuit rejects calls before a trial call
+};
+
+/**
+ * Whether a failed request is worth retrying: network errors, timeouts,
+ * rate limiting and server errors are; other 4xx responses are not
+ * @param {Error} error - Error thrown by axios
+ * @returns {boolean} True if the request may succeed on a retry
+ */
+function isRetryable(error) {
+  if (!error.response) {
+    return true;
+  }
+  const { status } = error.response;
+  return status === 429 || status >= 500;
+}
+
+/**
+ * Runs an async function, retrying failures with exponential backoff
+ * @param {Function} fn - (attempt) => Promise
+ * @param {Object} [options]
+ * @param {number} [options.retries] - Extra attempts after the first
+ * @param {number} [options.baseDelayMs] - Delay before the first retry
+ * @param {number} [options.maxDelayMs] - Longest delay between retries
+ * @param {Function} [options.shouldRetry] - (error) => boolean
+ * @param {Function} [options.onRetry] - (error, attempt, delayMs) => void, called before each retry
+ * @param {Function} [options.sleep] - (ms) => Promise, replaceable in tests
+ * @returns {Promise<*>} Result of the first successful attempt
+ */
+async function withRetry(fn, {
+  retries = RESILIENCE_CONFIG.RETRIES,
+  baseDelayMs = RESILIENCE_CONFIG.RETRY_BASE_MS,
+  maxDelayMs = RESILIENCE_CONFIG.RETRY_MAX_MS,
+  shouldRetry = isRetryable,
+  onRetry = () => {},
+  sleep = ms => new Promise(resolve => setTimeout(resolve, ms))
+} = {}) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (error) {
+      if (attempt > retries || !shouldRetry(error)) {
+        throw error;
+      }
+
+      const delayMs = Math.min(baseDelayMs * 2 ** (attempt - 1), maxDelayMs);
+      onRetry(error, attempt, delayMs);
+      await sleep(delayMs);
+    }
+  }
+}
+
+/**
+ * Stops calling an API that keeps failing.
+ *
+ * closed: calls go through; BREAKER_FAILURE_THRESHOLD failures in a row open the circuit.
+ * open: calls are rejected without reaching the API until the cooldown has passed.
+ * half-open: one trial call goes through; success closes the circuit, failure reopens it.
+ */
+class CircuitBreaker {
+  /**
+   * @param {string} name - Name used in errors (e.g. 'Orca')
+   * @param {Object} [options]
+   * @param {number} [options.failureThreshold] - Failures in a row that open the circuit
+   * @param {number} [options.cooldownMinutes] - Minutes the circuit stays open
+   * @param {Object} [options.clock] - Clock (SystemClock or ManualClock)
+   */
+  constructor(name, options = {}) {
+    this.name = name;
+    this.failureThreshold = options.failureThreshold ?? RESILIENCE_CONFIG.BREAKER_FAILURE_THRESHOLD;
+    this.cooldownMs = (options.cooldownMinutes ?? RESILIENCE_CONFIG.BREAKER_COOLDOWN_MINUTES) * 60 * 1000;
+    this.clock = options.clock || new SystemClock();
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+  }
+
+  /**
+   * Runs a call through the breaker
+   * @param {Function} fn - () => Promise
+   * @returns {Promise<*>} Result of the call
+   */
+  async call(fn) {
+    if (this.state === 'open') {
+      const retryAt = this.openedAt + this.cooldownMs;
+      if (this.clock.now().getTime() < retryAt) {
+        const error = new Error(`${this.name} circuit open after ${this.failures} failures, next attempt after ${new Date(retryAt).toISOString()}`);
+        error.circuitOpen = true;
+        throw error;
+      }
+      this.state = 'half-open';
+    }
+
+    try {
+      const result = await fn();
+      this.state = 'closed';
+      this.failures = 0;
+      this.openedAt = null;
+      return result;
+    } catch (error) {
+      this.failures++;
+      if (this.state === 'half-open' || this.failures >= this.failureThreshold) {
+        this.state = 'open';
+        this.openedAt = this.clock.now().getTime();
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * @returns {Object} { state, failures, openedAt, retryAt }
+   */
+  getState() {
+    return {
+      state: this.state,
+      failures: this.failures,
+      openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+      retryAt: this.openedAt ? new Date(this.openedAt + this.cooldownMs).toISOString() : null
+    };
+  }
+}
+
+module.exports = {
+  RESILIENCE_CONFIG,
+  isRetryable,
+  withRetry,
+  CircuitBreaker
+};
@@ -0,0 +1,63 @@
+const { validateValues } = require('../utils/schema');
+
+// Shape every normalized pool must have; anything else is dropped before it reaches the cache
+const POOL_SCHEMA = {
+  id: { type: 'string' },
+  name: { type: 'string' },
+  protocol: { type: 'string' },
+  apy: { type: 'number', min: 0, max: 10000 }, // Decimal, so up to 1,000,000%
+  apy_24h: { type: 'number', min: 0, max: 10000 },
+  apy_7d: { type: 'number', min: 0, max: 10000 },
+  apy_30d: { type: 'number', min: 0, max: 10000 },
+  pair: { type: 'string' },
+  mint_account: { type: 'string', nullable: true },
+  liquidity: { type: 'number', min: 0 },
+  price: { type: 'number', min: 0 },
+  volume_24h: { type: 'number', min: 0 },
+  volume_7d: { type: 'number', min: 0 },
+  volume_30d: { type: 'number', min: 0 },
+  createdAt: { type: 'string', nullable: true },
+  lastFetched: { type: 'string' }
+};
+
+/**
+ * Checks one normalized pool against POOL_SCHEMA (extra fields are allowed)
+ * @param {Object} pool - Normalized pool
+ * @returns {Array<string>} Validation errors (empty if valid)
+ */
+function validatePool(pool) {
+  const values = Object.fromEntries(Object.keys(POOL_SCHEMA).map(key => [key, pool[key]]));
+  const errors = validateValues(POOL_SCHEMA, values);
+
+  if (values.id === '') {
+    errors.push('id must not be empty');
+  }
+  return errors;
+}
+
+/**
+ * Splits normalized pools into valid ones and dropped ones
+ * @param {Array} pools - Normalized pools
+ * @returns {{valid: Array, dropped: Array<{id: *, errors: Array<string>}>}} Valid pools and why the rest were dropped
+ */
+function validatePools(pools) {
+  const valid = [];
+  const dropped = [];
+
+  for (const pool of pools) {
+    const errors = pool && typeof pool === 'object' ? validatePool(pool) : ['pool must be an object'];
+    if (errors.length > 0) {
+      dropped.push({ id: pool && pool.id, errors });
+    } else {
+      valid.push(pool);
+    }
+  }
+
+  return { valid, dropped };
+}
+
+module.exports = {
+  POOL_SCHEMA,
+  validatePool,
+  validatePools
+};
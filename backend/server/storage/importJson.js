@@ -0,0 +1,95 @@
+const fs = require('fs-extra');
+const path = require('path');
+const logger = require('../utils/logger');
+const { LiquidityMiningBot, BOT_CONFIG } = require('../services/bot');
+const { BOTS_CONFIG, DEFAULT_BOT_NAME } = require('../services/botManager');
+const { SNAPSHOT_CONFIG, iterateRefreshes } = require('../services/snapshots');
+const { JsonStorage, DEFAULT_POOLS_FILE_PATH } = require('./json');
+
+/**
+ * Copies the JSON files into a SQLite storage: every bot's state and
+ * investment journal (the default bot and each named bot in the registry),
+ * the pool cache and the NDJSON snapshots. The JSON files are left as they are.
+ *
+ * Runs once per database; the import is recorded in storage_meta and a
+ * second run is refused unless forced, in which case the imported bots,
+ * their journals, the pool cache and the snapshots are replaced.
+ *
+ * @param {SqliteStorage} target - Storage to import into
+ * @param {Object} [options]
+ * @param {string} [options.investmentsFile] - Default bot's state file
+ * @param {string} [options.registryPath] - Named bot registry
+ * @param {string} [options.botsDataDir] - Directory of the named bots' state
+ * @param {string} [options.poolsFile] - Pool cache file
+ * @param {string} [options.snapshotDir] - NDJSON snapshot directory
+ * @param {boolean} [options.force] - Import again into a database that already has an import
+ * @returns {Promise<Object>} { importedAt, bots: { name: { active, history, events } }, pools, snapshots }
+ */
+async function importJsonData(target, {
+  investmentsFile = BOT_CONFIG.DATA_FILE_PATH,
+  registryPath = BOTS_CONFIG.REGISTRY_FILE_PATH,
+  botsDataDir = BOTS_CONFIG.DATA_DIR,
+  poolsFile = DEFAULT_POOLS_FILE_PATH,
+  snapshotDir = SNAPSHOT_CONFIG.DIR,
+  force = false
+} = {}) {
+  if (target.driver !== 'sqlite') {
+    throw new Error('JSON data can only be imported into SQLite storage');
+  }
+
+  const previous = target.getMeta('json_import');
+  if (previous && !force) {
+    throw new Error(`JSON data was already imported on ${previous.importedAt} (use --force to import it again)`);
+  }
+
+  const source = new JsonStorage({ poolsFilePath: poolsFile, snapshotDir });
+  const summary = { importedAt: new Date().toISOString(), bots: {}, pools: 0, snapshots: 0 };
+
+  // Bot state, loaded through the bot so older files get the same defaults (e.g. cash)
+  const botFiles = [[DEFAULT_BOT_NAME, investmentsFile]];
+  if (await fs.pathExists(registryPath)) {
+    const registry = await fs.readJson(registryPath);
+    for (const { name } of registry.bots || []) {
+      botFiles.push([name, path.join(botsDataDir, name, 'botInvestments.json')]);
+    }
+  }
+
+  for (const [name, filePath] of botFiles) {
+    if (!(await fs.pathExists(filePath))) continue;
+
+    const bot = new LiquidityMiningBot({ name, storage: source, config: { DATA_FILE_PATH: filePath } });
+    await bot.loadInvestments();
+    await target.investments(name).save(bot.serializeState());
+
+    const events = await source.journal(name, { filePath }).read();
+    const journal = target.journal(name);
+    if (force) {
+      journal.clear();
+    }
+    await journal.append(events);
+
+    summary.bots[name] = { active: bot.activeInvestments.size, history: bot.investmentHistory.length, events: events.length };
+  }
+
+  const pools = await source.loadPools();
+  if (pools) {
+    await target.savePools(pools);
+    summary.pools = pools.length;
+  }
+
+  if (force) {
+    target.clearSnapshots();
+  }
+  for await (const refresh of source.iterateRefreshes()) {
+    summary.snapshots += target.insertSnapshots(refresh.pools);
+  }
+
+  target.setMeta('json_import', summary);
+  logger.info(`🗄️ Imported ${Object.keys(summary.bots).length} bots, ${summary.pools} pools and ${summary.snapshots} snapshots into ${target.filePath}`);
+
+  return summary;
+}
+
+module.exports = {
+  importJsonData
+};
@@ -0,0 +1,81 @@
+const path = require('path');
+const { JsonStorage } = require('./json');
+
+/**
+ * Storage interface
+ *
+ * A storage is an object with:
+ * - driver {string}: 'json' or 'sqlite'
+ * - investments(bot, { filePath }) => InvestmentStore: one bot's state, where
+ *   filePath is the bot's DATA_FILE_PATH (only the JSON driver uses it).
+ *   An InvestmentStore has:
+ *   - load() => Promise<Object|null>: { activeInvestments, investmentHistory, stats, cash, lastUpdated }
+ *   - save(state) => Promise: the same shape
+ *   - query({ status, poolId, protocol, from, to, limit }) => Promise<Array>: matching investments
+ *   - iterate({ ...same filters }) => AsyncIterator<Object>: the same investments one at a time
+ *     (read in batches by sqlite; json loads them all first)
+ * - journal(bot, { filePath }) => JournalStore: one bot's investment event
+ *   journal (see services/journal.js), append-only. A JournalStore has:
+ *   - append(events) => Promise: adds events at the end, in order
+ *   - read() => Promise<Array>: every event in order
+ * - removeBot(bot, { filePath }) => Promise: deletes the bot's investments,
+ *   state and journal
+ * - loadPools() => Promise<Array|null>: the pool cache, null if nothing was cached yet
+ * - getPool(id) => Promise<Object|null>: one cached pool, null if it is not in the cache
+ * - savePools(pools) => Promise: replaces the pool cache
+ * - recordSnapshots(pools, date) => Promise<number>: stores one refresh's pool snapshots
+ * - getSnapshots({ poolId, from, to }) => Promise<Array>: snapshots sorted by timestamp
+ * - iterateRefreshes({ from, to }) => AsyncIterator<{ timestamp, pools }>
+ * - close()
+ *
+ * json (default) keeps the original files; sqlite keeps everything in one
+ * database with indexed queries. Move existing JSON data into a new
+ * database with `npm run storage -- import`.
+ */
+const STORAGE_CONFIG = {
+  DRIVER: process.env.STORAGE_DRIVER || 'json',
+  SQLITE_PATH: process.env.STORAGE_SQLITE_PATH || path.join(__dirname, '..', 'data', 'liquidity.db')
+};
+
+const DRIVERS = ['json', 'sqlite'];
+
+let storage = null;
+
+/**
+ * Creates a storage
+ * @param {Object} [options]
+ * @param {string} [options.driver] - 'json' or 'sqlite' (defaults to STORAGE_DRIVER)
+ * @param {string} [options.filePath] - SQLite database file (defaults to STORAGE_SQLITE_PATH)
+ * @returns {JsonStorage|SqliteStorage} Storage
+ */
+function createStorage({ driver = STORAGE_CONFIG.DRIVER, filePath = STORAGE_CONFIG.SQLITE_PATH, ...options } = {}) {
+  switch (driver) {
+    case 'json':
+      return new JsonStorage(options);
+    case 'sqlite': {
+      // Only load the native module when it is used
+      const { SqliteStorage } = require('./sqlite');
+      return new SqliteStorage({ filePath });
+    }
+    default:
+      throw new Error(`Unknown storage driver: ${driver}. Available: ${DRIVERS.join(', ')}`);
+  }
+}
+
+/**
+ * The storage the server uses, created on first use from STORAGE_CONFIG
+ * @returns {JsonStorage|SqliteStorage} Storage
+ */
+function getStorage() {
+  if (!storage) {
+    storage = createStorage();
+  }
+  return storage;
+}
+
+module.exports = {
+  STORAGE_CONFIG,
+  DRIVERS,
+  createStorage,
+  getStorage
+};
@@ -0,0 +1,248 @@
+const fs = require('fs-extra');
+const path = require('path');
+const readline = require('readline');
+const logger = require('../utils/logger');
+const { SNAPSHOT_CONFIG, recordSnapshot, getSnapshots, iterateRefreshes } = require('../services/snapshots');
+
+const DEFAULT_POOLS_FILE_PATH = path.join(__dirname, '..', 'data', 'highApyPools.json');
+
+/**
+ * Writes JSON to a temporary file first so a crash never leaves a half-written file
+ * @param {string} filePath - Destination
+ * @param {*} data - Value to write
+ */
+async function writeJsonAtomic(filePath, data) {
+  const tmpPath = `${filePath}.tmp`;
+  await fs.ensureDir(path.dirname(filePath));
+  await fs.writeJson(tmpPath, data, { spaces: 2 });
+  await fs.move(tmpPath, filePath, { overwrite: true });
+}
+
+/**
+ * Checks an investment against query filters
+ * @param {Object} investment - Investment record
+ * @param {Object} filters - See InvestmentStore.query()
+ * @returns {boolean} True if it matches
+ */
+function matchesInvestment(investment, { status, poolId, protocol, from, to }) {
+  const time = investment.exitTimestamp || investment.entryTimestamp;
+  return (!status || investment.status === status) &&
+    (!poolId || investment.poolId === poolId) &&
+    (!protocol || investment.protocol === protocol) &&
+    (!from || time >= new Date(from).toISOString()) &&
+    (!to || time <= new Date(to).toISOString());
+}
+
+/**
+ * One bot's investments, kept in a single JSON file (botInvestments.json)
+ */
+class JsonInvestmentStore {
+  /**
+   * @param {string} filePath - State file of the bot
+   */
+  constructor(filePath) {
+    this.filePath = filePath;
+  }
+
+  /**
+   * @returns {Promise<Object|null>} { activeInvestments, investmentHistory, stats, cash, lastUpdated } or null if nothing is saved
+   */
+  async load() {
+    if (!(await fs.pathExists(this.filePath))) {
+      return null;
+    }
+    return fs.readJson(this.filePath);
+  }
+
+  /**
+   * @param {Object} state - { activeInvestments (object keyed by pool id), investmentHistory, stats, cash, lastUpdated }
+   */
+  async save(state) {
+    await writeJsonAtomic(this.filePath, state);
+  }
+
+  /**
+   * Investments matching filters, history first then active positions
+   * @param {Object} [filters]
+   * @param {string} [filters.status] - 'active' or 'exited'
+   * @param {string} [filters.poolId] - Pool id
+   * @param {string} [filters.protocol] - Protocol name
+   * @param {Date|string} [filters.from] - Exit (or entry, while active) at or after this time
+   * @param {Date|string} [filters.to] - Exit (or entry, while active) at or before this time
+   * @param {number} [filters.limit] - Maximum results
+   * @returns {Promise<Array<Object>>} Investments
+   */
+  async query(filters = {}) {
+    const state = await this.load();
+    if (!state) {
+      return [];
+    }
+
+    const investments = [...(state.investmentHistory || []), ...Object.values(state.activeInvestments || {})]
+      .filter(investment => matchesInvestment(investment, filters));
+    return filters.limit ? investments.slice(0, filters.limit) : investments;
+  }
+
+  /**
+   * Investments matching filters, one at a time. This does not stream: the
+   * state file is a single JSON document, so it is loaded and filtered whole
+   * before the first investment is yielded (the bot holds the same state in
+   * memory anyway). Use the SQLite driver for histories too large for that.
+   * @param {Object} [filters] - See query()
+   * @yields {Object} Investments, history first then active positions
+   */
+  async* iterate(filters = {}) {
+    yield* await this.query(filters);
+  }
+}
+
+/**
+ * One bot's investment journal, an NDJSON file next to its state file
+ * (botInvestments.json → botInvestments.journal.ndjson)
+ */
+class JsonJournalStore {
+  /**
+   * @param {string} stateFilePath - State file of the bot
+   */
+  constructor(stateFilePath) {
+    this.filePath = stateFilePath.replace(/\.json$/, '') + '.journal.ndjson';
+  }
+
+  /**
+   * Appends events. Written synchronously so events from concurrent callers keep their order.
+   * @param {Array<Object>} events - Journal events
+   */
+  async append(events) {
+    fs.ensureDirSync(path.dirname(this.filePath));
+    fs.appendFileSync(this.filePath, events.map(event => JSON.stringify(event) + '\n').join(''));
+  }
+
+  /**
+   * @returns {Promise<Array<Object>>} Every event in order (empty if the journal does not exist)
+   */
+  async read() {
+    if (!(await fs.pathExists(this.filePath))) {
+      return [];
+    }
+
+    const events = [];
+    const lines = readline.createInterface({
+      input: fs.createReadStream(this.filePath, 'utf8'),
+      crlfDelay: Infinity
+    });
+    for await (const line of lines) {
+      if (!line.trim()) continue;
+      try {
+        events.push(JSON.parse(line));
+      } catch (error) {
+        // Only the last line can be cut short, by a crash while appending
+        logger.warn(`Skipping malformed journal line in ${path.basename(this.filePath)}`);
+      }
+    }
+    return events;
+  }
+}
+
+/**
+ * Storage backed by JSON files: one state file per bot, the pool cache
+ * (highApyPools.json) and the NDJSON snapshot store. This is the original
+ * layout and stays the default.
+ */
+class JsonStorage {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.poolsFilePath] - Pool cache file
+   * @param {string} [options.snapshotDir] - Snapshot directory
+   */
+  constructor(options = {}) {
+    this.driver = 'json';
+    this.poolsFilePath = options.poolsFilePath || DEFAULT_POOLS_FILE_PATH;
+    this.snapshotDir = options.snapshotDir || SNAPSHOT_CONFIG.DIR;
+  }
+
+  /**
+   * @param {string} bot - Bot name
+   * @param {Object} options
+   * @param {string} options.filePath - The bot's state file
+   * @returns {JsonInvestmentStore} Store of the bot's investments
+   */
+  investments(bot, { filePath }) {
+    return new JsonInvestmentStore(filePath);
+  }
+
+  /**
+   * @param {string} bot - Bot name
+   * @param {Object} options
+   * @param {string} options.filePath - The bot's state file, the journal is kept next to it
+   * @returns {JsonJournalStore} The bot's investment journal
+   */
+  journal(bot, { filePath }) {
+    return new JsonJournalStore(filePath);
+  }
+
+  /**
+   * Deletes a bot's state file and journal
+   * @param {string} bot - Bot name
+   * @param {Object} options
+   * @param {string} options.filePath - The bot's state file
+   */
+  async removeBot(bot, { filePath }) {
+    await fs.remove(filePath);
+    await fs.remove(new JsonJournalStore(filePath).filePath);
+  }
+
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.filePath] - Read this cache file instead
+   * @returns {Promise<Array|null>} Cached pools, or null if nothing was cached yet
+   */
+  async loadPools({ filePath = this.poolsFilePath } = {}) {
+    if (!(await fs.pathExists(filePath))) {
+      return null;
+    }
+    const pools = await fs.readJson(filePath);
+    return Array.isArray(pools) ? pools : [];
+  }
+
+  /**
+   * @param {string} id - Pool id
+   * @param {Object} [options]
+   * @param {string} [options.filePath] - Read this cache file instead
+   * @returns {Promise<Object|null>} The cached pool, or null if it is not in the cache
+   */
+  async getPool(id, options) {
+    const pools = await this.loadPools(options);
+    return (pools || []).find(pool => pool.id === id) || null;
+  }
+
+  /**
+   * Replaces the pool cache
+   * @param {Array} pools - Processed pools
+   */
+  async savePools(pools) {
+    await writeJsonAtomic(this.poolsFilePath, pools);
+  }
+
+  recordSnapshots(pools, date) {
+    return recordSnapshot(pools, date, this.snapshotDir);
+  }
+
+  getSnapshots(query = {}) {
+    return getSnapshots({ ...query, dir: this.snapshotDir });
+  }
+
+  iterateRefreshes(query = {}) {
+    return iterateRefreshes({ ...query, dir: this.snapshotDir });
+  }
+
+  close() {}
+}
+
+module.exports = {
+  JsonStorage,
+  JsonInvestmentStore,
+  JsonJournalStore,
+  DEFAULT_POOLS_FILE_PATH,
+  matchesInvestment,
+  writeJsonAtomic
+};
@@ -0,0 +1,151 @@
+const logger = require('../utils/logger');
+
+/**
+ * SQLite schema migrations, applied in order by migrate().
+ *
+ * Never edit a migration that has shipped: add a new one with the next
+ * version instead, so databases created by older versions are brought
+ * forward the same way as new ones.
+ */
+const MIGRATIONS = [
+  {
+    version: 1,
+    name: 'investments, bot state, pool cache and snapshots',
+    up: `
+      CREATE TABLE bot_state (
+        bot TEXT PRIMARY KEY,
+        cash REAL NOT NULL,
+        stats TEXT NOT NULL,
+        last_updated TEXT
+      );
+
+      -- One row per investment; data holds the full record as JSON and the
+      -- other columns copy the fields history queries filter and sort on
+      CREATE TABLE investments (
+        id TEXT PRIMARY KEY,
+        bot TEXT NOT NULL,
+        status TEXT NOT NULL,
+        sequence INTEGER NOT NULL,
+        pool_id TEXT NOT NULL,
+        pool_name TEXT,
+        protocol TEXT,
+        entry_timestamp TEXT NOT NULL,
+        exit_timestamp TEXT,
+        profit_loss REAL,
+        data TEXT NOT NULL
+      );
+      CREATE INDEX idx_investments_bot_status ON investments (bot, status, sequence);
+      CREATE INDEX idx_investments_bot_time ON investments (bot, COALESCE(exit_timestamp, entry_timestamp));
+      CREATE INDEX idx_investments_bot_pool ON investments (bot, pool_id);
+      CREATE INDEX idx_investments_bot_protocol ON investments (bot, protocol);
+
+      CREATE TABLE pools (
+        id TEXT PRIMARY KEY,
+        position INTEGER NOT NULL,
+        protocol TEXT,
+        apy REAL,
+        data TEXT NOT NULL
+      );
+
+      CREATE TABLE pool_snapshots (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        timestamp TEXT NOT NULL,
+        pool_id TEXT NOT NULL,
+        name TEXT,
+        protocol TEXT,
+        mint_account TEXT,
+        apy REAL,
+        apy_24h REAL,
+        apy_7d REAL,
+        apy_30d REAL,
+        liquidity REAL,
+        price REAL,
+        volume_24h REAL,
+        volume_7d REAL,
+        volume_30d REAL
+      );
+      CREATE INDEX idx_snapshots_pool_time ON pool_snapshots (pool_id, timestamp);
+      CREATE INDEX idx_snapshots_mint_time ON pool_snapshots (mint_account, timestamp);
+      CREATE INDEX idx_snapshots_time ON pool_snapshots (timestamp);
+
+      -- Small facts about the database itself (when pools were cached, JSON import)
+      CREATE TABLE storage_meta (
+        key TEXT PRIMARY KEY,
+        value TEXT NOT NULL
+      );
+    `
+  },
+  {
+    version: 2,
+    name: 'investment event journal',
+    up: `
+      -- Append-only; data holds the full event as JSON
+      CREATE TABLE investment_events (
+        bot TEXT NOT NULL,
+        sequence INTEGER NOT NULL,
+        timestamp TEXT NOT NULL,
+        type TEXT NOT NULL,
+        data TEXT NOT NULL,
+        PRIMARY KEY (bot, sequence)
+      );
+    `
+  }
+];
+
+/**
+ * Latest schema version the code knows about
+ */
+const LATEST_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * Versions already applied to a database
+ * @param {Database} db - better-sqlite3 connection
+ * @returns {Array<Object>} { version, name, applied_at } in order
+ */
+function getAppliedMigrations(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at TEXT NOT NULL
+    )
+  `);
+  return db.prepare('SELECT version, name, applied_at FROM schema_migrations ORDER BY version').all();
+}
+
+/**
+ * Applies every pending migration, each in its own transaction
+ * @param {Database} db - better-sqlite3 connection
+ * @param {Array<Object>} [migrations] - Migrations to apply (defaults to MIGRATIONS)
+ * @returns {number} Schema version after migrating
+ */
+function migrate(db, migrations = MIGRATIONS) {
+  const applied = new Set(getAppliedMigrations(db).map(migration => migration.version));
+  const latest = Math.max(0, ...applied);
+  const newer = Math.max(0, ...migrations.map(migration => migration.version));
+
+  if (latest > newer) {
+    throw new Error(`Database schema version ${latest} is newer than this code supports (${newer})`);
+  }
+
+  const record = db.prepare('INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)');
+
+  for (const migration of migrations) {
+    if (applied.has(migration.version)) continue;
+
+    db.transaction(() => {
+      db.exec(migration.up);
+      record.run(migration.version, migration.name, new Date().toISOString());
+    })();
+    logger.info(`🗄️ Applied storage migration ${migration.version}: ${migration.name}`);
+  }
+
+  return Math.max(latest, newer);
+}
+
+module.exports = {
+  MIGRATIONS,
+  LATEST_VERSION,
+  getAppliedMigrations,
+  migrate
+};
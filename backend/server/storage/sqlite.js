@@ -0,0 +1,539 @@
+const fs = require('fs-extra');
+const path = require('path');
+const Database = require('better-sqlite3');
+const logger = require('../utils/logger');
+const { SNAPSHOT_CONFIG, toSnapshot } = require('../services/snapshots');
+const { migrate } = require('./migrations');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Investments read per query by InvestmentStore.iterate()
+const ITERATE_BATCH_SIZE = 500;
+
+const SNAPSHOT_COLUMNS = [
+  'timestamp', 'pool_id', 'name', 'protocol', 'mint_account', 'apy', 'apy_24h', 'apy_7d', 'apy_30d',
+  'liquidity', 'price', 'volume_24h', 'volume_7d', 'volume_30d'
+];
+
+/**
+ * Converts a snapshot row back into a snapshot record (the NDJSON shape)
+ * @param {Object} row - pool_snapshots row
+ * @returns {Object} Snapshot record
+ */
+function rowToSnapshot({ id, pool_id: poolId, ...columns }) {
+  const { timestamp, ...fields } = columns;
+  return { timestamp, poolId, ...fields };
+}
+
+/**
+ * Row stored for an investment
+ * @param {string} bot - Bot name
+ * @param {Object} investment - Investment record
+ * @param {string} status - 'active' or 'exited'
+ * @param {number} sequence - Position in the active list or the history
+ * @returns {Object} Named parameters for the upsert
+ */
+function toInvestmentRow(bot, investment, status, sequence) {
+  return {
+    id: investment.id,
+    bot,
+    status,
+    sequence,
+    pool_id: investment.poolId,
+    pool_name: investment.poolName || null,
+    protocol: investment.protocol || null,
+    entry_timestamp: investment.entryTimestamp,
+    exit_timestamp: investment.exitTimestamp || null,
+    profit_loss: investment.profitLoss ?? null,
+    data: JSON.stringify(investment)
+  };
+}
+
+/**
+ * One bot's investments in the investments table.
+ *
+ * save() receives the bot's whole state, like the JSON store, but only
+ * writes the rows that changed since the last load or save, all in one
+ * transaction.
+ */
+class SqliteInvestmentStore {
+  /**
+   * @param {Database} db - better-sqlite3 connection
+   * @param {string} bot - Bot name
+   */
+  constructor(db, bot) {
+    this.db = db;
+    this.bot = bot;
+    this.written = null; // id → row last written, to skip unchanged investments
+
+    this.statements = {
+      state: db.prepare('SELECT cash, stats, last_updated FROM bot_state WHERE bot = ?'),
+      rows: db.prepare('SELECT * FROM investments WHERE bot = ? ORDER BY status, sequence'),
+      upsertState: db.prepare(`
+        INSERT INTO bot_state (bot, cash, stats, last_updated) VALUES (@bot, @cash, @stats, @last_updated)
+        ON CONFLICT (bot) DO UPDATE SET cash = excluded.cash, stats = excluded.stats, last_updated = excluded.last_updated
+      `),
+      upsertInvestment: db.prepare(`
+        INSERT INTO investments (id, bot, status, sequence, pool_id, pool_name, protocol, entry_timestamp, exit_timestamp, profit_loss, data)
+        VALUES (@id, @bot, @status, @sequence, @pool_id, @pool_name, @protocol, @entry_timestamp, @exit_timestamp, @profit_loss, @data)
+        ON CONFLICT (id) DO UPDATE SET
+          status = excluded.status, sequence = excluded.sequence, pool_id = excluded.pool_id, pool_name = excluded.pool_name,
+          protocol = excluded.protocol, entry_timestamp = excluded.entry_timestamp, exit_timestamp = excluded.exit_timestamp,
+          profit_loss = excluded.profit_loss, data = excluded.data
+      `),
+      deleteInvestment: db.prepare('DELETE FROM investments WHERE bot = ? AND id = ?')
+    };
+  }
+
+  /**
+   * @returns {Promise<Object|null>} { activeInvestments, investmentHistory, stats, cash, lastUpdated } or null if nothing is saved
+   */
+  async load() {
+    const state = this.statements.state.get(this.bot);
+    const rows = this.statements.rows.all(this.bot);
+    this.written = new Map(rows.map(row => [row.id, JSON.stringify(row)]));
+
+    if (!state) {
+      return null;
+    }
+
+    const activeInvestments = {};
+    const investmentHistory = [];
+    for (const row of rows) {
+      const investment = JSON.parse(row.data);
+      if (row.status === 'active') {
+        activeInvestments[row.pool_id] = investment;
+      } else {
+        investmentHistory.push(investment);
+      }
+    }
+
+    return {
+      activeInvestments,
+      investmentHistory,
+      stats: JSON.parse(state.stats),
+      cash: state.cash,
+      lastUpdated: state.last_updated
+    };
+  }
+
+  /**
+   * @param {Object} state - { activeInvestments (object keyed by pool id), investmentHistory, stats, cash, lastUpdated }
+   */
+  async save(state) {
+    if (!this.written) {
+      await this.load();
+    }
+
+    const rows = [
+      ...Object.values(state.activeInvestments || {}).map((investment, i) => toInvestmentRow(this.bot, investment, 'active', i)),
+      ...(state.investmentHistory || []).map((investment, i) => toInvestmentRow(this.bot, investment, 'exited', i))
+    ];
+
+    this.db.transaction(() => {
+      const seen = new Set();
+      for (const row of rows) {
+        seen.add(row.id);
+        const serialized = JSON.stringify(row);
+        if (this.written.get(row.id) !== serialized) {
+          this.statements.upsertInvestment.run(row);
+          this.written.set(row.id, serialized);
+        }
+      }
+      for (const id of Array.from(this.written.keys())) {
+        if (!seen.has(id)) {
+          this.statements.deleteInvestment.run(this.bot, id);
+          this.written.delete(id);
+        }
+      }
+
+      this.statements.upsertState.run({
+        bot: this.bot,
+        cash: state.cash,
+        stats: JSON.stringify(state.stats),
+        last_updated: state.lastUpdated || null
+      });
+    })();
+  }
+
+  /**
+   * WHERE clause of a query
+   * @param {Object} filters - See JsonInvestmentStore.query()
+   * @returns {{conditions: Array<string>, params: Object}} Conditions to join with AND, and their parameters
+   */
+  getConditions({ status, poolId, protocol, from, to }) {
+    const conditions = ['bot = @bot'];
+    const params = { bot: this.bot };
+
+    if (status) {
+      conditions.push('status = @status');
+      params.status = status;
+    }
+    if (poolId) {
+      conditions.push('pool_id = @poolId');
+      params.poolId = poolId;
+    }
+    if (protocol) {
+      conditions.push('protocol = @protocol');
+      params.protocol = protocol;
+    }
+    if (from) {
+      conditions.push('COALESCE(exit_timestamp, entry_timestamp) >= @from');
+      params.from = new Date(from).toISOString();
+    }
+    if (to) {
+      conditions.push('COALESCE(exit_timestamp, entry_timestamp) <= @to');
+      params.to = new Date(to).toISOString();
+    }
+
+    return { conditions, params };
+  }
+
+  /**
+   * Investments matching filters, using the investments indexes
+   * @param {Object} [filters] - See JsonInvestmentStore.query()
+   * @returns {Promise<Array<Object>>} Investments, history first then active positions
+   */
+  async query(filters = {}) {
+    const { conditions, params } = this.getConditions(filters);
+    const { limit } = filters;
+
+    let sql = `SELECT data FROM investments WHERE ${conditions.join(' AND ')} ORDER BY status DESC, sequence`;
+    if (limit) {
+      sql += ' LIMIT @limit';
+      params.limit = limit;
+    }
+
+    return this.db.prepare(sql).all(params).map(row => JSON.parse(row.data));
+  }
+
+  /**
+   * Investments matching filters, read in batches so large histories are never
+   * held in memory. Each batch continues after the last row of the previous one,
+   * so the connection stays free for the bot's writes in between.
+   * @param {Object} [filters] - See JsonInvestmentStore.query()
+   * @yields {Object} Investments, history first then active positions
+   */
+  async* iterate(filters = {}) {
+    const { conditions, params } = this.getConditions(filters);
+    const batch = this.db.prepare(`
+      SELECT status, sequence, data FROM investments
+      WHERE ${conditions.join(' AND ')} AND (status < @afterStatus OR (status = @afterStatus AND sequence > @afterSequence))
+      ORDER BY status DESC, sequence LIMIT ${ITERATE_BATCH_SIZE}
+    `);
+
+    let after = { afterStatus: '~', afterSequence: -1 }; // '~' sorts after every status
+    let remaining = filters.limit || Infinity;
+    while (remaining > 0) {
+      const rows = batch.all({ ...params, ...after });
+      for (const row of rows.slice(0, remaining)) {
+        yield JSON.parse(row.data);
+      }
+      remaining -= rows.length;
+      if (rows.length < ITERATE_BATCH_SIZE) break;
+
+      const last = rows[rows.length - 1];
+      after = { afterStatus: last.status, afterSequence: last.sequence };
+    }
+  }
+}
+
+/**
+ * One bot's investment journal in the investment_events table
+ */
+class SqliteJournalStore {
+  /**
+   * @param {Database} db - better-sqlite3 connection
+   * @param {string} bot - Bot name
+   */
+  constructor(db, bot) {
+    this.db = db;
+    this.bot = bot;
+    this.statements = {
+      insert: db.prepare('INSERT INTO investment_events (bot, sequence, timestamp, type, data) VALUES (@bot, @sequence, @timestamp, @type, @data)'),
+      events: db.prepare('SELECT data FROM investment_events WHERE bot = ? ORDER BY sequence')
+    };
+  }
+
+  /**
+   * Appends events in one transaction
+   * @param {Array<Object>} events - Journal events
+   */
+  async append(events) {
+    this.db.transaction(() => {
+      for (const event of events) {
+        this.statements.insert.run({
+          bot: this.bot,
+          sequence: event.sequence,
+          timestamp: event.timestamp,
+          type: event.type,
+          data: JSON.stringify(event)
+        });
+      }
+    })();
+  }
+
+  /**
+   * @returns {Promise<Array<Object>>} Every event in order
+   */
+  async read() {
+    return this.statements.events.all(this.bot).map(row => JSON.parse(row.data));
+  }
+
+  /**
+   * Deletes the bot's events (before a forced re-import)
+   */
+  clear() {
+    this.db.prepare('DELETE FROM investment_events WHERE bot = ?').run(this.bot);
+  }
+}
+
+/**
+ * Storage in a single SQLite database file (STORAGE_SQLITE_PATH). Writes are
+ * transactional, so a crash leaves either the old or the new state, and the
+ * schema is brought up to date by ./migrations.js when the database opens.
+ */
+class SqliteStorage {
+  /**
+   * @param {Object} options
+   * @param {string} options.filePath - Database file (':memory:' for a throwaway database)
+   */
+  constructor({ filePath }) {
+    this.driver = 'sqlite';
+    this.filePath = filePath;
+    if (filePath !== ':memory:') {
+      fs.ensureDirSync(path.dirname(filePath));
+    }
+
+    this.db = new Database(filePath);
+    this.db.pragma('journal_mode = WAL');
+    this.schemaVersion = migrate(this.db);
+
+    this.stores = new Map();
+    this.lastCompactionAt = null;
+    this.statements = {
+      pools: this.db.prepare('SELECT data FROM pools ORDER BY position'),
+      pool: this.db.prepare('SELECT data FROM pools WHERE id = ?'),
+      clearPools: this.db.prepare('DELETE FROM pools'),
+      insertPool: this.db.prepare('INSERT INTO pools (id, position, protocol, apy, data) VALUES (@id, @position, @protocol, @apy, @data)'),
+      getMeta: this.db.prepare('SELECT value FROM storage_meta WHERE key = ?'),
+      setMeta: this.db.prepare('INSERT INTO storage_meta (key, value) VALUES (?, ?) ON CONFLICT (key) DO UPDATE SET value = excluded.value'),
+      insertSnapshot: this.db.prepare(`INSERT INTO pool_snapshots (${SNAPSHOT_COLUMNS.join(', ')}) VALUES (${SNAPSHOT_COLUMNS.map(column => `@${column}`).join(', ')})`)
+    };
+  }
+
+  /**
+   * @param {string} bot - Bot name
+   * @returns {SqliteInvestmentStore} Store of the bot's investments
+   */
+  investments(bot) {
+    if (!this.stores.has(bot)) {
+      this.stores.set(bot, new SqliteInvestmentStore(this.db, bot));
+    }
+    return this.stores.get(bot);
+  }
+
+  /**
+   * @param {string} bot - Bot name
+   * @returns {SqliteJournalStore} The bot's investment journal
+   */
+  journal(bot) {
+    return new SqliteJournalStore(this.db, bot);
+  }
+
+  /**
+   * Deletes a bot's investments, state and journal in one transaction, so a
+   * bot created later under the same name starts empty
+   * @param {string} bot - Bot name
+   */
+  async removeBot(bot) {
+    this.db.transaction(() => {
+      for (const table of ['investments', 'bot_state', 'investment_events']) {
+        this.db.prepare(`DELETE FROM ${table} WHERE bot = ?`).run(bot);
+      }
+    })();
+    this.stores.delete(bot);
+  }
+
+  /**
+   * @param {string} key - Meta key
+   * @returns {*} Parsed value, or null if unset
+   */
+  getMeta(key) {
+    const row = this.statements.getMeta.get(key);
+    return row ? JSON.parse(row.value) : null;
+  }
+
+  setMeta(key, value) {
+    this.statements.setMeta.run(key, JSON.stringify(value));
+  }
+
+  /**
+   * @returns {Promise<Array|null>} Cached pools in their saved order, or null if nothing was cached yet
+   */
+  async loadPools() {
+    if (!this.getMeta('pools_updated_at')) {
+      return null;
+    }
+    return this.statements.pools.all().map(row => JSON.parse(row.data));
+  }
+
+  /**
+   * @param {string} id - Pool id
+   * @returns {Promise<Object|null>} The cached pool, or null if it is not in the cache
+   */
+  async getPool(id) {
+    const row = this.statements.pool.get(id);
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  /**
+   * Replaces the pool cache in one transaction
+   * @param {Array} pools - Processed pools
+   */
+  async savePools(pools) {
+    this.db.transaction(() => {
+      this.statements.clearPools.run();
+      pools.forEach((pool, position) => this.statements.insertPool.run({
+        id: pool.id,
+        position,
+        protocol: pool.protocol || null,
+        apy: pool.apy ?? null,
+        data: JSON.stringify(pool)
+      }));
+      this.setMeta('pools_updated_at', new Date().toISOString());
+    })();
+  }
+
+  /**
+   * Inserts snapshot records as they are (used by recordSnapshots and the JSON importer)
+   * @param {Array<Object>} snapshots - Snapshot records
+   * @returns {number} Rows inserted
+   */
+  insertSnapshots(snapshots) {
+    this.db.transaction(() => {
+      for (const { poolId, ...snapshot } of snapshots) {
+        const row = { pool_id: poolId };
+        for (const column of SNAPSHOT_COLUMNS) {
+          if (column !== 'pool_id') {
+            row[column] = snapshot[column] ?? null;
+          }
+        }
+        this.statements.insertSnapshot.run(row);
+      }
+    })();
+    return snapshots.length;
+  }
+
+  /**
+   * Deletes every stored snapshot (before a forced re-import)
+   */
+  clearSnapshots() {
+    this.db.prepare('DELETE FROM pool_snapshots').run();
+  }
+
+  /**
+   * Stores one snapshot per pool for a refresh, compacting old snapshots once a day
+   * @param {Array} pools - Processed pools
+   * @param {Date} [date] - Time of the refresh
+   * @returns {Promise<number>} Number of snapshots written
+   */
+  async recordSnapshots(pools, date = new Date()) {
+    if (!pools || pools.length === 0) {
+      return 0;
+    }
+
+    const timestamp = date.toISOString();
+    this.insertSnapshots(pools.map(pool => toSnapshot(pool, timestamp)));
+    logger.debug(`Recorded ${pools.length} pool snapshots at ${timestamp}`);
+
+    if (!this.lastCompactionAt || date - this.lastCompactionAt >= SNAPSHOT_CONFIG.COMPACTION_FREQUENCY_HOURS * 60 * 60 * 1000) {
+      this.lastCompactionAt = date;
+      this.compactSnapshots(date);
+    }
+
+    return pools.length;
+  }
+
+  /**
+   * Same retention and compaction rules as the NDJSON store (see compactSnapshots in services/snapshots.js)
+   * @param {Date} [now] - Reference time
+   * @returns {{deletedSnapshots: number, droppedSnapshots: number}} Summary
+   */
+  compactSnapshots(now = new Date()) {
+    const retentionCutoff = new Date(now - SNAPSHOT_CONFIG.RETENTION_DAYS * DAY_MS).toISOString().split('T')[0];
+    const compactionCutoff = new Date(now - SNAPSHOT_CONFIG.COMPACT_AFTER_DAYS * DAY_MS).toISOString().split('T')[0];
+    const intervalMs = SNAPSHOT_CONFIG.COMPACT_INTERVAL_MINUTES * 60 * 1000;
+
+    const result = this.db.transaction(() => ({
+      deletedSnapshots: this.db.prepare('DELETE FROM pool_snapshots WHERE timestamp < ?').run(retentionCutoff).changes,
+      droppedSnapshots: this.db.prepare(`
+        DELETE FROM pool_snapshots WHERE timestamp < @cutoff AND id NOT IN (
+          SELECT MIN(id) FROM pool_snapshots WHERE timestamp < @cutoff
+          GROUP BY pool_id, CAST(unixepoch(timestamp, 'subsec') * 1000 / @intervalMs AS INTEGER)
+        )
+      `).run({ cutoff: compactionCutoff, intervalMs }).changes
+    }))();
+
+    if (result.deletedSnapshots || result.droppedSnapshots) {
+      logger.info(`🗜️ Snapshot compaction: ${result.deletedSnapshots} expired and ${result.droppedSnapshots} downsampled snapshots deleted`);
+    }
+    return result;
+  }
+
+  /**
+   * Snapshots of one pool (matched by id or mint_account) and/or a time range
+   * @param {Object} [query] - { poolId, from, to }, see getSnapshots in services/snapshots.js
+   * @returns {Promise<Array>} Snapshots sorted by timestamp
+   */
+  async getSnapshots({ poolId, from, to } = {}) {
+    const conditions = [];
+    const params = {};
+
+    if (poolId) {
+      conditions.push('(pool_id = @poolId OR mint_account = @poolId)');
+      params.poolId = poolId;
+    }
+    if (from) {
+      conditions.push('timestamp >= @from');
+      params.from = new Date(from).toISOString();
+    }
+    if (to) {
+      conditions.push('timestamp <= @to');
+      params.to = new Date(to).toISOString();
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    return this.db.prepare(`SELECT * FROM pool_snapshots ${where} ORDER BY timestamp, id`).all(params).map(rowToSnapshot);
+  }
+
+  /**
+   * Iterates over stored refreshes in chronological order, one refresh in memory at a time
+   * @param {Object} [query] - { from, to }
+   * @yields {{timestamp: string, pools: Array}} All pool snapshots of one refresh
+   */
+  async* iterateRefreshes({ from, to } = {}) {
+    const timestamps = this.db.prepare(`
+      SELECT DISTINCT timestamp FROM pool_snapshots
+      WHERE timestamp >= @from AND timestamp <= @to ORDER BY timestamp
+    `).pluck().all({
+      from: from ? new Date(from).toISOString() : '',
+      to: to ? new Date(to).toISOString() : '9999'
+    });
+    const refresh = this.db.prepare('SELECT * FROM pool_snapshots WHERE timestamp = ? ORDER BY id');
+
+    for (const timestamp of timestamps) {
+      yield { timestamp, pools: refresh.all(timestamp).map(rowToSnapshot) };
+    }
+  }
+
+  close() {
+    this.db.close();
+  }
+}
+
+module.exports = {
+  SqliteStorage,
+  SqliteInvestmentStore,
+  SqliteJournalStore
+};
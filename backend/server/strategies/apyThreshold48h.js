@@ -0,0 +1,59 @@
+const { calculatePositionSize } = require('./sizing');
+
+/**
+ * Default strategy: enter new, liquid, actively traded pools above an APY
+ * threshold and exit once the holding period has elapsed.
+ */
+module.exports = {
+  name: 'apy-threshold-48h',
+  description: 'Invest in new pools above the APY threshold and exit after the holding period',
+
+  // Defaults for these params come from BOT_CONFIG
+  params: {
+    HIGH_APY_THRESHOLD: { type: 'number', min: 0, max: 100, description: 'Minimum pool APY as a decimal (0.3 = 30%)' },
+    MIN_LIQUIDITY: { type: 'number', min: 0, description: 'Minimum pool liquidity in USD' },
+    MIN_VOLUME_24H: { type: 'number', min: 0, description: 'Minimum 24h volume in USD' },
+    MAX_POOL_AGE_DAYS: { type: 'number', min: 0, description: 'Only invest in pools newer than this many days' },
+    INVESTMENT_AMOUNT: { type: 'number', min: 1, description: 'USD invested per position' },
+    HOLDING_PERIOD_HOURS: { type: 'number', min: 0, description: 'Hours to hold each position' }
+  },
+
+  async shouldEnter(pool, { config, getPoolAge }) {
+    // Check APY threshold
+    if (pool.apy < config.HIGH_APY_THRESHOLD) {
+      return false;
+    }
+
+    // Check liquidity requirements
+    if (pool.liquidity < config.MIN_LIQUIDITY) {
+      return false;
+    }
+
+    // Check volume requirements
+    if (pool.volume_24h < config.MIN_VOLUME_24H) {
+      return false;
+    }
+
+    // Check if pool is relatively new (launched within MAX_POOL_AGE_DAYS); unknown age is not new
+    const poolAge = await getPoolAge();
+    if (poolAge === null || poolAge > config.MAX_POOL_AGE_DAYS) {
+      return false;
+    }
+
+    return true;
+  },
+
+  getPositionSize(pool, context) {
+    // Sized by the bot's POSITION_SIZING method
+    return calculatePositionSize(pool, context);
+  },
+
+  shouldExit(investment, currentPool, { config, holdingTimeHours }) {
+    // Exit after holding period
+    if (holdingTimeHours >= config.HOLDING_PERIOD_HOURS) {
+      return 'holding-period';
+    }
+
+    return null;
+  }
+};
@@ -0,0 +1,76 @@
+/**
+ * Early-exit rules checked for every active investment on each loop pass,
+ * before the strategy's own exit condition. Each rule is switched off while
+ * its config value is null.
+ *
+ * A rule is { name, configKey, check(investment, currentPool, context) => boolean },
+ * where name is recorded as the investment's exitReason.
+ */
+const EXIT_RULES = [
+  {
+    name: 'stop-loss',
+    configKey: 'STOP_LOSS_PERCENTAGE',
+    check: (investment, currentPool, { config }) =>
+      priceChangePercentage(investment, currentPool) <= -config.STOP_LOSS_PERCENTAGE
+  },
+  {
+    name: 'take-profit',
+    configKey: 'TAKE_PROFIT_PERCENTAGE',
+    check: (investment, currentPool, { config }) =>
+      priceChangePercentage(investment, currentPool) >= config.TAKE_PROFIT_PERCENTAGE
+  },
+  {
+    name: 'apy-decay',
+    configKey: 'MIN_APY_RETENTION_PERCENTAGE',
+    check: (investment, currentPool, { config }) =>
+      !!currentPool && currentPool.apy < investment.entryApy * config.MIN_APY_RETENTION_PERCENTAGE / 100
+  },
+  {
+    name: 'liquidity-floor',
+    configKey: 'MIN_EXIT_LIQUIDITY',
+    check: (investment, currentPool, { config }) =>
+      !!currentPool && currentPool.liquidity < config.MIN_EXIT_LIQUIDITY
+  },
+  {
+    name: 'max-holding-time',
+    configKey: 'MAX_HOLDING_HOURS',
+    check: (investment, currentPool, { config, holdingTimeHours }) =>
+      holdingTimeHours >= config.MAX_HOLDING_HOURS
+  }
+];
+
+/**
+ * Price move since entry
+ * @param {Object} investment - Active investment
+ * @param {Object} currentPool - Latest pool data (may be missing)
+ * @returns {number} Percentage change of the pool price (NaN if unknown)
+ */
+function priceChangePercentage(investment, currentPool) {
+  if (!currentPool || !investment.entryPrice) {
+    return NaN;
+  }
+  return (currentPool.price - investment.entryPrice) / investment.entryPrice * 100;
+}
+
+/**
+ * Finds the first enabled early-exit rule that fires
+ * @param {Object} investment - Active investment
+ * @param {Object} currentPool - Latest pool data (may be missing)
+ * @param {Object} context - Strategy context ({ config, now, holdingTimeHours })
+ * @returns {string|null} Name of the rule that fired, or null to keep holding
+ */
+function checkExitRules(investment, currentPool, context) {
+  for (const rule of EXIT_RULES) {
+    const threshold = context.config[rule.configKey];
+    if (threshold !== null && threshold !== undefined && rule.check(investment, currentPool, context)) {
+      return rule.name;
+    }
+  }
+
+  return null;
+}
+
+module.exports = {
+  EXIT_RULES,
+  checkExitRules
+};
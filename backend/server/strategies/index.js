@@ -0,0 +1,98 @@
+const { validateValues } = require('../utils/schema');
+const apyThreshold48h = require('./apyThreshold48h');
+
+const DEFAULT_STRATEGY = apyThreshold48h.name;
+
+/**
+ * Strategy interface
+ *
+ * A strategy is a plain object with:
+ * - name {string}: unique id used to select it (per bot run, API or backtest)
+ * - description {string}
+ * - params {Object}: schema of the config values it reads, keyed by config name:
+ *   { type: 'number'|'boolean'|'string', integer?, min?, max?, default?, description }.
+ *   Params without a default take theirs from BOT_CONFIG.
+ * - shouldEnter(pool, context) => boolean|Promise<boolean>: entry filter
+ * - getPositionSize(pool, context) => number|Promise<number>: USD to invest
+ * - shouldExit(investment, currentPool, context) => string|null: exit reason, or null to keep holding
+ *
+ * The context passed to every hook contains { config, now, wallet } plus
+ * getPoolAge() for entries and holdingTimeHours for exits. wallet is
+ * { cash, investedCapital, equity }; ./sizing has the shared sizing methods.
+ * The bot's early-exit rules (./exitRules) are checked before shouldExit.
+ */
+const strategies = new Map();
+
+/**
+ * Registers a strategy so it can be selected by name
+ * @param {Object} strategy - Strategy implementation
+ */
+function registerStrategy(strategy) {
+  for (const hook of ['shouldEnter', 'getPositionSize', 'shouldExit']) {
+    if (typeof strategy[hook] !== 'function') {
+      throw new Error(`Strategy ${strategy.name} is missing ${hook}()`);
+    }
+  }
+  if (!strategy.name) {
+    throw new Error('Strategy must have a name');
+  }
+
+  strategies.set(strategy.name, { params: {}, description: '', ...strategy });
+}
+
+/**
+ * Gets a registered strategy
+ * @param {string} [name] - Strategy name (defaults to DEFAULT_STRATEGY)
+ * @returns {Object} Strategy implementation
+ */
+function getStrategy(name = DEFAULT_STRATEGY) {
+  const strategy = strategies.get(name);
+  if (!strategy) {
+    throw new Error(`Unknown strategy: ${name}. Available: ${Array.from(strategies.keys()).join(', ')}`);
+  }
+  return strategy;
+}
+
+/**
+ * Lists registered strategies with their params schema
+ * @returns {Array<{name: string, description: string, params: Object}>} Strategies
+ */
+function listStrategies() {
+  return Array.from(strategies.values()).map(({ name, description, params }) => ({ name, description, params }));
+}
+
+/**
+ * Gets the defaults a strategy declares for its own params
+ * @param {Object} strategy - Strategy implementation
+ * @returns {Object} Param defaults
+ */
+function getStrategyDefaults(strategy) {
+  return Object.fromEntries(
+    Object.entries(strategy.params)
+      .filter(([, spec]) => spec.default !== undefined)
+      .map(([key, spec]) => [key, spec.default])
+  );
+}
+
+/**
+ * Validates param overrides against a strategy's params schema
+ * @param {Object} strategy - Strategy implementation
+ * @param {Object} params - Param overrides
+ * @returns {Array<string>} Validation errors (empty if valid)
+ */
+function validateStrategyParams(strategy, params = {}) {
+  return validateValues(strategy.params, params, {
+    unknownKeyMessage: key => `${key} is not a parameter of strategy ${strategy.name}`
+  });
+}
+
+registerStrategy(apyThreshold48h);
+
+module.exports = {
+  DEFAULT_STRATEGY,
+  registerStrategy,
+  getStrategy,
+  listStrategies,
+  getStrategyDefaults,
+  validateStrategyParams
+};
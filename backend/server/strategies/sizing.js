@@ -0,0 +1,58 @@
+/**
+ * Position sizing methods, selected with config.POSITION_SIZING.
+ *
+ * A sizing method is (pool, context) => number: the USD to invest. The context
+ * is the strategy context, including wallet { cash, investedCapital, equity }.
+ * The bot never invests more than the wallet's cash, whatever the method returns.
+ */
+const sizingMethods = new Map();
+
+/**
+ * Registers a sizing method so it can be selected by name
+ * @param {string} name - Value of POSITION_SIZING that selects it
+ * @param {Function} method - (pool, context) => USD to invest
+ */
+function registerSizingMethod(name, method) {
+  if (typeof method !== 'function') {
+    throw new Error(`Sizing method ${name} must be a function`);
+  }
+  sizingMethods.set(name, method);
+}
+
+/**
+ * @returns {Array<string>} Names of the registered sizing methods
+ */
+function listSizingMethods() {
+  return Array.from(sizingMethods.keys());
+}
+
+/**
+ * Sizes a position with the configured sizing method
+ * @param {Object} pool - Pool to invest in
+ * @param {Object} context - Strategy context ({ config, wallet, ... })
+ * @returns {number} USD to invest
+ */
+function calculatePositionSize(pool, context) {
+  const method = sizingMethods.get(context.config.POSITION_SIZING);
+  if (!method) {
+    throw new Error(`Unknown sizing method: ${context.config.POSITION_SIZING}. Available: ${listSizingMethods().join(', ')}`);
+  }
+  return method(pool, context);
+}
+
+// Flat INVESTMENT_AMOUNT per position
+registerSizingMethod('fixed', (pool, { config }) => config.INVESTMENT_AMOUNT);
+
+// A share of the wallet's equity, so positions grow and shrink with performance
+registerSizingMethod('percent-of-equity', (pool, { config, wallet }) =>
+  wallet.equity * config.POSITION_SIZE_PERCENTAGE / 100);
+
+// A share of the pool's TVL, never more than INVESTMENT_AMOUNT
+registerSizingMethod('liquidity-scaled', (pool, { config }) =>
+  Math.min(config.INVESTMENT_AMOUNT, (pool.liquidity || 0) * config.MAX_POOL_SHARE_PERCENTAGE / 100));
+
+module.exports = {
+  registerSizingMethod,
+  listSizingMethods,
+  calculatePositionSize
+};
@@ -0,0 +1,115 @@
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Clock backed by the system time and real timers
+ */
+class SystemClock {
+  /**
+   * @returns {Date} Current time
+   */
+  now() {
+    return new Date();
+  }
+
+  /**
+   * Schedules a callback
+   * @param {Function} callback - Function to run
+   * @param {number} ms - Delay in milliseconds
+   * @returns {*} Handle for clearTimeout
+   */
+  setTimeout(callback, ms) {
+    return setTimeout(callback, ms);
+  }
+
+  /**
+   * Cancels a scheduled callback
+   * @param {*} handle - Handle returned by setTimeout
+   */
+  clearTimeout(handle) {
+    clearTimeout(handle);
+  }
+}
+
+/**
+ * Clock whose time only moves when advanced, for tests and simulations.
+ * Timers fire in time order as the clock passes their due time.
+ */
+class ManualClock {
+  /**
+   * @param {Date|string|number} [start] - Initial time (defaults to now)
+   */
+  constructor(start = new Date()) {
+    this.time = new Date(start).getTime();
+    this.timers = [];
+    this.nextTimerId = 1;
+  }
+
+  now() {
+    return new Date(this.time);
+  }
+
+  setTimeout(callback, ms) {
+    const timer = { id: this.nextTimerId++, due: this.time + Math.max(0, ms), callback };
+    this.timers.push(timer);
+    return timer.id;
+  }
+
+  clearTimeout(handle) {
+    this.timers = this.timers.filter(timer => timer.id !== handle);
+  }
+
+  /**
+   * Moves time forward, firing every timer that falls due on the way
+   * @param {number} ms - Milliseconds to advance
+   * @returns {number} Number of timers fired
+   */
+  advance(ms) {
+    const target = this.time + ms;
+    let fired = 0;
+
+    for (;;) {
+      const due = this.timers
+        .filter(timer => timer.due <= target)
+        .sort((a, b) => a.due - b.due || a.id - b.id)[0];
+      if (!due) break;
+
+      this.timers = this.timers.filter(timer => timer !== due);
+      this.time = due.due;
+      due.callback();
+      fired++;
+    }
+
+    this.time = target;
+    return fired;
+  }
+
+  /**
+   * Moves time forward by a number of hours
+   * @param {number} hours - Hours to advance
+   * @returns {number} Number of timers fired
+   */
+  advanceHours(hours) {
+    return this.advance(hours * HOUR_MS);
+  }
+
+  /**
+   * Jumps to an absolute time (never backwards), firing timers on the way
+   * @param {Date|string|number} date - Target time
+   * @returns {number} Number of timers fired
+   */
+  setTime(date) {
+    return this.advance(Math.max(0, new Date(date).getTime() - this.time));
+  }
+
+  /**
+   * @returns {number} Number of timers waiting to fire
+   */
+  pendingTimers() {
+    return this.timers.length;
+  }
+}
+
+module.exports = {
+  SystemClock,
+  ManualClock
+};
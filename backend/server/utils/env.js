@@ -0,0 +1,16 @@
+/**
+ * Reads a numeric environment variable, keeping 0 as a valid value
+ * @param {string} name - Variable name
+ * @param {number} fallback - Value when unset or not a number
+ * @param {Object} [options]
+ * @param {boolean} [options.positive] - Also fall back on 0 and negative values (lengths of time, sizes)
+ * @returns {number} Parsed value
+ */
+function envNumber(name, fallback, { positive = false } = {}) {
+  const value = parseFloat(process.env[name]);
+  return Number.isFinite(value) && (!positive || value > 0) ? value : fallback;
+}
+
+module.exports = {
+  envNumber
+};
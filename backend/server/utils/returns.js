@@ -0,0 +1,37 @@
+const HOURS_PER_YEAR = 365 * 24;
+
+/**
+ * Calculates fee/reward income earned by a position over a period
+ * @param {number} amount - Position size in USD
+ * @param {number} apy - Annualized yield as a decimal (0.45 = 45%)
+ * @param {number} hours - Length of the period in hours
+ * @returns {number} Income in USD (simple, non-compounded)
+ */
+function calculateFeeIncome(amount, apy, hours) {
+  if (!amount || !apy || !hours || hours <= 0) {
+    return 0;
+  }
+
+  return amount * apy * (hours / HOURS_PER_YEAR);
+}
+
+/**
+ * Calculates impermanent loss for a 50/50 constant-product position
+ * @param {number} entryPrice - Pool price when the position was opened
+ * @param {number} exitPrice - Pool price when the position was closed
+ * @returns {number} Loss versus holding as a decimal (always <= 0)
+ */
+function calculateImpermanentLoss(entryPrice, exitPrice) {
+  if (!entryPrice || !exitPrice || entryPrice <= 0 || exitPrice <= 0) {
+    return 0;
+  }
+
+  const priceRatio = exitPrice / entryPrice;
+  return (2 * Math.sqrt(priceRatio)) / (1 + priceRatio) - 1;
+}
+
+module.exports = {
+  HOURS_PER_YEAR,
+  calculateFeeIncome,
+  calculateImpermanentLoss
+};
@@ -0,0 +1,297 @@
+/**
+ * Field schemas: validation of settings, pools and API requests, and their
+ * OpenAPI form.
+ *
+ * Each field spec is { type: 'number'|'boolean'|'string'|'array'|'object', integer?, min?, max?,
+ * exclusiveMin?, enum?, nullable?, required?, format?: 'date-time'|'uri', pattern?, minLength?,
+ * maxLength?, items?, minItems?, maxItems?, oneOf?, default?, description? }.
+ * Nullable fields also accept null (e.g. to switch an optional rule off).
+ */
+
+// Field spec keys and the OpenAPI keywords they become
+const JSON_SCHEMA_KEYWORDS = {
+  min: 'minimum',
+  max: 'maximum',
+  minLength: 'minLength',
+  maxLength: 'maxLength',
+  minItems: 'minItems',
+  maxItems: 'maxItems',
+  format: 'format',
+  default: 'default',
+  description: 'description'
+};
+
+/**
+ * @param {Object} spec - Field spec
+ * @returns {string} What a valid value looks like, e.g. 'one of: a, b' or 'an object'
+ */
+function describeSpec(spec) {
+  if (spec.enum) {
+    return `one of: ${spec.enum.join(', ')}`;
+  }
+  if (spec.integer) {
+    return 'an integer';
+  }
+  return spec.type === 'array' || spec.type === 'object' ? `an ${spec.type}` : `a ${spec.type}`;
+}
+
+/**
+ * Checks one value against its spec
+ * @param {string} key - Field name, used in the message
+ * @param {Object} spec - Field spec
+ * @param {*} value - Value to check
+ * @returns {string|null} Validation error, or null if the value is valid
+ */
+function checkValue(key, spec, value) {
+  if (value === null && spec.nullable) {
+    return null;
+  }
+
+  if (spec.oneOf) {
+    return spec.oneOf.some(option => checkValue(key, option, value) === null)
+      ? null
+      : `${key} must be ${spec.oneOf.map(describeSpec).join(' or ')}`;
+  }
+
+  const isObject = value !== null && typeof value === 'object' && !Array.isArray(value);
+  const typeMatches = spec.type === 'array' ? Array.isArray(value)
+    : spec.type === 'object' ? isObject
+      : typeof value === spec.type && (spec.type !== 'number' || Number.isFinite(value));
+  if (!typeMatches) {
+    return `${key} must be ${describeSpec({ type: spec.type })}`;
+  }
+
+  if (spec.integer && !Number.isInteger(value)) {
+    return `${key} must be an integer`;
+  }
+  if (spec.exclusiveMin !== undefined && value <= spec.exclusiveMin) {
+    return `${key} must be > ${spec.exclusiveMin}`;
+  }
+  if (spec.min !== undefined && value < spec.min) {
+    return `${key} must be >= ${spec.min}`;
+  }
+  if (spec.max !== undefined && value > spec.max) {
+    return `${key} must be <= ${spec.max}`;
+  }
+  if (spec.enum && !spec.enum.includes(value)) {
+    return `${key} must be one of: ${spec.enum.join(', ')}`;
+  }
+
+  if (spec.type === 'string') {
+    if (spec.minLength !== undefined && value.length < spec.minLength) {
+      return spec.minLength === 1 ? `${key} must not be empty` : `${key} must be at least ${spec.minLength} characters long`;
+    }
+    if (spec.maxLength !== undefined && value.length > spec.maxLength) {
+      return `${key} must be at most ${spec.maxLength} characters long`;
+    }
+    if (spec.pattern && !spec.pattern.test(value)) {
+      return `${key} must match ${spec.pattern}`;
+    }
+    if (spec.format === 'date-time' && isNaN(Date.parse(value))) {
+      return `${key} must be a date`;
+    }
+    if (spec.format === 'uri' && !isHttpUrl(value)) {
+      return `${key} must be an http(s) URL`;
+    }
+  }
+
+  if (spec.type === 'array') {
+    if (spec.minItems !== undefined && value.length < spec.minItems) {
+      return spec.minItems === 1 ? `${key} must not be empty` : `${key} must have at least ${spec.minItems} items`;
+    }
+    if (spec.maxItems !== undefined && value.length > spec.maxItems) {
+      return `${key} must have at most ${spec.maxItems} items`;
+    }
+    if (spec.items) {
+      // Unknown values are listed together, so one message names all of them
+      const unknown = spec.items.enum ? value.filter(item => !spec.items.enum.includes(item)) : [];
+      if (unknown.length > 0) {
+        return `${key} has unknown values: ${unknown.join(', ')} (available: ${spec.items.enum.join(', ')})`;
+      }
+      for (let i = 0; i < value.length; i++) {
+        const error = checkValue(`${key}[${i}]`, spec.items, value[i]);
+        if (error) {
+          return error;
+        }
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * @param {string} value - Candidate URL
+ * @returns {boolean} True for an absolute http or https URL
+ */
+function isHttpUrl(value) {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Converts a query string or path parameter to the type of its spec. Values
+ * that do not convert are returned as they are, so the check reports them.
+ * @param {Object} spec - Field spec
+ * @param {*} value - Raw value (a string, or an array for a repeated parameter)
+ * @returns {*} Converted value
+ */
+function coerceValue(spec, value) {
+  if (typeof value !== 'string') {
+    return value;
+  }
+
+  switch (spec.type) {
+    case 'number': {
+      const number = Number(value);
+      return value.trim() !== '' && Number.isFinite(number) ? number : value;
+    }
+    case 'boolean':
+      return value === 'true' ? true : value === 'false' ? false : value;
+    case 'array':
+      // Comma-separated list
+      return value.split(',').map(item => item.trim()).filter(Boolean).map(item => coerceValue(spec.items || {}, item));
+    default:
+      return value;
+  }
+}
+
+/**
+ * Validates values against a field schema
+ * @param {Object} schema - Field specs keyed by name
+ * @param {Object} values - Values to validate
+ * @param {Object} [options]
+ * @param {Function} [options.unknownKeyMessage] - Message for keys missing from the schema
+ * @returns {Array<string>} Validation errors (empty if valid)
+ */
+function validateValues(schema, values = {}, { unknownKeyMessage = key => `${key} is not a known setting` } = {}) {
+  const errors = [];
+
+  for (const [key, value] of Object.entries(values)) {
+    const spec = schema[key];
+    const error = spec ? checkValue(key, spec, value) : unknownKeyMessage(key);
+    if (error) {
+      errors.push(error);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Reads the fields of a request part (params, query string or body). Unlike
+ * validateValues(), fields left out are skipped unless they are required.
+ * @param {Object} schema - Field specs keyed by name
+ * @param {Object} values - Values as received
+ * @param {Object} [options]
+ * @param {boolean} [options.coerce] - Convert strings first (params and query strings)
+ * @param {boolean} [options.defaults] - Give fields left out their spec's default
+ * @param {boolean} [options.additional] - Let keys missing from the schema through
+ * @param {Function} [options.unknownKeyMessage] - Message for keys missing from the schema
+ * @returns {{values: Object, errors: Array<Object>}} Converted values and { field, message } per error
+ */
+function readFields(schema, values, { coerce = false, defaults = false, additional = false, unknownKeyMessage = key => `${key} is not a known field` } = {}) {
+  const source = values || {};
+  const read = {};
+  const errors = [];
+
+  for (const [field, spec] of Object.entries(schema)) {
+    if (source[field] === undefined || (coerce && source[field] === '' && spec.type !== 'string')) {
+      if (spec.required) {
+        errors.push({ field, message: `${field} is required` });
+      } else if (source[field] !== undefined) {
+        errors.push({ field, message: `${field} must be ${describeSpec(spec)}` });
+      } else if (defaults && spec.default !== undefined) {
+        read[field] = spec.default;
+      }
+      continue;
+    }
+
+    const value = coerce ? coerceValue(spec, source[field]) : source[field];
+    const message = checkValue(field, spec, value);
+    if (message) {
+      errors.push({ field, message });
+    } else {
+      read[field] = value;
+    }
+  }
+
+  for (const key of Object.keys(source)) {
+    if (!schema[key]) {
+      if (additional) {
+        read[key] = source[key];
+      } else {
+        errors.push({ field: key, message: unknownKeyMessage(key) });
+      }
+    }
+  }
+
+  return { values: read, errors };
+}
+
+/**
+ * OpenAPI (JSON Schema) form of a field spec
+ * @param {Object} spec - Field spec
+ * @returns {Object} OpenAPI schema object
+ */
+function toJsonSchema(spec) {
+  const schema = {};
+
+  if (spec.oneOf) {
+    schema.oneOf = spec.oneOf.map(toJsonSchema);
+  } else {
+    schema.type = spec.integer ? 'integer' : spec.type;
+  }
+
+  for (const [key, keyword] of Object.entries(JSON_SCHEMA_KEYWORDS)) {
+    if (spec[key] !== undefined) {
+      schema[keyword] = spec[key];
+    }
+  }
+  if (spec.exclusiveMin !== undefined) {
+    schema.minimum = spec.exclusiveMin;
+    schema.exclusiveMinimum = true;
+  }
+  if (spec.enum) {
+    schema.enum = spec.enum;
+  }
+  if (spec.pattern) {
+    schema.pattern = spec.pattern.source;
+  }
+  if (spec.items) {
+    schema.items = toJsonSchema(spec.items);
+  }
+  if (spec.nullable) {
+    schema.nullable = true;
+  }
+
+  return schema;
+}
+
+/**
+ * OpenAPI form of a whole field schema, as an object with one property per field
+ * @param {Object} schema - Field specs keyed by name
+ * @param {Object} [options]
+ * @param {boolean} [options.additional] - Whether other properties are allowed
+ * @returns {Object} OpenAPI schema object
+ */
+function toObjectSchema(schema, { additional = false } = {}) {
+  const required = Object.keys(schema).filter(field => schema[field].required);
+  return {
+    type: 'object',
+    properties: Object.fromEntries(Object.entries(schema).map(([field, spec]) => [field, toJsonSchema(spec)])),
+    ...(required.length > 0 ? { required } : {}),
+    additionalProperties: additional
+  };
+}
+
+module.exports = {
+  checkValue,
+  validateValues,
+  readFields,
+  toJsonSchema,
+  toObjectSchema
+};
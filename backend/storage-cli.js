@@ -0,0 +1,108 @@
+#!/usr/bin/env node
+
+const path = require('path');
+const { STORAGE_CONFIG, createStorage } = require('./server/storage');
+const { getAppliedMigrations, LATEST_VERSION } = require('./server/storage/migrations');
+const { importJsonData } = require('./server/storage/importJson');
+
+const USAGE = `
+Usage: npm run storage -- <command> [options]
+
+Commands:
+  status              Show the SQLite database's schema version and contents
+  migrate             Create the database or bring its schema up to date
+  import              Copy the JSON files (bot state, journals, pool cache, snapshots) into the database
+
+Options:
+  --db <path>         SQLite database file (default: STORAGE_SQLITE_PATH or server/data/liquidity.db)
+  --force             Import again into a database that already has an import
+  --help              Show this message
+
+Then start the server with STORAGE_DRIVER=sqlite to use the database.
+`;
+
+function parseArgs(argv) {
+  const args = { command: null, db: STORAGE_CONFIG.SQLITE_PATH, force: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    switch (arg) {
+      case '--db':
+        args.db = path.resolve(argv[++i]);
+        break;
+      case '--force':
+        args.force = true;
+        break;
+      case '--help':
+        args.help = true;
+        break;
+      default:
+        if (arg.startsWith('--') || args.command) {
+          throw new Error(`Unknown option: ${arg}`);
+        }
+        args.command = arg;
+    }
+  }
+
+  return args;
+}
+
+function printStatus(storage) {
+  const { db } = storage;
+  const migrations = getAppliedMigrations(db);
+  const count = table => db.prepare(`SELECT COUNT(*) FROM ${table}`).pluck().get();
+
+  console.log(`🗄️ ${storage.filePath}`);
+  console.log(`Schema version ${storage.schemaVersion} (latest ${LATEST_VERSION})`);
+  migrations.forEach(migration => console.log(`  ${migration.version}. ${migration.name} (${migration.applied_at})`));
+
+  console.table(db.prepare(`
+    SELECT bot, SUM(status = 'active') AS active, SUM(status = 'exited') AS history
+    FROM investments GROUP BY bot ORDER BY bot
+  `).all());
+  console.log(`Cached pools: ${count('pools')}`);
+  console.log(`Pool snapshots: ${count('pool_snapshots')}`);
+  console.log(`Journal events: ${count('investment_events')}`);
+
+  const imported = storage.getMeta('json_import');
+  console.log(imported ? `JSON data imported on ${imported.importedAt}` : 'No JSON import yet');
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  if (args.help || !args.command) {
+    console.log(USAGE);
+    return;
+  }
+
+  // Opening the database applies pending migrations
+  const storage = createStorage({ driver: 'sqlite', filePath: args.db });
+
+  try {
+    switch (args.command) {
+      case 'status':
+        printStatus(storage);
+        break;
+      case 'migrate':
+        console.log(`✅ ${storage.filePath} is at schema version ${storage.schemaVersion}`);
+        break;
+      case 'import': {
+        const summary = await importJsonData(storage, { force: args.force });
+        console.table(Object.entries(summary.bots).map(([bot, counts]) => ({ bot, ...counts })));
+        console.log(`✅ Imported ${summary.pools} cached pools and ${summary.snapshots} snapshots into ${storage.filePath}`);
+        break;
+      }
+      default:
+        throw new Error(`Unknown command: ${args.command}`);
+    }
+  } finally {
+    storage.close();
+  }
+}
+
+main().catch(error => {
+  console.error(`❌ Storage command failed: ${error.message}`);
+  console.log(USAGE);
+  process.exit(1);
+});
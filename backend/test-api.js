@@ -0,0 +1,291 @@
+#!/usr/bin/env node
+
+const assert = require('assert');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+
+// Keep request logging out of the test output
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'WARN';
+
+const { readFields } = require('./server/utils/schema');
+const { ROUTE_SCHEMAS, validateRequest } = require('./server/routes/schemas');
+const { buildOpenApiDocument } = require('./server/services/openapi');
+const { BotConfigStore } = require('./server/services/botConfig');
+const { registerStrategy } = require('./server/strategies');
+const { botRouter, botsRouter } = require('./server/routes/bots');
+const { eventsRouter } = require('./server/routes/events');
+const { webhooksRouter } = require('./server/routes/webhooks');
+
+// Where each router is mounted; bot routes are checked against their relative paths
+const ROUTERS = [
+  { router: botRouter, prefix: '', scope: 'bot' },
+  { router: botsRouter, prefix: '/api/bots' },
+  { router: eventsRouter, prefix: '/api/events' },
+  { router: webhooksRouter, prefix: '/api/webhooks' }
+];
+
+/**
+ * Runs the validation middleware of a route on a fake request
+ * @returns {{passed: boolean, status: number|null, body: Object|null, input: Object|null}} Whether next() was called
+ *   with the values it left in req.input, and the response otherwise
+ */
+function runValidation(operationId, { params = {}, query = {}, body } = {}) {
+  const result = { passed: false, status: null, body: null, input: null };
+  const res = {
+    status(code) {
+      result.status = code;
+      return this;
+    },
+    json(payload) {
+      result.body = payload;
+      return this;
+    }
+  };
+
+  const req = { params, query, body };
+  validateRequest(operationId)(req, res, () => {
+    result.passed = true;
+    result.input = req.input;
+  });
+  return result;
+}
+
+function testReadFields() {
+  console.log('📋 Reading request fields...');
+
+  const schema = {
+    limit: { type: 'number', integer: true, min: 1, max: 100 },
+    tags: { type: 'array', items: { type: 'string', enum: ['a', 'b'] } },
+    active: { type: 'boolean' },
+    name: { type: 'string', required: true }
+  };
+
+  const coerced = readFields(schema, { limit: '10', tags: 'a, b', active: 'false', name: 'x', extra: '1' }, { coerce: true, additional: true });
+  assert.deepStrictEqual(coerced.errors, []);
+  assert.deepStrictEqual(coerced.values, { limit: 10, tags: ['a', 'b'], active: false, name: 'x', extra: '1' });
+
+  const invalid = readFields(schema, { limit: '1.5', tags: 'a,c', active: 'yes', extra: 1 }, { coerce: true });
+  assert.deepStrictEqual(invalid.errors.map(error => error.field), ['limit', 'tags', 'active', 'name', 'extra']);
+  assert.strictEqual(invalid.errors[0].message, 'limit must be an integer');
+  assert.ok(invalid.errors[1].message.startsWith('tags has unknown values: c'));
+  assert.strictEqual(invalid.errors[3].message, 'name is required');
+  assert.strictEqual(invalid.errors[4].message, 'extra is not a known field');
+
+  // Defaults fill fields left out, but not invalid ones
+  const defaulted = { page: { type: 'number', default: 1 }, order: { type: 'string', enum: ['asc', 'desc'], default: 'desc' } };
+  assert.deepStrictEqual(readFields(defaulted, { order: 'asc' }, { defaults: true }).values, { page: 1, order: 'asc' });
+  assert.deepStrictEqual(readFields(defaulted, { page: 'x' }, { coerce: true, defaults: true }).values, { order: 'desc' });
+  assert.deepStrictEqual(readFields(defaulted, {}).values, {});
+
+  // Bodies are not coerced: a numeric string is not a number
+  assert.deepStrictEqual(readFields(schema, { limit: '10', name: 'x' }).errors.map(error => error.message), ['limit must be a number']);
+  console.log('✅ Fields coerced and checked');
+}
+
+function testValidation() {
+  console.log('\n📋 Validating requests...');
+
+  const valid = runValidation('simulateInvestment', { body: { poolId: 'p1', poolName: 'SOL/USDC', protocol: 'Raydium', apy: 0.8 } });
+  assert.strictEqual(valid.passed, true);
+  assert.deepStrictEqual(valid.input.body, { poolId: 'p1', poolName: 'SOL/USDC', protocol: 'Raydium', apy: 0.8, price: 1, liquidity: 1000, volume_24h: 100 });
+
+  // Handlers get converted query values with their defaults
+  const history = runValidation('listInvestmentHistory', { params: { id: 'x' }, query: { limit: '10', profitable: 'false' } });
+  assert.deepStrictEqual(history.input.query, { status: 'exited', profitable: false, sort: 'exitTimestamp', order: 'desc', limit: 10 });
+  assert.deepStrictEqual(history.input.params, { id: 'x' });
+  assert.deepStrictEqual(history.input.body, {});
+  assert.strictEqual(runValidation('refreshPools', { query: { force: 'true' } }).input.query.force, true);
+
+  const invalid = runValidation('simulateInvestment', { body: { poolName: '', protocol: 'Raydium', apy: '0.8', price: 0, color: 'red' } });
+  assert.strictEqual(invalid.passed, false);
+  assert.strictEqual(invalid.status, 400);
+  assert.strictEqual(invalid.body.success, false);
+  assert.strictEqual(invalid.body.error, 'Invalid investment');
+  assert.deepStrictEqual(invalid.body.fields.map(({ field }) => field), ['poolId', 'poolName', 'apy', 'price', 'color']);
+  assert.ok(invalid.body.fields.every(field => field.in === 'body'));
+  assert.deepStrictEqual(invalid.body.details, invalid.body.fields.map(field => field.message));
+
+  const negative = runValidation('simulateInvestment', { body: { poolId: 'p1', poolName: 'SOL/USDC', protocol: 'Raydium', apy: -1 } });
+  assert.deepStrictEqual(negative.body.details, ['apy must be >= 0']);
+
+  const query = runValidation('listWebhookDeliveries', { query: { status: 'lost', limit: '900' } });
+  assert.deepStrictEqual(query.body.fields.map(field => [field.in, field.field]), [['query', 'status'], ['query', 'limit']]);
+
+  const dataset = runValidation('exportBotData', { params: { name: 'default', dataset: 'wallet' }, query: { format: 'csv' } });
+  assert.deepStrictEqual(dataset.body.fields.map(field => [field.in, field.field]), [['path', 'dataset']]);
+
+  const notObject = runValidation('stopBot', { body: ['stop'] });
+  assert.strictEqual(notObject.status, 400);
+  assert.deepStrictEqual(notObject.body.details, ['body must be a JSON object']);
+
+  // Config updates may carry strategy params, which the route checks against the bot's strategy
+  assert.strictEqual(runValidation('updateBotConfig', { body: { MAX_ACTIVE_INVESTMENTS: 3, someParam: 1 } }).passed, true);
+  assert.strictEqual(runValidation('updateBotConfig', { body: { MAX_ACTIVE_INVESTMENTS: 'three' } }).passed, false);
+
+  assert.throws(() => validateRequest('noSuchRoute'), /No schema for route noSuchRoute/);
+  console.log('✅ Invalid requests rejected with field errors');
+}
+
+/**
+ * Runs a route of a router (validation, then the handler) on a fake request
+ * @returns {Promise<Object>} JSON body of the response
+ */
+async function runRoute(router, method, path, req) {
+  const layer = router.stack.find(layer => layer.route && layer.route.path === path && layer.route.methods[method]);
+  let body = null;
+  const res = {
+    status() {
+      return this;
+    },
+    json(payload) {
+      body = payload;
+      return this;
+    }
+  };
+
+  const request = { params: {}, query: {}, body: {}, get: () => undefined, ...req };
+  const [validate, handler] = layer.route.stack;
+  await new Promise(resolve => validate.handle(request, res, resolve));
+  await handler.handle(request, res);
+  return body;
+}
+
+async function testManualActions() {
+  console.log('\n📋 Journaling start and stop...');
+
+  const actions = [];
+  const bot = {
+    isRunning: false,
+    strategy: { name: 'apy-threshold-48h' },
+    initialize: async () => {},
+    start: async () => { bot.isRunning = true; },
+    stop: () => { bot.isRunning = false; },
+    recordManualAction: async (action, details) => { actions.push([action, details.actor]); },
+    getStatus: () => ({ isRunning: bot.isRunning })
+  };
+
+  assert.strictEqual((await runRoute(botRouter, 'post', '/start', { bot })).message, 'Bot started successfully');
+  assert.strictEqual((await runRoute(botRouter, 'post', '/start', { bot })).message, 'Bot is already running');
+  assert.strictEqual((await runRoute(botRouter, 'post', '/stop', { bot, body: { actor: 'ops' } })).message, 'Bot stopped successfully');
+  assert.strictEqual((await runRoute(botRouter, 'post', '/stop', { bot })).message, 'Bot is not running');
+  assert.deepStrictEqual(actions, [['start', 'api'], ['stop', 'ops']], 'requests that change nothing are not journaled');
+  console.log('✅ Only actual starts and stops journaled');
+}
+
+async function testStartStrategy() {
+  console.log('\n📋 Starting with another strategy...');
+
+  // Registered after the route schemas were built
+  registerStrategy({
+    name: 'late-test',
+    params: { MIN_SCORE: { type: 'number', min: 0, default: 1 } },
+    shouldEnter: () => false,
+    getPositionSize: () => 0,
+    shouldExit: () => null
+  });
+
+  const filePath = path.join(os.tmpdir(), `liquidity-api-test-${process.pid}`, 'botConfig.json');
+  const configStore = new BotConfigStore(filePath);
+  const recorded = [];
+  const bot = {
+    isRunning: false,
+    config: { STRATEGY: 'apy-threshold-48h' },
+    get strategy() {
+      return { name: bot.config.STRATEGY };
+    },
+    applyConfig: changes => { bot.config = { ...bot.config, ...changes }; },
+    recordConfigChange: async (changes, source) => { recorded.push([changes, source]); },
+    initialize: async () => {},
+    start: async () => { bot.isRunning = true; },
+    recordManualAction: async () => {},
+    getStatus: () => ({ isRunning: bot.isRunning })
+  };
+
+  const invalid = await runRoute(botRouter, 'post', '/start', { bot, configStore, body: { strategy: 'late-test', params: { MIN_SCORE: -1 } } });
+  assert.deepStrictEqual(invalid.details, ['params.MIN_SCORE must be >= 0']);
+
+  const started = await runRoute(botRouter, 'post', '/start', { bot, configStore, body: { strategy: 'late-test', params: { MIN_SCORE: 3 } } });
+  assert.strictEqual(started.success, true);
+  assert.deepStrictEqual([bot.config.STRATEGY, bot.config.MIN_SCORE], ['late-test', 3]);
+
+  // Saved like a config update, so a restart keeps it and the journal shows it
+  const reloaded = new BotConfigStore(filePath);
+  await reloaded.load();
+  assert.deepStrictEqual(reloaded.getOverrides(), { STRATEGY: 'late-test', MIN_SCORE: 3 });
+  assert.deepStrictEqual(reloaded.getHistory()[0].changes.STRATEGY, { from: 'apy-threshold-48h', to: 'late-test' });
+  assert.deepStrictEqual(recorded, [[reloaded.getHistory()[0].changes, 'api']]);
+
+  await fs.remove(path.dirname(filePath));
+  console.log('✅ Strategy choice saved and journaled');
+}
+
+function testRouteCoverage() {
+  console.log('\n📋 Checking every route has a schema...');
+
+  let count = 0;
+  for (const { router, prefix, scope } of ROUTERS) {
+    for (const layer of router.stack.filter(layer => layer.route)) {
+      const path = prefix + (layer.route.path === '/' && prefix ? '' : layer.route.path);
+      for (const method of Object.keys(layer.route.methods)) {
+        const schema = Object.values(ROUTE_SCHEMAS).find(route => route.method === method && route.path === path && route.scope === scope);
+        assert.ok(schema, `No schema for ${method.toUpperCase()} ${path}`);
+        assert.strictEqual(layer.route.stack.length, 2, `${method.toUpperCase()} ${path} is not validated`);
+        count++;
+      }
+    }
+  }
+  console.log(`✅ ${count} routes validated`);
+}
+
+function testOpenApi() {
+  console.log('\n📋 Building the OpenAPI document...');
+
+  const document = buildOpenApiDocument();
+  assert.strictEqual(document.openapi, '3.0.3');
+  assert.ok(document.info.version);
+
+  const operations = Object.values(document.paths).flatMap(path => Object.values(path));
+  const ids = operations.map(operation => operation.operationId);
+  assert.strictEqual(new Set(ids).size, ids.length, 'operationIds must be unique');
+
+  const simulate = document.paths['/api/bot/investments/simulate'].post;
+  const body = simulate.requestBody.content['application/json'].schema;
+  assert.deepStrictEqual(body.required, ['poolId', 'poolName', 'protocol', 'apy']);
+  assert.deepStrictEqual(body.properties.apy, { type: 'number', minimum: 0, description: 'APY as a decimal (0.5 = 50%)' });
+  assert.strictEqual(body.additionalProperties, false);
+  assert.strictEqual(simulate.responses[400].content['application/json'].schema.$ref, '#/components/schemas/ValidationError');
+
+  const named = document.paths['/api/bots/{name}/investments/{id}/exit'].post;
+  assert.strictEqual(named.operationId, 'exitInvestmentForBot');
+  assert.deepStrictEqual(named.parameters.map(parameter => parameter.name), ['name', 'id']);
+
+  const pools = document.paths['/api/high-apy-pools'].get;
+  const protocol = pools.parameters.find(parameter => parameter.name === 'protocol');
+  assert.deepStrictEqual([protocol.in, protocol.style, protocol.explode], ['query', 'form', false]);
+
+  // Every reference points at a component
+  const refs = JSON.stringify(document).match(/#\/components\/schemas\/\w+/g);
+  refs.forEach(ref => assert.ok(document.components.schemas[ref.split('/').pop()], `Missing ${ref}`));
+  console.log(`✅ ${operations.length} operations documented`);
+}
+
+async function main() {
+  try {
+    console.log('🚀 Starting API Test\n');
+
+    testReadFields();
+    testValidation();
+    await testManualActions();
+    await testStartStrategy();
+    testRouteCoverage();
+    testOpenApi();
+
+    console.log('\n✅ API tests completed successfully!');
+  } catch (error) {
+    console.error('❌ API test failed:', error.message);
+    process.exitCode = 1;
+  }
+}
+
+main();
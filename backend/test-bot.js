@@ -1,8 +1,28 @@
 #!/usr/bin/env node
 
-const { bot } = require('./server/services/bot');
+const assert = require('assert');
+const os = require('os');
 const fs = require('fs-extra');
 const path = require('path');
+const { LiquidityMiningBot } = require('./server/services/bot');
+const { calculateImpermanentLoss } = require('./server/utils/returns');
+const { PoolRegistry } = require('./server/services/poolRegistry');
+const { ManualClock } = require('./server/utils/clock');
+const { BotConfigStore } = require('./server/services/botConfig');
+const { BotManager } = require('./server/services/botManager');
+const { EventHub } = require('./server/services/events');
+const { parseHistoryQuery, queryHistory } = require('./server/services/history');
+const { parseAnalyticsQuery, getAnalytics } = require('./server/services/analytics');
+const { recordSnapshot } = require('./server/services/snapshots');
+const { runBacktest } = require('./server/services/backtest');
+
+// Keep test state out of server/data
+const testDir = path.join(os.tmpdir(), `liquidity-bot-test-${process.pid}`);
+const testConfig = {
+  POOLS_FILE_PATH: path.join(testDir, 'highApyPools.json'),
+  DATA_FILE_PATH: path.join(testDir, 'botInvestments.json'),
+  LOG_FILE_PATH: path.join(testDir, 'botActivity.log')
+};
 
 // Sample high APY pools for testing
 const samplePools = [
@@ -21,6 +41,7 @@ const samplePools = [
     volume_24h: 200,
     volume_7d: 1500,
     volume_30d: 5000,
+    firstSeenAt: new Date().toISOString(),
     lastUpdated: new Date().toISOString(),
     lastFetched: new Date().toISOString()
   },
@@ -39,6 +60,7 @@ const samplePools = [
     volume_24h: 150,
     volume_7d: 1200,
     volume_30d: 4000,
+    firstSeenAt: new Date().toISOString(),
     lastUpdated: new Date().toISOString(),
     lastFetched: new Date().toISOString()
   }
@@ -48,15 +70,15 @@ async function setupTestData() {
   console.log('🧪 Setting up test data...');
   
   // Create test pools file
-  const poolsFilePath = path.join(__dirname, 'server', 'data', 'highApyPools.json');
-  await fs.ensureDir(path.dirname(poolsFilePath));
-  await fs.writeJson(poolsFilePath, samplePools, { spaces: 2 });
+  await fs.ensureDir(testDir);
+  await fs.writeJson(testConfig.POOLS_FILE_PATH, samplePools, { spaces: 2 });
   
   console.log('✅ Test data created');
 }
 
 async function runBotTest() {
   console.log('🤖 Starting bot test...');
+  const bot = new LiquidityMiningBot({ config: testConfig });
   
   // Initialize bot
   await bot.initialize();
@@ -95,37 +117,33 @@ async function runBotTest() {
 async function simulateTimePassage() {
   console.log('\n⏰ Simulating time passage...');
   
-  // Create a test investment that's ready to exit
-  const testInvestment = {
-    id: "test_inv_1",
-    poolId: "test_pool_1",
-    poolName: "TEST/SOL",
-    protocol: "Orca",
-    entryApy: 0.45,
-    entryPrice: 0.1,
-    entryLiquidity: 5000,
-    entryVolume24h: 200,
-    investmentAmount: 1000,
-    entryTimestamp: new Date(Date.now() - 49 * 60 * 60 * 1000).toISOString(), // 49 hours ago
-    status: 'active',
-    exitTimestamp: null,
-    exitApy: null,
-    exitPrice: null,
-    profitLoss: null,
-    profitLossPercentage: null,
-    holdingTimeHours: null
-  };
+  // Drive time with a manual clock instead of back-dating investments
+  const clock = new ManualClock('2025-01-01T00:00:00.000Z');
+  const bot = new LiquidityMiningBot({
+    clock,
+    config: { ...testConfig, DATA_FILE_PATH: path.join(testDir, 'timePassage.json') }
+  });
+  await bot.initialize();
   
-  // Add to active investments
-  bot.activeInvestments.set(testInvestment.poolId, testInvestment);
+  const investment = await bot.simulateInvestment(samplePools[0]);
+  assert.ok(investment, 'investment should be created');
+  console.log(`✅ Invested in ${investment.poolName} at ${investment.entryTimestamp}`);
   
-  console.log('✅ Added test investment (49 hours old)');
+  // A second position in the same pool would replace the first after taking its cash
+  const cashBefore = bot.cash;
+  assert.strictEqual(await bot.simulateInvestment(samplePools[0]), null, 'one position per pool');
+  assert.strictEqual(bot.cash, cashBefore);
+  assert.strictEqual(bot.getActiveInvestments()[0].id, investment.id);
   
-  // Start bot to trigger exit
-  await bot.start();
-  await new Promise(resolve => setTimeout(resolve, 2000));
+  // Not due yet
+  clock.advanceHours(47);
+  await bot.checkForExits();
+  assert.strictEqual(bot.getActiveInvestments().length, 1, 'investment should still be held after 47h');
+  
+  // Past the holding period
+  clock.advanceHours(2);
+  await bot.checkForExits();
   
-  // Check if exit was processed
   const activeInvestments = bot.getActiveInvestments();
   const investmentHistory = bot.getInvestmentHistory();
   
@@ -133,12 +151,530 @@ async function simulateTimePassage() {
   console.log(`- Active Investments: ${activeInvestments.length}`);
   console.log(`- Investment History: ${investmentHistory.length}`);
   
-  if (investmentHistory.length > 0) {
-    const lastExit = investmentHistory[investmentHistory.length - 1];
-    console.log(`- Last Exit: ${lastExit.poolName} - P&L: $${lastExit.profitLoss?.toFixed(2) || 'N/A'}`);
+  assert.strictEqual(activeInvestments.length, 0, 'investment should be exited after 49h');
+  assert.strictEqual(investmentHistory.length, 1, 'exit should be recorded in history');
+  
+  const lastExit = investmentHistory[investmentHistory.length - 1];
+  console.log(`- Last Exit: ${lastExit.poolName} - P&L: $${lastExit.profitLoss?.toFixed(2) || 'N/A'}`);
+  console.log(`- Fee Income: $${lastExit.feeIncome?.toFixed(2) || 'N/A'}, Impermanent Loss: $${lastExit.impermanentLoss?.toFixed(2) || 'N/A'}`);
+  
+  assert.strictEqual(lastExit.holdingTimeHours, 49);
+  assert.strictEqual(lastExit.exitReason, 'holding-period');
+  assert.ok(Math.abs(lastExit.feeIncome - 1000 * 0.45 * 49 / 8760) < 1e-9, 'fees should accrue at the pool APY');
+  assert.strictEqual(bot.getStatus().totalInvestments, 1);
+  
+  // Capital and P&L are back in the wallet
+  const { cash, investedCapital, equity } = bot.getStatus();
+  assert.ok(Math.abs(cash - (10000 + lastExit.profitLoss)) < 1e-9, 'cash should include the realized P&L');
+  assert.strictEqual(investedCapital, 0);
+  assert.strictEqual(equity, cash);
+}
+
+async function ageFromRegistry() {
+  console.log('\n🗓️ Aging pools from the registry...');
+  
+  const clock = new ManualClock('2025-01-01T00:00:00.000Z');
+  const registry = new PoolRegistry(path.join(testDir, 'poolRegistry.json'));
+  const poolsFile = path.join(testDir, 'pools-registry.json');
+  
+  // Pools as the cache holds them, without the firstSeenAt the other tests set
+  const pools = samplePools.map(({ firstSeenAt, ...pool }) => ({ ...pool, lastFetched: clock.now().toISOString() }));
+  await registry.registerPools([pools[0]], clock.now());
+  await fs.writeJson(poolsFile, pools);
+  
+  const bot = new LiquidityMiningBot({
+    clock,
+    poolRegistry: registry,
+    config: { ...testConfig, POOLS_FILE_PATH: poolsFile, DATA_FILE_PATH: path.join(testDir, 'registryAge.json') }
+  });
+  const ages = [];
+  bot.strategy = {
+    ...bot.strategy,
+    shouldEnter: async (pool, { getPoolAge }) => {
+      ages.push([pool.id, await getPoolAge()]);
+      return false;
+    }
+  };
+  
+  clock.advanceHours(36);
+  for (const pool of pools) {
+    await bot.shouldInvest({ ...pool, lastFetched: clock.now().toISOString() });
+  }
+  
+  // The registered pool is a day and a half old; the other one was never seen
+  assert.deepStrictEqual(ages, [['test_pool_1', 1.5], ['test_pool_2', null]]);
+  console.log('✅ Strategy sees pool ages from the registry');
+}
+
+async function measureImpermanentLoss() {
+  console.log('\n📉 Measuring impermanent loss...');
+  
+  const close = (actual, expected, message) => assert.ok(Math.abs(actual - expected) < 1e-9, `${message}: ${actual} != ${expected}`);
+  
+  // A 50/50 position loses 20% against holding when the price quadruples or quarters
+  close(calculateImpermanentLoss(1, 4), -0.2, 'price x4');
+  close(calculateImpermanentLoss(0.1, 0.025), -0.2, 'price /4');
+  assert.strictEqual(calculateImpermanentLoss(0.1, 0.1), 0);
+  
+  const clock = new ManualClock('2025-01-01T00:00:00.000Z');
+  const poolsFile = path.join(testDir, 'pools-impermanent-loss.json');
+  const bot = new LiquidityMiningBot({
+    clock,
+    config: { ...testConfig, POOLS_FILE_PATH: poolsFile, DATA_FILE_PATH: path.join(testDir, 'impermanentLoss.json') }
+  });
+  
+  await fs.writeJson(poolsFile, samplePools);
+  const [held, dropped] = [await bot.simulateInvestment(samplePools[0]), await bot.simulateInvestment(samplePools[1])];
+  
+  // Both prices quadruple over a day
+  clock.advanceHours(24);
+  await fs.writeJson(poolsFile, samplePools.map(pool => ({ ...pool, price: pool.price * 4 })));
+  await bot.checkForExits();
+  
+  const exited = await bot.simulateExit(held, 'manual');
+  close(exited.exitPrice, 0.4, 'exit price');
+  close(exited.feeIncome, 1000 * 0.45 * 24 / 8760, 'fee income');
+  close(exited.impermanentLoss, -200, 'impermanent loss');
+  close(exited.impermanentLossPercentage, -20, 'impermanent loss %');
+  close(exited.profitLoss, 1000 * 0.45 * 24 / 8760 - 200, 'P&L');
+  
+  // A pool that left the cache exits at its last observed price, not its entry price
+  clock.advanceHours(1);
+  await fs.writeJson(poolsFile, []);
+  const gone = await bot.simulateExit(dropped, 'manual');
+  close(gone.exitPrice, 0.2, 'exit price of a dropped pool');
+  close(gone.impermanentLoss, -200, 'impermanent loss of a dropped pool');
+  close(gone.profitLoss, 1000 * 0.35 * 25 / 8760 - 200, 'P&L of a dropped pool');
+  console.log('✅ Fees, impermanent loss and P&L of exited positions');
+}
+
+async function sizePositions() {
+  console.log('\n💵 Sizing positions from the wallet...');
+  
+  const sizeFor = async (config, pool = samplePools[0]) => {
+    const bot = new LiquidityMiningBot({
+      config: { ...testConfig, ...config, DATA_FILE_PATH: path.join(testDir, 'sizing.json') }
+    });
+    const investment = await bot.simulateInvestment(pool);
+    return { bot, amount: investment ? investment.investmentAmount : 0 };
+  };
+  
+  assert.strictEqual((await sizeFor({ POSITION_SIZING: 'fixed' })).amount, 1000);
+  assert.strictEqual((await sizeFor({ POSITION_SIZING: 'percent-of-equity', POSITION_SIZE_PERCENTAGE: 5 })).amount, 500);
+  
+  // 2% of a $5,000 pool
+  assert.strictEqual((await sizeFor({ POSITION_SIZING: 'liquidity-scaled', MAX_POOL_SHARE_PERCENTAGE: 2 })).amount, 100);
+  
+  // Never more than the cash on hand
+  const { bot, amount } = await sizeFor({ STARTING_CAPITAL: 1500 });
+  assert.strictEqual(amount, 1000);
+  assert.strictEqual((await bot.simulateInvestment(samplePools[1])).investmentAmount, 500);
+  assert.strictEqual(await bot.simulateInvestment({ ...samplePools[1], id: 'test_pool_3' }), null, 'an empty wallet cannot invest');
+  
+  const status = bot.getStatus();
+  assert.strictEqual(status.cash, 0);
+  assert.strictEqual(status.investedCapital, 1500);
+  assert.strictEqual(status.equity, 1500);
+  console.log('✅ Fixed, percent-of-equity and liquidity-scaled sizing respect the wallet');
+}
+
+async function triggerEarlyExits() {
+  console.log('\n🛑 Checking early-exit rules...');
+  
+  const cases = [
+    { config: { STOP_LOSS_PERCENTAGE: 10 }, change: { price: 0.085 }, reason: 'stop-loss' },
+    { config: { TAKE_PROFIT_PERCENTAGE: 20 }, change: { price: 0.125 }, reason: 'take-profit' },
+    { config: { MIN_APY_RETENTION_PERCENTAGE: 50 }, change: { apy: 0.2 }, reason: 'apy-decay' },
+    { config: { MIN_EXIT_LIQUIDITY: 1000 }, change: { liquidity: 800 }, reason: 'liquidity-floor' },
+    { config: { MAX_HOLDING_HOURS: 1 }, change: {}, reason: 'max-holding-time' }
+  ];
+  
+  for (const { config, change, reason } of cases) {
+    const clock = new ManualClock('2025-01-01T00:00:00.000Z');
+    const poolsFile = path.join(testDir, `pools-${reason}.json`);
+    const bot = new LiquidityMiningBot({
+      clock,
+      config: { ...testConfig, ...config, POOLS_FILE_PATH: poolsFile, DATA_FILE_PATH: path.join(testDir, `${reason}.json`) }
+    });
+    
+    await fs.writeJson(poolsFile, [samplePools[0]]);
+    await bot.simulateInvestment(samplePools[0]);
+    
+    // Nothing has moved yet
+    clock.advanceHours(0.5);
+    await bot.checkForExits();
+    assert.strictEqual(bot.getActiveInvestments().length, 1, `${reason} should not fire before the pool moves`);
+    
+    await fs.writeJson(poolsFile, [{ ...samplePools[0], ...change }]);
+    clock.advanceHours(1);
+    await bot.checkForExits();
+    
+    assert.strictEqual(bot.getActiveInvestments().length, 0, `${reason} should exit early`);
+    assert.strictEqual(bot.getInvestmentHistory()[0].exitReason, reason);
+    console.log(`✅ ${reason} exit`);
+  }
+}
+
+async function skipStaleData() {
+  console.log('\n⏳ Refusing entries on stale pool data...');
+  
+  const clock = new ManualClock(samplePools[0].lastFetched);
+  const bot = new LiquidityMiningBot({ clock, config: { ...testConfig, MAX_DATA_AGE_MINUTES: 60 } });
+  
+  assert.strictEqual(await bot.shouldInvest(samplePools[0]), true, 'fresh data can be entered');
+  
+  clock.advance(61 * 60 * 1000);
+  assert.strictEqual(bot.isStale(samplePools[0]), true);
+  assert.strictEqual(await bot.shouldInvest(samplePools[0]), false, 'data older than MAX_DATA_AGE_MINUTES cannot be entered');
+  
+  bot.applyConfig({ MAX_DATA_AGE_MINUTES: null });
+  assert.strictEqual(await bot.shouldInvest(samplePools[0]), true, 'the check can be turned off');
+  console.log('✅ Stale pool data blocks new positions');
+}
+
+async function updateConfig() {
+  console.log('\n⚙️ Updating bot config...');
+  
+  const bot = new LiquidityMiningBot({ config: testConfig });
+  const store = new BotConfigStore(path.join(testDir, 'botConfig.json'));
+  
+  const errors = store.validate({ HIGH_APY_THRESHOLD: 'high', MAX_ACTIVE_INVESTMENTS: 2.5, UNKNOWN: 1 }, bot.config);
+  assert.strictEqual(errors.length, 3, 'invalid settings should be rejected');
+  
+  const changes = await store.update({ HIGH_APY_THRESHOLD: 0.4, MIN_LIQUIDITY: 100 }, bot.config, { source: 'test' });
+  bot.applyConfig({ HIGH_APY_THRESHOLD: 0.4, MIN_LIQUIDITY: 100 });
+  assert.deepStrictEqual(changes, { HIGH_APY_THRESHOLD: { from: 0.3, to: 0.4 } }, 'only changed settings are recorded');
+  assert.strictEqual(bot.config.HIGH_APY_THRESHOLD, 0.4);
+  
+  // The 35% pool no longer qualifies
+  assert.strictEqual(await bot.shouldInvest(samplePools[1]), false);
+  
+  const reloaded = new BotConfigStore(store.filePath);
+  assert.deepStrictEqual(await reloaded.load(), { HIGH_APY_THRESHOLD: 0.4, MIN_LIQUIDITY: 100 }, 'overrides should persist');
+  assert.strictEqual(reloaded.getHistory().length, 1);
+  console.log('✅ Config updated, persisted and applied');
+}
+
+async function replayJournal() {
+  console.log('\n📒 Rebuilding state from the investment journal...');
+  
+  const clock = new ManualClock(samplePools[0].lastFetched);
+  const config = { ...testConfig, DATA_FILE_PATH: path.join(testDir, 'journal.json') };
+  const bot = new LiquidityMiningBot({ name: 'journal', clock, config });
+  await bot.initialize();
+  
+  await bot.simulateInvestment(samplePools[0]);
+  await bot.simulateInvestment(samplePools[1]);
+  await bot.recordManualAction('simulate-investment', { poolId: samplePools[1].id });
+  bot.applyConfig({ STARTING_CAPITAL: 20000 });
+  await bot.recordConfigChange({ STARTING_CAPITAL: { from: 10000, to: 20000 } }, 'test');
+  clock.advanceHours(49);
+  await bot.checkForExits();
+  await bot.simulateInvestment(samplePools[0]);
+  clock.advanceHours(1);
+  await bot.checkForExits();
+  
+  const events = await bot.getJournal().read();
+  assert.deepStrictEqual(events.map(event => event.type), [
+    'investment.opened', 'investment.opened', 'manual.action', 'config.changed',
+    'investment.exited', 'investment.exited', 'investment.opened'
+  ]);
+  assert.deepStrictEqual(events.map(event => event.sequence), [1, 2, 3, 4, 5, 6, 7]);
+  assert.deepStrictEqual(events[4].investment, bot.getInvestmentHistory()[0], 'events carry the full investment');
+  
+  const { state } = await bot.replayJournal();
+  assert.deepStrictEqual(state.investmentHistory, bot.getInvestmentHistory());
+  assert.deepStrictEqual(state.stats, bot.stats);
+  assert.ok(Math.abs(state.cash - bot.cash) < 1e-9);
+  assert.deepStrictEqual(Object.keys(state.activeInvestments), ['test_pool_1']);
+  assert.deepStrictEqual((await bot.checkJournal()).differences, [], 'fees accrued since the entry are not a difference');
+  
+  // A saved state that drifted from the journal is reported, and can be restored from it
+  const saved = await fs.readJson(config.DATA_FILE_PATH);
+  saved.investmentHistory.pop();
+  saved.cash += 5;
+  await fs.writeJson(config.DATA_FILE_PATH, saved);
+  
+  const check = await bot.checkJournal();
+  assert.strictEqual(check.consistent, false);
+  assert.deepStrictEqual(check.differences.map(difference => difference.path), ['investmentHistory.1', 'cash']);
+  
+  await bot.restoreFromJournal();
+  assert.strictEqual((await bot.checkJournal()).consistent, true);
+  assert.strictEqual(bot.getInvestmentHistory().length, 2);
+  
+  // State saved before the journal existed starts the journal on initialize
+  const legacyPath = path.join(testDir, 'legacy.json');
+  await fs.copy(config.DATA_FILE_PATH, legacyPath);
+  const legacy = new LiquidityMiningBot({ name: 'legacy', clock, config: { ...config, DATA_FILE_PATH: legacyPath } });
+  await legacy.initialize();
+  
+  const backfilled = await legacy.getJournal().read();
+  assert.deepStrictEqual(backfilled.map(event => event.type), [
+    'investment.opened', 'investment.opened', 'investment.exited', 'investment.exited', 'investment.opened'
+  ]);
+  assert.ok(backfilled.every(event => event.backfilled));
+  assert.strictEqual((await legacy.checkJournal()).consistent, true);
+  console.log('✅ Journal replayed, drift reported and state restored');
+}
+
+async function managePositions() {
+  console.log('\n✋ Exiting, voiding and annotating positions by hand...');
+  
+  const clock = new ManualClock(samplePools[0].lastFetched);
+  const config = { ...testConfig, DATA_FILE_PATH: path.join(testDir, 'manual.json') };
+  const bot = new LiquidityMiningBot({ name: 'manual', clock, config });
+  await bot.initialize();
+  const startingCash = bot.cash;
+  const audit = { actor: 'alice', reason: 'duplicate entry' };
+  
+  const first = await bot.simulateInvestment(samplePools[0]);
+  const second = await bot.simulateInvestment(samplePools[1]);
+  clock.advanceHours(2);
+  
+  // Exit before the holding period ends
+  const exited = await bot.exitInvestment(first, audit);
+  assert.strictEqual(exited.exitReason, 'manual');
+  assert.strictEqual(bot.findInvestment(first.id).status, 'exited');
+  assert.strictEqual(bot.stats.totalInvestments, 1);
+  
+  // Tags and notes; setting the same values again changes nothing
+  const { changes } = await bot.annotateInvestment(second, { tags: ['review'], notes: 'Entered by mistake' }, audit);
+  assert.deepStrictEqual(changes, { tags: { from: null, to: ['review'] }, notes: { from: null, to: 'Entered by mistake' } });
+  assert.deepStrictEqual(bot.findInvestment(second.id).tags, ['review']);
+  assert.deepStrictEqual((await bot.annotateInvestment(second, { tags: ['review'] }, audit)).changes, {});
+  
+  // Voiding the exited position takes its P&L back out of the wallet and the stats
+  await bot.voidInvestment(exited, audit);
+  assert.strictEqual(bot.findInvestment(first.id), null);
+  assert.strictEqual(bot.stats.totalInvestments, 0);
+  assert.strictEqual(bot.stats.totalFeeIncome, 0);
+  assert.ok(Math.abs(bot.cash - (startingCash - second.investmentAmount)) < 1e-9);
+  assert.deepStrictEqual((await bot.checkJournal()).differences, []);
+  
+  // Voiding the active one returns its capital
+  await bot.voidInvestment(bot.findInvestment(second.id), audit);
+  assert.strictEqual(bot.getActiveInvestments().length, 0);
+  assert.ok(Math.abs(bot.cash - startingCash) < 1e-9);
+  assert.deepStrictEqual((await bot.checkJournal()).differences, []);
+  
+  // Every step is in the investment's audit trail, with who and why
+  const trail = await bot.getInvestmentAudit(first.id);
+  assert.deepStrictEqual(trail.map(event => event.type), ['investment.opened', 'investment.exited', 'manual.action', 'investment.voided']);
+  assert.strictEqual(trail[2].action, 'exit');
+  assert.ok(trail.slice(2).every(event => event.actor === 'alice' && event.reason === 'duplicate entry'));
+  assert.deepStrictEqual((await bot.getInvestmentAudit(second.id)).map(event => event.type), [
+    'investment.opened', 'investment.annotated', 'investment.voided'
+  ]);
+  console.log('✅ Positions exited, voided and annotated with an audit trail');
+}
+
+async function filterHistory() {
+  console.log('\n🔎 Filtering and paging investment history...');
+  
+  // 25 exits a day apart alternating protocols, with P&L from -60 to +60 in steps of 5
+  const history = Array.from({ length: 25 }, (_, i) => ({
+    id: `inv_${String(i).padStart(2, '0')}`,
+    poolId: `pool_${i % 5}`,
+    poolName: i % 2 === 0 ? `TEST${i}/SOL` : `NEW${i}/USDC`,
+    protocol: i % 2 === 0 ? 'Orca' : 'Raydium',
+    investmentAmount: 1000,
+    entryTimestamp: new Date(Date.UTC(2025, 0, 1 + i)).toISOString(),
+    exitTimestamp: new Date(Date.UTC(2025, 0, 3 + i)).toISOString(),
+    status: 'exited',
+    exitReason: i % 3 === 0 ? 'stop-loss' : 'holding-period',
+    profitLoss: (i - 12) * 5,
+    profitLossPercentage: (i - 12) * 0.5,
+    feeIncome: 10,
+    impermanentLoss: (i - 12) * 5 - 10,
+    holdingTimeHours: 48
+  }));
+  const active = [{ id: 'inv_active', poolId: 'pool_0', poolName: 'TEST/SOL', protocol: 'Orca', investmentAmount: 1000, entryTimestamp: '2025-02-01T00:00:00.000Z', exitTimestamp: null, status: 'active', profitLoss: null }];
+  const run = query => {
+    const { options, errors } = parseHistoryQuery(query);
+    assert.deepStrictEqual(errors, []);
+    return queryHistory([...history, ...active], options);
+  };
+  
+  // Default: exited only, most recent exit first
+  const latest = run({ limit: '3' });
+  assert.deepStrictEqual(latest.data.map(investment => investment.id), ['inv_24', 'inv_23', 'inv_22']);
+  assert.strictEqual(latest.total, 25);
+  assert.strictEqual(latest.aggregates.profitable, 12);
+  assert.strictEqual(latest.aggregates.unprofitable, 13, 'break-even counts as unprofitable, like the bot stats');
+  assert.strictEqual(latest.aggregates.totalProfitLoss, 0);
+  
+  // Walking the cursor visits every match exactly once
+  const seen = [];
+  let cursor;
+  do {
+    const page = run({ sort: 'profitLoss', order: 'asc', limit: '7', ...(cursor ? { cursor } : {}) });
+    seen.push(...page.data.map(investment => investment.profitLoss));
+    cursor = page.nextCursor;
+  } while (cursor);
+  assert.deepStrictEqual(seen, history.map(investment => investment.profitLoss));
+  
+  // Filters combine, and aggregates cover the whole filtered set rather than the page
+  const orcaWinners = run({ protocol: 'orca', profitable: 'true', from: '2025-01-20', limit: '1' });
+  assert.deepStrictEqual(orcaWinners.data.map(investment => investment.id), ['inv_24']);
+  assert.strictEqual(orcaWinners.total, 4);
+  assert.strictEqual(orcaWinners.aggregates.totalProfitLoss, 30 + 40 + 50 + 60);
+  assert.strictEqual(orcaWinners.aggregates.winRate, 1);
+  
+  assert.strictEqual(run({ minProfitLoss: '-10', maxProfitLoss: '10' }).total, 5);
+  assert.strictEqual(run({ poolName: 'usdc', exitReason: 'stop-loss' }).total, 4);
+  assert.strictEqual(run({ poolId: 'pool_0', status: 'all' }).total, 6);
+  assert.deepStrictEqual(run({ status: 'all', sort: 'exitTimestamp', order: 'asc' }).data.slice(-1).map(investment => investment.id), ['inv_active'], 'positions without an exit sort last');
+  
+  const invalid = parseHistoryQuery({ status: 'open', sort: 'apy', limit: '0', from: 'yesterday', profitable: 'yes' });
+  assert.strictEqual(invalid.errors.length, 5);
+  assert.strictEqual(parseHistoryQuery({ cursor: latest.nextCursor, sort: 'profitLoss' }).errors.length, 1, 'a cursor only continues its own sort');
+  console.log('✅ History filtered, sorted, paged and aggregated');
+}
+
+async function analyzePerformance() {
+  console.log('\n📊 Analyzing performance...');
+  
+  const day = n => new Date(Date.UTC(2025, 0, n)).toISOString();
+  const trade = (id, protocol, entryApy, entry, exit, profitLoss) => ({
+    id, protocol, entryApy, investmentAmount: 1000, entryTimestamp: day(entry), exitTimestamp: day(exit),
+    status: 'exited', profitLoss, feeIncome: 10, impermanentLoss: profitLoss - 10
+  });
+  const history = [
+    trade('inv_1', 'Orca', 0.4, 1, 3, 100),
+    trade('inv_2', 'Raydium', 1.5, 2, 4, -50),
+    trade('inv_3', 'Orca', 0.6, 4, 6, 30)
+  ];
+  const active = [{ id: 'inv_4', protocol: 'Orca', entryApy: 0.5, investmentAmount: 1000, entryTimestamp: day(6), lastAccrualTimestamp: day(7), status: 'active', unrealizedProfitLoss: 20 }];
+  const analytics = getAnalytics({ history, active, startingCapital: 10000, now: new Date(day(7)) });
+  
+  const { summary } = analytics;
+  assert.deepStrictEqual([summary.trades, summary.wins, summary.losses], [3, 2, 1]);
+  assert.deepStrictEqual([summary.averageWin, summary.averageLoss, summary.profitFactor], [65, -50, 2.6]);
+  assert.deepStrictEqual([summary.startingEquity, summary.endingEquity, summary.realizedProfitLoss, summary.unrealizedProfitLoss], [10000, 10100, 80, 20]);
+  
+  // Open positions earn their P&L linearly: inv_1 is half way on day 2, inv_2 half way on day 3
+  assert.deepStrictEqual(analytics.equityCurve.map(point => point.equity), [10000, 10050, 10075, 10050, 10080, 10100]);
+  assert.deepStrictEqual(analytics.equityCurve.map(point => point.activeInvestments), [1, 2, 1, 1, 1, 1]);
+  assert.deepStrictEqual([summary.maxDrawdown.amount, summary.maxDrawdown.peakAt, summary.maxDrawdown.troughAt], [25, day(3), day(4)]);
+  assert.strictEqual(summary.dailyReturns, 6);
+  assert.ok(summary.sharpeRatio > 0 && summary.sortinoRatio > summary.sharpeRatio, 'one losing day, so downside deviation is smaller');
+  
+  assert.deepStrictEqual(analytics.byProtocol.map(group => [group.protocol, group.trades, group.profitLoss]), [['Orca', 2, 130], ['Raydium', 1, -50]]);
+  assert.deepStrictEqual(analytics.byEntryApy.map(bucket => bucket.trades), [0, 1, 1, 1, 0]);
+  assert.strictEqual(analytics.byEntryApy[3].returnPercentage, -5);
+  
+  // A range counts the trades closed in it, starting from the equity at its start
+  const range = getAnalytics({ history, active, startingCapital: 10000, now: new Date(day(7)), from: '2025-01-03T12:00:00.000Z', to: day(6) });
+  assert.deepStrictEqual([range.summary.trades, range.summary.profitLoss, range.summary.realizedProfitLoss], [2, -20, -20]);
+  assert.deepStrictEqual([range.summary.startingEquity, range.summary.endingEquity], [10062.5, 10080]);
+  
+  // Daily returns start at the first entry, however early the range starts
+  const ancient = getAnalytics({ history, active, startingCapital: 10000, now: new Date(day(7)), from: '1000-01-01T00:00:00.000Z' });
+  assert.deepStrictEqual([ancient.summary.dailyReturns, ancient.summary.sharpeRatio], [summary.dailyReturns, summary.sharpeRatio]);
+  assert.strictEqual(ancient.summary.startingEquity, 10000);
+  assert.strictEqual(parseAnalyticsQuery({ from: 'last week' }).errors.length, 1);
+  assert.strictEqual(parseAnalyticsQuery({ from: '2025-02-01', to: '2025-01-01' }).errors.length, 1);
+  
+  // A bot's analytics end at its wallet equity
+  const clock = new ManualClock(samplePools[0].lastFetched);
+  const bot = new LiquidityMiningBot({ name: 'analytics', clock, config: { ...testConfig, DATA_FILE_PATH: path.join(testDir, 'analytics.json') } });
+  await bot.simulateInvestment(samplePools[0]);
+  clock.advanceHours(49);
+  await bot.checkForExits();
+  await bot.simulateInvestment(samplePools[1]);
+  const botAnalytics = bot.getAnalytics();
+  assert.strictEqual(botAnalytics.summary.trades, 1);
+  assert.ok(Math.abs(botAnalytics.summary.endingEquity - bot.getWallet().equity) < 1e-9);
+  console.log('✅ Equity curve, ratios, drawdown and breakdowns computed');
+}
+
+async function backtestSnapshots() {
+  console.log('\n⏪ Backtesting recorded snapshots...');
+  
+  // Twelve hourly refreshes: both pools are bought and still held when the range ends
+  const dir = path.join(testDir, 'snapshots');
+  const start = Date.UTC(2025, 0, 1);
+  for (let hour = 0; hour < 12; hour++) {
+    await recordSnapshot(samplePools, new Date(start + hour * 60 * 60 * 1000), dir);
   }
   
+  const report = await runBacktest({ dir });
+  assert.strictEqual(report.steps, 12);
+  assert.deepStrictEqual(report.trades.map(trade => trade.poolId).sort(), ['test_pool_1', 'test_pool_2']);
+  assert.ok(report.trades.every(trade => trade.exitReason === 'end-of-backtest'), 'positions left at the end are closed with their own reason');
+  assert.strictEqual(report.openPositions.length, 0);
+  
+  const kept = await runBacktest({ dir, closeOpenPositions: false });
+  assert.deepStrictEqual([kept.trades.length, kept.openPositions.length], [0, 2]);
+  console.log('✅ Open positions closed at the end of the backtest');
+}
+
+async function runNamedBots() {
+  console.log('\n🤖 Running named bots side by side...');
+  
+  const manager = new BotManager({
+    registryPath: path.join(testDir, 'bots.json'),
+    dataDir: path.join(testDir, 'bots')
+  });
+  
+  const aggressive = await manager.create('aggressive', { HIGH_APY_THRESHOLD: 0.5, HOLDING_PERIOD_HOURS: 24 });
+  const conservative = await manager.create('conservative', { HIGH_APY_THRESHOLD: 0.3, HOLDING_PERIOD_HOURS: 72 });
+  assert.notStrictEqual(aggressive.bot.config.DATA_FILE_PATH, conservative.bot.config.DATA_FILE_PATH, 'bots need their own state files');
+  
+  for (const { bot } of [aggressive, conservative]) {
+    bot.config.POOLS_FILE_PATH = testConfig.POOLS_FILE_PATH;
+    await bot.checkForNewOpportunities();
+  }
+  
+  // Only the conservative bot accepts the 45% and 35% pools
+  assert.strictEqual(aggressive.bot.getActiveInvestments().length, 0);
+  assert.strictEqual(conservative.bot.getActiveInvestments().length, 2);
+  
+  await assert.rejects(manager.remove('default'));
+  assert.strictEqual(await manager.remove('aggressive'), true);
+  assert.deepStrictEqual(manager.list().map(entry => entry.name), ['default', 'conservative']);
+  console.log('✅ Named bots kept separate config and state');
+}
+
+async function publishEvents() {
+  console.log('\n📡 Publishing bot events...');
+  
+  const clock = new ManualClock(samplePools[0].lastFetched);
+  const hub = new EventHub({ bufferSize: 3 });
+  const bot = new LiquidityMiningBot({
+    name: 'events',
+    clock,
+    // No entries from the loop itself, so only the positions opened below exist
+    config: { ...testConfig, MAX_ACTIVE_INVESTMENTS: 0, DATA_FILE_PATH: path.join(testDir, 'events.json') }
+  });
+  hub.trackBot(bot);
+  
+  const received = [];
+  const unsubscribe = hub.subscribe(event => received.push(event));
+  
+  await bot.start();
   bot.stop();
+  await bot.simulateInvestment(samplePools[0]);
+  clock.advanceHours(49);
+  await bot.checkForExits();
+  unsubscribe();
+  
+  assert.deepStrictEqual(received.map(event => event.type), ['bot.started', 'bot.stopped', 'investment.opened', 'investment.exited']);
+  assert.ok(received.every(event => event.bot === 'events'));
+  assert.strictEqual(received[1].data.status.isRunning, false);
+  assert.strictEqual(received[2].data.investment.poolId, 'test_pool_1');
+  assert.strictEqual(received[2].data.status.activeInvestments, 1, 'events carry the status after the change');
+  assert.strictEqual(received[3].data.investment.exitReason, 'holding-period');
+  
+  // Reconnecting clients catch up from the kept events
+  assert.deepStrictEqual(hub.getEventsSince(received[1].id).map(event => event.id), [received[2].id, received[3].id]);
+  assert.strictEqual(hub.getEventsSince(0).length, 3, 'only bufferSize events are kept');
+  
+  hub.untrackBot(bot);
+  bot.emit('bot.started', {});
+  assert.strictEqual(hub.getEventsSince(received[3].id).length, 0, 'untracked bots publish nothing');
+  console.log('✅ Bot events published with status');
 }
 
 async function main() {
@@ -154,6 +690,47 @@ async function main() {
     // Simulate time passage and exit
     await simulateTimePassage();
     
+    // Pool ages come from the registry
+    await ageFromRegistry();
+    
+    // Price moves cost impermanent loss
+    await measureImpermanentLoss();
+    
+    // Size positions from the simulated wallet
+    await sizePositions();
+    
+    // Early exits before the holding period
+    await triggerEarlyExits();
+    
+    // No entries on stale data
+    await skipStaleData();
+    
+    // Change config at runtime
+    await updateConfig();
+    
+    // Rebuild state from the journal
+    await replayJournal();
+    
+    // Manual exits, voids and annotations
+    await managePositions();
+    
+    // Query investment history
+    await filterHistory();
+    
+    // Performance analytics
+    await analyzePerformance();
+    
+    // Replay snapshots through the bot
+    await backtestSnapshots();
+    
+    // Run several bots at once
+    await runNamedBots();
+    
+    // Push events to subscribers
+    await publishEvents();
+    
+    await fs.remove(testDir);
+    
     console.log('\n✅ Test completed successfully!');
     console.log('\n📝 To run the full bot:');
     console.log('1. Start server: npm start');
@@ -162,6 +739,7 @@ async function main() {
     
   } catch (error) {
     console.error('❌ Test failed:', error.message);
+    await fs.remove(testDir);
     process.exit(1);
   }
 }
@@ -0,0 +1,466 @@
+#!/usr/bin/env node
+
+const assert = require('assert');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+
+// Keep source errors out of the test output
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'WARN';
+
+const { getSource, registerSource, fetchSource } = require('./server/sources');
+const { RECORDING_CONFIG, saveRecording, resetReplay } = require('./server/sources/recordings');
+const { refreshPools, collectPools, filterHighApyPools, checkCacheShrink } = require('./server/services/pools');
+const { withRetry, CircuitBreaker } = require('./server/sources/resilience');
+const { RefreshScheduler } = require('./server/services/refreshScheduler');
+const { parsePoolQuery, queryPools } = require('./server/services/poolQuery');
+const { ManualClock } = require('./server/utils/clock');
+const { PoolRegistry } = require('./server/services/poolRegistry');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures', 'sources');
+const fetchedAt = new Date('2025-01-10T00:00:00.000Z');
+
+const POOL_FIELDS = [
+  'id', 'name', 'protocol', 'apy', 'apy_24h', 'apy_7d', 'apy_30d', 'pair', 'mint_account',
+  'liquidity', 'price', 'volume_24h', 'volume_7d', 'volume_30d', 'createdAt', 'lastUpdated', 'lastFetched'
+];
+
+/**
+ * Source whose fetch() replays a recorded response
+ */
+function fixtureSource(name) {
+  const source = getSource(name);
+  const response = fs.readJsonSync(path.join(FIXTURES_DIR, `${name}.json`));
+  return { ...source, fetch: async () => response };
+}
+
+function assertClose(actual, expected, message) {
+  assert.ok(Math.abs(actual - expected) < 1e-12, `${message || 'values differ'}: ${actual} !== ${expected}`);
+}
+
+function assertPoolSchema(pool, protocol) {
+  for (const field of POOL_FIELDS) {
+    assert.ok(field in pool, `${pool.id} should have ${field}`);
+  }
+  assert.strictEqual(pool.protocol, protocol);
+  assert.strictEqual(pool.lastFetched, fetchedAt.toISOString());
+  for (const field of ['apy', 'liquidity', 'price', 'volume_24h']) {
+    assert.strictEqual(typeof pool[field], 'number', `${pool.id}.${field} should be a number`);
+  }
+}
+
+async function testOrca() {
+  console.log('🐋 Normalizing the Orca fixture...');
+
+  const source = fixtureSource('orca');
+  const pools = source.normalize(await source.fetch(), fetchedAt);
+
+  assert.strictEqual(pools.length, 3, 'pools without an account are dropped');
+  pools.forEach(pool => assertPoolSchema(pool, 'Orca'));
+
+  const bonk = pools.find(pool => pool.name === 'BONK/SOL');
+  assert.strictEqual(bonk.apy, 0.9876, 'falls back to the 7d APY without 30d data');
+  assert.strictEqual(bonk.createdAt, '2025-01-01T00:00:00.000Z');
+
+  assert.strictEqual(pools.find(pool => pool.id === 'EGZ7tiLeH62TPV1gL8WwbXGzEPa9zmcpVnnkPKKnrE2U').name, 'USDC/USDT');
+  console.log('✅ Orca pools normalized');
+}
+
+async function testRaydium() {
+  console.log('\n⚡ Normalizing the Raydium fixture...');
+
+  const source = fixtureSource('raydium');
+  const pools = source.normalize(await source.fetch(), fetchedAt);
+
+  assert.strictEqual(pools.length, 3);
+  pools.forEach(pool => assertPoolSchema(pool, 'Raydium'));
+
+  const sol = pools.find(pool => pool.name === 'WSOL/USDC');
+  assertClose(sol.apy, 1.5652, 'APR percentages become decimals');
+  assert.strictEqual(sol.liquidity, 21366904.55);
+  assert.strictEqual(sol.volume_24h, 40211873.2);
+  assert.strictEqual(sol.createdAt, null, 'an openTime of 0 is unknown');
+  assert.strictEqual(sol.mint_account, '8HoQnePLqPj4M7PUDzfw8e3Ymdwgc7NLGnaTUapubyvu');
+
+  const bonk = pools.find(pool => pool.name === 'Bonk/WSOL');
+  assertClose(bonk.apy, 0.5506);
+  assert.strictEqual(bonk.mint_account, null);
+  assert.strictEqual(bonk.createdAt, '2025-01-07T00:00:00.000Z');
+  console.log('✅ Raydium pools normalized');
+}
+
+async function testMerge() {
+  console.log('\n🔀 Merging sources...');
+
+  const orca = fixtureSource('orca');
+  const raydium = fixtureSource('raydium');
+
+  const { pools, failed } = await collectPools([orca, raydium], [], fetchedAt);
+  assert.deepStrictEqual(failed, []);
+  assert.deepStrictEqual([...new Set(pools.map(pool => pool.protocol))], ['Orca', 'Raydium']);
+
+  const highApy = filterHighApyPools(pools);
+  assert.strictEqual(highApy.length, 4, 'stablecoin pools fall under the APY threshold');
+
+  // A failing source keeps the pools it contributed last time
+  const broken = { ...raydium, name: 'raydium', fetch: async () => { throw new Error('socket hang up'); } };
+  const previousPools = pools.filter(pool => pool.protocol === 'Raydium').slice(0, 1);
+  const partial = await collectPools([orca, broken], previousPools, fetchedAt);
+  assert.deepStrictEqual(partial.failed, ['raydium']);
+  assert.strictEqual(partial.pools.length, 4);
+  assert.strictEqual(getSource('raydium').health().ok, false);
+  assert.strictEqual(getSource('raydium').health().lastError, 'socket hang up');
+  assert.strictEqual(getSource('orca').health().poolCount, 3);
+
+  await assert.rejects(collectPools([broken], [], fetchedAt), /All pool sources failed/);
+  console.log('✅ Merged protocol-tagged pools, kept stale pools for a failed source');
+}
+
+/**
+ * In-memory pool cache that records the snapshots it is given
+ */
+function memoryStorage() {
+  return {
+    driver: 'memory',
+    pools: [],
+    snapshots: [],
+    async loadPools() { return this.pools; },
+    async savePools(pools) { this.pools = pools; },
+    async recordSnapshots(pools) { this.snapshots.push(pools.map(pool => pool.id)); return pools.length; }
+  };
+}
+
+async function testRefresh() {
+  console.log('\n💾 Refreshing the pool cache...');
+
+  const registryPath = path.join(os.tmpdir(), `pool-refresh-test-${process.pid}`, 'poolRegistry.json');
+  const registry = new PoolRegistry(registryPath);
+  const storage = memoryStorage();
+  const orca = fixtureSource('orca');
+  const raydium = fixtureSource('raydium');
+
+  const refreshed = await refreshPools({ sources: [orca, raydium], registry, storage });
+  assert.strictEqual(storage.pools.length, 4);
+  assert.deepStrictEqual(storage.snapshots, [refreshed.map(pool => pool.id)]);
+
+  // Pools kept from a failed source are cached, but they were not observed now
+  const broken = { ...raydium, fetch: async () => { throw new Error('socket hang up'); } };
+  await refreshPools({ sources: [orca, broken], registry, storage });
+  const orcaIds = storage.pools.filter(pool => pool.protocol === 'Orca').map(pool => pool.id);
+  assert.strictEqual(storage.pools.length, 4);
+  assert.ok(orcaIds.length > 0 && orcaIds.length < 4);
+  assert.deepStrictEqual(storage.snapshots[1], orcaIds);
+
+  // An empty result never replaces the cache, however small, unless forced
+  const empty = [{ ...orca, fetch: async () => [] }];
+  await assert.rejects(refreshPools({ sources: empty, registry, storage }), /Refusing to replace 4 cached pools with none/);
+  assert.strictEqual(storage.pools.length, 4);
+
+  assert.deepStrictEqual(await refreshPools({ sources: empty, force: true, registry, storage }), []);
+  assert.deepStrictEqual(storage.pools, []);
+  assert.strictEqual(storage.snapshots.length, 2);
+
+  await fs.remove(path.dirname(registryPath));
+  console.log('✅ Refreshes cached, snapshotted only fetched pools and kept the cache from an empty result');
+}
+
+async function testReplay() {
+  console.log('\n📼 Replaying recorded responses...');
+
+  const recordingsDir = path.join(os.tmpdir(), `pool-recordings-test-${process.pid}`);
+  const original = { ...RECORDING_CONFIG };
+  const response = fs.readJsonSync(path.join(FIXTURES_DIR, 'orca.json'));
+  const withLiquidity = liquidity => response.map(pool => ({ ...pool, liquidity }));
+
+  try {
+    Object.assign(RECORDING_CONFIG, { MODE: 'replay', DIR: recordingsDir, SEQUENTIAL: true, LOOP: false });
+    await saveRecording('Orca', { url: 'https://api.orca.so/pools' }, withLiquidity(1000), new Date('2025-01-01T00:00:00Z'));
+    await saveRecording('Orca', { url: 'https://api.orca.so/pools' }, withLiquidity(2000), new Date('2025-01-01T00:15:00Z'));
+
+    // Real source, served from the recordings through the same fetch/normalize path
+    const orca = getSource('orca');
+    const liquidityOf = async () => (await fetchSource(orca, fetchedAt))[0].liquidity;
+
+    assert.strictEqual(await liquidityOf(), 1000, 'sequential replay starts at the oldest recording');
+    assert.strictEqual(await liquidityOf(), 2000);
+    assert.strictEqual(await liquidityOf(), 2000, 'replay stays on the last recording');
+
+    RECORDING_CONFIG.LOOP = true;
+    resetReplay();
+    await liquidityOf();
+    await liquidityOf();
+    assert.strictEqual(await liquidityOf(), 1000, 'looping replay starts over');
+
+    RECORDING_CONFIG.SEQUENTIAL = false;
+    assert.strictEqual(await liquidityOf(), 2000, 'plain replay serves the latest recording');
+
+    await assert.rejects(fetchSource(getSource('raydium'), fetchedAt), /No Raydium recordings/);
+    console.log('✅ Recorded responses replayed in sequence');
+  } finally {
+    Object.assign(RECORDING_CONFIG, original);
+    resetReplay();
+    await fs.remove(recordingsDir);
+  }
+}
+
+async function testValidation() {
+  console.log('\n🧹 Dropping malformed pools...');
+
+  // Registered under new names, so without Orca's own health()
+  const { health, ...orca } = fixtureSource('orca');
+  const response = fs.readJsonSync(path.join(FIXTURES_DIR, 'orca.json'));
+  const garbled = {
+    ...orca,
+    name: 'garbled',
+    fetch: async () => [
+      ...response,
+      { account: 'bad_apy', name: 'BAD/SOL', apy_24h: 'lots' },
+      { account: 'bad_liquidity', name: 'BAD/USDC', apy_24h: 0.5, liquidity: -10 }
+    ]
+  };
+  registerSource(garbled);
+
+  const pools = await fetchSource(garbled, fetchedAt);
+  assert.strictEqual(pools.length, 3, 'malformed pools are dropped');
+  assert.ok(!pools.some(pool => pool.id.startsWith('bad_')));
+  assert.strictEqual(getSource('garbled').health().droppedCount, 2);
+
+  const allBad = { ...garbled, name: 'all-bad', fetch: async () => [{ account: 'x', apy_24h: 'lots' }] };
+  registerSource(allBad);
+  await assert.rejects(fetchSource(allBad, fetchedAt), /No valid pools in Orca response/);
+  console.log('✅ Malformed pools dropped and counted');
+}
+
+async function testResilience() {
+  console.log('\n🛡️ Retrying and breaking the circuit...');
+
+  const delays = [];
+  const sleep = async ms => { delays.push(ms); };
+  const httpError = status => Object.assign(new Error(`status ${status}`), { response: { status } });
+
+  let attempts = 0;
+  const result = await withRetry(async () => {
+    if (++attempts < 3) throw httpError(503);
+    return 'ok';
+  }, { retries: 3, baseDelayMs: 100, sleep });
+  assert.strictEqual(result, 'ok');
+  assert.deepStrictEqual(delays, [100, 200], 'retries back off exponentially');
+
+  attempts = 0;
+  await assert.rejects(withRetry(async () => { attempts++; throw httpError(404); }, { retries: 3, sleep }), /status 404/);
+  assert.strictEqual(attempts, 1, 'client errors are not retried');
+
+  attempts = 0;
+  await assert.rejects(withRetry(async () => { attempts++; throw httpError(500); }, { retries: 2, sleep }));
+  assert.strictEqual(attempts, 3, 'gives up after the last retry');
+
+  const clock = new ManualClock('2025-01-01T00:00:00.000Z');
+  const breaker = new CircuitBreaker('Test', { failureThreshold: 2, cooldownMinutes: 5, clock });
+  let calls = 0;
+  const failing = async () => { calls++; throw new Error('down'); };
+
+  await assert.rejects(breaker.call(failing), /down/);
+  await assert.rejects(breaker.call(failing), /down/);
+  assert.strictEqual(breaker.getState().state, 'open');
+  await assert.rejects(breaker.call(failing), /circuit open/);
+  assert.strictEqual(calls, 2, 'an open circuit does not call the API');
+
+  clock.advance(5 * 60 * 1000);
+  await assert.rejects(breaker.call(failing), /down/);
+  assert.strictEqual(breaker.getState().state, 'open', 'a failed trial call reopens the circuit');
+  assert.strictEqual(calls, 3);
+
+  clock.advance(5 * 60 * 1000);
+  assert.strictEqual(await breaker.call(async () => 'back'), 'back');
+  assert.deepStrictEqual(breaker.getState(), { state: 'closed', failures: 0, openedAt: null, retryAt: null });
+
+  assert.strictEqual(checkCacheShrink(100, 40), 'Refusing to replace 100 cached pools with 40 (-60%, limit 50%)');
+  assert.strictEqual(checkCacheShrink(100, 60), null);
+  assert.strictEqual(checkCacheShrink(4, 1), null, 'small caches are not guarded against shrinking');
+  assert.strictEqual(checkCacheShrink(4, 0), 'Refusing to replace 4 cached pools with none');
+  assert.strictEqual(checkCacheShrink(0, 0), null);
+  console.log('✅ Retries, circuit breaker and cache shrink guard');
+}
+
+async function testScheduler() {
+  console.log('\n🔄 Scheduling refreshes...');
+
+  const clock = new ManualClock('2025-01-01T00:00:00.000Z');
+  let failing = false;
+  let calls = 0;
+  let gate = null;
+  const scheduler = new RefreshScheduler({
+    clock,
+    random: () => 0.5, // No jitter
+    config: { INTERVAL_MINUTES: 15, JITTER_SECONDS: 30, BACKOFF_BASE_SECONDS: 30, MAX_BACKOFF_MINUTES: 2 },
+    refresh: async () => {
+      calls++;
+      if (gate) await gate;
+      if (failing) throw new Error('upstream down');
+      return [{ id: 'pool' }];
+    }
+  });
+  const settle = () => (scheduler.inFlight || Promise.resolve()).catch(() => {});
+  const nextRunIn = () => (new Date(scheduler.getStatus().nextRunAt) - clock.now()) / 1000;
+
+  const refreshed = [];
+  scheduler.on('pools.refreshed', data => refreshed.push(data));
+
+  scheduler.start();
+  clock.advance(0);
+  await settle();
+  assert.strictEqual(calls, 1, 'start() refreshes straight away');
+  assert.deepStrictEqual(refreshed, [{ count: 1, trigger: 'scheduled', durationMs: 0 }]);
+  assert.strictEqual(scheduler.getStatus().lastSuccessAt, '2025-01-01T00:00:00.000Z');
+  assert.strictEqual(nextRunIn(), 15 * 60);
+
+  // Backoff doubles from 30s and stops at MAX_BACKOFF_MINUTES
+  failing = true;
+  const delays = [];
+  clock.advance(15 * 60 * 1000);
+  for (let i = 0; i < 4; i++) {
+    await settle();
+    delays.push(nextRunIn());
+    clock.advance(nextRunIn() * 1000);
+  }
+  await settle();
+  assert.deepStrictEqual(delays, [30, 60, 120, 120]);
+  assert.strictEqual(scheduler.getStatus().consecutiveFailures, 5);
+  assert.strictEqual(scheduler.getStatus().lastError, 'upstream down');
+
+  // A success goes back to the normal interval
+  failing = false;
+  clock.advance(nextRunIn() * 1000);
+  await settle();
+  assert.strictEqual(scheduler.getStatus().consecutiveFailures, 0);
+  assert.strictEqual(nextRunIn(), 15 * 60);
+
+  // A manual refresh during a running one joins it
+  let open;
+  gate = new Promise(resolve => { open = resolve; });
+  const before = calls;
+  const first = scheduler.runNow('manual');
+  const second = scheduler.runNow('manual');
+  assert.strictEqual(first, second, 'overlapping requests share one refresh');
+  assert.strictEqual(scheduler.getStatus().refreshing, true);
+  open();
+  gate = null;
+  await first;
+  assert.strictEqual(calls, before + 1);
+
+  // Jitter moves the interval by up to JITTER_SECONDS either way
+  scheduler.random = () => 0;
+  assert.strictEqual(scheduler.getDelay(), 15 * 60 * 1000 - 30 * 1000);
+
+  scheduler.stop();
+  assert.strictEqual(clock.pendingTimers(), 0, 'stop() clears the timer');
+  assert.strictEqual(scheduler.getStatus().nextRunAt, null);
+  console.log('✅ Refreshes scheduled with backoff and no overlap');
+}
+
+async function testPoolQuery() {
+  console.log('\n🔎 Querying pools...');
+
+  const orca = fixtureSource('orca');
+  const raydium = fixtureSource('raydium');
+  const { pools } = await collectPools([orca, raydium], [], fetchedAt);
+  const run = query => {
+    const { options, errors } = parsePoolQuery(query);
+    assert.deepStrictEqual(errors, []);
+    return queryPools(pools, options);
+  };
+
+  // No parameters: every pool in cache order, as before
+  const all = run({});
+  assert.deepStrictEqual(all.data, pools);
+  assert.strictEqual(all.totalPages, 1);
+
+  assert.deepStrictEqual(run({ search: 'bonk' }).data.map(pool => pool.name), ['BONK/SOL', 'Bonk/WSOL']);
+  assert.strictEqual(run({ search: '8HoQnePLqPj4M7PUDzfw8e3Ymdwgc7NLGnaTUapubyvu' }).total, 1, 'mint accounts are searched');
+  assert.strictEqual(run({ minLiquidity: '1000000', minVolume24h: '1000000' }).total, 2);
+
+  // Facets count every value of their own dimension under the other filters
+  const fast = run({ protocol: 'raydium', minApy24h: '0.5' });
+  assert.deepStrictEqual(fast.data.map(pool => pool.name), ['WSOL/USDC', 'Bonk/WSOL']);
+  assert.deepStrictEqual(fast.facets.protocols, { Orca: 1, Raydium: 2 });
+  assert.deepStrictEqual(fast.facets.apy.apy_24h.map(bucket => bucket.count), [1, 0, 1, 1, 0]);
+  assert.deepStrictEqual(fast.facets.apy.apy_7d.map(bucket => bucket.count), [0, 0, 1, 1, 0]);
+
+  const page = run({ sort: 'liquidity', limit: '2', page: '2' });
+  assert.deepStrictEqual(page.data.map(pool => `${pool.protocol} ${pool.name}`), ['Orca USDC/USDT', 'Orca SOL/USDC']);
+  assert.strictEqual(page.total, 6);
+  assert.strictEqual(page.totalPages, 3);
+
+  const invalid = parsePoolQuery({ sort: 'tvl', order: 'up', limit: '0', minApy7d: '-1' });
+  assert.strictEqual(invalid.errors.length, 4);
+  console.log('✅ Pools searched, filtered, sorted, paged and faceted');
+}
+
+async function testPoolRegistry() {
+  console.log('\n📋 Registering pools...');
+
+  const filePath = path.join(os.tmpdir(), `pool-registry-test-${process.pid}`, 'poolRegistry.json');
+  const registry = new PoolRegistry(filePath);
+  const pools = [
+    { id: 'pool_a', mint_account: 'mint_a', name: 'A/SOL', protocol: 'Orca' },
+    { id: 'pool_b', mint_account: 'mint_b', name: 'B/SOL', protocol: 'Raydium', createdAt: '2025-01-01T00:00:00.000Z' }
+  ];
+
+  // First sight, unless the source reports an earlier creation time
+  const registered = await registry.registerPools(pools, fetchedAt);
+  assert.deepStrictEqual(registered.map(pool => pool.firstSeenAt), [fetchedAt.toISOString(), '2025-01-01T00:00:00.000Z']);
+
+  const saved = await fs.readJson(filePath);
+  assert.strictEqual(saved.totalPools, 2);
+  assert.deepStrictEqual(saved.pools.pool_b, {
+    poolId: 'pool_b', mint_account: 'mint_b', name: 'B/SOL', protocol: 'Raydium',
+    createdAt: '2025-01-01T00:00:00.000Z', firstSeenAt: '2025-01-01T00:00:00.000Z'
+  });
+
+  // Ages survive a restart, and a pool that changed id is matched on its mint account
+  const reloaded = new PoolRegistry(filePath);
+  assert.strictEqual(await reloaded.getFirstSeenAt({ id: 'pool_a' }), fetchedAt.toISOString());
+  assert.strictEqual(await reloaded.getFirstSeenAt({ id: 'pool_a_v2', mint_account: 'mint_a' }), fetchedAt.toISOString());
+  assert.strictEqual(await reloaded.getFirstSeenAt({ id: 'pool_c' }), null);
+
+  const later = new Date('2025-01-12T00:00:00.000Z');
+  const [renamed] = await reloaded.registerPools([{ id: 'pool_a_v2', mint_account: 'mint_a', name: 'A/SOL' }], later);
+  assert.strictEqual(renamed.firstSeenAt, fetchedAt.toISOString());
+
+  // A creation time reported later moves firstSeenAt back, never forward
+  const [seeded] = await reloaded.registerPools([{ ...pools[0], createdAt: '2025-01-05T00:00:00.000Z' }], later);
+  assert.strictEqual(seeded.firstSeenAt, '2025-01-05T00:00:00.000Z');
+  const [kept] = await reloaded.registerPools([{ ...pools[1], createdAt: '2025-01-08T00:00:00.000Z' }], later);
+  assert.strictEqual(kept.firstSeenAt, '2025-01-01T00:00:00.000Z');
+  assert.strictEqual((await fs.readJson(filePath)).pools.pool_a.createdAt, '2025-01-05T00:00:00.000Z');
+
+  const [annotated] = await new PoolRegistry(filePath).annotatePools([{ id: 'pool_a' }], later);
+  assert.deepStrictEqual([annotated.firstSeenAt, annotated.ageDays], ['2025-01-05T00:00:00.000Z', 7]);
+
+  await fs.remove(path.dirname(filePath));
+  console.log('✅ Pools registered, persisted and matched on mint account');
+}
+
+async function main() {
+  try {
+    console.log('🚀 Starting Pool Source Test\n');
+
+    await testOrca();
+    await testRaydium();
+    await testMerge();
+    await testRefresh();
+    await testReplay();
+    await testValidation();
+    await testResilience();
+    await testScheduler();
+    await testPoolQuery();
+    await testPoolRegistry();
+
+    console.log('\n✅ Source tests completed successfully!');
+  } catch (error) {
+    console.error('❌ Source test failed:', error.message);
+    process.exit(1);
+  }
+}
+
+main();
@@ -0,0 +1,456 @@
+#!/usr/bin/env node
+
+const assert = require('assert');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+
+// Keep migration and import messages out of the test output
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'WARN';
+
+const { LiquidityMiningBot } = require('./server/services/bot');
+const { BotManager } = require('./server/services/botManager');
+const { EventHub } = require('./server/services/events');
+const { createStorage } = require('./server/storage');
+const { migrate, MIGRATIONS, LATEST_VERSION } = require('./server/storage/migrations');
+const { importJsonData } = require('./server/storage/importJson');
+const { getPoolDetail } = require('./server/services/poolDetail');
+const { parseExportQuery, exportLines, writeLines, sendExport } = require('./server/services/exports');
+const { ManualClock } = require('./server/utils/clock');
+const { envNumber } = require('./server/utils/env');
+const { toSnapshot, compactSnapshots, getSnapshots } = require('./server/services/snapshots');
+
+const testDir = path.join(os.tmpdir(), `liquidity-storage-test-${process.pid}`);
+
+function makePool(id, protocol, apy, fields = {}) {
+  return {
+    id,
+    name: `${id.toUpperCase()}/SOL`,
+    protocol,
+    apy,
+    apy_24h: apy,
+    apy_7d: apy,
+    apy_30d: apy,
+    pair: `${id.toUpperCase()}/SOL`,
+    mint_account: `${id}_mint`,
+    liquidity: 5000,
+    price: 1,
+    volume_24h: 500,
+    volume_7d: 3500,
+    volume_30d: 15000,
+    firstSeenAt: '2025-01-01T00:00:00.000Z',
+    lastUpdated: '2025-01-01T00:00:00.000Z',
+    lastFetched: '2025-01-01T00:00:00.000Z',
+    ...fields
+  };
+}
+
+const pools = [makePool('alpha', 'Orca', 0.45), makePool('beta', 'Raydium', 0.8), makePool('gamma', 'Orca', 0.6)];
+
+/**
+ * Opens three positions and exits two of them, 49h apart
+ */
+async function trade(bot, clock) {
+  for (const pool of pools) {
+    await bot.simulateInvestment(pool);
+    clock.advanceHours(1);
+  }
+  clock.advanceHours(47);
+  for (const investment of bot.getActiveInvestments().slice(0, 2)) {
+    await bot.simulateExit(investment);
+  }
+}
+
+function testMigrations() {
+  console.log('🗄️ Applying migrations...');
+
+  const storage = createStorage({ driver: 'sqlite', filePath: path.join(testDir, 'migrations.db') });
+  assert.strictEqual(storage.schemaVersion, LATEST_VERSION);
+  assert.strictEqual(migrate(storage.db), LATEST_VERSION, 'applied migrations are not run again');
+
+  // A later migration is applied on top of the existing schema
+  const next = { version: LATEST_VERSION + 1, name: 'test column', up: 'ALTER TABLE pools ADD COLUMN note TEXT' };
+  assert.strictEqual(migrate(storage.db, [...MIGRATIONS, next]), LATEST_VERSION + 1);
+  assert.ok(storage.db.prepare('SELECT note FROM pools').all());
+
+  // Older code refuses a database migrated past what it knows
+  assert.throws(() => migrate(storage.db), /newer than this code supports/);
+  storage.close();
+  console.log('✅ Migrations applied once, in order');
+}
+
+async function testInvestments() {
+  console.log('💾 Saving bot state to SQLite...');
+
+  const filePath = path.join(testDir, 'investments.db');
+  const storage = createStorage({ driver: 'sqlite', filePath });
+  await storage.savePools(pools);
+
+  const clock = new ManualClock('2025-01-01T00:00:00.000Z');
+  const bot = new LiquidityMiningBot({ clock, storage, config: { LOG_FILE_PATH: path.join(testDir, 'activity.log') } });
+  await bot.initialize();
+  await trade(bot, clock);
+
+  // Only changed rows are written: an exit touches one row, not the whole history
+  const store = storage.investments('default');
+  const upsert = store.statements.upsertInvestment;
+  let writes = 0;
+  const run = upsert.run.bind(upsert);
+  upsert.run = params => { writes++; return run(params); };
+  clock.advanceHours(2);
+  await bot.simulateExit(bot.getActiveInvestments()[0]);
+  upsert.run = run;
+  assert.strictEqual(writes, 1);
+  storage.close();
+
+  // A fresh bot on a reopened database gets the same state back
+  const reopened = createStorage({ driver: 'sqlite', filePath });
+  const restored = new LiquidityMiningBot({ clock, storage: reopened, config: { LOG_FILE_PATH: path.join(testDir, 'activity.log') } });
+  await restored.initialize();
+  assert.deepStrictEqual(restored.getInvestmentHistory(), bot.getInvestmentHistory(), 'history keeps its order');
+  assert.deepStrictEqual(restored.stats, bot.stats);
+  assert.strictEqual(restored.cash, bot.cash);
+  assert.strictEqual(restored.getActiveInvestments().length, 0);
+  assert.deepStrictEqual(await reopened.loadPools(), pools);
+
+  // Indexed history queries
+  const orca = await restored.getInvestmentStore().query({ protocol: 'Orca' });
+  assert.deepStrictEqual(orca.map(investment => investment.poolId), ['alpha', 'gamma']);
+  assert.strictEqual((await restored.getInvestmentStore().query({ poolId: 'beta', status: 'exited' })).length, 1);
+  assert.strictEqual((await restored.getInvestmentStore().query({ from: '2025-01-03T03:00:00.000Z' })).length, 1, 'the last exit happened 2h after the others');
+  assert.strictEqual((await restored.getInvestmentStore().query({ limit: 2 })).length, 2);
+
+  const plan = reopened.db.prepare(`
+    EXPLAIN QUERY PLAN SELECT data FROM investments
+    WHERE bot = 'default' AND COALESCE(exit_timestamp, entry_timestamp) >= '2025-01-01'
+  `).all().map(step => step.detail).join('; ');
+  assert.ok(plan.includes('idx_investments_bot_time'), plan);
+
+  // Other bots do not see these investments
+  assert.strictEqual(await reopened.investments('other').load(), null);
+  reopened.close();
+  console.log('✅ Bot state saved incrementally and restored');
+}
+
+async function testRemoveBot() {
+  console.log('\n🗑️ Deleting a named bot...');
+
+  const storage = createStorage({ driver: 'sqlite', filePath: ':memory:' });
+  await storage.savePools(pools);
+  const manager = new BotManager({
+    storage,
+    events: new EventHub(),
+    registryPath: path.join(testDir, 'remove', 'bots.json'),
+    dataDir: path.join(testDir, 'remove', 'bots')
+  });
+
+  const { bot } = await manager.create('scalper');
+  await bot.simulateInvestment(pools[0]);
+  await bot.simulateInvestment(pools[1]);
+  await bot.simulateExit(bot.getActiveInvestments()[0]);
+  const count = table => storage.db.prepare(`SELECT COUNT(*) FROM ${table} WHERE bot = 'scalper'`).pluck().get();
+  assert.ok(count('investments') > 0 && count('bot_state') > 0 && count('investment_events') > 0);
+
+  assert.strictEqual(await manager.remove('scalper'), true);
+  for (const table of ['investments', 'bot_state', 'investment_events']) {
+    assert.strictEqual(count(table), 0, `${table} rows are deleted`);
+  }
+
+  // A bot created again under the same name starts empty
+  const { bot: recreated } = await manager.create('scalper');
+  assert.strictEqual(recreated.getActiveInvestments().length, 0);
+  assert.strictEqual(recreated.getInvestmentHistory().length, 0);
+  assert.strictEqual(recreated.cash, recreated.config.STARTING_CAPITAL);
+  assert.deepStrictEqual(await recreated.getJournal().read(), []);
+  storage.close();
+  console.log('✅ Deleted bot leaves no rows behind');
+}
+
+async function testSnapshots() {
+  console.log('📸 Querying SQLite snapshots...');
+
+  const storage = createStorage({ driver: 'sqlite', filePath: ':memory:' });
+  await storage.recordSnapshots(pools, new Date('2025-01-01T00:00:00.000Z'));
+  await storage.recordSnapshots(pools.slice(0, 2).map(pool => ({ ...pool, apy: pool.apy / 2 })), new Date('2025-01-01T00:15:00.000Z'));
+
+  const alpha = await storage.getSnapshots({ poolId: 'alpha' });
+  assert.deepStrictEqual(alpha.map(snapshot => snapshot.apy), [0.45, 0.225]);
+  assert.deepStrictEqual(Object.keys(alpha[0]), ['timestamp', 'poolId', 'name', 'protocol', 'mint_account', 'apy', 'apy_24h', 'apy_7d', 'apy_30d', 'liquidity', 'price', 'volume_24h', 'volume_7d', 'volume_30d']);
+  assert.strictEqual((await storage.getSnapshots({ poolId: 'beta_mint' })).length, 2, 'pools can be looked up by mint account');
+  assert.strictEqual((await storage.getSnapshots({ from: '2025-01-01T00:10:00.000Z' })).length, 2);
+
+  const refreshes = [];
+  for await (const refresh of storage.iterateRefreshes()) {
+    refreshes.push([refresh.timestamp, refresh.pools.length]);
+  }
+  assert.deepStrictEqual(refreshes, [['2025-01-01T00:00:00.000Z', 3], ['2025-01-01T00:15:00.000Z', 2]]);
+
+  const plan = storage.db.prepare("EXPLAIN QUERY PLAN SELECT * FROM pool_snapshots WHERE pool_id = 'alpha' AND timestamp >= '2025-01-01'")
+    .all().map(step => step.detail).join('; ');
+  assert.ok(plan.includes('idx_snapshots_pool_time'), plan);
+
+  // Ten days later the two refreshes fall into one compaction interval
+  const result = storage.compactSnapshots(new Date('2025-01-11T00:00:00.000Z'));
+  assert.deepStrictEqual(result, { deletedSnapshots: 0, droppedSnapshots: 2 });
+  assert.deepStrictEqual((await storage.getSnapshots({ poolId: 'alpha' })).map(snapshot => snapshot.apy), [0.45], 'the first snapshot per interval is kept');
+  storage.close();
+  console.log('✅ Snapshots queried by pool, time and refresh');
+}
+
+async function testJsonSnapshotCompaction() {
+  console.log('📸 Compacting NDJSON snapshots...');
+
+  const dir = path.join(testDir, 'snapshots');
+  const at = time => new Date(`2025-01-${time}Z`);
+
+  // Day files as recording writes them (recording itself compacts once a day, so it is not used here)
+  const days = {
+    '2024-09-01': [['2024-09-01T00:00:00.000Z', 'alpha', 0.3]],
+    '2025-01-01': [
+      ['2025-01-01T00:00:00.000Z', 'alpha', 0.4], ['2025-01-01T00:00:00.000Z', 'beta', 0.7],
+      ['2025-01-01T00:15:00.000Z', 'alpha', 0.45], ['2025-01-01T00:15:00.000Z', 'beta', 0.8]
+    ],
+    '2025-01-09': [['2025-01-09T00:00:00.000Z', 'alpha', 0.5]]
+  };
+  await fs.ensureDir(dir);
+  for (const [day, snapshots] of Object.entries(days)) {
+    const lines = snapshots.map(([timestamp, id, apy]) => JSON.stringify(toSnapshot(makePool(id, 'Orca', apy), timestamp)));
+    await fs.writeFile(path.join(dir, `${day}.ndjson`), lines.join('\n') + '\n');
+  }
+  assert.strictEqual((await getSnapshots({ dir })).length, 6);
+
+  // Ten days on: September is past retention, January 1st is downsampled and January 9th is left alone
+  const result = await compactSnapshots(at('11T00:00:00.000'), dir);
+  assert.deepStrictEqual(result, { deletedFiles: 1, compactedFiles: 1, droppedSnapshots: 2 });
+  const kept = await getSnapshots({ dir });
+  assert.deepStrictEqual(kept.map(snapshot => [snapshot.timestamp, snapshot.poolId, snapshot.apy]), [
+    ['2025-01-01T00:00:00.000Z', 'alpha', 0.4],
+    ['2025-01-01T00:00:00.000Z', 'beta', 0.7],
+    ['2025-01-09T00:00:00.000Z', 'alpha', 0.5]
+  ]);
+  assert.deepStrictEqual(await compactSnapshots(at('11T00:00:00.000'), dir), { deletedFiles: 0, compactedFiles: 0, droppedSnapshots: 0 });
+
+  // A zero or negative length would compact every snapshot of a pool into one
+  process.env.TEST_SNAPSHOT_LENGTH = '0';
+  assert.strictEqual(envNumber('TEST_SNAPSHOT_LENGTH', 60, { positive: true }), 60);
+  assert.strictEqual(envNumber('TEST_SNAPSHOT_LENGTH', 60), 0, 'other settings keep 0');
+  process.env.TEST_SNAPSHOT_LENGTH = '-5';
+  assert.strictEqual(envNumber('TEST_SNAPSHOT_LENGTH', 60, { positive: true }), 60);
+  delete process.env.TEST_SNAPSHOT_LENGTH;
+  console.log('✅ Old days deleted, compacted days downsampled');
+}
+
+async function testPoolDetail() {
+  console.log('🔎 Looking up one pool...');
+
+  const storage = createStorage({ driver: 'sqlite', filePath: ':memory:' });
+  await storage.savePools(pools);
+  assert.strictEqual((await storage.getPool('beta')).protocol, 'Raydium');
+  assert.strictEqual(await storage.getPool('missing'), null);
+
+  // Alpha's APY over eight days: quiet for a week, then a jump in the last day
+  const points = [[0, 0.4], [6, 0.5], [7, 0.6], [7.5, 0.6], [8, 0.9]];
+  for (const [day, apy] of points) {
+    await storage.recordSnapshots([makePool('alpha', 'Orca', apy)], new Date(Date.parse('2025-01-01T00:00:00.000Z') + day * 24 * 60 * 60 * 1000));
+  }
+
+  // Two bots invested in alpha: one exited, one still holds it
+  const clock = new ManualClock('2025-01-01T00:00:00.000Z');
+  const config = { LOG_FILE_PATH: path.join(testDir, 'activity.log') };
+  const bot = new LiquidityMiningBot({ clock, storage, config });
+  const other = new LiquidityMiningBot({ name: 'other', clock, storage, config });
+  await bot.simulateInvestment(pools[0]);
+  await bot.simulateInvestment(pools[1]);
+  clock.advanceHours(49);
+  await bot.simulateExit(bot.getActiveInvestments()[0]);
+  await other.simulateInvestment(pools[0]);
+  const bots = [{ name: 'default', bot }, { name: 'other', bot: other }];
+
+  const detail = await getPoolDetail('alpha', { storage, bots });
+  assert.deepStrictEqual(detail.pool, pools[0]);
+  assert.deepStrictEqual(detail.series.map(point => point.apy), [0.4, 0.5, 0.6, 0.6, 0.9]);
+  assert.deepStrictEqual(Object.keys(detail.series[0]), ['timestamp', 'apy', 'apy_24h', 'apy_7d', 'apy_30d', 'liquidity', 'price', 'volume_24h', 'volume_7d', 'volume_30d']);
+  assert.deepStrictEqual(detail.investments.map(investment => [investment.bot, investment.status]), [['default', 'exited'], ['other', 'active']]);
+  assert.strictEqual(detail.investmentSummary.count, 2);
+
+  const { stats } = detail;
+  assert.strictEqual(stats.samples, 5);
+  assert.ok(Math.abs(stats.apy.mean - 0.6) < 1e-9 && Math.abs(stats.apy.volatility - Math.sqrt(0.028)) < 1e-9, JSON.stringify(stats.apy));
+  assert.deepStrictEqual([stats.trends['24h'].since, stats.trends['24h'].samples, stats.trends['24h'].direction], ['2025-01-08T00:00:00.000Z', 3, 'up']);
+  assert.ok(Math.abs(stats.trends['24h'].changes.apy.changePercentage - 50) < 1e-9);
+  assert.ok(Math.abs(stats.trends['7d'].changes.apy.change - 0.4) < 1e-9);
+  assert.strictEqual(stats.trends['7d'].samples, 4, 'the first snapshot is older than a week');
+  assert.strictEqual(stats.trends['7d'].changes.liquidity.change, 0);
+
+  // The series can be narrowed; a pool no longer cached is found by its mint account
+  assert.strictEqual((await getPoolDetail('alpha', { storage, from: '2025-01-09T00:00:00.000Z' })).stats.trends['24h'], null);
+  await storage.savePools(pools.slice(1));
+  const dropped = await getPoolDetail('alpha_mint', { storage, bots });
+  assert.strictEqual(dropped.pool, null);
+  assert.strictEqual(dropped.investments.length, 2);
+  assert.strictEqual(await getPoolDetail('missing', { storage, bots }), null);
+  storage.close();
+
+  const json = createStorage({ driver: 'json', poolsFilePath: path.join(testDir, 'detail', 'highApyPools.json'), snapshotDir: path.join(testDir, 'detail', 'snapshots') });
+  await json.savePools(pools);
+  assert.deepStrictEqual(await json.getPool('gamma'), pools[2]);
+  console.log('✅ Pool detail gathered with series, investments and trends');
+}
+
+async function testExports() {
+  console.log('📤 Exporting investments and snapshots...');
+
+  // 1,200 exits over 60 days, more than one batch of the SQLite iterator
+  const storage = createStorage({ driver: 'sqlite', filePath: ':memory:' });
+  const day = n => new Date(Date.UTC(2025, 0, 1 + n)).toISOString();
+  const investmentHistory = Array.from({ length: 1200 }, (_, i) => ({
+    id: `inv_${i}`,
+    poolId: pools[i % 3].id,
+    poolName: i === 0 ? 'ODD, "QUOTED"/SOL' : pools[i % 3].name,
+    protocol: pools[i % 3].protocol,
+    investmentAmount: 100,
+    entryTimestamp: day(Math.floor(i / 20)),
+    exitTimestamp: day(Math.floor(i / 20) + 1),
+    status: 'exited',
+    feeIncome: i % 2 === 0 ? 2 : null,
+    impermanentLoss: i % 2 === 0 ? -1 : null,
+    profitLoss: i % 2 === 0 ? 1 : -1
+  }));
+  const active = { ...investmentHistory[0], id: 'inv_active', exitTimestamp: null, status: 'active', profitLoss: null };
+  const store = storage.investments('default');
+  await store.save({ activeInvestments: { alpha: active }, investmentHistory, stats: {}, cash: 0 });
+
+  const ids = [];
+  for await (const investment of store.iterate()) {
+    ids.push(investment.id);
+  }
+  assert.deepStrictEqual(ids, [...investmentHistory.map(investment => investment.id), 'inv_active'], 'history in order, then active positions');
+
+  const exportToFile = async (dataset, query, sources = { store }) => {
+    const { options, errors } = parseExportQuery(dataset, query);
+    assert.deepStrictEqual(errors, []);
+    const filePath = path.join(testDir, `export-${dataset}.${options.format}`);
+    await writeLines(exportLines(dataset, options, sources), fs.createWriteStream(filePath));
+    return (await fs.readFile(filePath, 'utf8')).split('\n').slice(0, -1);
+  };
+
+  // Selected columns in the requested order, with CSV quoting
+  const csv = await exportToFile('history', { columns: 'poolName,profitLoss,feeIncome', to: day(1) });
+  assert.deepStrictEqual(csv.slice(0, 3), ['poolName,profitLoss,feeIncome', '"ODD, ""QUOTED""/SOL",1,2', 'BETA/SOL,-1,']);
+  assert.strictEqual(csv.length, 21, 'header and the 20 trades closed on day 1');
+
+  const ndjson = await exportToFile('active', { format: 'ndjson' });
+  assert.deepStrictEqual(ndjson.map(line => JSON.parse(line)), [active]);
+
+  // Reports: one row per month or pool, fees and IL only over the trades that recorded them
+  const months = (await exportToFile('report', { format: 'ndjson' })).map(line => JSON.parse(line));
+  assert.deepStrictEqual(months.map(row => [row.period, row.trades]), [['2025-01', 600], ['2025-02', 560], ['2025-03', 40]]);
+  assert.deepStrictEqual([months[0].wins, months[0].feeIncome, months[0].impermanentLoss, months[0].profitLoss], [300, 600, -300, 0]);
+  const weeks = (await exportToFile('report', { format: 'ndjson', period: 'week', from: day(4), to: day(5) })).map(line => JSON.parse(line));
+  assert.deepStrictEqual(weeks.map(row => [row.period, row.trades]), [['2024-12-30', 20], ['2025-01-06', 20]], 'weeks start on Monday');
+  const byPool = await exportToFile('report', { by: 'pool', columns: 'poolId,trades,profitLoss' });
+  assert.deepStrictEqual(byPool, ['poolId,trades,profitLoss', 'alpha,400,0', 'beta,400,0', 'gamma,400,0']);
+
+  await storage.recordSnapshots(pools, new Date(day(0)));
+  await storage.recordSnapshots(pools, new Date(day(1)));
+  const snapshots = await exportToFile('snapshots', { poolId: 'gamma_mint', columns: 'timestamp,poolId,apy' }, { storage });
+  assert.deepStrictEqual(snapshots, ['timestamp,poolId,apy', `${day(0)},gamma,0.6`, `${day(1)},gamma,0.6`]);
+
+  // A source that fails to open fails the export before any header is sent
+  const failing = { iterate: async function* () { throw new Error('database is locked'); } };
+  const headers = {};
+  const res = { setHeader: (name, value) => { headers[name] = value; } };
+  for (const format of ['csv', 'ndjson']) {
+    const { options } = parseExportQuery('history', { format });
+    await assert.rejects(sendExport(res, 'history', format, exportLines('history', options, { store: failing })), /database is locked/);
+  }
+  assert.deepStrictEqual(headers, {});
+
+  assert.strictEqual(parseExportQuery('history', { format: 'xlsx', columns: 'id,nope', from: 'soon' }).errors.length, 3);
+  assert.strictEqual(parseExportQuery('report', { by: 'protocol', period: 'year' }).errors.length, 2);
+  storage.close();
+  console.log('✅ Exports streamed as CSV, NDJSON and reports');
+}
+
+async function testImport() {
+  console.log('📦 Importing JSON data...');
+
+  // The JSON layout the server writes: default bot, a named bot, pool cache and snapshots
+  const dataDir = path.join(testDir, 'data');
+  const snapshotDir = path.join(dataDir, 'snapshots');
+  const json = createStorage({ driver: 'json', poolsFilePath: path.join(dataDir, 'highApyPools.json'), snapshotDir });
+  const clock = new ManualClock('2025-01-01T00:00:00.000Z');
+  await json.savePools(pools);
+
+  const defaultBot = new LiquidityMiningBot({ clock, storage: json, config: { DATA_FILE_PATH: path.join(dataDir, 'botInvestments.json'), LOG_FILE_PATH: path.join(testDir, 'activity.log') } });
+  await trade(defaultBot, clock);
+  const namedBot = new LiquidityMiningBot({ name: 'aggressive', clock, storage: json, config: { DATA_FILE_PATH: path.join(dataDir, 'bots', 'aggressive', 'botInvestments.json'), LOG_FILE_PATH: path.join(testDir, 'activity.log') } });
+  await namedBot.simulateInvestment(pools[1]);
+  await fs.writeJson(path.join(dataDir, 'bots.json'), { bots: [{ name: 'aggressive', createdAt: '2025-01-01T00:00:00.000Z' }] });
+
+  await json.recordSnapshots(pools, new Date('2025-01-01T00:00:00.000Z'));
+  await json.recordSnapshots(pools, new Date('2025-01-02T00:00:00.000Z'));
+
+  const options = {
+    investmentsFile: path.join(dataDir, 'botInvestments.json'),
+    registryPath: path.join(dataDir, 'bots.json'),
+    botsDataDir: path.join(dataDir, 'bots'),
+    poolsFile: path.join(dataDir, 'highApyPools.json'),
+    snapshotDir
+  };
+  const target = createStorage({ driver: 'sqlite', filePath: path.join(testDir, 'import.db') });
+  const summary = await importJsonData(target, options);
+
+  assert.deepStrictEqual(summary.bots, { default: { active: 1, history: 2, events: 5 }, aggressive: { active: 1, history: 0, events: 1 } });
+  assert.strictEqual(summary.pools, 3);
+  assert.strictEqual(summary.snapshots, 6);
+
+  const imported = await target.investments('default').load();
+  assert.deepStrictEqual(imported.investmentHistory, defaultBot.getInvestmentHistory());
+  assert.deepStrictEqual(Object.keys(imported.activeInvestments), Array.from(defaultBot.activeInvestments.keys()));
+  assert.strictEqual(imported.cash, defaultBot.cash);
+  assert.strictEqual((await target.investments('aggressive').load()).activeInvestments.beta.id, namedBot.getActiveInvestments()[0].id);
+  assert.deepStrictEqual(await target.getSnapshots({ poolId: 'gamma' }), await json.getSnapshots({ poolId: 'gamma' }));
+
+  // The journal came along and still replays to the imported state
+  assert.deepStrictEqual(await target.journal('default').read(), await json.journal('default', { filePath: options.investmentsFile }).read());
+  const check = await new LiquidityMiningBot({ clock, storage: target, config: { LOG_FILE_PATH: path.join(testDir, 'activity.log') } }).checkJournal();
+  assert.strictEqual(check.consistent, true, JSON.stringify(check.differences));
+
+  // One-time: a second import is refused unless forced, and forcing does not duplicate rows
+  await assert.rejects(importJsonData(target, options), /already imported/);
+  const again = await importJsonData(target, { ...options, force: true });
+  assert.strictEqual(again.snapshots, 6);
+  assert.strictEqual(target.db.prepare('SELECT COUNT(*) FROM pool_snapshots').pluck().get(), 6);
+  assert.strictEqual(target.db.prepare('SELECT COUNT(*) FROM investments').pluck().get(), 4);
+  assert.strictEqual(target.db.prepare('SELECT COUNT(*) FROM investment_events').pluck().get(), 6);
+
+  await assert.rejects(importJsonData(json, options), /only be imported into SQLite/);
+  target.close();
+  console.log('✅ JSON files imported once');
+}
+
+async function main() {
+  try {
+    console.log('🚀 Starting Storage Test\n');
+    await fs.ensureDir(testDir);
+
+    testMigrations();
+    await testInvestments();
+    await testRemoveBot();
+    await testSnapshots();
+    await testJsonSnapshotCompaction();
+    await testPoolDetail();
+    await testExports();
+    await testImport();
+
+    console.log('\n✅ Storage tests completed successfully!');
+  } catch (error) {
+    console.error('❌ Storage test failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await fs.remove(testDir);
+  }
+}
+
+main();
@@ -0,0 +1,210 @@
+#!/usr/bin/env node
+
+const assert = require('assert');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+
+// Keep webhook bookkeeping out of the test output
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'WARN';
+
+const { EventHub } = require('./server/services/events');
+const {
+  WebhookManager,
+  renderTemplate,
+  verifySignature,
+  toPublicSubscription
+} = require('./server/services/webhooks');
+const { readFields } = require('./server/utils/schema');
+const { ROUTE_SCHEMAS } = require('./server/routes/schemas');
+
+// Messages of the body errors of a webhook route
+const bodyErrors = (operationId, body) => readFields(ROUTE_SCHEMAS[operationId].body, body).errors.map(error => error.message);
+
+const investment = {
+  id: 'inv_1',
+  poolName: 'SOL/USDC',
+  investmentAmount: 1000,
+  entryApy: 0.85,
+  profitLoss: 12.5,
+  exitReason: 'Target APY reached'
+};
+
+/**
+ * Local HTTP receiver that records each request. Responses are taken from
+ * `statuses` in order; once it runs out every request gets a 200.
+ */
+function startReceiver() {
+  const receiver = { requests: [], statuses: [] };
+
+  receiver.server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      receiver.requests.push({ headers: req.headers, body });
+      res.writeHead(receiver.statuses.shift() || 200, { 'Content-Type': 'application/json' });
+      res.end('{}');
+    });
+  });
+
+  return new Promise(resolve => {
+    receiver.server.listen(0, '127.0.0.1', () => {
+      receiver.url = `http://127.0.0.1:${receiver.server.address().port}/hook`;
+      resolve(receiver);
+    });
+  });
+}
+
+function testValidation() {
+  console.log('📋 Validating subscriptions...');
+
+  assert.deepStrictEqual(bodyErrors('createWebhook', { url: 'https://hooks.slack.com/services/x', events: ['investment.opened'], template: 'slack' }), []);
+  assert.deepStrictEqual(bodyErrors('updateWebhook', { enabled: false }), []);
+
+  const errors = bodyErrors('createWebhook', { url: 'ftp://example.com', events: ['pool.exploded'], template: 'teams', secret: 'short', color: 'red' });
+  assert.strictEqual(errors.length, 5, errors.join('; '));
+  assert.ok(errors.some(error => error.includes('pool.exploded')));
+  assert.ok(bodyErrors('createWebhook', {}).includes('url is required'), 'url is required when creating');
+
+  // A whole-string placeholder keeps its type, inline ones become text
+  const payload = renderTemplate(
+    { text: 'Event {{type}} #{{id}}', amount: '{{data.investment.investmentAmount}}', tags: ['{{bot}}'] },
+    { id: 7, type: 'investment.opened', bot: 'default', data: { investment } }
+  );
+  assert.deepStrictEqual(payload, { text: 'Event investment.opened #7', amount: 1000, tags: ['default'] });
+  console.log('✅ Subscriptions validated');
+}
+
+async function testDelivery(receiver, manager) {
+  console.log('🔔 Delivering events to a local receiver...');
+
+  const hub = new EventHub();
+  manager.attach(hub);
+
+  const raw = await manager.create({ url: receiver.url, events: ['investment.opened'], bot: 'default' });
+  const slack = await manager.create({ url: receiver.url, events: ['investment.exited'], template: 'slack' });
+  assert.ok(raw.secret.length >= 32, 'a secret is generated');
+  assert.ok(!('secret' in toPublicSubscription(raw)));
+
+  hub.publish('investment.opened', { investment }, { bot: 'default' });
+  hub.publish('investment.opened', { investment }, { bot: 'aggressive' }); // Filtered out by bot
+  hub.publish('bot.started', {}, { bot: 'default' }); // Filtered out by event type
+  hub.publish('investment.exited', { investment }, { bot: 'aggressive' });
+  await manager.idle();
+
+  assert.strictEqual(receiver.requests.length, 2);
+  const received = type => receiver.requests.find(request => request.headers['x-webhook-event'] === type);
+  const opened = received('investment.opened');
+  const exited = received('investment.exited');
+
+  // Raw payloads are the event itself, signed with the subscription secret
+  assert.strictEqual(opened.headers['x-webhook-id'], raw.id);
+  assert.ok(verifySignature(raw.secret, opened.headers['x-webhook-timestamp'], opened.body, opened.headers['x-webhook-signature']));
+  assert.ok(!verifySignature(slack.secret, opened.headers['x-webhook-timestamp'], opened.body, opened.headers['x-webhook-signature']));
+  assert.ok(!verifySignature(raw.secret, opened.headers['x-webhook-timestamp'], `${opened.body} `, opened.headers['x-webhook-signature']));
+  const event = JSON.parse(opened.body);
+  assert.strictEqual(event.type, 'investment.opened');
+  assert.strictEqual(event.bot, 'default');
+  assert.strictEqual(event.data.investment.poolName, 'SOL/USDC');
+
+  // Slack payloads carry a one-line summary
+  assert.ok(verifySignature(slack.secret, exited.headers['x-webhook-timestamp'], exited.body, exited.headers['x-webhook-signature']));
+  assert.deepStrictEqual(JSON.parse(exited.body), { text: '📈 [aggressive] Exited SOL/USDC: +$12.50 (Target APY reached)' });
+
+  // Disabled subscriptions get nothing
+  await manager.update(raw.id, { enabled: false });
+  hub.publish('investment.opened', { investment }, { bot: 'default' });
+  await manager.idle();
+  assert.strictEqual(receiver.requests.length, 2);
+
+  manager.detach();
+  assert.strictEqual(hub.listenerCount('event'), 0);
+  console.log('✅ Events filtered, templated and signed');
+}
+
+async function testRetries(receiver, manager, delays) {
+  console.log('🔁 Retrying failed deliveries...');
+
+  receiver.requests = [];
+  const subscription = await manager.create({ url: receiver.url, template: 'discord' });
+
+  // 500 then 200: delivered on the second attempt
+  receiver.statuses = [500];
+  const retried = await manager.sendTest(subscription);
+  assert.strictEqual(retried.status, 'delivered');
+  assert.strictEqual(retried.attempts, 2);
+  assert.strictEqual(retried.responseStatus, 200);
+  assert.strictEqual(receiver.requests.length, 2);
+  assert.deepStrictEqual(JSON.parse(receiver.requests[1].body), { content: '🔔 Test notification from the Solana High APY Tracker' });
+  assert.strictEqual(receiver.requests[0].headers['x-webhook-delivery'], receiver.requests[1].headers['x-webhook-delivery'], 'retries reuse the delivery id');
+
+  // A 4xx is not retried
+  receiver.statuses = [410];
+  const rejected = await manager.sendTest(subscription);
+  assert.strictEqual(rejected.status, 'failed');
+  assert.strictEqual(rejected.attempts, 1);
+  assert.strictEqual(rejected.responseStatus, 410);
+
+  // Retries give up after RETRIES extra attempts, backing off each time
+  receiver.statuses = [503, 503, 503];
+  const exhausted = await manager.sendTest(subscription);
+  assert.strictEqual(exhausted.status, 'failed');
+  assert.strictEqual(exhausted.attempts, 3);
+  assert.strictEqual(exhausted.responseStatus, 503);
+  assert.deepStrictEqual(delays, [10, 10, 20]);
+  console.log('✅ Failed deliveries retried with backoff');
+}
+
+async function testDeliveryLog(manager, filePath) {
+  console.log('📜 Querying the delivery log...');
+
+  const all = manager.getDeliveries();
+  assert.strictEqual(all.length, 5);
+  assert.strictEqual(all[0].eventType, 'webhook.test', 'newest first');
+  assert.strictEqual(manager.getDeliveries({ status: 'failed' }).length, 2);
+  assert.strictEqual(manager.getDeliveries({ eventType: 'investment.exited' }).length, 1);
+  assert.strictEqual(manager.getDeliveries({ limit: 2 }).length, 2);
+
+  // Subscriptions and deliveries survive a restart
+  const reloaded = new WebhookManager({ filePath });
+  await reloaded.load();
+  assert.strictEqual(reloaded.list().length, 3);
+  assert.strictEqual(reloaded.getDeliveries().length, 5);
+  assert.strictEqual(reloaded.get(all[0].subscriptionId).template, 'discord');
+
+  assert.strictEqual(await manager.remove(all[0].subscriptionId), true);
+  assert.strictEqual(await manager.remove(all[0].subscriptionId), false);
+  console.log('✅ Delivery log filtered and persisted');
+}
+
+async function main() {
+  const tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'webhooks-test-'));
+  const filePath = path.join(tmpDir, 'webhooks.json');
+  const receiver = await startReceiver();
+  const delays = [];
+  const manager = new WebhookManager({
+    filePath,
+    config: { RETRIES: 2, RETRY_BASE_MS: 10, RETRY_MAX_MS: 20 },
+    sleep: async ms => { delays.push(ms); }
+  });
+
+  try {
+    console.log('🚀 Starting Webhook Test\n');
+
+    testValidation();
+    await testDelivery(receiver, manager);
+    await testRetries(receiver, manager, delays);
+    await testDeliveryLog(manager, filePath);
+
+    console.log('\n✅ Webhook tests completed successfully!');
+  } catch (error) {
+    console.error('❌ Webhook test failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    receiver.server.close();
+    await fs.remove(tmpDir);
+  }
+}
+
+main();
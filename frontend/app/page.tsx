@@ -20,16 +20,45 @@ interface Pool {
   apy_30d: number
   volume_24h: number
   liquidity: number
+  firstSeenAt?: string | null
+  ageDays?: number | null
+}
+
+interface ApyBucket {
+  label: string
+  min: number
+  max: number | null
+  count: number
+}
+
+interface PoolFacets {
+  protocols: Record<string, number>
+  apy: Record<string, ApyBucket[]>
 }
 
 interface ApiResponse {
-  status: boolean
+  success: boolean
   data: Pool[]
+  total: number
+  totalPages?: number
+  facets?: PoolFacets
+  error?: string
 }
 
+const API_BASE_URL = "http://localhost:3001/api"
+const POOLS_PER_PAGE = 10
+
+const APY_WINDOWS = [
+  { value: "apy_24h", label: "24h" },
+  { value: "apy_7d", label: "7d" },
+  { value: "apy_30d", label: "30d" },
+]
+
 export default function Dashboard() {
   const [pools, setPools] = useState<Pool[]>([])
-  const [filteredPools, setFilteredPools] = useState<Pool[]>([])
+  const [totalPools, setTotalPools] = useState(0)
+  const [totalPages, setTotalPages] = useState(0)
+  const [facets, setFacets] = useState<PoolFacets | null>(null)
   const [loading, setLoading] = useState(true)
   const [error, setError] = useState<string | null>(null)
   const [darkMode, setDarkMode] = useState(false)
@@ -37,78 +66,70 @@ export default function Dashboard() {
 
   // Filter states
   const [searchTerm, setSearchTerm] = useState("")
-  const [selectedChain, setSelectedChain] = useState("all")
+  const [search, setSearch] = useState("")
+  const [selectedProtocol, setSelectedProtocol] = useState("all")
+  const [apyWindow, setApyWindow] = useState("apy_24h")
   const [minApy, setMinApy] = useState([0])
   const [sortBy, setSortBy] = useState("apy_24h")
 
   // Pagination
   const [currentPage, setCurrentPage] = useState(1)
-  const poolsPerPage = 10
 
-  // Fetch data
+  // Wait for typing to pause before searching
+  useEffect(() => {
+    const timeout = setTimeout(() => setSearch(searchTerm.trim()), 300)
+    return () => clearTimeout(timeout)
+  }, [searchTerm])
+
+  // Back to the first page whenever the filters change
+  useEffect(() => {
+    setCurrentPage(1)
+  }, [search, selectedProtocol, apyWindow, minApy, sortBy])
+
+  // Filtering, sorting and pagination happen on the server
   useEffect(() => {
+    let cancelled = false
+
     const fetchPools = async () => {
       try {
-        setLoading(true)
-        const response = await fetch("http://localhost:3001/api/high-apy-pools")
-        if (!response.ok) {
-          throw new Error("Failed to fetch pools")
-        }
+        const params = new URLSearchParams({
+          sort: sortBy,
+          order: "desc",
+          page: String(currentPage),
+          limit: String(POOLS_PER_PAGE),
+        })
+        if (search) params.set("search", search)
+        if (selectedProtocol !== "all") params.set("protocol", selectedProtocol)
+        if (minApy[0] > 0) params.set(`minApy${apyWindow.slice(4)}`, String(minApy[0] / 100))
+
+        const response = await fetch(`${API_BASE_URL}/high-apy-pools?${params}`)
         const data: ApiResponse = await response.json()
+        if (!response.ok || !data.success) {
+          throw new Error(data.error || "Failed to fetch pools")
+        }
+        if (cancelled) return
+
         setPools(data.data)
-        setFilteredPools(data.data)
+        setTotalPools(data.total)
+        setTotalPages(data.totalPages ?? 1)
+        setFacets(data.facets ?? null)
+        setError(null)
       } catch (err) {
-        setError(err instanceof Error ? err.message : "An error occurred")
+        if (!cancelled) setError(err instanceof Error ? err.message : "An error occurred")
       } finally {
-        setLoading(false)
+        if (!cancelled) setLoading(false)
       }
     }
 
     fetchPools()
-  }, [])
-
-  // Apply filters and sorting
-  useEffect(() => {
-    const filtered = pools.filter((pool) => {
-      const matchesSearch =
-        pool.name.toLowerCase().includes(searchTerm.toLowerCase()) ||
-        pool.protocol.toLowerCase().includes(searchTerm.toLowerCase())
-      const matchesChain = selectedChain === "all" || pool.chain === selectedChain
-      const matchesApy = Math.max(pool.apy_24h, pool.apy_7d, pool.apy_30d) * 100 >= minApy[0]
-
-      return matchesSearch && matchesChain && matchesApy
-    })
-
-    // Sort pools
-    filtered.sort((a, b) => {
-      switch (sortBy) {
-        case "apy_24h":
-          return b.apy_24h - a.apy_24h
-        case "apy_7d":
-          return b.apy_7d - a.apy_7d
-        case "apy_30d":
-          return b.apy_30d - a.apy_30d
-        case "liquidity":
-          return b.liquidity - a.liquidity
-        case "volume_24h":
-          return b.volume_24h - a.volume_24h
-        default:
-          return 0
-      }
-    })
-
-    setFilteredPools(filtered)
-    setCurrentPage(1)
-  }, [pools, searchTerm, selectedChain, minApy, sortBy])
-
-  // Get unique chains
-  const chains = ["all", ...Array.from(new Set(pools.map((pool) => pool.chain || "Unknown").filter(Boolean)))]
+    return () => {
+      cancelled = true
+    }
+  }, [search, selectedProtocol, apyWindow, minApy, sortBy, currentPage])
 
-  // Pagination
-  const indexOfLastPool = currentPage * poolsPerPage
-  const indexOfFirstPool = indexOfLastPool - poolsPerPage
-  const currentPools = filteredPools.slice(indexOfFirstPool, indexOfLastPool)
-  const totalPages = Math.ceil(filteredPools.length / poolsPerPage)
+  const protocols = Object.entries(facets?.protocols ?? {}).sort(([a], [b]) => a.localeCompare(b))
+  const apyBuckets = facets?.apy[apyWindow] ?? []
+  const apyWindowLabel = APY_WINDOWS.find((window) => window.value === apyWindow)?.label
 
   const formatCurrency = (value: number) => {
     return new Intl.NumberFormat("en-US", {
@@ -143,7 +164,7 @@ export default function Dashboard() {
 
       setInvestingPools(prev => new Set(prev).add(pool.id))
       
-      const response = await fetch("http://localhost:3001/api/bot/investments/simulate", {
+      const response = await fetch(`${API_BASE_URL}/bot/investments/simulate`, {
         method: "POST",
         headers: {
           "Content-Type": "application/json",
@@ -298,7 +319,7 @@ export default function Dashboard() {
 
           {/* Filters */}
           <div className="p-8 bg-white dark:bg-gray-800 border-b border-gray-200 dark:border-gray-700">
-            <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4">
+            <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-5 gap-4">
               {/* Search */}
               <div className="relative">
                 <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400 h-4 w-4" />
@@ -310,15 +331,16 @@ export default function Dashboard() {
                 />
               </div>
 
-              {/* Chain Filter */}
-              <Select value={selectedChain} onValueChange={setSelectedChain}>
+              {/* Protocol Filter */}
+              <Select value={selectedProtocol} onValueChange={setSelectedProtocol}>
                 <SelectTrigger>
-                  <SelectValue placeholder="Select chain" />
+                  <SelectValue placeholder="Select protocol" />
                 </SelectTrigger>
                 <SelectContent>
-                  {chains.map((chain, index) => (
-                    <SelectItem key={`chain-${index}-${chain}`} value={chain}>
-                      {chain === "all" ? "All Chains" : chain}
+                  <SelectItem key="protocol-all" value="all">All Protocols</SelectItem>
+                  {protocols.map(([protocol, count]) => (
+                    <SelectItem key={`protocol-${protocol}`} value={protocol}>
+                      {protocol} ({count})
                     </SelectItem>
                   ))}
                 </SelectContent>
@@ -338,24 +360,58 @@ export default function Dashboard() {
                 </SelectContent>
               </Select>
 
+              {/* APY Window */}
+              <Select value={apyWindow} onValueChange={setApyWindow}>
+                <SelectTrigger>
+                  <SelectValue placeholder="APY window" />
+                </SelectTrigger>
+                <SelectContent>
+                  {APY_WINDOWS.map((window) => (
+                    <SelectItem key={window.value} value={window.value}>
+                      Filter on {window.label} APY
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+
               {/* APY Filter */}
               <div className="space-y-2">
-                <label className="text-sm font-medium text-gray-700 dark:text-gray-300">Min APY: {minApy[0]}%</label>
+                <label className="text-sm font-medium text-gray-700 dark:text-gray-300">
+                  Min {apyWindowLabel} APY: {minApy[0]}%
+                </label>
                 <Slider value={minApy} onValueChange={setMinApy} max={100} step={1} className="w-full" />
               </div>
             </div>
+
+            {/* APY Buckets */}
+            {apyBuckets.length > 0 && (
+              <div className="mt-4 flex flex-wrap items-center gap-2 text-sm">
+                <span className="text-gray-500 dark:text-gray-400">{apyWindowLabel} APY:</span>
+                {apyBuckets.map((bucket) => (
+                  <Button
+                    key={bucket.label}
+                    variant={minApy[0] === Math.round(bucket.min * 100) ? "default" : "outline"}
+                    size="sm"
+                    disabled={bucket.count === 0}
+                    onClick={() => setMinApy([Math.min(Math.round(bucket.min * 100), 100)])}
+                  >
+                    {bucket.label} ({bucket.count})
+                  </Button>
+                ))}
+              </div>
+            )}
           </div>
 
           {/* Pool Cards */}
           <div className="p-8">
             <div className="mb-6 flex items-center justify-between">
               <p className="text-gray-600 dark:text-gray-400">
-                Showing {currentPools.length} of {filteredPools.length} pools
+                Showing {pools.length} of {totalPools} pools
               </p>
             </div>
 
             <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
-              {currentPools.map((pool) => (
+              {pools.map((pool) => (
                 <Card
                   key={pool.id}
                   className={`hover:shadow-lg transition-shadow ${
@@ -404,6 +460,12 @@ export default function Dashboard() {
                         <span className="text-gray-500 dark:text-gray-400">Volume 24h:</span>
                         <span className="font-medium">{formatCurrency(pool.volume_24h)}</span>
                       </div>
+                      <div className="flex justify-between">
+                        <span className="text-gray-500 dark:text-gray-400">Pool Age:</span>
+                        <span className="font-medium">
+                          {pool.ageDays != null ? `${pool.ageDays.toFixed(1)} days` : "Unknown"}
+                        </span>
+                      </div>
                     </div>
 
                     <Button 
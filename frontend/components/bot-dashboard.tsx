@@ -1,8 +1,10 @@
 "use client"
 
 import { useState, useEffect } from "react"
-import { Play, Square, TrendingUp, DollarSign, Clock, Activity, Target, Zap } from "lucide-react"
+import { Play, Square, TrendingUp, DollarSign, Clock, Activity, Target, Zap, Wallet, Radio, LogOut, Trash2, Tag } from "lucide-react"
 import { Button } from "@/components/ui/button"
+import { Input } from "@/components/ui/input"
+import { Textarea } from "@/components/ui/textarea"
 import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card"
 import { Badge } from "@/components/ui/badge"
 import { Progress } from "@/components/ui/progress"
@@ -16,7 +18,13 @@ interface BotStatus {
   failedExits: number
   totalProfit: number
   totalLoss: number
+  totalFeeIncome?: number
+  totalImpermanentLoss?: number
   averageHoldingTime: number
+  cash?: number
+  investedCapital?: number
+  equity?: number
+  strategy?: string
   config: {
     HIGH_APY_THRESHOLD: number
     INVESTMENT_AMOUNT: number
@@ -40,9 +48,47 @@ interface Investment {
   exitTimestamp?: string
   exitApy?: number
   exitPrice?: number
+  exitReason?: string | null
+  feeIncome?: number
+  impermanentLoss?: number
+  impermanentLossPercentage?: number
   profitLoss?: number
   profitLossPercentage?: number
   holdingTimeHours?: number
+  tags?: string[]
+  notes?: string | null
+}
+
+interface BotEvent<T> {
+  id: number
+  type: string
+  timestamp: string
+  bot: string | null
+  data: T
+}
+
+interface StatusEventData {
+  status: BotStatus
+}
+
+interface InvestmentEventData extends StatusEventData {
+  investment: Investment
+}
+
+interface ManualEventData extends InvestmentEventData {
+  actor: string
+  reason: string | null
+}
+
+interface LoopErrorEventData extends StatusEventData {
+  phase: string
+  error: string
+}
+
+interface PoolsRefreshedEventData {
+  count: number
+  trigger: string
+  durationMs: number
 }
 
 interface BotResponse {
@@ -50,16 +96,40 @@ interface BotResponse {
   status?: BotStatus
   data?: Investment[]
   count?: number
+  total?: number
+  nextCursor?: string | null
+}
+
+interface InvestmentChangeResponse {
+  success: boolean
+  investment?: Investment
+  error?: string
+  details?: string[]
 }
 
+const HISTORY_PAGE_SIZE = 10
+
+// Recorded as the actor of manual changes made from the dashboard
+const DASHBOARD_ACTOR = "dashboard"
+
 export default function BotDashboard() {
   const [botStatus, setBotStatus] = useState<BotStatus | null>(null)
   const [activeInvestments, setActiveInvestments] = useState<Investment[]>([])
   const [investmentHistory, setInvestmentHistory] = useState<Investment[]>([])
+  const [historyTotal, setHistoryTotal] = useState(0)
+  const [historyCursor, setHistoryCursor] = useState<string | null>(null)
+  const [isLoadingHistory, setIsLoadingHistory] = useState(false)
   const [loading, setLoading] = useState(true)
   const [error, setError] = useState<string | null>(null)
   const [isStarting, setIsStarting] = useState(false)
   const [isStopping, setIsStopping] = useState(false)
+  const [isLive, setIsLive] = useState(false)
+  const [lastPoolRefresh, setLastPoolRefresh] = useState<BotEvent<PoolsRefreshedEventData> | null>(null)
+  const [loopError, setLoopError] = useState<BotEvent<LoopErrorEventData> | null>(null)
+  const [busyInvestmentId, setBusyInvestmentId] = useState<string | null>(null)
+  const [annotatingId, setAnnotatingId] = useState<string | null>(null)
+  const [tagsDraft, setTagsDraft] = useState("")
+  const [notesDraft, setNotesDraft] = useState("")
 
   const API_BASE_URL = "http://localhost:3001/api"
 
@@ -89,19 +159,32 @@ export default function BotDashboard() {
     }
   }
 
-  const fetchInvestmentHistory = async () => {
+  // Most recent exits first, one page at a time
+  const fetchInvestmentHistory = async (cursor?: string) => {
     try {
-      const response = await fetch(`${API_BASE_URL}/bot/investments/history`)
+      const params = new URLSearchParams({ limit: String(HISTORY_PAGE_SIZE) })
+      if (cursor) params.set("cursor", cursor)
+      const response = await fetch(`${API_BASE_URL}/bot/investments/history?${params}`)
       if (!response.ok) throw new Error("Failed to fetch investment history")
       const data: BotResponse = await response.json()
       if (data.success && data.data) {
-        setInvestmentHistory(data.data)
+        const page = data.data
+        setInvestmentHistory((current) => (cursor ? [...current, ...page] : page))
+        setHistoryTotal(data.total ?? page.length)
+        setHistoryCursor(data.nextCursor ?? null)
       }
     } catch (err) {
       console.error("Failed to fetch investment history:", err)
     }
   }
 
+  const loadMoreHistory = async () => {
+    if (!historyCursor) return
+    setIsLoadingHistory(true)
+    await fetchInvestmentHistory(historyCursor)
+    setIsLoadingHistory(false)
+  }
+
   const startBot = async () => {
     try {
       setIsStarting(true)
@@ -134,6 +217,60 @@ export default function BotDashboard() {
     }
   }
 
+  // Exit, void or annotate one investment, then reload the lists from the server
+  const changeInvestment = async (
+    investment: Investment,
+    method: "POST" | "DELETE" | "PATCH",
+    path: string,
+    body: Record<string, unknown>,
+  ) => {
+    try {
+      setBusyInvestmentId(investment.id)
+      const response = await fetch(`${API_BASE_URL}/bot/investments/${encodeURIComponent(investment.id)}${path}`, {
+        method,
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ actor: DASHBOARD_ACTOR, ...body }),
+      })
+      const data: InvestmentChangeResponse = await response.json()
+      if (!response.ok || !data.success) {
+        throw new Error([data.error, ...(data.details ?? [])].filter(Boolean).join(": ") || "Failed to change investment")
+      }
+      await Promise.all([fetchBotStatus(), fetchActiveInvestments(), fetchInvestmentHistory()])
+      return true
+    } catch (err) {
+      setError(err instanceof Error ? err.message : "Failed to change investment")
+      return false
+    } finally {
+      setBusyInvestmentId(null)
+    }
+  }
+
+  const exitInvestment = async (investment: Investment) => {
+    const reason = window.prompt(`Exit ${investment.poolName} now at the current pool data? Reason (optional):`)
+    if (reason === null) return
+    await changeInvestment(investment, "POST", "/exit", { reason })
+  }
+
+  const voidInvestment = async (investment: Investment) => {
+    const reason = window.prompt(
+      `Void ${investment.poolName}? It is removed from the wallet, history and stats as if it never happened. Reason:`,
+    )
+    if (reason === null) return
+    await changeInvestment(investment, "DELETE", "", { reason })
+  }
+
+  const startAnnotating = (investment: Investment) => {
+    setAnnotatingId(investment.id)
+    setTagsDraft((investment.tags ?? []).join(", "))
+    setNotesDraft(investment.notes ?? "")
+  }
+
+  const saveAnnotation = async (investment: Investment) => {
+    const tags = tagsDraft.split(",").map((tag) => tag.trim()).filter(Boolean)
+    const saved = await changeInvestment(investment, "PATCH", "", { tags, notes: notesDraft.trim() || null })
+    if (saved) setAnnotatingId(null)
+  }
+
   useEffect(() => {
     const fetchData = async () => {
       setLoading(true)
@@ -147,16 +284,67 @@ export default function BotDashboard() {
 
     fetchData()
 
-    // Refresh data every 30 seconds
-    const interval = setInterval(() => {
-      if (botStatus?.isRunning) {
-        fetchBotStatus()
-        fetchActiveInvestments()
-        fetchInvestmentHistory()
-      }
-    }, 30000)
+    // Live updates pushed by the server instead of polling
+    const events = new EventSource(`${API_BASE_URL}/events?bot=default`)
+    const parse = <T,>(message: MessageEvent): BotEvent<T> => JSON.parse(message.data)
+
+    events.onopen = () => setIsLive(true)
+    events.onerror = () => setIsLive(false)
+
+    events.addEventListener("investment.opened", (message) => {
+      const event = parse<InvestmentEventData>(message as MessageEvent)
+      setBotStatus(event.data.status)
+      setActiveInvestments((current) => [
+        ...current.filter((investment) => investment.id !== event.data.investment.id),
+        event.data.investment,
+      ])
+    })
 
-    return () => clearInterval(interval)
+    events.addEventListener("investment.exited", (message) => {
+      const event = parse<InvestmentEventData>(message as MessageEvent)
+      setBotStatus(event.data.status)
+      setActiveInvestments((current) => current.filter((investment) => investment.id !== event.data.investment.id))
+      setInvestmentHistory((current) => [
+        event.data.investment,
+        ...current.filter((investment) => investment.id !== event.data.investment.id),
+      ])
+      setHistoryTotal((total) => total + 1)
+    })
+
+    events.addEventListener("investment.voided", (message) => {
+      const event = parse<ManualEventData>(message as MessageEvent)
+      const voided = event.data.investment
+      setBotStatus(event.data.status)
+      setActiveInvestments((current) => current.filter((investment) => investment.id !== voided.id))
+      setInvestmentHistory((current) => current.filter((investment) => investment.id !== voided.id))
+      if (voided.status === "exited") setHistoryTotal((total) => Math.max(total - 1, 0))
+    })
+
+    events.addEventListener("investment.annotated", (message) => {
+      const annotated = parse<ManualEventData>(message as MessageEvent).data.investment
+      const replace = (current: Investment[]) =>
+        current.map((investment) => (investment.id === annotated.id ? annotated : investment))
+      setActiveInvestments(replace)
+      setInvestmentHistory(replace)
+    })
+
+    for (const type of ["bot.started", "bot.stopped"]) {
+      events.addEventListener(type, (message) => {
+        setBotStatus(parse<StatusEventData>(message as MessageEvent).data.status)
+      })
+    }
+
+    events.addEventListener("loop.error", (message) => {
+      const event = parse<LoopErrorEventData>(message as MessageEvent)
+      setBotStatus(event.data.status)
+      setLoopError(event)
+    })
+
+    events.addEventListener("pools.refreshed", (message) => {
+      setLastPoolRefresh(parse<PoolsRefreshedEventData>(message as MessageEvent))
+    })
+
+    return () => events.close()
   }, [])
 
   const formatCurrency = (value: number) => {
@@ -172,6 +360,58 @@ export default function BotDashboard() {
     return `${(value * 100).toFixed(2)}%`
   }
 
+  // Tags, notes and the exit / void / annotate controls shown under each investment
+  const renderInvestmentControls = (investment: Investment) => {
+    const busy = busyInvestmentId === investment.id
+    return (
+      <div className="mt-3 space-y-2">
+        {((investment.tags && investment.tags.length > 0) || investment.notes) && annotatingId !== investment.id && (
+          <div className="flex flex-wrap items-center gap-2 text-sm">
+            {investment.tags?.map((tag) => (
+              <Badge key={tag} variant="secondary">{tag}</Badge>
+            ))}
+            {investment.notes && <span className="text-muted-foreground">{investment.notes}</span>}
+          </div>
+        )}
+        {annotatingId === investment.id ? (
+          <div className="space-y-2">
+            <Input
+              value={tagsDraft}
+              onChange={(event) => setTagsDraft(event.target.value)}
+              placeholder="Tags, comma-separated"
+            />
+            <Textarea value={notesDraft} onChange={(event) => setNotesDraft(event.target.value)} placeholder="Notes" />
+            <div className="flex gap-2">
+              <Button size="sm" onClick={() => saveAnnotation(investment)} disabled={busy}>
+                {busy ? "Saving..." : "Save"}
+              </Button>
+              <Button size="sm" variant="outline" onClick={() => setAnnotatingId(null)} disabled={busy}>
+                Cancel
+              </Button>
+            </div>
+          </div>
+        ) : (
+          <div className="flex flex-wrap gap-2">
+            {investment.status === "active" && (
+              <Button size="sm" variant="outline" onClick={() => exitInvestment(investment)} disabled={busy}>
+                <LogOut className="h-4 w-4 mr-1" />
+                Exit now
+              </Button>
+            )}
+            <Button size="sm" variant="outline" onClick={() => startAnnotating(investment)} disabled={busy}>
+              <Tag className="h-4 w-4 mr-1" />
+              Tags & notes
+            </Button>
+            <Button size="sm" variant="outline" className="text-red-600" onClick={() => voidInvestment(investment)} disabled={busy}>
+              <Trash2 className="h-4 w-4 mr-1" />
+              Void
+            </Button>
+          </div>
+        )}
+      </div>
+    )
+  }
+
   const formatTime = (timestamp: string) => {
     return new Date(timestamp).toLocaleString()
   }
@@ -223,6 +463,22 @@ export default function BotDashboard() {
           <p className="text-gray-600 dark:text-gray-400 mt-2">
             Automated high-yield liquidity mining simulation
           </p>
+          <div className="flex items-center space-x-3 mt-2 text-sm text-gray-500">
+            <Badge variant={isLive ? "default" : "secondary"}>
+              <Radio className="h-3 w-3 mr-1" />
+              {isLive ? "Live" : "Offline"}
+            </Badge>
+            {lastPoolRefresh && (
+              <span>
+                Pools refreshed {formatTime(lastPoolRefresh.timestamp)} ({lastPoolRefresh.data.count} pools)
+              </span>
+            )}
+          </div>
+          {loopError && (
+            <p className="text-sm text-red-600 mt-1">
+              Last loop error at {formatTime(loopError.timestamp)}: {loopError.data.error}
+            </p>
+          )}
         </div>
         <div className="flex space-x-4">
           <Button
@@ -246,7 +502,7 @@ export default function BotDashboard() {
 
       {/* Status Cards */}
       {botStatus && (
-        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6">
+        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-5 gap-6">
           <Card>
             <CardHeader className="flex flex-row items-center justify-between space-y-0 pb-2">
               <CardTitle className="text-sm font-medium">Bot Status</CardTitle>
@@ -266,6 +522,21 @@ export default function BotDashboard() {
             </CardContent>
           </Card>
 
+          <Card>
+            <CardHeader className="flex flex-row items-center justify-between space-y-0 pb-2">
+              <CardTitle className="text-sm font-medium">Equity</CardTitle>
+              <Wallet className="h-4 w-4 text-muted-foreground" />
+            </CardHeader>
+            <CardContent>
+              <div className="text-2xl font-bold">
+                {botStatus.equity != null ? formatCurrency(botStatus.equity) : "N/A"}
+              </div>
+              <p className="text-xs text-muted-foreground">
+                Cash {formatCurrency(botStatus.cash ?? 0)} · invested {formatCurrency(botStatus.investedCapital ?? 0)}
+              </p>
+            </CardContent>
+          </Card>
+
           <Card>
             <CardHeader className="flex flex-row items-center justify-between space-y-0 pb-2">
               <CardTitle className="text-sm font-medium">Total Profit</CardTitle>
@@ -276,7 +547,7 @@ export default function BotDashboard() {
                 {formatCurrency(botStatus.totalProfit)}
               </div>
               <p className="text-xs text-muted-foreground">
-                {botStatus.successfulExits} successful exits
+                {botStatus.successfulExits} successful exits · fees {formatCurrency(botStatus.totalFeeIncome ?? 0)}
               </p>
             </CardContent>
           </Card>
@@ -291,7 +562,7 @@ export default function BotDashboard() {
                 {formatCurrency(botStatus.totalLoss)}
               </div>
               <p className="text-xs text-muted-foreground">
-                {botStatus.failedExits} failed exits
+                {botStatus.failedExits} failed exits · IL {formatCurrency(botStatus.totalImpermanentLoss ?? 0)}
               </p>
             </CardContent>
           </Card>
@@ -323,7 +594,11 @@ export default function BotDashboard() {
             </CardTitle>
           </CardHeader>
           <CardContent>
-            <div className="grid grid-cols-2 md:grid-cols-4 gap-4 text-sm">
+            <div className="grid grid-cols-2 md:grid-cols-5 gap-4 text-sm">
+              <div>
+                <span className="text-muted-foreground">Strategy:</span>
+                <div className="font-semibold">{botStatus.strategy ?? "apy-threshold-48h"}</div>
+              </div>
               <div>
                 <span className="text-muted-foreground">APY Threshold:</span>
                 <div className="font-semibold">{formatPercentage(botStatus.config.HIGH_APY_THRESHOLD)}</div>
@@ -401,6 +676,7 @@ export default function BotDashboard() {
                       />
                     </div>
                   </div>
+                  {renderInvestmentControls(investment)}
                 </div>
               ))}
             </div>
@@ -413,7 +689,7 @@ export default function BotDashboard() {
         <CardHeader>
           <CardTitle className="flex items-center">
             <TrendingUp className="h-5 w-5 mr-2" />
-            Investment History ({investmentHistory.length})
+            Investment History ({historyTotal})
           </CardTitle>
         </CardHeader>
         <CardContent>
@@ -421,7 +697,7 @@ export default function BotDashboard() {
             <p className="text-muted-foreground text-center py-8">No investment history</p>
           ) : (
             <div className="space-y-4">
-              {investmentHistory.slice(0, 10).map((investment) => (
+              {investmentHistory.map((investment) => (
                 <div key={investment.id} className="border rounded-lg p-4">
                   <div className="flex items-center justify-between mb-2">
                     <div className="flex items-center space-x-2">
@@ -433,6 +709,9 @@ export default function BotDashboard() {
                       >
                         {investment.profitLoss && investment.profitLoss > 0 ? "Profit" : "Loss"}
                       </Badge>
+                      {investment.exitReason && (
+                        <Badge variant="outline">{investment.exitReason}</Badge>
+                      )}
                     </div>
                     <div className="text-right">
                       <div className={`font-semibold ${
@@ -445,7 +724,7 @@ export default function BotDashboard() {
                       </div>
                     </div>
                   </div>
-                  <div className="grid grid-cols-2 md:grid-cols-4 gap-4 text-sm">
+                  <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-6 gap-4 text-sm">
                     <div>
                       <span className="text-muted-foreground">Entry APY:</span>
                       <div className="font-semibold">{formatPercentage(investment.entryApy)}</div>
@@ -470,13 +749,30 @@ export default function BotDashboard() {
                         {investment.profitLossPercentage ? `${investment.profitLossPercentage.toFixed(2)}%` : "N/A"}
                       </div>
                     </div>
+                    <div>
+                      <span className="text-muted-foreground">Fee Income:</span>
+                      <div className="font-semibold text-green-600">
+                        {investment.feeIncome != null ? formatCurrency(investment.feeIncome) : "N/A"}
+                      </div>
+                    </div>
+                    <div>
+                      <span className="text-muted-foreground">Impermanent Loss:</span>
+                      <div className="font-semibold text-red-600">
+                        {investment.impermanentLoss != null ? formatCurrency(investment.impermanentLoss) : "N/A"}
+                      </div>
+                    </div>
                   </div>
+                  {renderInvestmentControls(investment)}
                 </div>
               ))}
-              {investmentHistory.length > 10 && (
-                <p className="text-center text-muted-foreground">
-                  ... and {investmentHistory.length - 10} more investments
-                </p>
+              {historyCursor && (
+                <div className="text-center">
+                  <Button variant="outline" onClick={loadMoreHistory} disabled={isLoadingHistory}>
+                    {isLoadingHistory
+                      ? "Loading..."
+                      : `Load more (${historyTotal - investmentHistory.length} remaining)`}
+                  </Button>
+                </div>
               )}
             </div>
           )}